@@ -1,28 +1,73 @@
 import { Server } from "socket.io";
+import mongoose from "mongoose";
 import Ride from "../models/Ride.js";
+import User from "../models/User.js";
+import { recordLocation, lastKnownLocation, canWatchRide } from "../services/tracking.js";
+import { SafetyError, raiseSos, resolveShareLink } from "../services/safety.js";
+import { socketAuth, reauthenticate, scheduleExpiry } from "../middleware/socketAuth.js";
+import { getEventBus } from "../services/realtime/bus.js";
+import { keyedThrottle } from "../services/realtime/throttle.js";
+import {
+  startPresenceHeartbeat,
+  userConnected,
+  userDisconnected,
+  onlineStatus,
+  watchableUsers,
+} from "../services/realtime/presence.js";
 
-function throttle(fn, ms) {
-  let last = 0;
-  let timer;
-  return (...args) => {
-    const now = Date.now();
-    const remaining = ms - (now - last);
-    if (remaining <= 0) {
-      clearTimeout(timer);
-      last = now;
-      fn(...args);
-    } else if (!timer) {
-      timer = setTimeout(() => {
-        last = Date.now();
-        timer = null;
-        fn(...args);
-      }, remaining);
-    }
-  };
-}
+// Bus channels every instance listens on to reach the sockets connected to it
+const EMIT_CHANNEL = 'socket:emit';
+const DISCONNECT_CHANNEL = 'socket:disconnect';
+const MAX_WATCHED_USERS = 100;
 
 let io;
 
+/**
+ * Room-targeted emitter with the Socket.IO API (`to`/`in` chain, `emit`, `disconnectSockets`).
+ * Nothing is sent directly: the call is published on the event bus and each instance
+ * delivers it to its own sockets, so events reach users whichever instance they are on.
+ */
+const roomEmitter = (rooms = []) => ({
+  to: (room) => roomEmitter([...rooms, ...[].concat(room)]),
+  in: (room) => roomEmitter([...rooms, ...[].concat(room)]),
+  emit: (event, ...args) => {
+    getEventBus()
+      .publish(EMIT_CHANNEL, { rooms: rooms.map(String), event, args })
+      .catch((err) => console.error(`Socket emit error (${event}):`, err));
+    return true;
+  },
+  disconnectSockets: (close = false) => {
+    getEventBus()
+      .publish(DISCONNECT_CHANNEL, { rooms: rooms.map(String), close })
+      .catch((err) => console.error("Socket disconnect error:", err));
+  },
+});
+
+const emitter = roomEmitter();
+
+// Presence changes go to sockets watching the user (presence:watch)
+const announcePresence = (userId, online) => {
+  emitter.to(`presence:${userId}`).emit('presence:update', { userId, online, at: Date.now() });
+};
+
+const trackPresence = (userId, connected) => {
+  (connected ? userConnected(userId) : userDisconnected(userId))
+    .then((changed) => { if (changed) announcePresence(userId, connected); })
+    .catch((err) => console.error("Presence error:", err));
+};
+
+// Throttled (per ride, across instances) to avoid flooding; positions on tracked rides
+// are also persisted and drive ETAs and geofence events
+const broadcastLocation = keyedThrottle(async (ride, payload) => {
+  try {
+    const location = await recordLocation(ride, payload);
+    if (!location) return;
+    emitter.to(`ride:${ride._id}`).to(`share:${ride._id}`).emit('ride:location', location);
+  } catch (err) {
+    console.error("Ride location error:", err);
+  }
+}, 1000, 'ride-location');
+
 export const initSocket = (server) => {
   if (io) return io; 
   io = new Server(server, {
@@ -35,71 +80,147 @@ export const initSocket = (server) => {
       credentials: true
     },
   });
+  // Deliver what any instance published to the sockets connected here
+  const bus = getEventBus();
+  bus.subscribe(EMIT_CHANNEL, ({ rooms, event, args }) => {
+    (rooms.length ? io.to(rooms) : io).emit(event, ...args);
+  }).catch((err) => console.error("Socket bus subscribe error:", err));
+  bus.subscribe(DISCONNECT_CHANNEL, ({ rooms, close }) => {
+    (rooms.length ? io.in(rooms) : io).disconnectSockets(close);
+  }).catch((err) => console.error("Socket bus subscribe error:", err));
+  startPresenceHeartbeat();
+
+  // Identity comes from the verified handshake token, never from client-sent ids
+  io.use(socketAuth);
+
   io.on("connection", (socket) => {
     console.log("Socket connected:", socket.id);
+    let cancelExpiry = scheduleExpiry(socket);
+    let presenceUserId = socket.data.userId;
+    if (presenceUserId) trackPresence(presenceUserId, true);
 
-    // Preferred auth event to join appropriate rooms
-    socket.on('auth', ({ userId, role }) => {
-      if(!userId) return;
-      socket.data.userId = userId;
-      socket.data.role = role;
-      // Join role-specific rooms
-      if(role === 'driver'){
-        socket.join(`driver:${userId}`);
-        console.log(`socket ${socket.id} joined room driver:${userId}`);
-      }
-      if(role === 'user' || role === 'passenger'){
-        socket.join(`passenger:${userId}`);
-        console.log(`socket ${socket.id} joined room passenger:${userId}`);
+    // Hand over a refreshed access token ({ token }) before the current one expires;
+    // an anonymous socket can sign in the same way
+    socket.on('auth', async ({ token } = {}, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      try {
+        const error = await reauthenticate(socket, token);
+        if (error) return reply({ ok: false, ...error });
+        cancelExpiry();
+        cancelExpiry = scheduleExpiry(socket);
+        if (!presenceUserId) {
+          presenceUserId = socket.data.userId;
+          trackPresence(presenceUserId, true);
+        }
+        reply({ ok: true, userId: socket.data.userId, role: socket.data.role });
+      } catch (err) {
+        console.error("Socket auth error:", err);
+        reply({ ok: false, message: 'Server error' });
       }
     });
 
-    // Backward compatibility for old client
-    socket.on("joinDriverRoom", (driverId) =>{
-      if(!driverId) return;
-      socket.join(`driver:${driverId}`);
-      console.log(`socket ${socket.id} joined room driver:${driverId}`);
-    });
-
     socket.on("disconnect", () => {
+      cancelExpiry();
+      if (presenceUserId) trackPresence(presenceUserId, false);
       console.log("Socket disconnected:", socket.id)
     });
 
-    // Per-ride rooms: used for live location broadcasting and contextual events
-    socket.on('ride:join', ({ rideId }) => {
-      if (!rideId) return;
-      socket.join(`ride:${rideId}`);
+    // Follow whether users are online: { userIds } -> ack { ok, online: { [id]: boolean } },
+    // then presence:update events as they come and go. Only people the user shares a ride
+    // or a conversation with can be followed; other ids are left out of `online`.
+    socket.on('presence:watch', async ({ userIds } = {}, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      try {
+        if (!socket.data.userId) return reply({ ok: false, message: 'Not authenticated' });
+        const requested = [...new Set([].concat(userIds || []).map(String))]
+          .filter((id) => mongoose.Types.ObjectId.isValid(id))
+          .slice(0, MAX_WATCHED_USERS);
+        const ids = await watchableUsers({ _id: socket.data.userId, role: socket.data.role }, requested);
+        socket.join(ids.map((id) => `presence:${id}`));
+        reply({ ok: true, online: await onlineStatus(ids) });
+      } catch (err) {
+        console.error("Presence watch error:", err);
+        reply({ ok: false, message: 'Server error' });
+      }
+    });
+
+    socket.on('presence:unwatch', ({ userIds } = {}) => {
+      for (const id of [].concat(userIds || [])) socket.leave(`presence:${id}`);
+    });
+
+    // Per-ride rooms: used for live location broadcasting and contextual events.
+    // Only the driver, booked passengers and admins may join.
+    socket.on('ride:join', async ({ rideId } = {}, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      try {
+        if (!rideId || !mongoose.Types.ObjectId.isValid(rideId)) return reply({ ok: false, message: 'Invalid ride id' });
+        if (!socket.data.userId) return reply({ ok: false, message: 'Not authenticated' });
+        const ride = await Ride.findById(rideId).select('driver').lean();
+        if (!ride) return reply({ ok: false, message: 'Ride not found' });
+        const user = { _id: socket.data.userId, role: socket.data.role };
+        if (!(await canWatchRide(ride, user))) return reply({ ok: false, message: 'Not authorized' });
+        socket.join(`ride:${rideId}`);
+        reply({ ok: true });
+        // Late joiners get the last known position instead of waiting for the next update
+        const last = await lastKnownLocation(rideId);
+        if (last) socket.emit('ride:location', last);
+      } catch (err) {
+        // swallow errors to keep socket healthy
+        reply({ ok: false, message: 'Server error' });
+      }
     });
 
-    socket.on('ride:leave', ({ rideId }) => {
+    socket.on('ride:leave', ({ rideId } = {}) => {
       if (!rideId) return;
       socket.leave(`ride:${rideId}`);
     });
 
-    // Throttled broadcaster to avoid flooding
-    const broadcastLocation = throttle((payload) => {
-      const { rideId, lat, lng, speed } = payload || {};
-      if (!rideId || typeof lat !== 'number' || typeof lng !== 'number') return;
-      io.to(`ride:${rideId}`).emit('ride:location', {
-        rideId,
-        lat,
-        lng,
-        speed: typeof speed === 'number' ? speed : undefined,
-        at: Date.now(),
-      });
-    }, 1000);
+    // Public trip sharing: a share link token only gets the ride's position updates
+    socket.on('share:join', async ({ token } = {}, ack) => {
+      try {
+        const shareLink = await resolveShareLink(token);
+        if (!shareLink) {
+          if (typeof ack === 'function') ack({ ok: false, message: 'This link is invalid or has expired' });
+          return;
+        }
+        socket.join(`share:${shareLink.ride}`);
+        if (typeof ack === 'function') ack({ ok: true, rideId: String(shareLink.ride), expiresAt: shareLink.expiresAt });
+        const last = await lastKnownLocation(shareLink.ride);
+        if (last) socket.emit('ride:location', last);
+      } catch (err) {
+        if (typeof ack === 'function') ack({ ok: false, message: 'Server error' });
+      }
+    });
+
+    // SOS over the socket, same payload as POST /api/safety/sos
+    socket.on('safety:sos', async (payload, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      try {
+        if (!socket.data.userId) return reply({ ok: false, message: 'Not authenticated' });
+        const user = await User.findById(socket.data.userId).select('name trustedContacts');
+        if (!user) return reply({ ok: false, message: 'Not authenticated' });
+        const { incident, duplicate } = await raiseSos(user, payload || {});
+        reply({ ok: true, incidentId: String(incident._id), duplicate });
+      } catch (err) {
+        if (err instanceof SafetyError) return reply({ ok: false, message: err.message });
+        console.error("Socket SOS error:", err);
+        reply({ ok: false, message: 'Server error' });
+      }
+    });
 
     // Only the ride's driver may publish location for that ride
     socket.on('ride:location', async (payload) => {
       try {
         const { rideId, lat, lng } = payload || {};
         if (!rideId || typeof lat !== 'number' || typeof lng !== 'number') return;
-        const userId = socket.data?.userId;
+        const userId = socket.data.userId;
         if (!userId) return;
-        const ride = await Ride.findById(rideId).select('driver').lean();
+        const ride = await Ride.findById(rideId)
+          .select('driver status startLocation startPoint destination destinationPoint waypoints')
+          .lean();
         if (!ride) return;
         if (ride.driver.toString() !== String(userId)) return;
-        broadcastLocation(payload);
+        broadcastLocation(ride._id, ride, payload);
       } catch (err) {
         // swallow errors to keep socket healthy
       }
@@ -109,7 +230,16 @@ export const initSocket = (server) => {
   return io;
 }
 
-export const getIO = () => {
-  if (!io) throw new Error("Socket.io not initialized");
-  return io;
-}
\ No newline at end of file
+// Revoking sessions also ends their live sockets (the client gets auth:revoked first)
+const disconnectRoom = (room) => {
+  emitter.to(room).emit('auth:revoked', { message: 'Session revoked' });
+  emitter.in(room).disconnectSockets(true);
+};
+
+export const disconnectSession = (sessionId) => disconnectRoom(`session:${sessionId}`);
+
+export const disconnectUser = (userId) => disconnectRoom(`user:${userId}`);
+
+// Emitter for the rest of the app: io.to(room).emit(...) reaches every instance's sockets.
+// It works before initSocket (and in scripts) as long as the event bus is shared.
+export const getIO = () => emitter;
\ No newline at end of file
@@ -9,9 +9,24 @@ dotenv.config();
 import auth from './routes/auth.js';
 import driver from './routes/driver.js';
 import ride from './routes/ride.js';
+import rideLifecycle from './routes/rideLifecycle.js';
+import waitlist from './routes/waitlist.js';
+import tracking from './routes/tracking.js';
 import notification from './routes/notification.js';
 import message from './routes/message.js';
+import schedule from './routes/schedule.js';
+import payment from './routes/payment.js';
+import review from './routes/review.js';
+import admin from './routes/admin.js';
+import vehicle from './routes/vehicle.js';
+import rideAlert from './routes/rideAlert.js';
+import pricing from './routes/pricing.js';
+import referral from './routes/referral.js';
+import safety from './routes/safety.js';
+import push from './routes/push.js';
 import { initSocket } from "./config/socket.js";
+import { startJobs } from './jobs/index.js';
+import { assertPaymentProvider } from './services/payments/provider.js';
 
 
 const PORT = process.env.PORT || 3000;
@@ -35,8 +50,21 @@ app.use(cors({
 app.use('/api/auth', auth);
 app.use('/api/driver', driver);
 app.use('/api/ride', ride);
+app.use('/api/ride', rideLifecycle);
+app.use('/api/ride', waitlist);
+app.use('/api/ride', tracking);
 app.use('/api/notifications', notification);
 app.use('/api/messages', message);
+app.use('/api/schedules', schedule);
+app.use('/api/payments', payment);
+app.use('/api/reviews', review);
+app.use('/api/admin', admin);
+app.use('/api/vehicles', vehicle);
+app.use('/api/ride-alerts', rideAlert);
+app.use('/api/pricing', pricing);
+app.use('/api/referrals', referral);
+app.use('/api/safety', safety);
+app.use('/api/push', push);
 
 
 // Health check
@@ -44,8 +72,10 @@ app.get('/health', (_req, res) => res.json({ status: 'ok' }));
 
 const start = async () => {
   try {
+    assertPaymentProvider();
     await connectDB(process.env.MONGODB_URI);
     console.log('✅ Database connected');
+    startJobs();
 
     // IMPORTANT: listen on the HTTP server (so Socket.IO works)
     server.listen(PORT, () => {
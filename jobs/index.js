@@ -0,0 +1,61 @@
+import { generateAllScheduledRides } from '../services/schedules.js';
+import { expirePendingBookings } from '../services/bookings.js';
+import { suspendDriversWithExpiredDocuments } from '../services/driverVerification.js';
+import { expireRideAlerts } from '../services/rideAlerts.js';
+import { expireWaitlistOffers } from '../services/waitlist.js';
+import { purgeReadNotifications } from '../services/notifications/retention.js';
+import {
+  findDueReminders,
+  sendDepartureReminder,
+  findOverdueRides,
+  autoCompleteRide,
+} from '../services/rideTasks.js';
+import { defineJob, enqueueJob, deadJobPayloads, startJobWorker } from '../services/jobs/queue.js';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Queue one job per due item; the idempotency key keeps repeated sweeps from doubling up
+const fanOut = async (items, name, key, payload) => {
+  let queued = 0;
+  for (const item of items) {
+    const { created } = await enqueueJob(name, payload(item), { idempotencyKey: key(item) });
+    if (created) queued += 1;
+  }
+  return queued;
+};
+
+// Recurring sweeps, queued once per interval across all instances
+const recurring = [
+  { name: 'generate-scheduled-rides', intervalMs: HOUR_MS, run: generateAllScheduledRides },
+  { name: 'expire-booking-requests', intervalMs: MINUTE_MS, run: expirePendingBookings },
+  { name: 'expire-waitlist-offers', intervalMs: MINUTE_MS, run: expireWaitlistOffers },
+  { name: 'suspend-expired-driver-documents', intervalMs: HOUR_MS, run: suspendDriversWithExpiredDocuments },
+  { name: 'expire-ride-alerts', intervalMs: HOUR_MS, run: expireRideAlerts },
+  { name: 'purge-read-notifications', intervalMs: 24 * HOUR_MS, run: purgeReadNotifications },
+  {
+    name: 'queue-departure-reminders',
+    intervalMs: 5 * MINUTE_MS,
+    run: async () => fanOut(
+      await findDueReminders(new Date(), { exclude: await deadJobPayloads('send-departure-reminder', 'bookingId') }),
+      'send-departure-reminder', (b) => `departure-reminder:${b._id}`, (b) => ({ bookingId: String(b._id) })),
+  },
+  {
+    name: 'queue-ride-auto-completion',
+    intervalMs: 15 * MINUTE_MS,
+    run: async () => fanOut(
+      await findOverdueRides(new Date(), { exclude: await deadJobPayloads('auto-complete-ride', 'rideId') }),
+      'auto-complete-ride', (r) => `auto-complete-ride:${r._id}`, (r) => ({ rideId: String(r._id) })),
+  },
+];
+
+for (const job of recurring) {
+  // The next slot runs the sweep again anyway: retry once, and keep a dead slot only for a day
+  defineJob(job.name, () => job.run(), { maxAttempts: 2, backoffMs: 10 * 1000, deadRetentionMs: 24 * HOUR_MS });
+}
+defineJob('send-departure-reminder', ({ bookingId }) => sendDepartureReminder(bookingId));
+defineJob('auto-complete-ride', ({ rideId }) => autoCompleteRide(rideId));
+
+const startJobs = () => startJobWorker({ recurring });
+
+export { startJobs };
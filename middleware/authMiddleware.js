@@ -1,10 +1,58 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import { isSessionActive } from '../services/sessions.js';
+
+/**
+ * Error body for a banned or (still) suspended account, or null if the account may be used.
+ */
+const accountBlock = (user) => {
+  if (user.accountStatus === 'banned')
+    return { message: 'Account banned', code: 'ACCOUNT_BANNED' };
+  if (user.accountStatus === 'suspended' && (!user.suspendedUntil || user.suspendedUntil > new Date()))
+    return { message: 'Account suspended', code: 'ACCOUNT_SUSPENDED', suspendedUntil: user.suspendedUntil };
+  return null;
+};
+
+/**
+ * Verify an access token and load its user; shared by the HTTP middleware and the socket
+ * handshake. Resolves to { user, decoded }, or { error: { status, body } } when the token
+ * can't be used. Only session-bound access tokens ({ id, sid }) are accepted: emailed action
+ * tokens (which carry a `purpose`) and tokens tied to a revoked or expired session are not.
+ */
+const authenticateToken = async (token) => {
+  if (!token)
+    return { error: { status: 401, body: { message: 'Token required' } } };
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (e) {
+    const msg = e.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token';
+    return { error: { status: 401, body: { message: msg } } };
+  }
+
+  if (decoded.purpose || decoded.aud || !decoded.id || !decoded.sid)
+    return { error: { status: 401, body: { message: 'Invalid token payload' } } };
+
+  if (!(await isSessionActive(decoded.sid)))
+    return { error: { status: 401, body: { message: 'Session revoked' } } };
+
+  const user = await User.findById(decoded.id).select('-password');
+  if (!user)
+    return { error: { status: 401, body: { message: 'User not found' } } };
+
+  const blocked = accountBlock(user);
+  if (blocked)
+    return { error: { status: 403, body: blocked } };
+
+  return { user, decoded };
+};
 
 /**
  * Strict auth: requires a valid Bearer token, loads user, attaches:
- *  req.userId  (ObjectId as string)
- *  req.user    (User document sans password)
+ *  req.userId     (ObjectId as string)
+ *  req.user       (User document sans password)
+ *  req.sessionId  (Session id the token is bound to)
  */
 const protect = async (req, res, next) => {
   try {
@@ -12,28 +60,13 @@ const protect = async (req, res, next) => {
     if (!auth.startsWith('Bearer '))
       return res.status(401).json({ message: 'Token required' });
 
-    const token = auth.slice(7).trim();
-    if (!token)
-      return res.status(401).json({ message: 'Token required' });
-
-    let decoded;
-    try {
-      decoded = jwt.verify(token, process.env.JWT_SECRET);
-    } catch (e) {
-      const msg = e.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token';
-      return res.status(401).json({ message: msg });
-    }
-
-    const userId = decoded.id || decoded.sub;
-    if (!userId)
-      return res.status(401).json({ message: 'Invalid token payload' });
-
-    const user = await User.findById(userId).select('-password');
-    if (!user)
-      return res.status(401).json({ message: 'User not found' });
+    const { user, decoded, error } = await authenticateToken(auth.slice(7).trim());
+    if (error)
+      return res.status(error.status).json(error.body);
 
     req.userId = user._id.toString();
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (err) {
     console.error('protect middleware error:', err);
@@ -47,16 +80,11 @@ const protect = async (req, res, next) => {
 const optionalAuth = async (req, _res, next) => {
   const auth = req.headers.authorization || '';
   if (auth.startsWith('Bearer ')) {
-    const token = auth.slice(7).trim();
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const userId = decoded.id || decoded.sub;
-      if (userId) {
-        const user = await User.findById(userId).select('-password');
-        if (user) {
-          req.userId = user._id.toString();
-            req.user = user;
-        }
+      const { user } = await authenticateToken(auth.slice(7).trim());
+      if (user) {
+        req.userId = user._id.toString();
+        req.user = user;
       }
     } catch {
       // ignore invalid token
@@ -65,4 +93,33 @@ const optionalAuth = async (req, _res, next) => {
   next();
 };
 
-export { protect, optionalAuth };
\ No newline at end of file
+/**
+ * Use after protect: blocks accounts that have not confirmed their email yet.
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user?.emailVerified)
+    return res.status(403).json({ message: 'Please verify your email address first', code: 'EMAIL_NOT_VERIFIED' });
+  next();
+};
+
+/**
+ * Use after protect: only lets through users with one of the given roles.
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  if (!roles.includes(req.user?.role))
+    return res.status(403).json({ message: 'Not authorized' });
+  next();
+};
+
+/**
+ * Use after protect: only drivers whose verification is approved (and not suspended).
+ */
+const requireApprovedDriver = (req, res, next) => {
+  if (req.user?.role !== 'driver')
+    return res.status(403).json({ message: 'Only drivers can do this' });
+  if (req.user.driverStatus !== 'approved')
+    return res.status(403).json({ message: 'Your driver verification is not approved', driverStatus: req.user.driverStatus });
+  next();
+};
+
+export { accountBlock, authenticateToken, protect, optionalAuth, requireVerifiedEmail, requireRole, requireApprovedDriver };
\ No newline at end of file
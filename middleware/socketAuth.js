@@ -0,0 +1,90 @@
+import { authenticateToken } from './authMiddleware.js';
+
+// setTimeout can't wait longer than this
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Access token sent at handshake: `io(url, { auth: { token } })`, or an Authorization header
+const handshakeToken = (handshake) => {
+  if (typeof handshake.auth?.token === 'string') return handshake.auth.token.replace(/^Bearer\s+/i, '').trim();
+  const header = handshake.headers?.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+};
+
+// Rooms a verified user listens on. user:/session: rooms let revocation find the sockets.
+const userRooms = (user, sessionId) => {
+  const id = user._id.toString();
+  const rooms = [`user:${id}`, `passenger:${id}`];
+  if (sessionId) rooms.push(`session:${sessionId}`);
+  if (user.role === 'driver') rooms.push(`driver:${id}`);
+  if (user.role === 'admin') rooms.push(`admin:${id}`, 'admins');
+  return rooms;
+};
+
+// Record the verified identity on the socket (plain values only) and join its rooms
+const attachUser = (socket, user, decoded) => {
+  if (socket.data.sessionId && socket.data.sessionId !== decoded.sid) {
+    socket.leave(`session:${socket.data.sessionId}`);
+  }
+  socket.data.userId = user._id.toString();
+  socket.data.role = user.role;
+  socket.data.sessionId = decoded.sid;
+  socket.data.tokenExpiresAt = decoded.exp ? decoded.exp * 1000 : undefined;
+  socket.join(userRooms(user, decoded.sid));
+};
+
+const authError = (body) => {
+  const err = new Error(body.message);
+  err.data = body;
+  return err;
+};
+
+/**
+ * io.use() middleware: verifies the handshake token exactly like `protect`. Connections
+ * without a token are let in anonymously (they can only follow public share links); an
+ * invalid, expired or revoked token refuses the connection with err.data = { message, code? }.
+ */
+const socketAuth = async (socket, next) => {
+  const token = handshakeToken(socket.handshake);
+  if (!token) return next();
+  try {
+    const { user, decoded, error } = await authenticateToken(token);
+    if (error) return next(authError(error.body));
+    attachUser(socket, user, decoded);
+    next();
+  } catch (err) {
+    console.error('Socket auth error:', err);
+    next(authError({ message: 'Server error' }));
+  }
+};
+
+/**
+ * Re-authenticate a connected socket with a fresh access token (the client refreshed it).
+ * The token must belong to the same user when the socket is already signed in.
+ * Resolves to null on success, or the error body.
+ */
+const reauthenticate = async (socket, token) => {
+  const { user, decoded, error } = await authenticateToken(typeof token === 'string' ? token : '');
+  if (error) return error.body;
+  if (socket.data.userId && socket.data.userId !== user._id.toString()) {
+    return { message: 'Token belongs to another user' };
+  }
+  attachUser(socket, user, decoded);
+  return null;
+};
+
+/**
+ * Disconnect the socket when its access token expires, unless it re-authenticates first.
+ * Call again after every (re)authentication; returns a function that cancels the timer.
+ */
+const scheduleExpiry = (socket) => {
+  const expiresAt = socket.data.tokenExpiresAt;
+  if (!expiresAt) return () => {};
+  const timer = setTimeout(() => {
+    if (socket.data.tokenExpiresAt > Date.now()) return; // refreshed meanwhile
+    socket.emit('auth:expired', { message: 'Token expired' });
+    socket.disconnect(true);
+  }, Math.min(MAX_TIMER_MS, Math.max(0, expiresAt - Date.now())));
+  return () => clearTimeout(timer);
+};
+
+export { socketAuth, reauthenticate, scheduleExpiry };
@@ -0,0 +1,56 @@
+import fs from 'fs';
+import path from 'path';
+import multer from 'multer';
+import { v4 as uuidv4 } from 'uuid';
+
+// Uploaded files live on local disk under UPLOAD_DIR (default ./uploads).
+// Read lazily: .env is loaded after modules are imported.
+export const uploadRoot = () => path.resolve(process.env.UPLOAD_DIR || 'uploads');
+
+const ALLOWED_MIME_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+
+// Driver documents go to uploads/driver-documents/<userId>/<uuid>.<ext>
+const driverDocumentStorage = multer.diskStorage({
+  destination: (req, _file, cb) => {
+    const dir = path.join(uploadRoot(), 'driver-documents', req.userId);
+    fs.mkdir(dir, { recursive: true }, (err) => cb(err, dir));
+  },
+  filename: (_req, file, cb) => {
+    cb(null, `${uuidv4()}${path.extname(file.originalname).toLowerCase()}`);
+  },
+});
+
+const driverDocuments = multer({
+  storage: driverDocumentStorage,
+  limits: { fileSize: MAX_FILE_BYTES, files: 3 },
+  fileFilter: (_req, file, cb) => {
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  },
+}).fields([
+  { name: 'licence', maxCount: 1 },
+  { name: 'vehicleRegistration', maxCount: 1 },
+  { name: 'insurance', maxCount: 1 },
+]);
+
+/**
+ * Wrap a multer middleware so upload problems become 400 responses.
+ * Use after protect (files are stored per user).
+ */
+const handleUpload = (upload) => (req, res, next) => {
+  upload(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? 'File too large (max 5MB)'
+        : `Invalid upload for "${err.field}" (PDF, JPEG or PNG only)`;
+      return res.status(400).json({ message });
+    }
+    next(err);
+  });
+};
+
+export const uploadDriverDocuments = handleUpload(driverDocuments);
@@ -0,0 +1,15 @@
+import mongoose from 'mongoose';
+
+// Server-side record of an emailed one-time token (the token itself is a signed JWT
+// carrying this jti). usedAt makes it single-use.
+const actionTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  purpose: { type: String, enum: ['verify_email', 'reset_password'], required: true },
+  jti: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date },
+}, { timestamps: true });
+
+actionTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('ActionToken', actionTokenSchema);
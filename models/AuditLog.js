@@ -0,0 +1,17 @@
+import mongoose from 'mongoose';
+
+// Append-only record of an admin action
+const auditLogSchema = new mongoose.Schema({
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  action: { type: String, required: true, index: true }, // e.g. user.suspend, ride.cancel
+  targetType: { type: String, enum: ['User', 'Ride', 'Booking', 'DriverApplication', 'PromoCode', 'SafetyIncident', 'Job'], required: true },
+  targetId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  details: { type: mongoose.Schema.Types.Mixed },
+  ip: { type: String },
+  userAgent: { type: String },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+export default mongoose.model('AuditLog', auditLogSchema);
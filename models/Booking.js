@@ -4,8 +4,51 @@ const bookingSchema = new mongoose.Schema({
     ride:{type: mongoose.Schema.Types.ObjectId, ref:'Ride', required: true},
     passenger:{type: mongoose.Schema.Types.ObjectId, ref:'User', required: true},
     seatsBooked:{type: Number, required: true},
-    status:{type: String, enum: ["booked", "cancelled"], default: "booked"},
+    // Stop indexes on the ride route (0 = startLocation, last = destination)
+    fromStop:{type: Number, default: 0},
+    toStop:{type: Number},
+    // booked: instant booking; pending -> accepted/declined/expired: request-to-book rides
+    // booked/accepted bookings end as completed or no_show when the ride completes
+    status:{type: String, enum: ["booked", "pending", "accepted", "declined", "expired", "cancelled", "completed", "no_show"], default: "booked"},
+    boardingStatus:{type: String, enum: ["boarded", "no_show"]}, // marked by the driver at pickup
+    boardedAt:{type: Date},
+    expiresAt:{type: Date}, // when a pending request lapses and its held seats are released
+    respondedAt:{type: Date},
+    reminderSentAt:{type: Date}, // departure reminder (see services/rideTasks.js)
+    // Outcome of the cancellation policy, amounts in minor units
+    cancellation:{
+        by:{type: String, enum: ["passenger", "driver", "admin", "system"]},
+        policy:String,
+        hoursBeforeDeparture:Number,
+        refundPercent:Number,
+        refundAmount:Number,
+        feeAmount:Number,
+        driverPenaltyAmount:Number,
+        at:Date,
+    },
+    // Price locked in at booking time (see services/pricing.js), amounts in minor units
+    quote:{
+        currency:String,
+        unitPrice:Number,
+        seats:Number,
+        children:Number,
+        luggage:Number,
+        lines:[{ _id: false, code: String, label: String, amount: Number }],
+        total:Number,
+        subsidy:Number, // promo + credit discount the platform pays the driver
+        promoCode:String,
+        quotedAt:Date,
+    },
     createdAt: {type: Date, default: Date.now}
 })
 
+bookingSchema.index({ status: 1, expiresAt: 1 });
+
+// Bookings that count as a confirmed seat on the ride
+export const CONFIRMED_STATUSES = ["booked", "accepted"];
+// Bookings that currently hold seats (confirmed or awaiting the driver)
+export const SEAT_HOLDING_STATUSES = ["pending", ...CONFIRMED_STATUSES];
+// Passengers who are (or were) on the ride
+export const PARTICIPANT_STATUSES = [...CONFIRMED_STATUSES, "completed"];
+
 export default mongoose.model("Booking", bookingSchema)
\ No newline at end of file
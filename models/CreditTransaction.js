@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+// Movement on a user's ride credit balance (User.creditBalance), amounts in minor units
+const creditTransactionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  amount: { type: Number, required: true }, // positive: credit earned/returned, negative: spent
+  reason: {
+    type: String,
+    enum: ['referral_referrer', 'referral_referee', 'booking', 'booking_released'],
+    required: true,
+  },
+  booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking' },
+  relatedUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // the other side of a referral
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+creditTransactionSchema.index({ user: 1, createdAt: -1 });
+// A booking spends credit at most once and gets it back at most once
+creditTransactionSchema.index(
+  { booking: 1, reason: 1 },
+  { unique: true, partialFilterExpression: { booking: { $exists: true } } }
+);
+
+export default mongoose.model('CreditTransaction', creditTransactionSchema);
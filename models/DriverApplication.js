@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+export const DOCUMENT_TYPES = ['licence', 'vehicle_registration', 'insurance'];
+
+const documentSchema = new mongoose.Schema({
+  type: { type: String, enum: DOCUMENT_TYPES, required: true },
+  path: { type: String, required: true }, // relative to the uploads root
+  originalName: { type: String },
+  mimeType: { type: String },
+  size: { type: Number },
+  expiresAt: { type: Date, required: true },
+}, { _id: false });
+
+// A user's request to drive; an admin approves or rejects it
+const driverApplicationSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  status: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'pending', index: true },
+  vehicle: {
+    carModel: { type: String, required: true, trim: true },
+    carPlate: { type: String, required: true, trim: true, uppercase: true },
+    seatsAvailable: { type: Number, required: true, min: 1, max: 8 },
+  },
+  licenseNumber: { type: String, required: true, trim: true },
+  documents: { type: [documentSchema], default: [] },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reviewedAt: { type: Date },
+  rejectionReason: { type: String, trim: true, maxlength: 500 },
+}, { timestamps: true });
+
+driverApplicationSchema.index({ status: 1, 'documents.expiresAt': 1 });
+
+export default mongoose.model('DriverApplication', driverApplicationSchema);
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+/**
+ * A unit of background work (see services/jobs/queue.js).
+ * queued -> running -> completed, or back to queued with a later runAt after a failure;
+ * once maxAttempts is used up it is dead-lettered (status 'dead') until an admin retries it.
+ */
+const jobSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+  status: { type: String, enum: ['queued', 'running', 'completed', 'dead'], default: 'queued' },
+  runAt: { type: Date, default: Date.now },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 5 },
+  // Enqueueing the same key twice yields the existing job
+  idempotencyKey: { type: String, unique: true, sparse: true },
+  lockedBy: { type: String }, // worker instance running it
+  lockedAt: { type: Date },
+  lastError: { type: String },
+  failures: [{ _id: false, at: Date, attempt: Number, error: String }], // most recent last
+  result: { type: mongoose.Schema.Types.Mixed },
+  completedAt: { type: Date },
+  deadAt: { type: Date },
+  expiresAt: { type: Date }, // set when completed, or dead-lettered under a deadRetentionMs
+}, { timestamps: true });
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedAt: 1 });
+jobSchema.index({ name: 1, status: 1, createdAt: -1 });
+// Completed (and short-lived dead) jobs are only kept for a while
+jobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('Job', jobSchema);
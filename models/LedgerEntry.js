@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+/**
+ * Double-entry ledger line. Every transaction (`txn`) is a group of entries whose
+ * debits equal its credits. Accounts:
+ *  provider_cash            money held at the payment provider (asset)
+ *  escrow                   captured funds not yet released to the driver
+ *  driver_payable:<userId>  earnings owed to a driver
+ *  platform_revenue         platform fees
+ *  payouts_pending          driver balances claimed by a payout awaiting the provider
+ * Amounts are in minor units.
+ */
+const ledgerEntrySchema = new mongoose.Schema({
+  txn: { type: String, required: true, index: true },
+  account: { type: String, required: true },
+  direction: { type: String, enum: ['debit', 'credit'], required: true },
+  amount: { type: Number, required: true, min: 0 },
+  currency: { type: String, required: true },
+  memo: { type: String },
+  payment: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
+  booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking' },
+  ride: { type: mongoose.Schema.Types.ObjectId, ref: 'Ride' },
+  payout: { type: mongoose.Schema.Types.ObjectId, ref: 'Payout' },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+ledgerEntrySchema.index({ account: 1, createdAt: -1 });
+
+export default mongoose.model('LedgerEntry', ledgerEntrySchema);
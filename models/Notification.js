@@ -3,7 +3,8 @@ import mongoose from 'mongoose';
 const notificationSchema = new mongoose.Schema(
   {
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-    type: { type: String, enum: ['booking', 'cancellation', 'system'], default: 'system' },
+    type: { type: String, enum: ['booking', 'booking_request', 'cancellation', 'ride', 'ride_alert', 'review', 'safety', 'system'], default: 'system' },
+    template: { type: String }, // notification template it was rendered from, if any
     title: { type: String, required: true },
     message: { type: String, required: true },
     ride: { type: mongoose.Schema.Types.ObjectId, ref: 'Ride' },
@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// One payment per booking. Amounts are in minor units (e.g. cents) of `currency`.
+const paymentSchema = new mongoose.Schema({
+  booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', required: true, unique: true },
+  ride: { type: mongoose.Schema.Types.ObjectId, ref: 'Ride', required: true, index: true },
+  passenger: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  driver: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  amount: { type: Number, required: true, min: 0 }, // authorized amount
+  currency: { type: String, required: true },
+  provider: { type: String, required: true },
+  providerIntentId: { type: String }, // none when promotions cover the whole fare (amount 0)
+  // Promo/credit discount the platform pays the driver on top of `amount` when the ride completes
+  subsidy: { type: Number, default: 0, min: 0 },
+  // authorized: funds held; captured: charged (possibly partially); canceled: hold released
+  status: {
+    type: String,
+    enum: ['authorized', 'captured', 'canceled', 'refunded', 'failed'],
+    default: 'authorized',
+  },
+  capturedAmount: { type: Number, default: 0 },
+  refundedAmount: { type: Number, default: 0 },
+  platformFee: { type: Number, default: 0 }, // fee kept by the platform on capturedAmount + subsidyPaid
+  subsidyPaid: { type: Number, default: 0 }, // subsidy actually paid to the driver at capture
+  capturedAt: { type: Date },
+  canceledAt: { type: Date },
+}, { timestamps: true });
+
+paymentSchema.index({ ride: 1, status: 1 });
+
+export default mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+
+// A driver payout. Amounts are in minor units of `currency`.
+const payoutSchema = new mongoose.Schema({
+  driver: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  amount: { type: Number, default: 0, min: 0 },
+  currency: { type: String, required: true },
+  // pending: balance claimed, provider not yet confirmed; paid; failed: claim reversed
+  status: { type: String, enum: ['pending', 'paid', 'failed'], default: 'pending' },
+  providerPayoutId: { type: String },
+  error: { type: String },
+  paidAt: { type: Date },
+}, { timestamps: true });
+
+// At most one payout in flight per driver
+payoutSchema.index({ driver: 1 }, { unique: true, partialFilterExpression: { status: 'pending' } });
+
+export default mongoose.model('Payout', payoutSchema);
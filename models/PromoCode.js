@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+// Route a promo is limited to; names are matched case-insensitively against the booked stops
+const promoRouteSchema = new mongoose.Schema({
+  startLocation: { type: String, trim: true },
+  destination: { type: String, trim: true },
+}, { _id: false });
+
+// Discount campaign applied at booking time (see services/promotions.js)
+const promoCodeSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  description: { type: String, trim: true },
+  // percent: value% off (capped by maxDiscount); fixed: value off, both in major units
+  discountType: { type: String, enum: ['percent', 'fixed'], required: true },
+  value: { type: Number, required: true, min: 0 },
+  maxDiscount: { type: Number, min: 0 },
+  usageLimit: { type: Number, min: 1 }, // total redemptions; unlimited when missing
+  perUserLimit: { type: Number, default: 1, min: 1 },
+  usedCount: { type: Number, default: 0 },
+  validFrom: { type: Date },
+  validUntil: { type: Date },
+  firstRideOnly: { type: Boolean, default: false },
+  routes: { type: [promoRouteSchema], default: [] }, // any route when empty
+  active: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+export default mongoose.model('PromoCode', promoCodeSchema);
@@ -0,0 +1,21 @@
+import mongoose from 'mongoose';
+
+// One use of a promo code on a booking; released (and the use given back) if the booking falls through
+const promoRedemptionSchema = new mongoose.Schema({
+  promo: { type: mongoose.Schema.Types.ObjectId, ref: 'PromoCode', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', required: true, unique: true },
+  amount: { type: Number, required: true }, // discount in minor units
+  slot: { type: Number }, // which of the user's perUserLimit uses this is
+  status: { type: String, enum: ['redeemed', 'released'], default: 'redeemed' },
+  releasedAt: { type: Date },
+}, { timestamps: true });
+
+promoRedemptionSchema.index({ promo: 1, user: 1, status: 1 });
+// A user's live redemptions of a promo each hold a distinct slot below perUserLimit
+promoRedemptionSchema.index(
+  { promo: 1, user: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { status: 'redeemed', slot: { $exists: true } } }
+);
+
+export default mongoose.model('PromoRedemption', promoRedemptionSchema);
@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+
+// A device that can receive push: a Web Push subscription or a mobile (FCM/APNs) token
+const pushSubscriptionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  // Signed-in session that registered it; signing that session out removes the device
+  session: { type: mongoose.Schema.Types.ObjectId, ref: 'Session', index: true },
+  kind: { type: String, enum: ['web', 'fcm', 'apns'], required: true },
+  // Web Push endpoint URL or device token; identifies the device
+  key: { type: String, required: true, unique: true },
+  keys: { p256dh: String, auth: String }, // Web Push encryption keys
+  deviceName: { type: String, trim: true, maxlength: 100 },
+  userAgent: { type: String },
+  lastSuccessAt: { type: Date },
+  failureCount: { type: Number, default: 0 }, // consecutive failed deliveries
+}, { timestamps: true });
+
+export default mongoose.model('PushSubscription', pushSubscriptionSchema);
@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+
+// Rating left after a completed ride: passengers rate the driver, drivers rate each passenger
+const reviewSchema = new mongoose.Schema({
+  booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', required: true },
+  ride: { type: mongoose.Schema.Types.ObjectId, ref: 'Ride', required: true },
+  reviewer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  reviewee: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  revieweeRole: { type: String, enum: ['driver', 'passenger'], required: true },
+  rating: { type: Number, required: true, min: 1, max: 5 },
+  comment: { type: String, trim: true, maxlength: 1000 },
+}, { timestamps: true });
+
+// One review per direction per booking
+reviewSchema.index({ booking: 1, reviewer: 1 }, { unique: true });
+reviewSchema.index({ reviewee: 1, revieweeRole: 1, createdAt: -1 });
+
+export default mongoose.model('Review', reviewSchema);
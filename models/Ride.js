@@ -1,20 +1,85 @@
 import mongoose from 'mongoose';
 
+// GeoJSON point; coordinates are [lng, lat]
+const pointSchema = new mongoose.Schema({
+  type: { type: String, enum: ['Point'], default: 'Point' },
+  coordinates: { type: [Number], required: true },
+}, { _id: false });
+
+// Intermediate stop between startLocation and destination
+const waypointSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  point: { type: pointSchema },
+}, { _id: false });
+
+/**
+ * Driver pricing rule applied to each quote (see services/pricing.js):
+ *  early_bird   percent off when booked at least hoursBefore departure
+ *  last_minute  percent change (+/-) when booked within hoursBefore departure
+ *  child        amount per child seat, luggage: amount per piece of luggage (major units)
+ */
+const priceRuleSchema = new mongoose.Schema({
+  kind: { type: String, enum: ['early_bird', 'last_minute', 'child', 'luggage'], required: true },
+  hoursBefore: { type: Number, min: 0 },
+  percent: { type: Number, min: -90, max: 100 },
+  amount: { type: Number, min: 0 },
+}, { _id: false });
+
 const rideSchema = new mongoose.Schema({
   driver: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  vehicle: { type: mongoose.Schema.Types.ObjectId, ref: 'Vehicle' },
   passenger: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: false },
   startLocation: { type: String, required: true },
   destination: { type: String, required: true },
+  startPoint: { type: pointSchema },
+  destinationPoint: { type: pointSchema },
+  waypoints: { type: [waypointSchema], default: [] },
   departureTime: { type: Date, required: true },
   availableSeats: { type: Number, required: true },
+  // Free seats per leg (stop i -> stop i + 1); availableSeats is the minimum across legs
+  segmentSeats: { type: [Number], default: undefined },
   price: { type: Number, required: true },
+  priceRules: { type: [priceRuleSchema], default: [] },
+  // instant: bookings confirm immediately; request: driver accepts or declines each booking
+  bookingMode: { type: String, enum: ['instant', 'request'], default: 'instant' },
+  // Refund/penalty rules applied on cancellation (see services/cancellation.js)
+  cancellationPolicy: { type: String, enum: ['flexible', 'moderate', 'strict'], default: 'moderate' },
+  // Set when the ride was generated from a recurring schedule
+  template: { type: mongoose.Schema.Types.ObjectId, ref: 'RideTemplate' },
+  occurrenceDate: { type: String }, // YYYY-MM-DD in the schedule's local time
+  // Lifecycle: scheduled -> boarding -> in_progress -> completed (canceled from scheduled/boarding)
   status: { 
     type: String, 
-    enum: ["active", "completed", "canceled"], 
-    default: "active" 
+    enum: ["scheduled", "boarding", "in_progress", "completed", "canceled"], 
+    default: "scheduled" 
+  },
+  // Live tracking: last driver position (replayed to late joiners) and the stops whose
+  // arriving/arrived geofence events were already sent (indexes into the stop list)
+  lastLocation: {
+    point: { type: pointSchema },
+    speed: Number,
+    heading: Number,
+    at: Date,
   },
+  geofence: {
+    arriving: { type: [Number], default: undefined },
+    arrived: { type: [Number], default: undefined },
+  },
+  boardingAt: { type: Date },
+  startedAt: { type: Date },
+  completedAt: { type: Date },
   canceledAt: { type: Date }, // 
   createdAt: { type: Date, default: Date.now }
 });
 
+rideSchema.index({ startPoint: '2dsphere' });
+rideSchema.index({ destinationPoint: '2dsphere' });
+// One generated ride per schedule per day
+rideSchema.index(
+  { template: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { template: { $exists: true } } }
+);
+
+export { pointSchema, waypointSchema, priceRuleSchema };
+
 export default mongoose.model("Ride", rideSchema);
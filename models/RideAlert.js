@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+import { pointSchema } from './Ride.js';
+
+// A passenger's saved search; matching new rides trigger a notification
+const rideAlertSchema = new mongoose.Schema({
+  passenger: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  // Route: text (matched like the search endpoint) and/or coordinates with a radius
+  startLocation: { type: String, trim: true },
+  destination: { type: String, trim: true },
+  pickupPoint: { type: pointSchema },
+  dropoffPoint: { type: pointSchema },
+  radiusKm: { type: Number, default: 5, min: 0.1, max: 100 },
+  // Departure window
+  dateFrom: { type: Date, required: true },
+  dateTo: { type: Date, required: true },
+  seats: { type: Number, default: 1, min: 1 },
+  maxPrice: { type: Number, min: 0 },
+  // paused alerts keep their settings but don't fire; expired ones are past dateTo or expiresAt
+  status: { type: String, enum: ['active', 'paused', 'expired'], default: 'active' },
+  expiresAt: { type: Date, required: true },
+  matchCount: { type: Number, default: 0 },
+  lastMatchedAt: { type: Date },
+}, { timestamps: true });
+
+rideAlertSchema.index({ status: 1, dateFrom: 1, dateTo: 1 });
+rideAlertSchema.index({ status: 1, expiresAt: 1 });
+
+export default mongoose.model('RideAlert', rideAlertSchema);
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+import { pointSchema, waypointSchema, priceRuleSchema } from './Ride.js';
+
+// Recurring ride schedule; concrete Ride documents are generated from it ahead of time
+const recurrenceSchema = new mongoose.Schema({
+  // daily: every day, weekdays: Mon-Fri, weekly: only daysOfWeek (0 = Sunday)
+  frequency: { type: String, enum: ['daily', 'weekdays', 'weekly'], required: true },
+  daysOfWeek: { type: [Number], default: [] },
+  startDate: { type: String, required: true }, // YYYY-MM-DD
+  until: { type: String }, // YYYY-MM-DD, inclusive; open-ended when missing
+}, { _id: false });
+
+const rideTemplateSchema = new mongoose.Schema({
+  driver: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  vehicle: { type: mongoose.Schema.Types.ObjectId, ref: 'Vehicle' },
+  startLocation: { type: String, required: true },
+  destination: { type: String, required: true },
+  startPoint: { type: pointSchema },
+  destinationPoint: { type: pointSchema },
+  waypoints: { type: [waypointSchema], default: [] },
+  departureTime: { type: String, required: true, match: /^([01]\d|2[0-3]):[0-5]\d$/ }, // HH:mm local
+  utcOffsetMinutes: { type: Number, default: 0, min: -720, max: 840 }, // e.g. 180 for Africa/Nairobi
+  availableSeats: { type: Number, required: true, min: 1 },
+  price: { type: Number, required: true, min: 0 },
+  priceRules: { type: [priceRuleSchema], default: [] },
+  bookingMode: { type: String, enum: ['instant', 'request'], default: 'instant' },
+  cancellationPolicy: { type: String, enum: ['flexible', 'moderate', 'strict'], default: 'moderate' },
+  recurrence: { type: recurrenceSchema, required: true },
+  status: { type: String, enum: ['active', 'canceled'], default: 'active', index: true },
+  canceledAt: { type: Date },
+}, { timestamps: true });
+
+export default mongoose.model('RideTemplate', rideTemplateSchema);
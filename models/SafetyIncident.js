@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+import { pointSchema } from './Ride.js';
+
+// An SOS raised by a rider or driver, handled by admins
+const safetyIncidentSchema = new mongoose.Schema({
+  reporter: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  ride: { type: mongoose.Schema.Types.ObjectId, ref: 'Ride' },
+  role: { type: String, enum: ['driver', 'passenger'] }, // reporter's part in the ride
+  message: { type: String, trim: true, maxlength: 1000 },
+  // Where the reporter was: sent by their device, or else the ride's last tracked position
+  location: { type: pointSchema },
+  locationSource: { type: String, enum: ['device', 'ride'] },
+  locationAt: { type: Date },
+  status: { type: String, enum: ['open', 'acknowledged', 'resolved'], default: 'open', index: true },
+  acknowledgedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  acknowledgedAt: { type: Date },
+  resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  resolvedAt: { type: Date },
+  resolutionNote: { type: String, trim: true },
+  contactsNotified: { type: Number, default: 0 }, // trusted contacts emailed
+}, { timestamps: true });
+
+safetyIncidentSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model('SafetyIncident', safetyIncidentSchema);
@@ -0,0 +1,19 @@
+import mongoose from 'mongoose';
+
+// A signed-in device. Holds the hash of the current refresh token; rotating the
+// token replaces the hash, so presenting an older token for the session is reuse.
+const sessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  tokenHash: { type: String, required: true },
+  userAgent: { type: String },
+  ip: { type: String },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date },
+  revokedReason: { type: String, enum: ['logout', 'revoked', 'reuse_detected'] },
+}, { timestamps: true });
+
+// Let MongoDB drop sessions once the refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('Session', sessionSchema);
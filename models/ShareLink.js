@@ -0,0 +1,16 @@
+import mongoose from 'mongoose';
+
+// Public, time-limited link to watch a ride's progress. Only a hash of the token is stored.
+const shareLinkSchema = new mongoose.Schema({
+  ride: { type: mongoose.Schema.Types.ObjectId, ref: 'Ride', required: true, index: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date },
+  viewCount: { type: Number, default: 0 },
+}, { timestamps: true });
+
+// Expired links are of no use to anyone: drop them a day later
+shareLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+export default mongoose.model('ShareLink', shareLinkSchema);
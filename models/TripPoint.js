@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+import { pointSchema } from './Ride.js';
+
+const RETENTION_DAYS = 90;
+
+// One recorded driver position on a ride; together they make the trip trace
+const tripPointSchema = new mongoose.Schema({
+  ride: { type: mongoose.Schema.Types.ObjectId, ref: 'Ride', required: true },
+  location: { type: pointSchema, required: true },
+  speed: { type: Number }, // m/s as reported by the device
+  heading: { type: Number }, // degrees from north
+  accuracy: { type: Number }, // metres
+  recordedAt: { type: Date, default: Date.now, expires: RETENTION_DAYS * 24 * 60 * 60 },
+});
+
+tripPointSchema.index({ ride: 1, recordedAt: 1 });
+
+export default mongoose.model('TripPoint', tripPointSchema);
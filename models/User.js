@@ -4,12 +4,55 @@ const userSchema = new mongoose.Schema({
     email: { type: String, required: true, unique: true },
     password: {type:String, required:true},
     name: { type: String, required: true },
-    role: {type:String, enum: ["passenger", "driver"], default: "passenger"},
+    emailVerified: { type: Boolean, default: false },
+    emailVerifiedAt: { type: Date },
+    role: {type:String, enum: ["passenger", "driver", "admin"], default: "passenger"},
+    // Moderation: suspended accounts are locked until suspendedUntil (or indefinitely), banned ones for good
+    accountStatus: {type:String, enum: ["active", "suspended", "banned"], default: "active"},
+    suspendedUntil: { type: Date },
+    moderationReason: { type: String },
+    // Driver verification: only approved drivers can offer rides
+    driverStatus: {type:String, enum: ["none", "pending", "approved", "rejected", "suspended"], default: "none"},
+    driverSuspendedAt: { type: Date },
+    driverSuspensionReason: { type: String },
+    driverApplication: { type: mongoose.Schema.Types.ObjectId, ref: 'DriverApplication' }, // currently approved one
     driverProfile: {
         carModel: String,
         carPlate: String,
         seatsAvailable: Number,
         licenseNumber: String,
+        ridesCompleted: { type: Number, default: 0 },
+    },
+    // Referrals: both sides earn ride credit after the referred user's first completed ride
+    referralCode: { type: String, unique: true, sparse: true },
+    referredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    referralRewardedAt: { type: Date },
+    creditBalance: { type: Number, default: 0, min: 0 }, // minor units, spent on bookings
+    // Safety: people emailed when this user raises an SOS
+    trustedContacts: [{
+        name: { type: String, required: true, trim: true },
+        email: { type: String, trim: true, lowercase: true },
+        phone: { type: String, trim: true },
+        relationship: { type: String, trim: true },
+    }],
+    // Which channels each notification type goes out on (unset = default), quiet hours for push/SMS
+    notificationPreferences: {
+        types: {
+            type: Map,
+            of: new mongoose.Schema({ in_app: Boolean, email: Boolean, push: Boolean, sms: Boolean }, { _id: false }),
+        },
+        quietHours: {
+            enabled: Boolean,
+            start: String, // HH:MM local time
+            end: String,
+            utcOffsetMinutes: Number,
+        },
+        smsNumber: { type: String, trim: true },
+    },
+    // Running review averages, kept up to date as reviews come in
+    ratings: {
+        asDriver: { average: { type: Number, default: 0 }, count: { type: Number, default: 0 }, total: { type: Number, default: 0 } },
+        asPassenger: { average: { type: Number, default: 0 }, count: { type: Number, default: 0 }, total: { type: Number, default: 0 } },
     }
     
 }, { timestamps: true });
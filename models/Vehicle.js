@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+const AMENITIES = ['air_conditioning', 'wifi', 'usb_charging', 'luggage_space', 'pets_allowed', 'wheelchair_accessible',
+  'child_seat', 'non_smoking'];
+
+// A car a driver can offer rides in. Retired vehicles are kept (active: false) so past rides still resolve.
+const vehicleSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  make: { type: String, required: true, trim: true },
+  model: { type: String, required: true, trim: true },
+  plate: { type: String, required: true, trim: true, uppercase: true },
+  colour: { type: String, trim: true },
+  // Passenger seats, excluding the driver
+  seats: { type: Number, required: true, min: 1, max: 8 },
+  amenities: { type: [{ type: String, enum: AMENITIES }], default: [] },
+  active: { type: Boolean, default: true },
+}, { timestamps: true });
+
+// A plate can only be registered once among active vehicles
+vehicleSchema.index({ plate: 1 }, { unique: true, partialFilterExpression: { active: true } });
+
+export { AMENITIES };
+
+export default mongoose.model('Vehicle', vehicleSchema);
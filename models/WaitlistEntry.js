@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+/**
+ * A passenger queued for seats on a full ride. Entries are served in createdAt order.
+ * waiting -> offered (seats held until offerExpiresAt) -> claimed | declined | expired;
+ * left when the passenger drops out, closed when the ride stops taking bookings.
+ */
+const waitlistEntrySchema = new mongoose.Schema({
+  ride: { type: mongoose.Schema.Types.ObjectId, ref: 'Ride', required: true },
+  passenger: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  seats: { type: Number, required: true, min: 1 },
+  children: { type: Number, default: 0, min: 0 }, // extras carried into the quote on claim
+  luggage: { type: Number, default: 0, min: 0 },
+  fromStop: { type: Number, required: true, min: 0 },
+  toStop: { type: Number, required: true, min: 1 },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'claimed', 'declined', 'expired', 'left', 'closed'],
+    default: 'waiting',
+  },
+  offeredAt: { type: Date },
+  offerExpiresAt: { type: Date },
+  booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking' }, // set once claimed
+}, { timestamps: true });
+
+waitlistEntrySchema.index({ ride: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ status: 1, offerExpiresAt: 1 });
+
+// Entries still in the queue (waiting or holding an offer)
+const OPEN_WAITLIST_STATUSES = ['waiting', 'offered'];
+
+export { OPEN_WAITLIST_STATUSES };
+
+export default mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -0,0 +1,547 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { protect, requireRole } from '../middleware/authMiddleware.js';
+import User from '../models/User.js';
+import Ride from '../models/Ride.js';
+import Booking from '../models/Booking.js';
+import DriverApplication from '../models/DriverApplication.js';
+import AuditLog from '../models/AuditLog.js';
+import PromoCode from '../models/PromoCode.js';
+import SafetyIncident from '../models/SafetyIncident.js';
+import Job from '../models/Job.js';
+import { recordAudit } from '../services/audit.js';
+import { revokeAllSessions } from '../services/sessions.js';
+import { cancelRide, canTransition, RideTransitionError } from '../services/rideLifecycle.js';
+import { ApplicationError, approveApplication, rejectApplication } from '../services/driverVerification.js';
+import { PromoError, parsePromo } from '../services/promotions.js';
+import { retryJob } from '../services/jobs/queue.js';
+
+const router = express.Router();
+
+// Every route below is admin-only
+router.use(protect, requireRole('admin'));
+
+const pagination = (query) => {
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(query.limit) || 25));
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const isId = (value) => mongoose.Types.ObjectId.isValid(value);
+
+// ----- Users -----
+
+// Search users: ?q= (name or email), ?role=, ?accountStatus=, ?driverStatus=
+router.get('/users', async (req, res) => {
+  try {
+    const { page, limit, skip } = pagination(req.query);
+    const filter = {};
+    if (req.query.q) {
+      const q = new RegExp(escapeRegex(String(req.query.q).trim()), 'i');
+      filter.$or = [{ name: q }, { email: q }];
+    }
+    for (const key of ['role', 'accountStatus', 'driverStatus']) {
+      if (typeof req.query[key] === 'string') filter[key] = req.query[key];
+    }
+    const [users, total] = await Promise.all([
+      User.find(filter).select('-password').sort({ createdAt: -1 }).skip(skip).limit(limit),
+      User.countDocuments(filter),
+    ]);
+    res.json({ users, page, limit, total });
+  } catch (err) {
+    console.error('Admin list users error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.get('/users/:id', async (req, res) => {
+  try {
+    if (!isId(req.params.id)) return res.status(400).json({ message: 'Invalid user id' });
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    const [ridesAsDriver, bookings] = await Promise.all([
+      Ride.countDocuments({ driver: user._id }),
+      Booking.countDocuments({ passenger: user._id }),
+    ]);
+    res.json({ user, stats: { ridesAsDriver, bookings } });
+  } catch (err) {
+    console.error('Admin get user error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Shared guard for moderation actions on another account
+const loadModerationTarget = async (req, res) => {
+  if (!isId(req.params.id)) {
+    res.status(400).json({ message: 'Invalid user id' });
+    return null;
+  }
+  if (req.params.id === req.userId) {
+    res.status(400).json({ message: 'You cannot moderate your own account' });
+    return null;
+  }
+  const user = await User.findById(req.params.id).select('-password');
+  if (!user) {
+    res.status(404).json({ message: 'User not found' });
+    return null;
+  }
+  return user;
+};
+
+// Suspend an account: { reason, until? } — without `until` it lasts until reinstated
+router.post('/users/:id/suspend', async (req, res) => {
+  try {
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) return res.status(400).json({ message: 'A reason is required' });
+    let until;
+    if (req.body.until) {
+      until = new Date(req.body.until);
+      if (isNaN(until) || until <= new Date()) {
+        return res.status(400).json({ message: 'until must be a future date' });
+      }
+    }
+    const user = await loadModerationTarget(req, res);
+    if (!user) return;
+    if (user.accountStatus === 'banned') {
+      return res.status(409).json({ message: 'User is banned' });
+    }
+
+    user.accountStatus = 'suspended';
+    user.suspendedUntil = until;
+    user.moderationReason = reason;
+    await user.save();
+    await revokeAllSessions(user._id);
+    await recordAudit(req, 'user.suspend', 'User', user._id, { reason, until });
+    res.json({ message: 'User suspended', user });
+  } catch (err) {
+    console.error('Admin suspend user error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Ban an account permanently: { reason }
+router.post('/users/:id/ban', async (req, res) => {
+  try {
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) return res.status(400).json({ message: 'A reason is required' });
+    const user = await loadModerationTarget(req, res);
+    if (!user) return;
+
+    user.accountStatus = 'banned';
+    user.suspendedUntil = undefined;
+    user.moderationReason = reason;
+    await user.save();
+    await revokeAllSessions(user._id);
+    await recordAudit(req, 'user.ban', 'User', user._id, { reason });
+    res.json({ message: 'User banned', user });
+  } catch (err) {
+    console.error('Admin ban user error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Lift a suspension or ban
+router.post('/users/:id/reinstate', async (req, res) => {
+  try {
+    const user = await loadModerationTarget(req, res);
+    if (!user) return;
+    if (user.accountStatus === 'active') {
+      return res.status(409).json({ message: 'User is already active' });
+    }
+    const previous = user.accountStatus;
+    user.accountStatus = 'active';
+    user.suspendedUntil = undefined;
+    user.moderationReason = undefined;
+    await user.save();
+    await recordAudit(req, 'user.reinstate', 'User', user._id, { previous, note: req.body?.note });
+    res.json({ message: 'User reinstated', user });
+  } catch (err) {
+    console.error('Admin reinstate user error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ----- Rides -----
+
+// Search rides: ?status=, ?driver=, ?q= (start or destination), ?from= / ?to= departure range
+router.get('/rides', async (req, res) => {
+  try {
+    const { page, limit, skip } = pagination(req.query);
+    const filter = {};
+    if (typeof req.query.status === 'string') filter.status = req.query.status;
+    if (req.query.driver) {
+      if (!isId(req.query.driver)) return res.status(400).json({ message: 'Invalid driver id' });
+      filter.driver = req.query.driver;
+    }
+    if (req.query.q) {
+      const q = new RegExp(escapeRegex(String(req.query.q).trim()), 'i');
+      filter.$or = [{ startLocation: q }, { destination: q }];
+    }
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+    if ((from && isNaN(from)) || (to && isNaN(to))) {
+      return res.status(400).json({ message: 'Invalid date range' });
+    }
+    if (from || to) {
+      filter.departureTime = {};
+      if (from) filter.departureTime.$gte = from;
+      if (to) filter.departureTime.$lte = to;
+    }
+    const [rides, total] = await Promise.all([
+      Ride.find(filter)
+        .sort({ departureTime: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('driver', 'name email accountStatus'),
+      Ride.countDocuments(filter),
+    ]);
+    res.json({ rides, page, limit, total });
+  } catch (err) {
+    console.error('Admin list rides error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.get('/rides/:id', async (req, res) => {
+  try {
+    if (!isId(req.params.id)) return res.status(400).json({ message: 'Invalid ride id' });
+    const ride = await Ride.findById(req.params.id).populate('driver', 'name email accountStatus');
+    if (!ride) return res.status(404).json({ message: 'Ride not found' });
+    const bookings = await Booking.find({ ride: ride._id })
+      .sort({ createdAt: 1 })
+      .populate('passenger', 'name email accountStatus');
+    res.json({ ride, bookings });
+  } catch (err) {
+    console.error('Admin get ride error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Force-cancel a ride: { reason }. Passengers are refunded in full and notified; no driver penalty.
+router.post('/rides/:id/cancel', async (req, res) => {
+  try {
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) return res.status(400).json({ message: 'A reason is required' });
+    if (!isId(req.params.id)) return res.status(400).json({ message: 'Invalid ride id' });
+    const ride = await Ride.findById(req.params.id);
+    if (!ride) return res.status(404).json({ message: 'Ride not found' });
+    if (!canTransition(ride.status, 'canceled')) {
+      return res.status(409).json({ message: `Ride is ${ride.status} and can no longer be canceled` });
+    }
+    const result = await cancelRide(ride, { by: 'admin', reason });
+    await recordAudit(req, 'ride.cancel', 'Ride', ride._id, {
+      reason,
+      previousStatus: ride.status,
+      bookingsCancelled: result.bookings,
+    });
+    res.json({ message: 'Ride canceled', ride: result.ride, bookingsCancelled: result.bookings });
+  } catch (err) {
+    if (err instanceof RideTransitionError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Admin cancel ride error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ----- Bookings -----
+
+// Search bookings: ?status=, ?ride=, ?passenger=
+router.get('/bookings', async (req, res) => {
+  try {
+    const { page, limit, skip } = pagination(req.query);
+    const filter = {};
+    if (typeof req.query.status === 'string') filter.status = req.query.status;
+    for (const key of ['ride', 'passenger']) {
+      if (!req.query[key]) continue;
+      if (!isId(req.query[key])) return res.status(400).json({ message: `Invalid ${key} id` });
+      filter[key] = req.query[key];
+    }
+    const [bookings, total] = await Promise.all([
+      Booking.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('passenger', 'name email')
+        .populate('ride', 'startLocation destination departureTime status driver'),
+      Booking.countDocuments(filter),
+    ]);
+    res.json({ bookings, page, limit, total });
+  } catch (err) {
+    console.error('Admin list bookings error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ----- Driver applications -----
+
+// Applications to review, ?status=pending by default
+router.get('/driver-applications', async (req, res) => {
+  try {
+    const { page, limit, skip } = pagination(req.query);
+    const status = ['pending', 'approved', 'rejected'].includes(req.query.status) ? req.query.status : 'pending';
+    const [applications, total] = await Promise.all([
+      DriverApplication.find({ status })
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('user', 'name email driverStatus'),
+      DriverApplication.countDocuments({ status }),
+    ]);
+    res.json({ applications, page, limit, total });
+  } catch (err) {
+    console.error('Admin list driver applications error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/driver-applications/:id/approve', async (req, res) => {
+  try {
+    const application = await approveApplication(req.params.id, req.user._id);
+    await recordAudit(req, 'driver_application.approve', 'DriverApplication', application._id, {
+      user: application.user,
+    });
+    res.json({ message: 'Application approved', application });
+  } catch (err) {
+    if (err instanceof ApplicationError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Admin approve driver application error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/driver-applications/:id/reject', async (req, res) => {
+  try {
+    const application = await rejectApplication(req.params.id, req.user._id, req.body?.reason);
+    await recordAudit(req, 'driver_application.reject', 'DriverApplication', application._id, {
+      user: application.user,
+      reason: application.rejectionReason,
+    });
+    res.json({ message: 'Application rejected', application });
+  } catch (err) {
+    if (err instanceof ApplicationError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Admin reject driver application error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ----- Promo codes -----
+
+// ?active=true|false, ?q= (code)
+router.get('/promo-codes', async (req, res) => {
+  try {
+    const { page, limit, skip } = pagination(req.query);
+    const filter = {};
+    if (req.query.active === 'true' || req.query.active === 'false') filter.active = req.query.active === 'true';
+    if (req.query.q) filter.code = new RegExp(escapeRegex(String(req.query.q).trim()), 'i');
+    const [promoCodes, total] = await Promise.all([
+      PromoCode.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      PromoCode.countDocuments(filter),
+    ]);
+    res.json({ promoCodes, page, limit, total });
+  } catch (err) {
+    console.error('Admin list promo codes error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/promo-codes', async (req, res) => {
+  try {
+    const fields = parsePromo(req.body);
+    const promo = await PromoCode.create({ ...fields, createdBy: req.user._id });
+    await recordAudit(req, 'promo_code.create', 'PromoCode', promo._id, fields);
+    res.status(201).json({ message: 'Promo code created', promo });
+  } catch (err) {
+    if (err instanceof PromoError) return res.status(err.status).json({ message: err.message });
+    if (err?.code === 11000) return res.status(409).json({ message: 'A promo code with this code already exists' });
+    console.error('Admin create promo code error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Edit limits, window or restrictions, or deactivate with { active: false }. The code itself can't change.
+router.put('/promo-codes/:id', async (req, res) => {
+  try {
+    if (!isId(req.params.id)) return res.status(400).json({ message: 'Invalid promo code id' });
+    const promo = await PromoCode.findById(req.params.id);
+    if (!promo) return res.status(404).json({ message: 'Promo code not found' });
+    const { code, ...fields } = parsePromo(req.body, { partial: true });
+    if (code && code !== promo.code) return res.status(400).json({ message: 'The code cannot be changed' });
+    promo.set(fields);
+    if (promo.discountType === 'percent' && promo.value > 100) {
+      return res.status(400).json({ message: 'A percent discount cannot exceed 100' });
+    }
+    await promo.save();
+    await recordAudit(req, 'promo_code.update', 'PromoCode', promo._id, fields);
+    res.json({ message: 'Promo code updated', promo });
+  } catch (err) {
+    if (err instanceof PromoError) return res.status(err.status).json({ message: err.message });
+    console.error('Admin update promo code error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ----- Safety incidents -----
+
+// SOS incidents, newest first: ?status=open|acknowledged|resolved, ?reporter=, ?ride=
+router.get('/safety-incidents', async (req, res) => {
+  try {
+    const { page, limit, skip } = pagination(req.query);
+    const filter = {};
+    if (['open', 'acknowledged', 'resolved'].includes(req.query.status)) filter.status = req.query.status;
+    for (const key of ['reporter', 'ride']) {
+      if (!req.query[key]) continue;
+      if (!isId(req.query[key])) return res.status(400).json({ message: `Invalid ${key}` });
+      filter[key] = req.query[key];
+    }
+    const [incidents, total] = await Promise.all([
+      SafetyIncident.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('reporter', 'name email trustedContacts')
+        .populate('ride', 'driver startLocation destination departureTime status lastLocation'),
+      SafetyIncident.countDocuments(filter),
+    ]);
+    res.json({ incidents, page, limit, total });
+  } catch (err) {
+    console.error('Admin list safety incidents error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Take ownership of an open incident
+router.post('/safety-incidents/:id/acknowledge', async (req, res) => {
+  try {
+    if (!isId(req.params.id)) return res.status(400).json({ message: 'Invalid incident id' });
+    const incident = await SafetyIncident.findOneAndUpdate(
+      { _id: req.params.id, status: 'open' },
+      { $set: { status: 'acknowledged', acknowledgedBy: req.user._id, acknowledgedAt: new Date() } },
+      { new: true }
+    );
+    if (!incident) {
+      const exists = await SafetyIncident.exists({ _id: req.params.id });
+      return exists
+        ? res.status(409).json({ message: 'Incident is not open' })
+        : res.status(404).json({ message: 'Incident not found' });
+    }
+    await recordAudit(req, 'safety_incident.acknowledge', 'SafetyIncident', incident._id);
+    res.json({ message: 'Incident acknowledged', incident });
+  } catch (err) {
+    console.error('Admin acknowledge safety incident error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Close an incident: { note }
+router.post('/safety-incidents/:id/resolve', async (req, res) => {
+  try {
+    if (!isId(req.params.id)) return res.status(400).json({ message: 'Invalid incident id' });
+    const note = typeof req.body?.note === 'string' ? req.body.note.trim() : '';
+    if (!note) return res.status(400).json({ message: 'A resolution note is required' });
+    const now = new Date();
+    const incident = await SafetyIncident.findOneAndUpdate(
+      { _id: req.params.id, status: { $ne: 'resolved' } },
+      [{
+        $set: {
+          status: 'resolved',
+          resolvedBy: req.user._id,
+          resolvedAt: now,
+          resolutionNote: note,
+          acknowledgedBy: { $ifNull: ['$acknowledgedBy', req.user._id] },
+          acknowledgedAt: { $ifNull: ['$acknowledgedAt', now] },
+        },
+      }],
+      { new: true }
+    );
+    if (!incident) {
+      const exists = await SafetyIncident.exists({ _id: req.params.id });
+      return exists
+        ? res.status(409).json({ message: 'Incident is already resolved' })
+        : res.status(404).json({ message: 'Incident not found' });
+    }
+    await recordAudit(req, 'safety_incident.resolve', 'SafetyIncident', incident._id, { note });
+    res.json({ message: 'Incident resolved', incident });
+  } catch (err) {
+    console.error('Admin resolve safety incident error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ----- Background jobs -----
+
+// Jobs, newest first: ?status=queued|running|completed|dead (dead = the dead-letter list), ?name=
+router.get('/jobs', async (req, res) => {
+  try {
+    const { page, limit, skip } = pagination(req.query);
+    const filter = {};
+    if (['queued', 'running', 'completed', 'dead'].includes(req.query.status)) filter.status = req.query.status;
+    if (typeof req.query.name === 'string') filter.name = req.query.name;
+    const [jobs, total, counts] = await Promise.all([
+      Job.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      Job.countDocuments(filter),
+      Job.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+    ]);
+    const byStatus = Object.fromEntries(counts.map((c) => [c._id, c.count]));
+    res.json({ jobs, page, limit, total, byStatus });
+  } catch (err) {
+    console.error('Admin list jobs error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Put a dead-lettered job back in the queue with fresh attempts
+router.post('/jobs/:id/retry', async (req, res) => {
+  try {
+    if (!isId(req.params.id)) return res.status(400).json({ message: 'Invalid job id' });
+    const job = await retryJob(req.params.id);
+    if (!job) {
+      const exists = await Job.exists({ _id: req.params.id });
+      return exists
+        ? res.status(409).json({ message: 'Only dead-lettered jobs can be retried' })
+        : res.status(404).json({ message: 'Job not found' });
+    }
+    await recordAudit(req, 'job.retry', 'Job', job._id, { name: job.name });
+    res.json({ message: 'Job queued for retry', job });
+  } catch (err) {
+    console.error('Admin retry job error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ----- Audit trail -----
+
+// ?actor=, ?action=, ?targetType=, ?targetId=
+router.get('/audit-logs', async (req, res) => {
+  try {
+    const { page, limit, skip } = pagination(req.query);
+    const filter = {};
+    for (const key of ['actor', 'targetId']) {
+      if (!req.query[key]) continue;
+      if (!isId(req.query[key])) return res.status(400).json({ message: `Invalid ${key}` });
+      filter[key] = req.query[key];
+    }
+    for (const key of ['action', 'targetType']) {
+      if (typeof req.query[key] === 'string') filter[key] = req.query[key];
+    }
+    const [logs, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('actor', 'name email'),
+      AuditLog.countDocuments(filter),
+    ]);
+    res.json({ logs, page, limit, total });
+  } catch (err) {
+    console.error('Admin list audit logs error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+export default router;
@@ -1,12 +1,50 @@
 import express from "express";
+import mongoose from "mongoose";
 import bcrypt from "bcrypt";
 import { body, validationResult } from "express-validator";
+import rateLimit from "express-rate-limit";
 import User from "../models/User.js";
 import { generateToken } from "../utils/jwt.js";
-import { protect } from "../middleware/authMiddleware.js";
+import { protect, accountBlock } from "../middleware/authMiddleware.js";
+import Session from "../models/Session.js";
+import {
+  REFRESH_COOKIE,
+  RefreshError,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  sessionIdFromToken,
+  setRefreshCookie,
+  clearRefreshCookie,
+  clientInfo,
+} from "../services/sessions.js";
+import { issueActionToken, consumeActionToken } from "../services/actionTokens.js";
+import { sendEmail } from "../services/email/index.js";
+import { verifyEmail, resetPassword } from "../services/email/templates.js";
+import { PromoError, findReferrer, generateReferralCode } from "../services/promotions.js";
 
 const router = express.Router();
 
+// Limit endpoints that send email so they can't be used to spam inboxes
+const emailLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { message: "Too many requests, please try again later" },
+});
+
+// Email a fresh verification link; failures are logged, not surfaced
+const sendVerificationEmail = async (user) => {
+  try {
+    const token = await issueActionToken(user._id, "verify_email");
+    await sendEmail({ to: user.email, ...verifyEmail(user, token) });
+  } catch (err) {
+    console.error("Send verification email error:", err);
+  }
+};
+
 // REGISTER
 router.post(
   "/register",
@@ -21,22 +59,42 @@ router.post(
       if (!errors.isEmpty())
         return res.status(400).json({ errors: errors.array() });
 
-      const { email, password, name } = req.body;
+      const { email, password, name, referralCode } = req.body;
 
       // Check if user exists
       const existing = await User.findOne({ email });
       if (existing)
         return res.status(400).json({ message: "Email already exists" });
 
+      // Optional referral code of the friend who invited them
+      let referrer = null;
+      if (referralCode) {
+        try {
+          referrer = await findReferrer(referralCode);
+        } catch (err) {
+          if (err instanceof PromoError) return res.status(400).json({ message: err.message });
+          throw err;
+        }
+      }
+
       // Hash password
       const hashed = await bcrypt.hash(password, 10);
 
-      const user = await User.create({ email, password: hashed, name });
+      const user = await User.create({
+        email,
+        password: hashed,
+        name,
+        referralCode: generateReferralCode(),
+        referredBy: referrer?._id,
+      });
+      const { session, refreshToken } = await createSession(user._id, clientInfo(req));
+      setRefreshCookie(res, refreshToken);
+      await sendVerificationEmail(user);
 
       res.status(201).json({
         message: "User registered",
-        token: generateToken(user._id),
-        user: { id: user._id, email: user.email, name: user.name },
+        token: generateToken(user._id, session._id),
+        user: { id: user._id, email: user.email, name: user.name, emailVerified: user.emailVerified },
       });
     } catch (err) {
       console.error("Register error:", err);
@@ -64,15 +122,24 @@ router.post(
       if (!isMatch)
         return res.status(400).json({ message: "Invalid credentials" });
 
+      const blocked = accountBlock(user);
+      if (blocked)
+        return res.status(403).json(blocked);
+
+      const { session, refreshToken } = await createSession(user._id, clientInfo(req));
+      setRefreshCookie(res, refreshToken);
+
       res.json({
         message: "Logged in",
-        token: generateToken(user._id),
+        token: generateToken(user._id, session._id),
         user: {
           id: user._id,
           email: user.email,
           name: user.name,
           role: user.role, // ✅ include role
+          emailVerified: user.emailVerified,
           driverProfile: user.driverProfile,
+          ratings: user.ratings,
         },
       });
     } catch (err) {
@@ -90,8 +157,195 @@ router.get("/me", protect, async (req, res) => {
     email: user.email,
     name: user.name,
     role: user.role,
+    emailVerified: user.emailVerified,
     driverProfile: user.driverProfile,
+    ratings: user.ratings,
   });
 });
 
+// VERIFY EMAIL: confirm the address with the emailed token
+router.post(
+  "/verify-email",
+  [body("token").notEmpty().withMessage("Token required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty())
+        return res.status(400).json({ errors: errors.array() });
+
+      const userId = await consumeActionToken(req.body.token, "verify_email");
+      if (!userId)
+        return res.status(400).json({ message: "Invalid or expired token" });
+
+      await User.updateOne(
+        { _id: userId, emailVerified: { $ne: true } },
+        { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+      );
+      res.json({ message: "Email verified" });
+    } catch (err) {
+      console.error("Verify email error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// RESEND VERIFICATION
+router.post("/resend-verification", emailLimiter, protect, async (req, res) => {
+  try {
+    if (req.user.emailVerified)
+      return res.status(400).json({ message: "Email already verified" });
+    await sendVerificationEmail(req.user);
+    res.json({ message: "Verification email sent" });
+  } catch (err) {
+    console.error("Resend verification error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// FORGOT PASSWORD: always answers the same so emails can't be enumerated
+router.post(
+  "/forgot-password",
+  emailLimiter,
+  [body("email").isEmail().withMessage("Invalid email")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty())
+        return res.status(400).json({ errors: errors.array() });
+
+      const user = await User.findOne({ email: req.body.email });
+      if (user) {
+        try {
+          const token = await issueActionToken(user._id, "reset_password");
+          await sendEmail({ to: user.email, ...resetPassword(user, token) });
+        } catch (err) {
+          console.error("Send reset email error:", err);
+        }
+      }
+      res.json({ message: "If that email is registered, a reset link has been sent" });
+    } catch (err) {
+      console.error("Forgot password error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// RESET PASSWORD: set a new password with the emailed token; signs out every device
+router.post(
+  "/reset-password",
+  [
+    body("token").notEmpty().withMessage("Token required"),
+    body("password").isLength({ min: 6 }).withMessage("Password too short"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty())
+        return res.status(400).json({ errors: errors.array() });
+
+      const userId = await consumeActionToken(req.body.token, "reset_password");
+      if (!userId)
+        return res.status(400).json({ message: "Invalid or expired token" });
+
+      const hashed = await bcrypt.hash(req.body.password, 10);
+      // Receiving the reset email also proves the address
+      await User.updateOne(
+        { _id: userId },
+        { $set: { password: hashed, emailVerified: true }, $min: { emailVerifiedAt: new Date() } }
+      );
+      await revokeAllSessions(userId, "revoked");
+      clearRefreshCookie(res);
+      res.json({ message: "Password updated, please log in again" });
+    } catch (err) {
+      console.error("Reset password error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// REFRESH: rotate the refresh cookie and issue a new access token
+router.post("/refresh", async (req, res) => {
+  try {
+    const { session, refreshToken } = await rotateSession(req.cookies?.[REFRESH_COOKIE], clientInfo(req));
+    setRefreshCookie(res, refreshToken);
+    res.json({ token: generateToken(session.user, session._id) });
+  } catch (err) {
+    if (err instanceof RefreshError) {
+      clearRefreshCookie(res);
+      return res.status(401).json({ message: err.message });
+    }
+    console.error("Refresh error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// LOGOUT: revoke this device's session and clear the cookie
+router.post("/logout", async (req, res) => {
+  try {
+    const sessionId = await sessionIdFromToken(req.cookies?.[REFRESH_COOKIE]);
+    if (sessionId) await revokeSession(sessionId, "logout");
+    clearRefreshCookie(res);
+    res.json({ message: "Logged out" });
+  } catch (err) {
+    console.error("Logout error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// My active sessions (devices)
+router.get("/sessions", protect, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() },
+    })
+      .sort({ lastUsedAt: -1 })
+      .select("userAgent ip createdAt lastUsedAt expiresAt");
+    res.json({
+      sessions: sessions.map((s) => ({
+        id: s._id,
+        userAgent: s.userAgent,
+        ip: s.ip,
+        createdAt: s.createdAt,
+        lastUsedAt: s.lastUsedAt,
+        expiresAt: s.expiresAt,
+        current: req.sessionId === s._id.toString(),
+      })),
+    });
+  } catch (err) {
+    console.error("List sessions error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Revoke one of my sessions (sign a device out)
+router.delete("/sessions/:id", protect, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid session id" });
+    }
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+    if (!session) return res.status(404).json({ message: "Session not found" });
+    await revokeSession(session._id, "revoked");
+    if (req.sessionId === session._id.toString()) clearRefreshCookie(res);
+    res.json({ message: "Session revoked" });
+  } catch (err) {
+    console.error("Revoke session error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Sign out everywhere
+router.post("/logout-all", protect, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user._id, "revoked");
+    clearRefreshCookie(res);
+    res.json({ message: "Logged out of all sessions" });
+  } catch (err) {
+    console.error("Logout all error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
 export default router;
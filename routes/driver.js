@@ -1,50 +1,97 @@
 import express from "express";
 import User from "../models/User.js";
-import { protect } from "../middleware/authMiddleware.js";
+import { protect, requireVerifiedEmail } from "../middleware/authMiddleware.js";
+import { uploadDriverDocuments } from "../middleware/upload.js";
+import DriverApplication from "../models/DriverApplication.js";
 import mongoose from "mongoose";
+import Ride from "../models/Ride.js";
+import { canTransition, cancelRide, completeRide, RideTransitionError } from "../services/rideLifecycle.js";
+import {
+    ApplicationError,
+    documentPath,
+    submitApplication,
+} from "../services/driverVerification.js";
 
 
 const router = express.Router();
 
-//Upgrade user to driver
-router.post('/upgrade', protect, async (req,res) =>{
+// Apply to become a driver (multipart): vehicle details plus licence, vehicleRegistration
+// and insurance files with licenceExpiresAt / vehicleRegistrationExpiresAt / insuranceExpiresAt
+router.post('/upgrade', protect, requireVerifiedEmail, uploadDriverDocuments, async (req,res) =>{
     try{
-        const{carModel, carPlate, seatsAvailable, licenseNumber} = req.body;
-        const userId = req.user.id;
-        const updatedUser = await User.findByIdAndUpdate(
-            userId,
-            {
-                role: "driver",
-                driverProfile:{
-                    carModel,
-                    carPlate,
-                    seatsAvailable,
-                    licenseNumber,
-                }
-            },
-            {new:true}
-        )
-        res.json({message: "user upgraded to driver", user: updatedUser})
+        const application = await submitApplication(req.user, req.body, req.files);
+        res.status(201).json({message: "application submitted", application})
+    }catch(err){
+        if(err instanceof ApplicationError){
+            return res.status(err.status).json({message: err.message});
+        }
+        console.error("Driver application error:", err);
+        res.status(500).json({message: "Server error"});
+    }
+})
+
+// My latest application and verification status
+router.get('/application', protect, async (req, res) => {
+    try{
+        const application = await DriverApplication.findOne({ user: req.user._id }).sort({ createdAt: -1 });
+        res.json({ driverStatus: req.user.driverStatus, application });
+    }catch(err){
+        console.error("Get driver application error:", err);
+        res.status(500).json({message: "Server error"});
+    }
+})
+
+// Stream one document of an application (Admin or the applicant)
+router.get('/applications/:id/documents/:type', protect, async (req, res) => {
+    try{
+        if(!mongoose.Types.ObjectId.isValid(req.params.id)){
+            return res.status(400).json({message: "Invalid application id"});
+        }
+        const application = await DriverApplication.findById(req.params.id);
+        if(!application){
+            return res.status(404).json({message: "Application not found"});
+        }
+        if(req.user.role !== 'admin' && application.user.toString() !== req.userId){
+            return res.status(403).json({message: "Not authorized"});
+        }
+        const doc = application.documents.find(d => d.type === req.params.type);
+        if(!doc){
+            return res.status(404).json({message: "Document not found"});
+        }
+        res.type(doc.mimeType || 'application/octet-stream');
+        res.sendFile(documentPath(doc));
     }catch(err){
-        res.status(500).json({message: "Server error", error: err});
+        console.error("Get driver document error:", err);
+        res.status(500).json({message: "Server error"});
     }
 })
 
+// Complete one of my rides (kept for older clients; same as POST /api/ride/:id/complete)
 router.post('/complete', protect, async (req, res) => {
     try{
-        const userId = req.user.id;
-        const user = await User.findById(userId);
-        if(user.role !== "driver"){
+        const { rideId } = req.body;
+        if(req.user.role !== "driver"){
             return res.status(403).json({message: "Only drivers can complete rides"});
         }
-        user.driverProfile.ridesCompleted += 1;
-        await user.save();
-        res.json({message: "Ride completed", ridesCompleted: user.driverProfile.ridesCompleted});
-        
-
+        if(!rideId || !mongoose.Types.ObjectId.isValid(rideId)){
+            return res.status(400).json({message: "Valid rideId is required"});
+        }
+        const ride = await Ride.findById(rideId);
+        if(!ride){
+            return res.status(404).json({message: "Ride not found"});
+        }
+        if(ride.driver.toString() !== req.user.id){
+            return res.status(403).json({message: "Not authorized to complete this ride"});
+        }
+        const result = await completeRide(ride);
+        const user = await User.findById(req.user.id).select('driverProfile');
+        res.json({message: "Ride completed", ride: result.ride, ridesCompleted: user.driverProfile?.ridesCompleted || 0});
     }catch(error){
-        console("Error completing ride:", error);
-        res.status(500).json({message: "Server error", error});
+        if(error instanceof RideTransitionError){
+            return res.status(error.status).json({message: error.message});
+        }
+        console.error("Error completing ride:", error);
+        res.status(500).json({message: "Server error"});
 
     }
 })
@@ -66,7 +113,6 @@ router.delete('/rides/:id', protect, async (req, res) => {
             return res.status(400).json({ message: "Invalid ride id" });
         }
 
-        const { default: Ride } = await import("../models/Ride.js");
         const ride = await Ride.findById(rideId);
         if (!ride) {
             return res.status(404).json({ message: "Ride not found" });
@@ -76,9 +122,17 @@ router.delete('/rides/:id', protect, async (req, res) => {
             return res.status(403).json({ message: "Not authorized to delete this ride" });
         }
 
-        await ride.deleteOne();
-        res.json({ message: "Ride deleted successfully", id: rideId });
+        // Rides are never removed: bookings, payments and waitlist entries point at them, so
+        // "deleting" cancels the ride through the lifecycle (refunds, notices, driver penalty)
+        if (!canTransition(ride.status, "canceled")) {
+            return res.status(400).json({ message: `A ${ride.status} ride cannot be cancelled` });
+        }
+        const result = await cancelRide(ride, { by: "driver" });
+        res.json({ message: "Ride cancelled", id: rideId, ride: result.ride, penalty: result.penalty });
     } catch (error) {
+        if (error instanceof RideTransitionError) {
+            return res.status(error.status).json({ message: error.message });
+        }
         console.error("Error deleting ride:", error);
         res.status(500).json({ message: "Server error" });
     }
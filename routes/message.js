@@ -2,8 +2,9 @@ import express from 'express';
 import { protect } from '../middleware/authMiddleware.js';
 import Message from '../models/Message.js';
 import Ride from '../models/Ride.js';
-import Booking from '../models/Booking.js';
+import Booking, { PARTICIPANT_STATUSES } from '../models/Booking.js';
 import { getIO } from '../config/socket.js';
+import { notifyMessage } from '../services/notify.js';
 
 const router = express.Router();
 // GET conversations for current user (optionally filter by ride)
@@ -80,7 +81,7 @@ async function authorizeParticipant(rideId, userId) {
   const ride = await Ride.findById(rideId).select('driver');
   if (!ride) return null;
   if (ride.driver.toString() === userId.toString()) return { ride, role: 'driver' };
-  const booking = await Booking.findOne({ ride: rideId, passenger: userId, status: 'booked' }).select('_id');
+  const booking = await Booking.findOne({ ride: rideId, passenger: userId, status: { $in: PARTICIPANT_STATUSES } }).select('_id');
   if (booking) return { ride, role: 'passenger' };
   return null;
 }
@@ -146,7 +147,7 @@ router.get('/ride/:rideId/participants', protect, async (req, res) => {
     if (ride.driver.toString() !== req.user._id.toString()) {
       return res.status(403).json({ message: 'Only driver can view participants' });
     }
-    const bookings = await Booking.find({ ride: rideId, status: 'booked' })
+    const bookings = await Booking.find({ ride: rideId, status: { $in: PARTICIPANT_STATUSES } })
       .populate({ path: 'passenger', select: 'name email' })
       .select('passenger');
     const participants = bookings.map(b => ({
@@ -174,7 +175,7 @@ router.post('/ride/:rideId', protect, async (req, res) => {
     let recipientId;
     if (auth.role === 'driver') {
       if (!passengerId) return res.status(400).json({ message: 'passengerId required' });
-      const booked = await Booking.findOne({ ride: rideId, passenger: passengerId, status: 'booked' }).select('_id');
+      const booked = await Booking.findOne({ ride: rideId, passenger: passengerId, status: { $in: PARTICIPANT_STATUSES } }).select('_id');
       if (!booked) return res.status(400).json({ message: 'Passenger not booked' });
       recipientId = passengerId;
     } else {
@@ -188,24 +189,18 @@ router.post('/ride/:rideId', protect, async (req, res) => {
       body: body.trim(),
     });
 
-    const io = getIO();
-    // Emit to role rooms
-    io.to(`driver:${auth.ride.driver.toString()}`).emit('message:new', {
+    const payload = {
       id: message._id,
       rideId,
       sender: message.sender.toString(),
       recipient: message.recipient.toString(),
       body: message.body,
       createdAt: message.createdAt,
-    });
-    io.to(`passenger:${recipientId.toString()}`).emit('message:new', {
-      id: message._id,
-      rideId,
-      sender: message.sender.toString(),
-      recipient: message.recipient.toString(),
-      body: message.body,
-      createdAt: message.createdAt,
-    });
+    };
+    // Recipient, plus the sender's other open tabs
+    getIO().to(`user:${recipientId.toString()}`).to(`user:${req.user._id}`).emit('message:new', payload);
+    // Closed tabs and apps hear about it by push
+    await notifyMessage({ recipient: recipientId, sender: req.user, message });
 
     res.status(201).json({ message });
   } catch (e) {
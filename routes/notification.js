@@ -1,7 +1,10 @@
 import express from 'express';
 import Notification from '../models/Notification.js';
 import { protect } from '../middleware/authMiddleware.js';
-import { getIO } from '../config/socket.js';
+import User from '../models/User.js';
+import { pushUnreadCount } from '../services/notify.js';
+import { PreferenceError, parsePreferences, describePreferences } from '../services/notifications/preferences.js';
+import { availableChannels } from '../services/notifications/channels.js';
 
 const router = express.Router();
 
@@ -37,6 +40,39 @@ router.get('/unread-count', protect, async (req, res) => {
   }
 });
 
+// My notification settings: channels per type, quiet hours, SMS number; availableChannels lists
+// the channels that can deliver at all (sms only once a provider is wired)
+router.get('/preferences', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('notificationPreferences').lean();
+    res.json({ preferences: describePreferences(user), availableChannels: availableChannels() });
+  } catch (err) {
+    console.error('Get notification preferences error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * Update settings: { types?: { booking: { email: false }, ... }, quietHours?: { enabled, start: 'HH:MM',
+ * end: 'HH:MM', utcOffsetMinutes? } | null, smsNumber?: '+254...' | null }. Unmentioned settings stay.
+ */
+router.put('/preferences', protect, async (req, res) => {
+  try {
+    const { set, unset } = parsePreferences(req.body);
+    const update = {};
+    if (Object.keys(set).length) update.$set = set;
+    if (Object.keys(unset).length) update.$unset = unset;
+    const user = Object.keys(update).length
+      ? await User.findByIdAndUpdate(req.user._id, update, { new: true }).select('notificationPreferences').lean()
+      : await User.findById(req.user._id).select('notificationPreferences').lean();
+    res.json({ message: 'Preferences saved', preferences: describePreferences(user), availableChannels: availableChannels() });
+  } catch (err) {
+    if (err instanceof PreferenceError) return res.status(err.status).json({ message: err.message });
+    console.error('Update notification preferences error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Mark as read
 router.post('/:id/read', protect, async (req, res) => {
   try {
@@ -46,11 +82,8 @@ router.post('/:id/read', protect, async (req, res) => {
       { new: true }
     );
     if (!n) return res.status(404).json({ message: 'Not found' });
-  const unread = await Notification.countDocuments({ user: req.user._id, isRead: false });
-  const io = getIO();
-  io.to(`driver:${req.user._id}`).emit('notification:count', { unread });
-  io.to(`passenger:${req.user._id}`).emit('notification:count', { unread });
-  res.json({ notification: n, unread });
+    const unread = await pushUnreadCount(req.user._id);
+    res.json({ notification: n, unread });
   } catch (err) {
     console.error('Mark read error:', err);
     res.status(500).json({ message: 'Server error' });
@@ -61,11 +94,8 @@ router.post('/:id/read', protect, async (req, res) => {
 router.post('/read-all', protect, async (req, res) => {
   try {
     await Notification.updateMany({ user: req.user._id, isRead: false }, { $set: { isRead: true } });
-  const unread = 0;
-  const io = getIO();
-  io.to(`driver:${req.user._id}`).emit('notification:count', { unread });
-  io.to(`passenger:${req.user._id}`).emit('notification:count', { unread });
-  res.json({ success: true, unread });
+    const unread = await pushUnreadCount(req.user._id);
+    res.json({ success: true, unread });
   } catch (err) {
     console.error('Mark all read error:', err);
     res.status(500).json({ message: 'Server error' });
@@ -77,10 +107,7 @@ router.delete('/:id', protect, async (req, res) => {
   try {
     const n = await Notification.findOneAndDelete({ _id: req.params.id, user: req.user._id });
     if (!n) return res.status(404).json({ message: 'Not found' });
-    const unread = await Notification.countDocuments({ user: req.user._id, isRead: false });
-    const io = getIO();
-    io.to(`driver:${req.user._id}`).emit('notification:count', { unread });
-    io.to(`passenger:${req.user._id}`).emit('notification:count', { unread });
+    const unread = await pushUnreadCount(req.user._id);
     res.json({ success: true, unread });
   } catch (err) {
     console.error('Delete notification error:', err);
@@ -92,10 +119,7 @@ router.delete('/:id', protect, async (req, res) => {
 router.delete('/', protect, async (req, res) => {
   try {
     await Notification.deleteMany({ user: req.user._id, isRead: true });
-    const unread = await Notification.countDocuments({ user: req.user._id, isRead: false });
-    const io = getIO();
-    io.to(`driver:${req.user._id}`).emit('notification:count', { unread });
-    io.to(`passenger:${req.user._id}`).emit('notification:count', { unread });
+    const unread = await pushUnreadCount(req.user._id);
     res.json({ success: true, unread });
   } catch (err) {
     console.error('Clear read notifications error:', err);
@@ -0,0 +1,65 @@
+import express from 'express';
+import { protect } from '../middleware/authMiddleware.js';
+import Payment from '../models/Payment.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import { ACCOUNTS } from '../services/payments/ledger.js';
+import { driverBalance, payoutDriver, PayoutError } from '../services/payments/index.js';
+
+const router = express.Router();
+
+// Payment for a booking (passenger who booked or the ride's driver)
+router.get('/booking/:bookingId', protect, async (req, res) => {
+  try {
+    const payment = await Payment.findOne({ booking: req.params.bookingId });
+    if (!payment) return res.status(404).json({ message: 'Payment not found' });
+    const me = req.user._id.toString();
+    if (payment.passenger.toString() !== me && payment.driver.toString() !== me) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+    res.json({ payment });
+  } catch (err) {
+    console.error('Get payment error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Driver earnings balance and recent ledger lines
+router.get('/earnings', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'driver') {
+      return res.status(403).json({ message: 'Only drivers can access this route' });
+    }
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
+    const account = ACCOUNTS.driverPayable(req.user._id);
+    const [balance, entries] = await Promise.all([
+      driverBalance(req.user._id),
+      LedgerEntry.find({ account })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+    ]);
+    res.json({ balance, currency: process.env.PAYMENT_CURRENCY || 'KES', entries, page, limit });
+  } catch (err) {
+    console.error('Get earnings error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Pay out the driver's available balance
+router.post('/payouts', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'driver') {
+      return res.status(403).json({ message: 'Only drivers can request payouts' });
+    }
+    const payout = await payoutDriver(req.user._id);
+    if (!payout) return res.status(400).json({ message: 'No balance available' });
+    res.status(201).json({ message: 'Payout sent', payout });
+  } catch (err) {
+    if (err instanceof PayoutError) return res.status(err.status).json({ message: err.message });
+    console.error('Payout error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,79 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Ride from '../models/Ride.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { toPoint, parseWaypoints } from '../utils/geo.js';
+import { resolveLegs } from '../services/seats.js';
+import { PricingError, suggestPrice, quoteBooking, parseExtras } from '../services/pricing.js';
+import { PromoError, findApplicablePromo, applyDiscounts } from '../services/promotions.js';
+
+const router = express.Router();
+
+/**
+ * Suggested per-seat price for a ride the driver is about to offer. Takes the createRide
+ * route fields: { startLocation, destination, startCoordinates, destinationCoordinates,
+ * waypoints, departureTime }
+ */
+router.post('/suggest', protect, async (req, res) => {
+  try {
+    const { startLocation, destination, startCoordinates, destinationCoordinates, departureTime } = req.body;
+    const startPoint = toPoint(startCoordinates);
+    const destinationPoint = toPoint(destinationCoordinates);
+    if ((startCoordinates && !startPoint) || (destinationCoordinates && !destinationPoint)) {
+      return res.status(400).json({ message: 'Invalid coordinates' });
+    }
+    const waypoints = parseWaypoints(req.body.waypoints);
+    if (!waypoints) return res.status(400).json({ message: 'Invalid waypoint' });
+    const departure = departureTime ? new Date(departureTime) : new Date();
+    if (isNaN(departure.getTime())) return res.status(400).json({ message: 'Invalid departureTime' });
+
+    const suggestion = await suggestPrice({
+      startLocation,
+      destination,
+      startPoint,
+      destinationPoint,
+      waypoints,
+      departureTime: departure,
+    });
+    res.json({ currency: process.env.PAYMENT_CURRENCY || 'KES', ...suggestion });
+  } catch (err) {
+    if (err instanceof PricingError) return res.status(err.status).json({ message: err.message });
+    console.error('Price suggestion error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * What booking would cost right now (amounts in minor units):
+ * ?seats=&children=&luggage=&fromStop=&toStop=&promoCode=&useCredits=true
+ */
+router.get('/rides/:rideId/quote', protect, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.rideId)) {
+      return res.status(400).json({ message: 'Invalid ride id' });
+    }
+    const ride = await Ride.findById(req.params.rideId);
+    if (!ride) return res.status(404).json({ message: 'Ride not found' });
+    const legs = resolveLegs(ride, req.query.fromStop, req.query.toStop);
+    if (!legs) {
+      return res.status(400).json({ message: 'Invalid stop range' });
+    }
+    const seats = Math.max(1, parseInt(req.query.seats) || 1);
+    const promo = req.query.promoCode
+      ? await findApplicablePromo(req.query.promoCode, req.user, ride, legs)
+      : null;
+    const quote = applyDiscounts(quoteBooking(ride, { seats, ...parseExtras(req.query) }), {
+      promo,
+      credits: req.query.useCredits === 'true' ? req.user.creditBalance : 0,
+    });
+    res.json({ quote });
+  } catch (err) {
+    if (err instanceof PricingError || err instanceof PromoError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Quote error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+export default router;
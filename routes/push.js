@@ -0,0 +1,89 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import PushSubscription from '../models/PushSubscription.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { PushError, parseSubscription, registerSubscription, pushAvailable, sendPushToUser } from '../services/push/index.js';
+
+// Push devices: Web Push subscriptions and mobile tokens of the signed-in user.
+// Scaffolding only: no delivering push provider ships yet (see services/push/provider.js)
+const router = express.Router();
+
+const publicFields = '-keys -session';
+
+router.get('/subscriptions', protect, async (req, res) => {
+  try {
+    const subscriptions = await PushSubscription.find({ user: req.user._id })
+      .sort({ updatedAt: -1 })
+      .select(publicFields);
+    res.json({ subscriptions });
+  } catch (err) {
+    console.error('List push subscriptions error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * Register this device: { kind: 'web', subscription: PushSubscription.toJSON(), deviceName? }
+ * or { kind: 'fcm' | 'apns', token, deviceName? }. Registering again refreshes it.
+ */
+router.post('/subscriptions', protect, async (req, res) => {
+  try {
+    const fields = parseSubscription(req.body);
+    const subscription = await registerSubscription(req.user._id, fields, {
+      sessionId: req.sessionId,
+      userAgent: (req.headers['user-agent'] || '').slice(0, 300),
+    });
+    const { keys, session, ...visible } = subscription.toObject();
+    res.status(201).json({ message: 'Device registered', subscription: visible });
+  } catch (err) {
+    if (err instanceof PushError) return res.status(err.status).json({ message: err.message });
+    console.error('Register push subscription error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Unregister by what the device knows: { endpoint } or { token }
+router.post('/subscriptions/unregister', protect, async (req, res) => {
+  try {
+    const key = req.body?.endpoint || req.body?.token;
+    if (typeof key !== 'string' || !key) return res.status(400).json({ message: 'endpoint or token is required' });
+    const result = await PushSubscription.deleteOne({ user: req.user._id, key });
+    if (!result.deletedCount) return res.status(404).json({ message: 'Device not found' });
+    res.json({ message: 'Device removed' });
+  } catch (err) {
+    console.error('Unregister push subscription error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.delete('/subscriptions/:id', protect, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid subscription id' });
+    }
+    const result = await PushSubscription.deleteOne({ _id: req.params.id, user: req.user._id });
+    if (!result.deletedCount) return res.status(404).json({ message: 'Device not found' });
+    res.json({ message: 'Device removed' });
+  } catch (err) {
+    console.error('Delete push subscription error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Send a test push to all my devices
+router.post('/test', protect, async (req, res) => {
+  try {
+    if (!pushAvailable()) return res.status(503).json({ message: 'Push notifications are not configured' });
+    const result = await sendPushToUser(req.user._id, {
+      title: 'SafariShare',
+      body: 'Push notifications are working.',
+      data: { type: 'test' },
+    });
+    res.json({ message: result.sent ? 'Test push sent' : 'No device received the push', ...result });
+  } catch (err) {
+    console.error('Test push error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,32 @@
+import express from 'express';
+import User from '../models/User.js';
+import CreditTransaction from '../models/CreditTransaction.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { ensureReferralCode } from '../services/promotions.js';
+
+const router = express.Router();
+
+// My referral code, how many people used it, and my ride credit with its recent history
+router.get('/', protect, async (req, res) => {
+  try {
+    const code = await ensureReferralCode(req.user);
+    const [referred, rewarded, transactions] = await Promise.all([
+      User.countDocuments({ referredBy: req.user._id }),
+      User.countDocuments({ referredBy: req.user._id, referralRewardedAt: { $exists: true } }),
+      CreditTransaction.find({ user: req.user._id }).sort({ createdAt: -1 }).limit(50),
+    ]);
+    res.json({
+      referralCode: code,
+      referred,
+      rewarded,
+      creditBalance: req.user.creditBalance || 0,
+      currency: process.env.PAYMENT_CURRENCY || 'KES',
+      transactions,
+    });
+  } catch (err) {
+    console.error('Get referral info error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+export default router;
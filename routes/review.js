@@ -0,0 +1,126 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, validationResult } from 'express-validator';
+import { protect } from '../middleware/authMiddleware.js';
+import Booking from '../models/Booking.js';
+import Review from '../models/Review.js';
+import { notify } from '../services/notify.js';
+import { applyRating } from '../services/reviews.js';
+
+const router = express.Router();
+
+// Review the other party of a completed booking.
+// The passenger reviews the ride's driver; the driver reviews the booking's passenger.
+router.post(
+  '/booking/:bookingId',
+  protect,
+  [
+    body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be 1-5'),
+    body('comment').optional().isString().isLength({ max: 1000 }).withMessage('Comment too long'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty())
+        return res.status(400).json({ errors: errors.array() });
+      if (!mongoose.Types.ObjectId.isValid(req.params.bookingId))
+        return res.status(400).json({ message: 'Invalid booking id' });
+
+      const booking = await Booking.findById(req.params.bookingId).populate('ride', 'driver destination');
+      if (!booking || !booking.ride)
+        return res.status(404).json({ message: 'Booking not found' });
+
+      const me = req.user._id.toString();
+      const driverId = booking.ride.driver.toString();
+      const passengerId = booking.passenger.toString();
+      let reviewee;
+      let revieweeRole;
+      if (me === passengerId) {
+        reviewee = driverId;
+        revieweeRole = 'driver';
+      } else if (me === driverId) {
+        reviewee = passengerId;
+        revieweeRole = 'passenger';
+      } else {
+        return res.status(403).json({ message: 'Only people who shared this ride can review it' });
+      }
+      // Only passengers who actually made the trip can be reviewed or leave reviews
+      if (booking.status !== 'completed')
+        return res.status(400).json({ message: 'Reviews are only possible after a completed ride' });
+
+      const rating = Number(req.body.rating);
+      let review;
+      try {
+        review = await Review.create({
+          booking: booking._id,
+          ride: booking.ride._id,
+          reviewer: req.user._id,
+          reviewee,
+          revieweeRole,
+          rating,
+          comment: req.body.comment,
+        });
+      } catch (e) {
+        if (e.code === 11000)
+          return res.status(400).json({ message: 'You already reviewed this booking' });
+        throw e;
+      }
+      await applyRating(reviewee, revieweeRole, rating);
+
+      await notify({
+        user: reviewee,
+        room: revieweeRole,
+        type: 'review',
+        title: 'New review',
+        message: `${req.user.name || 'Someone'} rated you ${rating}★ for the ride to ${booking.ride.destination}.`,
+        ride: booking.ride._id,
+        booking: booking._id,
+      });
+
+      res.status(201).json({ review });
+    } catch (err) {
+      console.error('Create review error:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Reviews received by a user (optionally ?role=driver|passenger)
+router.get('/user/:userId', protect, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId))
+      return res.status(400).json({ message: 'Invalid user id' });
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
+    const filter = { reviewee: req.params.userId };
+    if (['driver', 'passenger'].includes(req.query.role)) filter.revieweeRole = req.query.role;
+
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('reviewer', 'name'),
+      Review.countDocuments(filter),
+    ]);
+    res.json({ reviews, page, limit, total });
+  } catch (err) {
+    console.error('List reviews error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Has the current user already reviewed this booking?
+router.get('/booking/:bookingId', protect, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.bookingId))
+      return res.status(400).json({ message: 'Invalid booking id' });
+    const review = await Review.findOne({ booking: req.params.bookingId, reviewer: req.user._id });
+    res.json({ review });
+  } catch (err) {
+    console.error('Get review error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+export default router;
@@ -1,9 +1,36 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import Ride from '../models/Ride.js';
-import Booking from '../models/Booking.js';
-import { protect, } from '../middleware/authMiddleware.js';
-import {getIO} from '../config/socket.js';
-import Notification from '../models/Notification.js';
+import Booking, { SEAT_HOLDING_STATUSES, PARTICIPANT_STATUSES } from '../models/Booking.js';
+import { protect, requireVerifiedEmail, requireApprovedDriver } from '../middleware/authMiddleware.js';
+import User from '../models/User.js';
+import { parseLatLng, toPoint, parseWaypoints, haversineKm, kmToRadians } from '../utils/geo.js';
+import { getStops, resolveLegs, reserveSeats, releaseSeats } from '../services/seats.js';
+import { notify } from '../services/notify.js';
+import { canTransition, cancelRide, RideTransitionError } from '../services/rideLifecycle.js';
+import { requestExpiry, releaseBooking } from '../services/bookings.js';
+import { notifyMatchingAlerts } from '../services/rideAlerts.js';
+import { PricingError, parsePriceRules, quoteBooking, parseExtras } from '../services/pricing.js';
+import { PromoError, findApplicablePromo, applyDiscounts, lockDiscounts, releaseDiscounts } from '../services/promotions.js';
+import { ReportError, parseRange, earningsReport, statementCsv, statementPdf } from '../services/earnings.js';
+import {
+  VehicleError,
+  PASSENGER_VEHICLE_FIELDS,
+  resolveDriverVehicle,
+  assertCapacity,
+  canSeeVehicle,
+} from '../services/vehicles.js';
+import {
+  authorizeBooking,
+  voidPayment,
+  bookingAmount,
+  settleCancellation,
+} from '../services/payments/index.js';
+import {
+  evaluateCancellation,
+  toBookingRecord,
+  describeRefund,
+} from '../services/cancellation.js';
 
 const router = express.Router();
 
@@ -13,6 +40,12 @@ router.get('/details/:id', protect, async (req, res) => {
     const ride = await Ride.findById(req.params.id).populate('driver', 'name email');
     if (!ride) return res.status(404).json({ message: 'Ride not found' });
     // Authorization: driver or any passenger who booked can view; for simplicity allow authenticated users to fetch basic route info
+    // The car (and its plate) is only shown to the driver and booked passengers
+    if (ride.vehicle && await canSeeVehicle(ride, req.user)) {
+      await ride.populate('vehicle', PASSENGER_VEHICLE_FIELDS);
+    } else {
+      ride.vehicle = undefined;
+    }
     res.json({ ride });
   } catch (err) {
     console.error('Get ride by id error:', err);
@@ -34,36 +67,108 @@ router.get('/driver/rides', protect, async (req, res) => {
     }
 });
 
+// Earnings dashboard: ?from=&to= (YYYY-MM-DD), ?groupBy=day|week|month, ?utcOffsetMinutes=
+router.get('/driver/earnings', protect, async (req, res) => {
+    try {
+        if (req.user.role !== 'driver') {
+            return res.status(403).json({ message: "Only drivers can access this route" });
+        }
+        const range = parseRange(req.query);
+        const report = await earningsReport(req.user._id, range, req.query.groupBy || 'day');
+        res.json(report);
+    } catch (err) {
+        if (err instanceof ReportError) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        console.error("Driver earnings error:", err);
+        res.status(500).json({ message: "Server error" });
+    }
+});
+
+// Downloadable statement for a date range: same query as /driver/earnings plus ?format=csv|pdf
+router.get('/driver/earnings/statement', protect, async (req, res) => {
+    try {
+        if (req.user.role !== 'driver') {
+            return res.status(403).json({ message: "Only drivers can access this route" });
+        }
+        const format = req.query.format || 'csv';
+        if (!['csv', 'pdf'].includes(format)) {
+            return res.status(400).json({ message: "format must be csv or pdf" });
+        }
+        const range = parseRange(req.query);
+        const report = await earningsReport(req.user._id, range);
+        const filename = `statement-${range.from}-to-${range.to}.${format}`;
+        res.attachment(filename);
+        if (format === 'pdf') {
+            res.type('application/pdf').send(statementPdf(report, req.user));
+        } else {
+            res.type('text/csv').send(statementCsv(report));
+        }
+    } catch (err) {
+        if (err instanceof ReportError) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        console.error("Driver statement error:", err);
+        res.status(500).json({ message: "Server error" });
+    }
+});
+
 // Create a new ride (Driver only)
-router.post('/createRide', protect, async (req, res) => {
+router.post('/createRide', protect, requireVerifiedEmail, requireApprovedDriver, async (req, res) => {
     try{
-        const { startLocation, destination, departureTime, availableSeats, price } = req.body;
-        if(req.user.role !== 'driver'){
-            return res.status(403).json({message : "Only driver can create rides"});
+        const { startLocation, destination, departureTime, availableSeats, price, startCoordinates, destinationCoordinates, bookingMode, cancellationPolicy, vehicleId } = req.body;
+        // The ride is offered in one of the driver's vehicles and can't offer more seats than it has
+        const vehicle = await resolveDriverVehicle(req.user._id, vehicleId);
+        assertCapacity(vehicle, availableSeats);
+        const priceRules = parsePriceRules(req.body.priceRules);
+        // Coordinates are optional ({ lat, lng }) but must be valid when sent
+        const startPoint = toPoint(startCoordinates);
+        const destinationPoint = toPoint(destinationCoordinates);
+        if((startCoordinates && !startPoint) || (destinationCoordinates && !destinationPoint)){
+            return res.status(400).json({message: "Invalid coordinates"});
+        }
+        // Optional ordered intermediate stops: [{ name, coordinates: { lat, lng } }]
+        const waypoints = parseWaypoints(req.body.waypoints);
+        if(!waypoints){
+            return res.status(400).json({message: "Invalid waypoint"});
         }
         const ride = await Ride.create({
             driver: req.user._id,
+            vehicle: vehicle._id,
             startLocation,
             destination,
+            startPoint: startPoint || undefined,
+            destinationPoint: destinationPoint || undefined,
+            waypoints,
             departureTime,
             availableSeats,
-            price
+            segmentSeats: new Array(waypoints.length + 1).fill(Number(availableSeats)),
+            price,
+            priceRules,
+            bookingMode,
+            cancellationPolicy
         })
         await ride.populate('driver', 'name email');
         await ride.populate('passenger', 'name email');
+        await ride.populate('vehicle', PASSENGER_VEHICLE_FIELDS);
         await ride.save();
         res.status(201).json({message: 'ride created', ride});
+        // Let passengers with a matching saved search know (doesn't hold up the response)
+        notifyMatchingAlerts(ride).catch(err => console.error("Ride alert matching error:", err));
 
     }catch(err){
+        if(err instanceof VehicleError || err instanceof PricingError){
+            return res.status(err.status).json({message: err.message});
+        }
         console.error("Create ride error:", err);
         res.status(500).json({message: "Server error"});
     }
 })
 
-// Get all active rides
+// Get all scheduled rides
 router.get('/myRides', protect, async (req, res) => {
     try{
-        const rides = await Ride.find({status: 'active'}).populate('driver', 'name email').populate('passenger', 'name email');
+        const rides = await Ride.find({status: 'scheduled'}).populate('driver', 'name email').populate('passenger', 'name email');
         res.json({rides});
         
     }catch(err){
@@ -72,7 +177,7 @@ router.get('/myRides', protect, async (req, res) => {
     }
 })
 
-router.put(":id/cancel", protect, async (req, res) => {
+router.put("/:id/cancel", protect, async (req, res) => {
   try {
     const ride = await Ride.findById(req.params.id);
 
@@ -84,75 +189,57 @@ router.put(":id/cancel", protect, async (req, res) => {
     if (ride.driver.toString() !== req.user._id.toString()) {
       return res.status(403).json({ message: "Not authorized" });
     }
-
-    ride.status = "canceled";
-    ride.canceledAt = new Date();
-
-    await ride.save();
-
-    // 🔔 Notify driver
-    const driverNote = await Notification.create({
-      user: ride.driver,
-      type: 'cancellation',
-      title: 'Ride cancelled',
-      message: `You cancelled the ride to ${ride.destination}.`,
-      ride: ride._id,
-    });
-    const io = getIO();
-    io.to(`driver:${ride.driver}`).emit("notification", {
-      id: driverNote._id,
-      type: driverNote.type,
-      title: driverNote.title,
-      message: driverNote.message,
-      rideId: ride._id,
-      createdAt: driverNote.createdAt,
-    });
-    const driverUnread = await Notification.countDocuments({ user: ride.driver, isRead: false });
-    io.to(`driver:${ride.driver}`).emit('notification:count', { unread: driverUnread });
-
-    // Cancel all active bookings for this ride and notify each passenger
-    const activeBookings = await Booking.find({ ride: req.params.id, status: "booked" });
-    for (const b of activeBookings) {
-      b.status = 'cancelled';
-      await b.save();
-      const pNote = await Notification.create({
-        user: b.passenger,
-        type: 'cancellation',
-        title: 'Ride cancelled',
-        message: `The ride to ${ride.destination} has been cancelled by the driver.`,
-        ride: ride._id,
-        booking: b._id,
-      });
-      io.to(`passenger:${b.passenger}`).emit("notification", {
-        id: pNote._id,
-        type: pNote.type,
-        title: pNote.title,
-        message: pNote.message,
-        rideId: ride._id,
-        bookingId: b._id,
-        createdAt: pNote.createdAt,
-      });
-      const pUnread = await Notification.countDocuments({ user: b.passenger, isRead: false });
-      io.to(`passenger:${b.passenger}`).emit('notification:count', { unread: pUnread });
+    if (!canTransition(ride.status, "canceled")) {
+      return res.status(400).json({ message: `A ${ride.status} ride cannot be cancelled` });
     }
 
-    res.json({ message: "Ride canceled successfully", ride });
+    const result = await cancelRide(ride, { by: "driver" });
+
+    res.json({ message: "Ride canceled successfully", ride: result.ride, penalty: result.penalty });
   } catch (err) {
+    if (err instanceof RideTransitionError) {
+      return res.status(err.status).json({ message: err.message });
+    }
     console.error("Cancel ride error:", err);
     res.status(500).json({ message: "Server error" });
   }
 });
 
 
+// Driver fields returned with search results (rating lets passengers compare drivers)
+const DRIVER_SEARCH_FIELDS = 'name email ratings.asDriver.average ratings.asDriver.count';
+
+const DEFAULT_SEARCH_RADIUS_KM = 5;
+const MAX_SEARCH_RADIUS_KM = 100;
+
+const parseRadiusKm = (value) => {
+    const r = Number(value);
+    if(!Number.isFinite(r) || r <= 0) return DEFAULT_SEARCH_RADIUS_KM;
+    return Math.min(r, MAX_SEARCH_RADIUS_KM);
+};
+
 //Passsenger route
+// Geo search: pickupLat/pickupLng/pickupRadiusKm and dropoffLat/dropoffLng/dropoffRadiusKm.
+// When coordinates are given, rides are matched by distance and sorted by the combined
+// detour (pickup -> ride start + ride destination -> dropoff); otherwise text matching is used.
 router.get('/available-rides', protect, async (req, res) => {
     try{
   
-        const { startLocation, destination, date, minSeats } = req.query;
-        const query = { status: 'active', availableSeats: { $gt: 0 } };
-        if(startLocation) query.startLocation = { $regex: new RegExp(startLocation, 'i') };
-        if(destination) query.destination = { $regex: new RegExp(destination, 'i') };
-        if(minSeats) query.availableSeats = { $gte: Number(minSeats) };
+        const { startLocation, destination, date, minSeats, minRating } = req.query;
+        const pickup = parseLatLng(req.query.pickupLat, req.query.pickupLng);
+        const dropoff = parseLatLng(req.query.dropoffLat, req.query.dropoffLng);
+        // A ride qualifies when at least one leg still has the seats (full-route
+        // availability is checked per stop range at booking time)
+        const seatsNeeded = Math.max(1, Number(minSeats) || 1);
+        const query = {
+            status: 'scheduled',
+            $or: [
+                { availableSeats: { $gte: seatsNeeded } },
+                { segmentSeats: { $elemMatch: { $gte: seatsNeeded } } },
+            ],
+        };
+        if(startLocation && !pickup) query.startLocation = { $regex: new RegExp(startLocation, 'i') };
+        if(destination && !dropoff) query.destination = { $regex: new RegExp(destination, 'i') };
         if(date){
             // date expected as YYYY-MM-DD; filter rides on that calendar day
             const d = new Date(date);
@@ -162,24 +249,89 @@ router.get('/available-rides', protect, async (req, res) => {
                 query.departureTime = { $gte: d, $lt: next };
             }
         }
-        const rides = await Ride.find(query)
-            .sort({ departureTime: 1 })
-            .populate('driver', 'name email');
+        // Only drivers whose average rating meets the minimum (unrated drivers are excluded)
+        const ratingFloor = Number(minRating);
+        if(minRating && Number.isFinite(ratingFloor)){
+            query.driver = { $in: await User.find({ 'ratings.asDriver.average': { $gte: ratingFloor } }).distinct('_id') };
+        }
+        if(!pickup && !dropoff){
+            const rides = await Ride.find(query)
+                .sort({ departureTime: 1 })
+                .populate('driver', DRIVER_SEARCH_FIELDS);
+            return res.json({rides});
+        }
+
+        // Only one $geoNear is allowed per pipeline: sort by distance on one end,
+        // restrict the other end with $geoWithin and measure it afterwards.
+        const pickupRadiusKm = parseRadiusKm(req.query.pickupRadiusKm);
+        const dropoffRadiusKm = parseRadiusKm(req.query.dropoffRadiusKm);
+        const near = pickup || dropoff;
+        const nearKey = pickup ? 'startPoint' : 'destinationPoint';
+        if(pickup && dropoff){
+            query.destinationPoint = {
+                $geoWithin: { $centerSphere: [[dropoff.lng, dropoff.lat], kmToRadians(dropoffRadiusKm)] },
+            };
+        }
+        const matched = await Ride.aggregate([
+            {
+                $geoNear: {
+                    near: { type: 'Point', coordinates: [near.lng, near.lat] },
+                    key: nearKey,
+                    distanceField: 'nearDistance',
+                    maxDistance: (pickup ? pickupRadiusKm : dropoffRadiusKm) * 1000,
+                    spherical: true,
+                    query,
+                },
+            },
+            { $limit: 200 },
+        ]);
+
+        const round = (km) => Math.round(km * 100) / 100;
+        const rides = matched.map(({ nearDistance, ...ride }) => {
+            const nearKm = nearDistance / 1000;
+            let pickupDistanceKm = pickup ? nearKm : 0;
+            let dropoffDistanceKm = pickup ? 0 : nearKm;
+            if(pickup && dropoff && ride.destinationPoint){
+                dropoffDistanceKm = haversineKm([dropoff.lng, dropoff.lat], ride.destinationPoint.coordinates);
+            }
+            return {
+                ...ride,
+                pickupDistanceKm: pickup ? round(pickupDistanceKm) : undefined,
+                dropoffDistanceKm: dropoff ? round(dropoffDistanceKm) : undefined,
+                detourKm: round(pickupDistanceKm + dropoffDistanceKm),
+            };
+        }).sort((a, b) => a.detourKm - b.detourKm
+            || new Date(a.departureTime) - new Date(b.departureTime));
+
+        await Ride.populate(rides, { path: 'driver', select: DRIVER_SEARCH_FIELDS });
         res.json({rides});
     }catch(err){
         console.error("Get rides error:", err);
         res.status(500).json({message: "Server error"});
     }
 })
-router.post("/book/:rideId", protect, async (req, res) => {
+// Hold payment for a new booking; if the provider declines, the booking is cancelled
+// and its seats released. Resolves to { payment } or { failed: true }.
+const holdPayment = async (booking, ride) => {
+  try {
+    return { payment: await authorizeBooking(booking, ride) };
+  } catch (err) {
+    console.error("Payment authorization failed:", err);
+    await releaseBooking(booking._id, booking.status, "cancelled");
+    return { failed: true };
+  }
+};
+
+router.post("/book/:rideId", protect, requireVerifiedEmail, async (req, res) => {
   try {
     const seatsRequested = Math.max(1, parseInt(req.body.seats) || 1);
+    const { fromStop, toStop } = req.body;
 
     // Prevent duplicate booking by same passenger for same ride
     const existingBooking = await Booking.findOne({
       ride: req.params.rideId,
       passenger: req.user._id,
-      status: "booked",
+      status: { $in: SEAT_HOLDING_STATUSES },
     });
 
     if (existingBooking) {
@@ -191,32 +343,102 @@ router.post("/book/:rideId", protect, async (req, res) => {
     if (!rideDoc) {
       return res.status(404).json({ message: "Ride not found" });
     }
-    if (rideDoc.status !== "active") {
-      return res.status(400).json({ message: "Ride is not active (may be cancelled by driver or completed)" });
+    if (rideDoc.status !== "scheduled") {
+      return res.status(400).json({ message: "Ride is not open for booking (may be cancelled by driver, started or completed)" });
     }
 
-    // Atomically decrement seats if available
-    const ride = await Ride.findOneAndUpdate(
-      {
-        _id: req.params.rideId,
-        status: "active",
-        availableSeats: { $gte: seatsRequested },
-      },
-      { $inc: { availableSeats: -seatsRequested } },
-      { new: true }
-    ).populate("driver", "name email");
+    // Stop range to book; defaults to the whole route
+    const legs = resolveLegs(rideDoc, fromStop, toStop);
+    if (!legs) {
+      return res.status(400).json({ message: "Invalid stop range" });
+    }
 
-    if (!ride) {
-      return res.status(404).json({ message: "Ride not found, not active, or insufficient seats" });
+    // Price is computed here and locked onto the booking. A client that showed the passenger a
+    // quote can send expectedTotal (minor units) to refuse a price that changed in the meantime.
+    // promoCode and useCredits come off the quote; the platform pays the driver the difference.
+    const promo = req.body.promoCode
+      ? await findApplicablePromo(req.body.promoCode, req.user, rideDoc, legs)
+      : null;
+    const quote = applyDiscounts(
+      quoteBooking(rideDoc, { seats: seatsRequested, ...parseExtras(req.body) }),
+      { promo, credits: req.body.useCredits === true ? req.user.creditBalance : 0 }
+    );
+    if (req.body.expectedTotal !== undefined && Number(req.body.expectedTotal) !== quote.total) {
+      return res.status(409).json({ message: "The price has changed", quote });
     }
 
-    // Create booking
-    const booking = await Booking.create({
-      ride: ride._id,
-      passenger: req.user._id,
-      seatsBooked: seatsRequested,
-      status: "booked",
-    });
+    // Atomically decrement seats on every leg of the range if available
+    const reserved = await reserveSeats(
+      req.params.rideId,
+      { ...legs, seats: seatsRequested },
+      { status: "scheduled" }
+    );
+
+    if (!reserved) {
+      // The ride was open a moment ago, so it is (now) full: the passenger can queue instead
+      return res.status(404).json({
+        message: "Ride not found, not open for booking, or insufficient seats",
+        canJoinWaitlist: true,
+      });
+    }
+    // Until the booking exists nothing else will give back the seats and discounts it holds
+    const bookingId = new mongoose.Types.ObjectId();
+    let ride;
+    let booking;
+    try {
+      await lockDiscounts(bookingId, req.user._id, quote, promo);
+      ride = await reserved.populate("driver", "name email");
+      // Request-to-book: seats stay held until the driver responds or the request expires
+      const pending = ride.bookingMode === "request";
+      booking = await Booking.create({
+        _id: bookingId,
+        ride: ride._id,
+        passenger: req.user._id,
+        seatsBooked: seatsRequested,
+        fromStop: legs.fromStop,
+        toStop: legs.toStop,
+        quote,
+        status: pending ? "pending" : "booked",
+        expiresAt: pending ? requestExpiry(ride) : undefined,
+      });
+    } catch (err) {
+      await releaseSeats(reserved._id, { ...legs, seats: seatsRequested });
+      await releaseDiscounts(bookingId);
+      throw err;
+    }
+    const stops = getStops(ride);
+    const segmentLabel = `${stops[legs.fromStop].name} to ${stops[legs.toStop].name}`;
+
+    if (booking.status === "pending") {
+      const { payment, failed } = await holdPayment(booking, ride);
+      if (failed) {
+        return res.status(402).json({ message: "Payment could not be authorized" });
+      }
+      await notify({
+        user: ride.driver._id,
+        room: "driver",
+        template: "booking.requested.driver",
+        data: { passengerName: req.user.name, seats: seatsRequested, segment: segmentLabel },
+        ride: ride._id,
+        booking: booking._id,
+        extra: { seatsDelta: -seatsRequested, expiresAt: booking.expiresAt },
+      });
+      await notify({
+        user: req.user._id,
+        room: "passenger",
+        template: "booking.requested.passenger",
+        data: { seats: seatsRequested, segment: segmentLabel },
+        ride: ride._id,
+        booking: booking._id,
+        extra: { expiresAt: booking.expiresAt },
+      });
+      return res.status(201).json({ message: "Booking requested", ride, booking, payment });
+    }
+
+    const { payment, failed } = await holdPayment(booking, ride);
+    if (failed) {
+      return res.status(402).json({ message: "Payment could not be authorized" });
+    }
 
     // Populate ride+driver for response
     await booking.populate({
@@ -224,55 +446,30 @@ router.post("/book/:rideId", protect, async (req, res) => {
       populate: { path: "driver", select: "name email" },
     });
 
-    // 🔔 Persist + notify driver
-  const note = await Notification.create({
+    // 🔔 Notify driver and passenger
+    await notify({
       user: ride.driver._id,
-      type: 'booking',
-      title: 'New booking',
-      message: `${req.user.name || 'A passenger'} booked ${seatsRequested} seat(s).`,
+      room: "driver",
+      template: "booking.created.driver",
+      data: { passengerName: req.user.name, seats: seatsRequested, segment: segmentLabel },
       ride: ride._id,
       booking: booking._id,
+      extra: { seatsDelta: -seatsRequested },
     });
-    const io = getIO();
-  io.to(`driver:${ride.driver._id}`).emit("notification", {
-      id: note._id,
-      type: note.type,
-      title: note.title,
-      message: note.message,
-      rideId: ride._id,
-      bookingId: booking._id,
-      seatsDelta: -seatsRequested,
-      createdAt: note.createdAt,
-    });
-  console.log('Emitted notification to driver:', `driver:${ride.driver._id}`);
-  // driver unread count
-  const driverUnread = await Notification.countDocuments({ user: ride.driver._id, isRead: false });
-  io.to(`driver:${ride.driver._id}`).emit('notification:count', { unread: driverUnread });
-
-    // Notify passenger
-    const pNote = await Notification.create({
+    await notify({
       user: req.user._id,
-      type: 'booking',
-      title: 'Booking confirmed',
-      message: `You booked ${seatsRequested} seat(s) to ${ride.destination}.`,
+      room: "passenger",
+      template: "booking.created.passenger",
+      data: { seats: seatsRequested, segment: segmentLabel },
       ride: ride._id,
       booking: booking._id,
     });
-  io.to(`passenger:${req.user._id}`).emit("notification", {
-      id: pNote._id,
-      type: pNote.type,
-      title: pNote.title,
-      message: pNote.message,
-      rideId: ride._id,
-      bookingId: booking._id,
-      createdAt: pNote.createdAt,
-    });
-  console.log('Emitted notification to passenger:', `passenger:${req.user._id}`);
-  const passengerUnread = await Notification.countDocuments({ user: req.user._id, isRead: false });
-  io.to(`passenger:${req.user._id}`).emit('notification:count', { unread: passengerUnread });
 
-    res.status(201).json({ message: "Ride booked", ride, booking });
+    res.status(201).json({ message: "Ride booked", ride, booking, payment });
   } catch (err) {
+    if (err instanceof PricingError || err instanceof PromoError) {
+      return res.status(err.status).json({ message: err.message });
+    }
     console.error("Book ride error:", err);
     res.status(500).json({ message: "Server error" });
   }
@@ -283,13 +480,17 @@ router.post("/book/:rideId", protect, async (req, res) => {
  */
 router.get("/bookings", protect, async (req, res) => {
   try {
-    const bookings = await Booking.find({
-      passenger: req.user._id,
-      status: { $in: ["booked", "cancelled"] },
-    })
+    const bookings = await Booking.find({ passenger: req.user._id })
       .sort({ createdAt: -1 })
       .populate({ path: "ride", populate: { path: "driver", select: "name email" } });
 
+    // Vehicle details only for bookings that are (or were) on the ride
+    const onRide = bookings.filter(b => b.ride && PARTICIPANT_STATUSES.includes(b.status));
+    await Ride.populate(onRide.map(b => b.ride), { path: "vehicle", select: PASSENGER_VEHICLE_FIELDS });
+    for (const b of bookings) {
+      if (b.ride && !onRide.includes(b)) b.ride.vehicle = undefined;
+    }
+
     res.json({ bookings });
   } catch (err) {
     console.error("List bookings error:", err);
@@ -297,6 +498,46 @@ router.get("/bookings", protect, async (req, res) => {
   }
 });
 
+// Policy outcome for a passenger cancelling now; withdrawing an unanswered request is free
+const passengerCancellation = async (booking) => {
+  const outcome = evaluateCancellation({
+    policy: booking.ride.cancellationPolicy,
+    cancelledBy: "passenger",
+    departureTime: booking.ride.departureTime,
+    amount: await bookingAmount(booking, booking.ride),
+  });
+  if (booking.status === "pending") {
+    outcome.refundPercent = 100;
+    outcome.refundAmount += outcome.feeAmount;
+    outcome.feeAmount = 0;
+  }
+  return outcome;
+};
+
+const RIDE_UNDERWAY_MESSAGE = "This ride is no longer scheduled, so the booking can't be cancelled";
+
+/**
+ * 📌 Preview what cancelling a booking would cost (Passenger only)
+ */
+router.get("/cancel/:bookingId/preview", protect, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.bookingId).populate("ride");
+    if (!booking || !SEAT_HOLDING_STATUSES.includes(booking.status)) {
+      return res.status(404).json({ message: "Booking not found or already cancelled" });
+    }
+    if (booking.passenger.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: "Not authorized" });
+    }
+    if (booking.ride.status !== "scheduled") {
+      return res.status(409).json({ message: RIDE_UNDERWAY_MESSAGE });
+    }
+    res.json({ cancellation: await passengerCancellation(booking) });
+  } catch (err) {
+    console.error("Preview cancellation error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
 /**
  * 📌 Cancel a booking (Passenger only)
  */
@@ -304,7 +545,7 @@ router.post("/cancel/:bookingId", protect, async (req, res) => {
   try {
     const booking = await Booking.findById(req.params.bookingId).populate("ride");
 
-    if (!booking || booking.status !== "booked") {
+    if (!booking || !SEAT_HOLDING_STATUSES.includes(booking.status)) {
       return res.status(404).json({ message: "Booking not found or already cancelled" });
     }
 
@@ -312,64 +553,185 @@ router.post("/cancel/:bookingId", protect, async (req, res) => {
       return res.status(403).json({ message: "Not authorized to cancel this booking" });
     }
 
-    // Update booking & restore seats
-    booking.status = "cancelled";
-    await Ride.findByIdAndUpdate(booking.ride._id, {
-      $inc: { availableSeats: booking.seatsBooked },
+    // Once boarding starts the seat is in use: no refund tier, no seats to free
+    if (booking.ride.status !== "scheduled") {
+      return res.status(409).json({ message: RIDE_UNDERWAY_MESSAGE });
+    }
+
+    // Apply the ride's cancellation policy to the time left before departure
+    const outcome = await passengerCancellation(booking);
+
+    // Update booking & restore seats (atomic, so a racing expiry can't release twice)
+    const released = await releaseBooking(booking._id, booking.status, "cancelled", {
+      cancellation: toBookingRecord(outcome),
     });
-    await booking.save();
+    if (!released) {
+      return res.status(404).json({ message: "Booking not found or already cancelled" });
+    }
+    booking.status = released.status;
+    booking.cancellation = released.cancellation;
+
+    // Refund under the cancellation policy; the rest is charged as a fee
+    let payment = null;
+    try {
+      payment = await settleCancellation(booking._id, outcome.refundPercent);
+    } catch (payErr) {
+      console.error("Settle cancellation payment error:", payErr);
+    }
 
-    // 🔔 Persist + notify driver
-    const note = await Notification.create({
+    // 🔔 Notify driver and passenger
+    await notify({
       user: booking.ride.driver,
-      type: 'cancellation',
-      title: 'Booking cancelled',
-      message: `${req.user.name || 'A passenger'} cancelled ${booking.seatsBooked} seat(s).`,
+      room: "driver",
+      template: "booking.cancelled.driver",
+      data: {
+        passengerName: req.user.name,
+        seats: booking.seatsBooked,
+        refundNote: outcome.feeAmount ? describeRefund(outcome) : "",
+      },
       ride: booking.ride._id,
       booking: booking._id,
+      extra: { seatsDelta: booking.seatsBooked },
     });
-    const io = getIO();
-  io.to(`driver:${booking.ride.driver}`).emit("notification", {
-      id: note._id,
-      type: note.type,
-      title: note.title,
-      message: note.message,
-      rideId: booking.ride._id,
-      bookingId: booking._id,
-      seatsDelta: booking.seatsBooked,
-      createdAt: note.createdAt,
-    });
-  console.log('Emitted notification to driver:', `driver:${booking.ride.driver}`);
-  const driverUnread2 = await Notification.countDocuments({ user: booking.ride.driver, isRead: false });
-  io.to(`driver:${booking.ride.driver}`).emit('notification:count', { unread: driverUnread2 });
-
-    // Notify passenger
-    const pNote = await Notification.create({
+    await notify({
       user: req.user._id,
-      type: 'cancellation',
-      title: 'Booking cancelled',
-      message: `You cancelled ${booking.seatsBooked} seat(s) for this ride.`,
+      room: "passenger",
+      template: "booking.cancelled.passenger",
+      data: { seats: booking.seatsBooked, refundNote: describeRefund(outcome) },
       ride: booking.ride._id,
       booking: booking._id,
     });
-  io.to(`passenger:${req.user._id}`).emit("notification", {
-      id: pNote._id,
-      type: pNote.type,
-      title: pNote.title,
-      message: pNote.message,
-      rideId: booking.ride._id,
-      bookingId: booking._id,
-      createdAt: pNote.createdAt,
-    });
-  console.log('Emitted notification to passenger:', `passenger:${req.user._id}`);
-  const passengerUnread2 = await Notification.countDocuments({ user: req.user._id, isRead: false });
-  io.to(`passenger:${req.user._id}`).emit('notification:count', { unread: passengerUnread2 });
 
-    res.json({ message: "Booking cancelled. You can rebook later if the ride remains active and seats are available.", booking });
+    res.json({ message: "Booking cancelled. You can rebook later if the ride remains active and seats are available.", booking, cancellation: outcome, payment });
   } catch (err) {
     console.error("Cancel booking error:", err);
     res.status(500).json({ message: "Server error" });
   }
 });
 
+/**
+ * 📌 Pending booking requests on my rides (Driver only)
+ */
+router.get("/driver/requests", protect, async (req, res) => {
+  try {
+    if (req.user.role !== "driver") {
+      return res.status(403).json({ message: "Only drivers can access this route" });
+    }
+    const rideIds = await Ride.find({ driver: req.user._id, status: "scheduled" }).distinct("_id");
+    const requests = await Booking.find({ ride: { $in: rideIds }, status: "pending" })
+      .sort({ expiresAt: 1 })
+      .populate("passenger", "name email")
+      .populate("ride", "startLocation destination departureTime waypoints");
+    res.json({ requests });
+  } catch (err) {
+    console.error("List booking requests error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Load a pending booking on one of the current driver's rides, or send the error response
+const loadPendingRequest = async (req, res) => {
+  const booking = await Booking.findById(req.params.bookingId).populate("ride");
+  if (!booking || !booking.ride) {
+    res.status(404).json({ message: "Booking not found" });
+    return null;
+  }
+  if (booking.ride.driver.toString() !== req.user._id.toString()) {
+    res.status(403).json({ message: "Not authorized" });
+    return null;
+  }
+  if (booking.status !== "pending") {
+    res.status(400).json({ message: `Booking is already ${booking.status}` });
+    return null;
+  }
+  return booking;
+};
+
+/**
+ * 📌 Accept a booking request (Driver only)
+ */
+router.post("/bookings/:bookingId/accept", protect, async (req, res) => {
+  try {
+    const pending = await loadPendingRequest(req, res);
+    if (!pending) return;
+
+    // Guard against the expiry job releasing the seats at the same moment
+    const booking = await Booking.findOneAndUpdate(
+      { _id: pending._id, status: "pending", expiresAt: { $gt: new Date() } },
+      { $set: { status: "accepted", respondedAt: new Date() }, $unset: { expiresAt: 1 } },
+      { new: true }
+    );
+    if (!booking) {
+      return res.status(400).json({ message: "Booking request has expired" });
+    }
+
+    const ride = pending.ride;
+    await notify({
+      user: booking.passenger,
+      room: "passenger",
+      template: "booking.accepted.passenger",
+      data: { seats: booking.seatsBooked, destination: ride.destination },
+      ride: ride._id,
+      booking: booking._id,
+    });
+    await notify({
+      user: ride.driver,
+      room: "driver",
+      template: "booking.accepted.driver",
+      data: { seats: booking.seatsBooked },
+      ride: ride._id,
+      booking: booking._id,
+    });
+
+    res.json({ message: "Booking accepted", booking });
+  } catch (err) {
+    console.error("Accept booking error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * 📌 Decline a booking request (Driver only); held seats are released
+ */
+router.post("/bookings/:bookingId/decline", protect, async (req, res) => {
+  try {
+    const pending = await loadPendingRequest(req, res);
+    if (!pending) return;
+
+    const booking = await releaseBooking(pending._id, "pending", "declined", { respondedAt: new Date() });
+    if (!booking) {
+      return res.status(400).json({ message: "Booking request is no longer pending" });
+    }
+    try {
+      await voidPayment(booking._id);
+    } catch (payErr) {
+      console.error("Void payment error:", payErr);
+    }
+
+    const ride = pending.ride;
+    await notify({
+      user: booking.passenger,
+      room: "passenger",
+      template: "booking.declined.passenger",
+      data: { seats: booking.seatsBooked, destination: ride.destination },
+      ride: ride._id,
+      booking: booking._id,
+    });
+    await notify({
+      user: ride.driver,
+      room: "driver",
+      template: "booking.declined.driver",
+      data: { seats: booking.seatsBooked },
+      ride: ride._id,
+      booking: booking._id,
+      extra: { seatsDelta: booking.seatsBooked },
+    });
+
+    res.json({ message: "Booking declined", booking });
+  } catch (err) {
+    console.error("Decline booking error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
 export default router;
@@ -0,0 +1,128 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import RideAlert from '../models/RideAlert.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { RideAlertError, parseAlert, assertAlertQuota } from '../services/rideAlerts.js';
+
+const router = express.Router();
+
+// Load one of my alerts, or send the error response
+const loadOwnAlert = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: 'Invalid alert id' });
+    return null;
+  }
+  const alert = await RideAlert.findById(req.params.id);
+  if (!alert) {
+    res.status(404).json({ message: 'Alert not found' });
+    return null;
+  }
+  if (alert.passenger.toString() !== req.user._id.toString()) {
+    res.status(403).json({ message: 'Not authorized' });
+    return null;
+  }
+  return alert;
+};
+
+// My alerts, optionally ?status=active|paused|expired
+router.get('/', protect, async (req, res) => {
+  try {
+    const filter = { passenger: req.user._id };
+    if (['active', 'paused', 'expired'].includes(req.query.status)) filter.status = req.query.status;
+    const alerts = await RideAlert.find(filter).sort({ createdAt: -1 });
+    res.json({ alerts });
+  } catch (err) {
+    console.error('List ride alerts error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * Save a search: { startLocation?, destination?, pickupCoordinates?, dropoffCoordinates?, radiusKm?,
+ * dateFrom, dateTo, seats?, maxPrice?, expiresAt? }
+ */
+router.post('/', protect, async (req, res) => {
+  try {
+    const fields = parseAlert(req.body);
+    await assertAlertQuota(req.user._id);
+    const alert = await RideAlert.create({ ...fields, passenger: req.user._id });
+    res.status(201).json({ message: 'alert saved', alert });
+  } catch (err) {
+    if (err instanceof RideAlertError) return res.status(err.status).json({ message: err.message });
+    console.error('Create ride alert error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Edit an alert; an expired alert becomes active again if its new window is still open
+router.put('/:id', protect, async (req, res) => {
+  try {
+    const alert = await loadOwnAlert(req, res);
+    if (!alert) return;
+    const fields = parseAlert(req.body, alert.toObject());
+    if (alert.status === 'expired') {
+      await assertAlertQuota(req.user._id, alert._id);
+      fields.status = 'active';
+    }
+    alert.set(fields);
+    await alert.save();
+    res.json({ message: 'alert updated', alert });
+  } catch (err) {
+    if (err instanceof RideAlertError) return res.status(err.status).json({ message: err.message });
+    console.error('Update ride alert error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/:id/pause', protect, async (req, res) => {
+  try {
+    const alert = await loadOwnAlert(req, res);
+    if (!alert) return;
+    if (alert.status !== 'active') {
+      return res.status(400).json({ message: `Alert is ${alert.status}` });
+    }
+    alert.status = 'paused';
+    await alert.save();
+    res.json({ message: 'alert paused', alert });
+  } catch (err) {
+    console.error('Pause ride alert error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/:id/resume', protect, async (req, res) => {
+  try {
+    const alert = await loadOwnAlert(req, res);
+    if (!alert) return;
+    if (alert.status !== 'paused') {
+      return res.status(400).json({ message: `Alert is ${alert.status}` });
+    }
+    if (alert.expiresAt <= new Date()) {
+      alert.status = 'expired';
+      await alert.save();
+      return res.status(400).json({ message: 'Alert has expired', alert });
+    }
+    await assertAlertQuota(req.user._id, alert._id);
+    alert.status = 'active';
+    await alert.save();
+    res.json({ message: 'alert resumed', alert });
+  } catch (err) {
+    if (err instanceof RideAlertError) return res.status(err.status).json({ message: err.message });
+    console.error('Resume ride alert error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const alert = await loadOwnAlert(req, res);
+    if (!alert) return;
+    await alert.deleteOne();
+    res.json({ message: 'alert deleted' });
+  } catch (err) {
+    console.error('Delete ride alert error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,95 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Ride from '../models/Ride.js';
+import { protect } from '../middleware/authMiddleware.js';
+import {
+  RideTransitionError,
+  startBoarding,
+  markBoarding,
+  startRide,
+  completeRide,
+} from '../services/rideLifecycle.js';
+
+// Driver-side ride lifecycle: boarding, departure, passenger boarding marks and completion
+const router = express.Router();
+
+// Load a ride owned by the current driver, or send the error response
+const loadOwnRide = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: 'Invalid ride id' });
+    return null;
+  }
+  const ride = await Ride.findById(req.params.id);
+  if (!ride) {
+    res.status(404).json({ message: 'Ride not found' });
+    return null;
+  }
+  if (ride.driver.toString() !== req.user._id.toString()) {
+    res.status(403).json({ message: 'Not authorized' });
+    return null;
+  }
+  return ride;
+};
+
+const handleError = (res, err, label) => {
+  if (err instanceof RideTransitionError) {
+    return res.status(err.status).json({ message: err.message });
+  }
+  console.error(`${label} error:`, err);
+  res.status(500).json({ message: 'Server error' });
+};
+
+router.post('/:id/boarding', protect, async (req, res) => {
+  try {
+    const ride = await loadOwnRide(req, res);
+    if (!ride) return;
+    res.json({ message: 'Boarding started', ride: await startBoarding(ride) });
+  } catch (err) {
+    handleError(res, err, 'Start boarding');
+  }
+});
+
+router.post('/:id/start', protect, async (req, res) => {
+  try {
+    const ride = await loadOwnRide(req, res);
+    if (!ride) return;
+    res.json({ message: 'Ride started', ride: await startRide(ride) });
+  } catch (err) {
+    handleError(res, err, 'Start ride');
+  }
+});
+
+router.post('/:id/complete', protect, async (req, res) => {
+  try {
+    const ride = await loadOwnRide(req, res);
+    if (!ride) return;
+    const result = await completeRide(ride);
+    res.json({ message: 'Ride completed', ride: result.ride, paymentsCaptured: result.captured });
+  } catch (err) {
+    handleError(res, err, 'Complete ride');
+  }
+});
+
+router.post('/:id/bookings/:bookingId/boarded', protect, async (req, res) => {
+  try {
+    const ride = await loadOwnRide(req, res);
+    if (!ride) return;
+    const booking = await markBoarding(ride, req.params.bookingId, 'boarded');
+    res.json({ message: 'Passenger boarded', booking });
+  } catch (err) {
+    handleError(res, err, 'Mark boarded');
+  }
+});
+
+router.post('/:id/bookings/:bookingId/no-show', protect, async (req, res) => {
+  try {
+    const ride = await loadOwnRide(req, res);
+    if (!ride) return;
+    const booking = await markBoarding(ride, req.params.bookingId, 'no_show');
+    res.json({ message: 'Passenger marked as no-show', booking });
+  } catch (err) {
+    handleError(res, err, 'Mark no-show');
+  }
+});
+
+export default router;
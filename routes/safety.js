@@ -0,0 +1,194 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import rateLimit from 'express-rate-limit';
+import Ride from '../models/Ride.js';
+import User from '../models/User.js';
+import SafetyIncident from '../models/SafetyIncident.js';
+import ShareLink from '../models/ShareLink.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { shareLinkUrl } from '../services/email/templates.js';
+import {
+  SafetyError,
+  parseContact,
+  assertContactQuota,
+  createShareLink,
+  resolveShareLink,
+  sharedRideView,
+  raiseSos,
+} from '../services/safety.js';
+
+// Safety tooling: trusted contacts, SOS alerts and public trip sharing links
+const router = express.Router();
+
+// Public share links are unauthenticated: keep token guessing and scraping slow
+const shareViewLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 30,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { message: 'Too many requests, please try again later' },
+});
+
+const handleError = (res, err, label) => {
+  if (err instanceof SafetyError) return res.status(err.status).json({ message: err.message });
+  console.error(`${label} error:`, err);
+  res.status(500).json({ message: 'Server error' });
+};
+
+// ----- Trusted contacts -----
+
+router.get('/contacts', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('trustedContacts');
+    res.json({ contacts: user.trustedContacts });
+  } catch (err) {
+    handleError(res, err, 'List trusted contacts');
+  }
+});
+
+// Add a contact: { name, email?, phone?, relationship? }
+router.post('/contacts', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('trustedContacts');
+    assertContactQuota(user);
+    user.trustedContacts.push(parseContact(req.body));
+    await user.save();
+    res.status(201).json({ message: 'Trusted contact added', contact: user.trustedContacts.at(-1) });
+  } catch (err) {
+    handleError(res, err, 'Add trusted contact');
+  }
+});
+
+router.put('/contacts/:contactId', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('trustedContacts');
+    const contact = mongoose.Types.ObjectId.isValid(req.params.contactId)
+      ? user.trustedContacts.id(req.params.contactId)
+      : null;
+    if (!contact) return res.status(404).json({ message: 'Contact not found' });
+    const fields = parseContact(req.body, contact.toObject());
+    for (const key of ['email', 'phone', 'relationship']) {
+      if (fields[key] === undefined) contact.set(key, undefined);
+    }
+    contact.set(fields);
+    await user.save();
+    res.json({ message: 'Trusted contact updated', contact });
+  } catch (err) {
+    handleError(res, err, 'Update trusted contact');
+  }
+});
+
+router.delete('/contacts/:contactId', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('trustedContacts');
+    const contact = mongoose.Types.ObjectId.isValid(req.params.contactId)
+      ? user.trustedContacts.id(req.params.contactId)
+      : null;
+    if (!contact) return res.status(404).json({ message: 'Contact not found' });
+    contact.deleteOne();
+    await user.save();
+    res.json({ message: 'Trusted contact removed' });
+  } catch (err) {
+    handleError(res, err, 'Remove trusted contact');
+  }
+});
+
+// ----- SOS -----
+
+// Raise an SOS: { rideId?, coordinates?: { lat, lng }, message? }
+router.post('/sos', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('name trustedContacts');
+    const { incident, duplicate } = await raiseSos(user, req.body);
+    res.status(duplicate ? 200 : 201).json({
+      message: duplicate ? 'SOS already raised, details updated' : 'SOS raised, help has been alerted',
+      incident,
+    });
+  } catch (err) {
+    handleError(res, err, 'Raise SOS');
+  }
+});
+
+// My SOS history
+router.get('/sos', protect, async (req, res) => {
+  try {
+    const incidents = await SafetyIncident.find({ reporter: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .select('-acknowledgedBy -resolvedBy');
+    res.json({ incidents });
+  } catch (err) {
+    handleError(res, err, 'List SOS incidents');
+  }
+});
+
+// ----- Trip sharing -----
+
+// Create a link anyone can open to follow a ride I'm driving or booked on
+router.post('/rides/:rideId/share', protect, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.rideId)) {
+      return res.status(400).json({ message: 'Invalid ride id' });
+    }
+    const ride = await Ride.findById(req.params.rideId).select('driver status');
+    if (!ride) return res.status(404).json({ message: 'Ride not found' });
+    const { shareLink, token } = await createShareLink(ride, req.user._id);
+    res.status(201).json({
+      message: 'Share link created',
+      shareLink: { id: shareLink._id, ride: shareLink.ride, expiresAt: shareLink.expiresAt },
+      token,
+      url: shareLinkUrl(token),
+    });
+  } catch (err) {
+    handleError(res, err, 'Create share link');
+  }
+});
+
+// My links that still work
+router.get('/shares', protect, async (req, res) => {
+  try {
+    const shareLinks = await ShareLink.find({
+      createdBy: req.user._id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() },
+    })
+      .sort({ createdAt: -1 })
+      .select('-tokenHash')
+      .populate('ride', 'startLocation destination departureTime status');
+    res.json({ shareLinks });
+  } catch (err) {
+    handleError(res, err, 'List share links');
+  }
+});
+
+router.delete('/shares/:id', protect, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid share link id' });
+    }
+    const result = await ShareLink.updateOne(
+      { _id: req.params.id, createdBy: req.user._id, revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date() } }
+    );
+    if (!result.matchedCount) return res.status(404).json({ message: 'Share link not found' });
+    res.json({ message: 'Share link revoked' });
+  } catch (err) {
+    handleError(res, err, 'Revoke share link');
+  }
+});
+
+// Public: the shared ride's progress. Live updates come over the socket with share:join.
+router.get('/shared/:token', shareViewLimiter, async (req, res) => {
+  try {
+    const shareLink = await resolveShareLink(req.params.token);
+    if (!shareLink) return res.status(404).json({ message: 'This link is invalid or has expired' });
+    const ride = await sharedRideView(shareLink.ride);
+    if (!ride) return res.status(404).json({ message: 'This link is invalid or has expired' });
+    await ShareLink.updateOne({ _id: shareLink._id }, { $inc: { viewCount: 1 } });
+    res.json({ ride, expiresAt: shareLink.expiresAt });
+  } catch (err) {
+    handleError(res, err, 'View shared ride');
+  }
+});
+
+export default router;
@@ -0,0 +1,197 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import RideTemplate from '../models/RideTemplate.js';
+import Ride from '../models/Ride.js';
+import { protect, requireVerifiedEmail, requireApprovedDriver } from '../middleware/authMiddleware.js';
+import { toPoint, parseWaypoints } from '../utils/geo.js';
+import {
+  isDateString,
+  generateRides,
+  applyTemplateChange,
+  cancelFutureRides,
+} from '../services/schedules.js';
+import { VehicleError, resolveDriverVehicle, assertCapacity } from '../services/vehicles.js';
+import { PricingError, parsePriceRules } from '../services/pricing.js';
+
+const router = express.Router();
+
+const FREQUENCIES = ['daily', 'weekdays', 'weekly'];
+const EDITABLE_FIELDS = ['startLocation', 'destination', 'departureTime', 'utcOffsetMinutes', 'availableSeats', 'price', 'bookingMode',
+  'cancellationPolicy'];
+
+// Validate and normalise a recurrence rule from the request body
+const parseRecurrence = (raw) => {
+  if (!raw || !FREQUENCIES.includes(raw.frequency)) return null;
+  if (!isDateString(raw.startDate)) return null;
+  if (raw.until !== undefined && raw.until !== null && !isDateString(raw.until)) return null;
+  if (raw.until && raw.until < raw.startDate) return null;
+  let daysOfWeek = [];
+  if (raw.frequency === 'weekly') {
+    if (!Array.isArray(raw.daysOfWeek) || !raw.daysOfWeek.length) return null;
+    daysOfWeek = [...new Set(raw.daysOfWeek.map(Number))].sort();
+    if (daysOfWeek.some(d => !Number.isInteger(d) || d < 0 || d > 6)) return null;
+  }
+  return { frequency: raw.frequency, daysOfWeek, startDate: raw.startDate, until: raw.until || undefined };
+};
+
+// Load a schedule owned by the current driver, or send the error response
+const loadOwnTemplate = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: 'Invalid schedule id' });
+    return null;
+  }
+  const template = await RideTemplate.findById(req.params.id);
+  if (!template) {
+    res.status(404).json({ message: 'Schedule not found' });
+    return null;
+  }
+  if (template.driver.toString() !== req.user._id.toString()) {
+    res.status(403).json({ message: 'Not authorized' });
+    return null;
+  }
+  return template;
+};
+
+// Create a recurring schedule (Driver only) and generate its first rides
+router.post('/', protect, requireVerifiedEmail, requireApprovedDriver, async (req, res) => {
+  try {
+    const { startLocation, destination, departureTime, utcOffsetMinutes, availableSeats, price,
+      bookingMode, cancellationPolicy, startCoordinates, destinationCoordinates, vehicleId } = req.body;
+    const vehicle = await resolveDriverVehicle(req.user._id, vehicleId);
+    assertCapacity(vehicle, availableSeats);
+    const priceRules = parsePriceRules(req.body.priceRules);
+    const recurrence = parseRecurrence(req.body.recurrence);
+    if (!recurrence) return res.status(400).json({ message: 'Invalid recurrence rule' });
+
+    const startPoint = toPoint(startCoordinates);
+    const destinationPoint = toPoint(destinationCoordinates);
+    if ((startCoordinates && !startPoint) || (destinationCoordinates && !destinationPoint)) {
+      return res.status(400).json({ message: 'Invalid coordinates' });
+    }
+    const waypoints = parseWaypoints(req.body.waypoints);
+    if (!waypoints) return res.status(400).json({ message: 'Invalid waypoint' });
+
+    const template = new RideTemplate({
+      driver: req.user._id,
+      vehicle: vehicle._id,
+      startLocation,
+      destination,
+      startPoint: startPoint || undefined,
+      destinationPoint: destinationPoint || undefined,
+      waypoints,
+      departureTime,
+      utcOffsetMinutes,
+      availableSeats,
+      price,
+      priceRules,
+      bookingMode,
+      cancellationPolicy,
+      recurrence,
+    });
+    try {
+      await template.validate();
+    } catch (e) {
+      return res.status(400).json({ message: 'Invalid schedule', error: e.message });
+    }
+    await template.save();
+    const created = await generateRides(template);
+    res.status(201).json({ message: 'schedule created', schedule: template, ridesCreated: created });
+  } catch (err) {
+    if (err instanceof VehicleError || err instanceof PricingError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Create schedule error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List my schedules
+router.get('/', protect, async (req, res) => {
+  try {
+    const schedules = await RideTemplate.find({ driver: req.user._id }).sort({ createdAt: -1 });
+    res.json({ schedules });
+  } catch (err) {
+    console.error('List schedules error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// A schedule with its upcoming generated rides
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const template = await loadOwnTemplate(req, res);
+    if (!template) return;
+    const rides = await Ride.find({ template: template._id, departureTime: { $gt: new Date() } })
+      .sort({ departureTime: 1 });
+    res.json({ schedule: template, rides });
+  } catch (err) {
+    console.error('Get schedule error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Edit the series: applies to future occurrences without bookings only
+router.put('/:id', protect, async (req, res) => {
+  try {
+    const template = await loadOwnTemplate(req, res);
+    if (!template) return;
+    if (template.status !== 'active') {
+      return res.status(400).json({ message: 'Schedule is cancelled' });
+    }
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) template[field] = req.body[field];
+    }
+    if (req.body.recurrence !== undefined) {
+      const recurrence = parseRecurrence(req.body.recurrence);
+      if (!recurrence) return res.status(400).json({ message: 'Invalid recurrence rule' });
+      template.recurrence = recurrence;
+    }
+    if (req.body.waypoints !== undefined) {
+      const waypoints = parseWaypoints(req.body.waypoints);
+      if (!waypoints) return res.status(400).json({ message: 'Invalid waypoint' });
+      template.waypoints = waypoints;
+    }
+    if (req.body.priceRules !== undefined) template.priceRules = parsePriceRules(req.body.priceRules);
+    // Switching car or seat count must still fit the (possibly new) vehicle
+    if (req.body.vehicleId !== undefined || req.body.availableSeats !== undefined || !template.vehicle) {
+      const vehicle = await resolveDriverVehicle(req.user._id, req.body.vehicleId || template.vehicle);
+      assertCapacity(vehicle, template.availableSeats);
+      template.vehicle = vehicle._id;
+    }
+    try {
+      await template.validate();
+    } catch (e) {
+      return res.status(400).json({ message: 'Invalid schedule', error: e.message });
+    }
+    await template.save();
+    const { replaced, created } = await applyTemplateChange(template);
+    res.json({ message: 'schedule updated', schedule: template, ridesReplaced: replaced, ridesCreated: created });
+  } catch (err) {
+    if (err instanceof VehicleError || err instanceof PricingError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Update schedule error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Cancel the series: future occurrences without bookings are cancelled, booked rides stay
+router.post('/:id/cancel', protect, async (req, res) => {
+  try {
+    const template = await loadOwnTemplate(req, res);
+    if (!template) return;
+    if (template.status === 'canceled') {
+      return res.status(400).json({ message: 'Schedule already cancelled' });
+    }
+    template.status = 'canceled';
+    template.canceledAt = new Date();
+    await template.save();
+    const canceled = await cancelFutureRides(template);
+    res.json({ message: 'schedule cancelled', schedule: template, ridesCanceled: canceled });
+  } catch (err) {
+    console.error('Cancel schedule error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,83 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Ride from '../models/Ride.js';
+import Booking, { CONFIRMED_STATUSES } from '../models/Booking.js';
+import TripPoint from '../models/TripPoint.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { TRACKED_STATUSES, pickupEta, canWatchRide } from '../services/tracking.js';
+
+// Live trip tracking over REST: the recorded trace of a ride and a passenger's pickup ETA
+const router = express.Router();
+
+const MAX_TRACE_POINTS = 5000;
+
+// Trace of a ride, for its driver, its passengers and admins
+router.get('/:id/trace', protect, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid ride id' });
+    }
+    const ride = await Ride.findById(req.params.id).select('driver status lastLocation').lean();
+    if (!ride) return res.status(404).json({ message: 'Ride not found' });
+    if (!(await canWatchRide(ride, req.user))) return res.status(403).json({ message: 'Not authorized' });
+
+    const points = await TripPoint.find({ ride: ride._id })
+      .sort({ recordedAt: 1 })
+      .limit(MAX_TRACE_POINTS)
+      .lean();
+    res.json({
+      rideId: ride._id,
+      status: ride.status,
+      lastLocation: ride.lastLocation?.point ? ride.lastLocation : null,
+      points: points.map((p) => ({
+        lat: p.location.coordinates[1],
+        lng: p.location.coordinates[0],
+        speed: p.speed,
+        heading: p.heading,
+        accuracy: p.accuracy,
+        at: p.recordedAt,
+      })),
+    });
+  } catch (err) {
+    console.error('Ride trace error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Current pickup ETA for the signed-in passenger, from the driver's last known position
+router.get('/:id/eta', protect, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid ride id' });
+    }
+    const ride = await Ride.findById(req.params.id)
+      .select('status startLocation startPoint destination destinationPoint waypoints lastLocation')
+      .lean();
+    if (!ride) return res.status(404).json({ message: 'Ride not found' });
+
+    const booking = await Booking.findOne({
+      ride: ride._id,
+      passenger: req.user._id,
+      status: { $in: CONFIRMED_STATUSES },
+    }).select('fromStop toStop boardingStatus');
+    if (!booking) return res.status(403).json({ message: 'Not authorized' });
+    if (booking.boardingStatus) {
+      return res.status(409).json({ message: `Passenger already marked ${booking.boardingStatus}` });
+    }
+    if (!TRACKED_STATUSES.includes(ride.status) || !ride.lastLocation?.point) {
+      return res.status(409).json({ message: 'Driver location is not available yet' });
+    }
+
+    const eta = pickupEta(ride, booking, {
+      coordinates: ride.lastLocation.point.coordinates,
+      speed: ride.lastLocation.speed,
+    });
+    if (!eta) return res.status(409).json({ message: 'Pickup stop has no coordinates' });
+    res.json({ ...eta, locationAt: ride.lastLocation.at });
+  } catch (err) {
+    console.error('Ride ETA error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+export default router;
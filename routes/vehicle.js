@@ -0,0 +1,113 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Vehicle, { AMENITIES } from '../models/Vehicle.js';
+import Ride from '../models/Ride.js';
+import RideTemplate from '../models/RideTemplate.js';
+import { protect, requireRole } from '../middleware/authMiddleware.js';
+import { VehicleError, parseVehicle } from '../services/vehicles.js';
+
+const router = express.Router();
+
+router.use(protect, requireRole('driver'));
+
+// Load one of my active vehicles, or send the error response
+const loadOwnVehicle = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: 'Invalid vehicle id' });
+    return null;
+  }
+  const vehicle = await Vehicle.findOne({ _id: req.params.id, active: true });
+  if (!vehicle) {
+    res.status(404).json({ message: 'Vehicle not found' });
+    return null;
+  }
+  if (vehicle.owner.toString() !== req.user._id.toString()) {
+    res.status(403).json({ message: 'Not authorized' });
+    return null;
+  }
+  return vehicle;
+};
+
+const sendVehicleError = (res, err) => {
+  if (err instanceof VehicleError) {
+    res.status(err.status).json({ message: err.message });
+    return true;
+  }
+  if (err?.code === 11000) {
+    res.status(409).json({ message: 'A vehicle with this plate is already registered' });
+    return true;
+  }
+  return false;
+};
+
+// My vehicles (plus the amenity list for forms)
+router.get('/', async (req, res) => {
+  try {
+    const vehicles = await Vehicle.find({ owner: req.user._id, active: true }).sort({ createdAt: 1 });
+    res.json({ vehicles, amenities: AMENITIES });
+  } catch (err) {
+    console.error('List vehicles error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a vehicle: { make, model, plate, colour?, seats, amenities? }
+router.post('/', async (req, res) => {
+  try {
+    const fields = parseVehicle(req.body);
+    const vehicle = await Vehicle.create({ ...fields, owner: req.user._id });
+    res.status(201).json({ message: 'vehicle added', vehicle });
+  } catch (err) {
+    if (sendVehicleError(res, err)) return;
+    console.error('Add vehicle error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Edit a vehicle. Seats can't drop below what upcoming rides or active schedules offer.
+router.put('/:id', async (req, res) => {
+  try {
+    const vehicle = await loadOwnVehicle(req, res);
+    if (!vehicle) return;
+    const fields = parseVehicle(req.body, { partial: true });
+    if (fields.seats !== undefined && fields.seats < vehicle.seats) {
+      const [upcoming, schedule] = await Promise.all([
+        Ride.exists({ vehicle: vehicle._id, status: { $in: ['scheduled', 'boarding'] } }),
+        RideTemplate.exists({ vehicle: vehicle._id, status: 'active', availableSeats: { $gt: fields.seats } }),
+      ]);
+      if (upcoming || schedule) {
+        return res.status(409).json({ message: 'Seats cannot be reduced while upcoming rides or schedules use this vehicle' });
+      }
+    }
+    vehicle.set(fields);
+    await vehicle.save();
+    res.json({ message: 'vehicle updated', vehicle });
+  } catch (err) {
+    if (sendVehicleError(res, err)) return;
+    console.error('Update vehicle error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Retire a vehicle; refused while it still has upcoming rides or an active schedule
+router.delete('/:id', async (req, res) => {
+  try {
+    const vehicle = await loadOwnVehicle(req, res);
+    if (!vehicle) return;
+    const [upcoming, schedule] = await Promise.all([
+      Ride.exists({ vehicle: vehicle._id, status: { $in: ['scheduled', 'boarding', 'in_progress'] } }),
+      RideTemplate.exists({ vehicle: vehicle._id, status: 'active' }),
+    ]);
+    if (upcoming || schedule) {
+      return res.status(409).json({ message: 'This vehicle still has upcoming rides or schedules' });
+    }
+    vehicle.active = false;
+    await vehicle.save();
+    res.json({ message: 'vehicle removed' });
+  } catch (err) {
+    console.error('Remove vehicle error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,148 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Ride from '../models/Ride.js';
+import WaitlistEntry, { OPEN_WAITLIST_STATUSES } from '../models/WaitlistEntry.js';
+import { protect, requireVerifiedEmail } from '../middleware/authMiddleware.js';
+import { claimWaitlistOffer } from '../services/bookings.js';
+import { PricingError, parseExtras, quoteBooking } from '../services/pricing.js';
+import {
+  WaitlistError,
+  waitlistPosition,
+  joinWaitlist,
+  withdrawOffer,
+  leaveWaitlist,
+} from '../services/waitlist.js';
+
+const router = express.Router();
+
+// Load one of my waitlist entries, or send the error response
+const loadOwnEntry = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.entryId)) {
+    res.status(400).json({ message: 'Invalid waitlist entry id' });
+    return null;
+  }
+  const entry = await WaitlistEntry.findById(req.params.entryId);
+  if (!entry || entry.passenger.toString() !== req.user._id.toString()) {
+    res.status(404).json({ message: 'Waitlist entry not found' });
+    return null;
+  }
+  return entry;
+};
+
+// My waitlist entries that are still open, with queue positions
+router.get('/waitlist', protect, async (req, res) => {
+  try {
+    const entries = await WaitlistEntry.find({ passenger: req.user._id, status: { $in: OPEN_WAITLIST_STATUSES } })
+      .sort({ createdAt: -1 })
+      .populate('ride', 'startLocation destination departureTime status');
+    const withPositions = await Promise.all(entries.map(async (e) => ({
+      ...e.toObject(),
+      position: await waitlistPosition(e),
+    })));
+    res.json({ entries: withPositions });
+  } catch (err) {
+    console.error('List waitlist error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Join the waitlist of a full ride: { seats?, fromStop?, toStop?, children?, luggage? }
+router.post('/:rideId/waitlist', protect, requireVerifiedEmail, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.rideId)) {
+      return res.status(400).json({ message: 'Invalid ride id' });
+    }
+    const ride = await Ride.findById(req.params.rideId);
+    if (!ride) return res.status(404).json({ message: 'Ride not found' });
+    const seats = Math.max(1, parseInt(req.body.seats) || 1);
+    const extras = parseExtras(req.body);
+    quoteBooking(ride, { seats, ...extras }); // validates the extras; the real quote is made on claim
+    const { entry, position } = await joinWaitlist(ride, req.user._id, {
+      seats,
+      ...extras,
+      fromStop: req.body.fromStop,
+      toStop: req.body.toStop,
+    });
+    res.status(201).json({ message: 'Added to waitlist', entry, position });
+  } catch (err) {
+    if (err instanceof WaitlistError || err instanceof PricingError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Join waitlist error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// The ride's queue for its driver; a passenger gets only their own entry and position
+router.get('/:rideId/waitlist', protect, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.rideId)) {
+      return res.status(400).json({ message: 'Invalid ride id' });
+    }
+    const ride = await Ride.findById(req.params.rideId).select('driver');
+    if (!ride) return res.status(404).json({ message: 'Ride not found' });
+
+    if (ride.driver.toString() === req.user._id.toString()) {
+      const entries = await WaitlistEntry.find({ ride: ride._id, status: { $in: OPEN_WAITLIST_STATUSES } })
+        .sort({ createdAt: 1 })
+        .populate('passenger', 'name ratings.asPassenger.average');
+      return res.json({ entries });
+    }
+    const entry = await WaitlistEntry.findOne({
+      ride: ride._id,
+      passenger: req.user._id,
+      status: { $in: OPEN_WAITLIST_STATUSES },
+    });
+    if (!entry) return res.status(404).json({ message: 'You are not on the waitlist for this ride' });
+    res.json({ entry, position: await waitlistPosition(entry) });
+  } catch (err) {
+    console.error('Get waitlist error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Claim offered seats; they become a booking (a request, for request-to-book rides)
+router.post('/waitlist/:entryId/claim', protect, requireVerifiedEmail, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.entryId)) {
+      return res.status(400).json({ message: 'Invalid waitlist entry id' });
+    }
+    const { booking, payment, ride } = await claimWaitlistOffer(req.params.entryId, req.user);
+    const message = booking.status === 'pending' ? 'Booking requested' : 'Ride booked';
+    res.status(201).json({ message, ride, booking, payment });
+  } catch (err) {
+    if (err instanceof WaitlistError) return res.status(err.status).json({ message: err.message });
+    console.error('Claim waitlist offer error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Turn an offer down but stay out of the queue; the seats go to the next person
+router.post('/waitlist/:entryId/decline', protect, async (req, res) => {
+  try {
+    const entry = await loadOwnEntry(req, res);
+    if (!entry) return;
+    const declined = await withdrawOffer(entry._id, 'declined');
+    if (!declined) return res.status(409).json({ message: 'There is no open offer to decline' });
+    res.json({ message: 'Offer declined', entry: declined });
+  } catch (err) {
+    console.error('Decline waitlist offer error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Leave the waitlist (gives up a pending offer too)
+router.delete('/waitlist/:entryId', protect, async (req, res) => {
+  try {
+    const entry = await loadOwnEntry(req, res);
+    if (!entry) return;
+    const left = await leaveWaitlist(entry);
+    if (!left) return res.status(409).json({ message: `Entry is already ${entry.status}` });
+    res.json({ message: 'Left the waitlist' });
+  } catch (err) {
+    console.error('Leave waitlist error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+export default router;
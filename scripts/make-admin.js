@@ -0,0 +1,30 @@
+// Promote an existing account to admin. Admins cannot be created through the API,
+// so the first one has to be bootstrapped from the server.
+// Usage: MONGODB_URI=... node scripts/make-admin.js user@example.com
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { connectDB } from '../config/db.js';
+import User from '../models/User.js';
+
+dotenv.config();
+
+const run = async () => {
+  const email = process.argv[2];
+  if (!email) {
+    console.error('Usage: node scripts/make-admin.js <email>');
+    process.exit(1);
+  }
+  await connectDB(process.env.MONGODB_URI);
+  const user = await User.findOneAndUpdate(
+    { email },
+    { $set: { role: 'admin' } },
+    { new: true }
+  );
+  console.log(user ? `${user.email} is now an admin` : `No user with email ${email}`);
+  await mongoose.disconnect();
+};
+
+run().catch((err) => {
+  console.error('make-admin failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,25 @@
+// Offering rides now requires an approved driver verification. Drivers who signed up
+// before it existed are treated as approved so they can keep creating rides and their
+// schedules keep generating.
+// Usage: MONGODB_URI=... node scripts/migrations/20261019-approve-existing-drivers.js
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { connectDB } from '../../config/db.js';
+
+dotenv.config();
+
+const run = async () => {
+  await connectDB(process.env.MONGODB_URI);
+  const users = mongoose.connection.collection('users');
+  const result = await users.updateMany(
+    { role: 'driver', driverStatus: { $exists: false } },
+    { $set: { driverStatus: 'approved' } }
+  );
+  console.log(`Existing drivers marked approved: ${result.modifiedCount}`);
+  await mongoose.disconnect();
+};
+
+run().catch((err) => {
+  console.error('Migration failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,24 @@
+// Email verification is now required to book or offer rides. Accounts created before
+// it existed are treated as verified so they keep working.
+// Usage: MONGODB_URI=... node scripts/migrations/20261019-mark-existing-users-verified.js
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { connectDB } from '../../config/db.js';
+
+dotenv.config();
+
+const run = async () => {
+  await connectDB(process.env.MONGODB_URI);
+  const users = mongoose.connection.collection('users');
+  const result = await users.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+  );
+  console.log(`Existing users marked verified: ${result.modifiedCount}`);
+  await mongoose.disconnect();
+};
+
+run().catch((err) => {
+  console.error('Migration failed:', err);
+  process.exit(1);
+});
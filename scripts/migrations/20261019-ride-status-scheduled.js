@@ -0,0 +1,20 @@
+// Rides used to be "active" until completed/canceled; the lifecycle now calls that state "scheduled".
+// Usage: MONGODB_URI=... node scripts/migrations/20261019-ride-status-scheduled.js
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { connectDB } from '../../config/db.js';
+
+dotenv.config();
+
+const run = async () => {
+  await connectDB(process.env.MONGODB_URI);
+  const rides = mongoose.connection.collection('rides');
+  const result = await rides.updateMany({ status: 'active' }, { $set: { status: 'scheduled' } });
+  console.log(`Rides migrated to "scheduled": ${result.modifiedCount}`);
+  await mongoose.disconnect();
+};
+
+run().catch((err) => {
+  console.error('Migration failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,56 @@
+// Rides now reference a Vehicle. Give every driver that only has the old inline
+// driverProfile car a Vehicle and attach it to their upcoming rides and active schedules.
+// Usage: MONGODB_URI=... node scripts/migrations/20261019-vehicles-from-driver-profiles.js
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { connectDB } from '../../config/db.js';
+import User from '../../models/User.js';
+import Vehicle from '../../models/Vehicle.js';
+import Ride from '../../models/Ride.js';
+import RideTemplate from '../../models/RideTemplate.js';
+import { normalisePlate } from '../../services/vehicles.js';
+
+dotenv.config();
+
+const run = async () => {
+  await connectDB(process.env.MONGODB_URI);
+  const drivers = await User.find({ role: 'driver', 'driverProfile.carPlate': { $exists: true } })
+    .select('driverProfile');
+  let created = 0;
+  let skipped = 0;
+  for (const driver of drivers) {
+    if (await Vehicle.exists({ owner: driver._id })) continue;
+    const { carModel = '', carPlate, seatsAvailable } = driver.driverProfile;
+    const [make, ...rest] = carModel.trim().split(/\s+/);
+    let vehicle;
+    try {
+      vehicle = await Vehicle.create({
+        owner: driver._id,
+        make: make || 'Unknown',
+        model: rest.join(' ') || make || 'Unknown',
+        plate: normalisePlate(carPlate),
+        seats: Math.min(8, Math.max(1, Number(seatsAvailable) || 4)),
+      });
+    } catch (err) {
+      console.error(`Driver ${driver._id}: could not create vehicle (${err.message})`);
+      skipped++;
+      continue;
+    }
+    created++;
+    await Ride.updateMany(
+      { driver: driver._id, vehicle: { $exists: false }, status: { $in: ['scheduled', 'boarding'] } },
+      { $set: { vehicle: vehicle._id } }
+    );
+    await RideTemplate.updateMany(
+      { driver: driver._id, vehicle: { $exists: false }, status: 'active' },
+      { $set: { vehicle: vehicle._id } }
+    );
+  }
+  console.log(`Vehicles created: ${created}, skipped: ${skipped}`);
+  await mongoose.disconnect();
+};
+
+run().catch((err) => {
+  console.error('Migration failed:', err);
+  process.exit(1);
+});
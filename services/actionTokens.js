@@ -0,0 +1,57 @@
+import jwt from 'jsonwebtoken';
+import { v4 as uuidv4 } from 'uuid';
+import ActionToken from '../models/ActionToken.js';
+
+// Keeps emailed tokens apart from access tokens signed with the same secret
+const AUDIENCE = 'action';
+
+// Lifetime of each kind of emailed token, in minutes
+const TTL_MINUTES = {
+  verify_email: () => parseInt(process.env.EMAIL_VERIFY_TOKEN_TTL_MINUTES) || 24 * 60,
+  reset_password: () => parseInt(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES) || 30,
+};
+
+/**
+ * Issue a signed, expiring, single-use token for `purpose`. Any earlier unused token
+ * of the same purpose for the user stops working.
+ */
+const issueActionToken = async (userId, purpose) => {
+  const ttlMinutes = TTL_MINUTES[purpose]();
+  const jti = uuidv4();
+  await ActionToken.updateMany(
+    { user: userId, purpose, usedAt: { $exists: false } },
+    { $set: { usedAt: new Date() } }
+  );
+  await ActionToken.create({
+    user: userId,
+    purpose,
+    jti,
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+  });
+  return jwt.sign({ sub: String(userId), purpose, jti }, process.env.JWT_SECRET, {
+    expiresIn: ttlMinutes * 60,
+    audience: AUDIENCE,
+  });
+};
+
+/**
+ * Verify and burn a token. Resolves to the user id, or null if the token is invalid,
+ * expired, meant for another purpose or already used.
+ */
+const consumeActionToken = async (token, purpose) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(token || ''), process.env.JWT_SECRET, { audience: AUDIENCE });
+  } catch {
+    return null;
+  }
+  if (decoded.purpose !== purpose || !decoded.jti) return null;
+  const record = await ActionToken.findOneAndUpdate(
+    { jti: decoded.jti, purpose, user: decoded.sub, usedAt: { $exists: false }, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+  return record ? record.user.toString() : null;
+};
+
+export { issueActionToken, consumeActionToken };
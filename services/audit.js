@@ -0,0 +1,25 @@
+import AuditLog from '../models/AuditLog.js';
+
+/**
+ * Record what an admin did to which target; `req` supplies the actor and client details.
+ * Called once the action has been applied, so it never throws: a failed write is logged
+ * and resolves to null rather than turning a completed action into an error response.
+ */
+const recordAudit = async (req, action, targetType, targetId, details) => {
+  try {
+    return await AuditLog.create({
+      actor: req.user._id,
+      action,
+      targetType,
+      targetId,
+      details,
+      ip: req.ip,
+      userAgent: (req.headers['user-agent'] || '').slice(0, 300),
+    });
+  } catch (err) {
+    console.error(`Audit log error (${action} ${targetType} ${targetId}):`, err);
+    return null;
+  }
+};
+
+export { recordAudit };
@@ -0,0 +1,182 @@
+import Booking from '../models/Booking.js';
+import Ride from '../models/Ride.js';
+import WaitlistEntry from '../models/WaitlistEntry.js';
+import { bookingLegs, getStops, releaseSeats } from './seats.js';
+import { notify } from './notify.js';
+import { authorizeBooking, voidPayment } from './payments/index.js';
+import { WaitlistError, offerWaitlistedSeats } from './waitlist.js';
+import { quoteBooking } from './pricing.js';
+import { releaseDiscounts } from './promotions.js';
+
+// How long a driver has to answer a booking request
+const requestTtlMinutes = () => Math.max(1, parseInt(process.env.BOOKING_REQUEST_TTL_MINUTES) || 60);
+
+// A request lapses after the TTL, or at departure if that comes first
+const requestExpiry = (ride, now = new Date()) => {
+  const ttlEnd = new Date(now.getTime() + requestTtlMinutes() * 60 * 1000);
+  return ride.departureTime && ride.departureTime < ttlEnd ? new Date(ride.departureTime) : ttlEnd;
+};
+
+/**
+ * Atomically move a booking out of `fromStatus` (string or array) into `toStatus`
+ * and give its seats back to the ride, offering them to the waitlist. Any promo use or
+ * ride credit on the booking is given back. Resolves to the updated booking, or null if
+ * the booking was no longer in `fromStatus` (someone else got there first).
+ */
+const releaseBooking = async (bookingId, fromStatus, toStatus, set = {}) => {
+  const booking = await Booking.findOneAndUpdate(
+    { _id: bookingId, status: { $in: [].concat(fromStatus) } },
+    { $set: { status: toStatus, ...set }, $unset: { expiresAt: 1 } },
+    { new: true }
+  );
+  if (!booking) return null;
+  const ride = await Ride.findById(booking.ride).select('waypoints');
+  if (ride) {
+    await releaseSeats(booking.ride, { ...bookingLegs(booking, ride), seats: booking.seatsBooked });
+    try {
+      await offerWaitlistedSeats(booking.ride);
+    } catch (err) {
+      console.error(`Waitlist offer for ride ${booking.ride} failed:`, err);
+    }
+  }
+  try {
+    await releaseDiscounts(booking._id);
+  } catch (err) {
+    console.error(`Releasing discounts for booking ${booking._id} failed:`, err);
+  }
+  return booking;
+};
+
+/**
+ * Undo a failed claim: the seats go back to being held by the offer (not released), so the
+ * passenger can try again until it expires.
+ */
+const reopenOffer = async (entry, booking) => {
+  if (booking) {
+    await Booking.updateOne({ _id: booking._id }, { $set: { status: 'cancelled' }, $unset: { expiresAt: 1 } });
+  }
+  await WaitlistEntry.updateOne({ _id: entry._id, status: 'claimed' }, { $set: { status: 'offered' } });
+};
+
+/**
+ * Turn a waitlist offer into a booking. The seats are already held by the offer; the
+ * booking follows the ride's mode (pending for request-to-book rides), is priced at claim
+ * time and its payment is authorized like any other. Resolves to { booking, payment, ride }.
+ */
+const claimWaitlistOffer = async (entryId, passenger, now = new Date()) => {
+  // The offer's expiry stays until the booking is in place so a failed claim can reopen it
+  const entry = await WaitlistEntry.findOneAndUpdate(
+    { _id: entryId, passenger: passenger._id, status: 'offered', offerExpiresAt: { $gt: now } },
+    { $set: { status: 'claimed' } },
+    { new: true }
+  );
+  if (!entry) {
+    const existing = await WaitlistEntry.findOne({ _id: entryId, passenger: passenger._id });
+    if (!existing) throw new WaitlistError('Waitlist entry not found', 404);
+    throw new WaitlistError(
+      existing.status === 'offered' ? 'The offer has expired' : `There is no open offer (entry is ${existing.status})`,
+      409
+    );
+  }
+
+  let ride;
+  let booking;
+  let payment;
+  try {
+    ride = await Ride.findById(entry.ride).populate('driver', 'name email');
+    const pending = ride.bookingMode === 'request';
+    booking = await Booking.create({
+      ride: ride._id,
+      passenger: passenger._id,
+      seatsBooked: entry.seats,
+      fromStop: entry.fromStop,
+      toStop: entry.toStop,
+      quote: quoteBooking(ride, { seats: entry.seats, children: entry.children, luggage: entry.luggage }, now),
+      status: pending ? 'pending' : 'booked',
+      expiresAt: pending ? requestExpiry(ride, now) : undefined,
+    });
+    try {
+      payment = await authorizeBooking(booking, ride);
+    } catch (err) {
+      console.error('Payment authorization failed:', err);
+      throw new WaitlistError('Payment could not be authorized', 402);
+    }
+    await WaitlistEntry.updateOne(
+      { _id: entry._id },
+      { $set: { booking: booking._id }, $unset: { offerExpiresAt: 1 } }
+    );
+  } catch (err) {
+    // The booking is dropped, so an authorization it already got must not stay open
+    if (payment) {
+      try {
+        await voidPayment(booking._id);
+      } catch (voidErr) {
+        console.error(`Void payment for booking ${booking._id} failed:`, voidErr);
+      }
+    }
+    await reopenOffer(entry, booking);
+    throw err;
+  }
+  const pending = booking.status === 'pending';
+
+  const stops = getStops(ride);
+  const label = `${stops[entry.fromStop].name} to ${stops[entry.toStop].name}`;
+  await notify({
+    user: ride.driver._id,
+    room: 'driver',
+    template: pending ? 'booking.requested.driver' : 'booking.created.driver',
+    data: { passengerName: passenger.name, seats: entry.seats, segment: label, viaWaitlist: true },
+    ride: ride._id,
+    booking: booking._id,
+    extra: pending ? { expiresAt: booking.expiresAt } : {},
+  });
+  await notify({
+    user: passenger._id,
+    room: 'passenger',
+    template: pending ? 'booking.requested.passenger' : 'booking.created.passenger',
+    data: { seats: entry.seats, segment: label },
+    ride: ride._id,
+    booking: booking._id,
+  });
+  return { booking, payment, ride };
+};
+
+// Expire pending requests the driver did not answer in time and release their seats
+const expirePendingBookings = async (now = new Date()) => {
+  const due = await Booking.find({ status: 'pending', expiresAt: { $lte: now } })
+    .select('_id')
+    .limit(200);
+  let expired = 0;
+  for (const { _id } of due) {
+    const booking = await releaseBooking(_id, 'pending', 'expired');
+    if (!booking) continue;
+    expired += 1;
+    try {
+      await voidPayment(booking._id);
+    } catch (err) {
+      console.error(`Void payment for booking ${booking._id} failed:`, err);
+    }
+    const ride = await Ride.findById(booking.ride).select('driver destination');
+    if (!ride) continue;
+    await notify({
+      user: booking.passenger,
+      room: 'passenger',
+      template: 'booking.expired.passenger',
+      data: { seats: booking.seatsBooked, destination: ride.destination },
+      ride: ride._id,
+      booking: booking._id,
+    });
+    await notify({
+      user: ride.driver,
+      room: 'driver',
+      template: 'booking.expired.driver',
+      data: { seats: booking.seatsBooked },
+      ride: ride._id,
+      booking: booking._id,
+      extra: { seatsDelta: booking.seatsBooked },
+    });
+  }
+  return expired;
+};
+
+export { requestTtlMinutes, requestExpiry, releaseBooking, claimWaitlistOffer, expirePendingBookings };
@@ -0,0 +1,143 @@
+import { formatMoney } from '../utils/money.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Cancellation policies, picked per ride. Tiers are matched on hours left until
+ * departure: the first tier whose minHours is <= the time left applies.
+ *  refunds:         share of the booking refunded when the passenger cancels
+ *                   (the rest is kept as the cancellation fee)
+ *  driverPenalties: share of each confirmed booking charged to the driver when
+ *                   the driver cancels; passengers are always refunded in full
+ * Override any policy's tiers with CANCELLATION_POLICIES (JSON), e.g.
+ *  {"strict":{"refunds":[{"minHours":72,"refundPercent":100},{"minHours":0,"refundPercent":0}]}}
+ */
+const DEFAULT_POLICIES = {
+  flexible: {
+    refunds: [
+      { minHours: 24, refundPercent: 100 },
+      { minHours: 2, refundPercent: 90 },
+      { minHours: 0, refundPercent: 50 },
+    ],
+    driverPenalties: [
+      { minHours: 24, percent: 0 },
+      { minHours: 2, percent: 5 },
+      { minHours: 0, percent: 10 },
+    ],
+  },
+  moderate: {
+    refunds: [
+      { minHours: 48, refundPercent: 100 },
+      { minHours: 24, refundPercent: 75 },
+      { minHours: 6, refundPercent: 50 },
+      { minHours: 0, refundPercent: 25 },
+    ],
+    driverPenalties: [
+      { minHours: 48, percent: 0 },
+      { minHours: 24, percent: 10 },
+      { minHours: 0, percent: 20 },
+    ],
+  },
+  strict: {
+    refunds: [
+      { minHours: 168, refundPercent: 100 },
+      { minHours: 72, refundPercent: 50 },
+      { minHours: 24, refundPercent: 25 },
+      { minHours: 0, refundPercent: 0 },
+    ],
+    driverPenalties: [
+      { minHours: 168, percent: 0 },
+      { minHours: 72, percent: 10 },
+      { minHours: 24, percent: 20 },
+      { minHours: 0, percent: 30 },
+    ],
+  },
+};
+
+const POLICY_NAMES = Object.keys(DEFAULT_POLICIES);
+const DEFAULT_POLICY = 'moderate';
+
+const getPolicies = () => {
+  if (!process.env.CANCELLATION_POLICIES) return DEFAULT_POLICIES;
+  try {
+    const overrides = JSON.parse(process.env.CANCELLATION_POLICIES);
+    const merged = {};
+    for (const name of POLICY_NAMES) merged[name] = { ...DEFAULT_POLICIES[name], ...(overrides[name] || {}) };
+    return merged;
+  } catch (err) {
+    console.error('Invalid CANCELLATION_POLICIES, using defaults:', err.message);
+    return DEFAULT_POLICIES;
+  }
+};
+
+// First tier (highest minHours first) that the remaining time qualifies for
+const tierFor = (tiers, hoursLeft) =>
+  [...tiers].sort((a, b) => b.minHours - a.minHours).find(t => hoursLeft >= t.minHours);
+
+/**
+ * Work out what a cancellation costs.
+ * amount is the booking value in minor units. Returns
+ *  { policy, cancelledBy, hoursBeforeDeparture, refundPercent, refundAmount, feeAmount,
+ *    driverPenaltyPercent, driverPenaltyAmount, evaluatedAt }
+ */
+const evaluateCancellation = ({ policy, cancelledBy, departureTime, amount, now = new Date() }) => {
+  const name = POLICY_NAMES.includes(policy) ? policy : DEFAULT_POLICY;
+  const rules = getPolicies()[name];
+  const hoursLeft = (new Date(departureTime).getTime() - now.getTime()) / HOUR_MS;
+
+  let refundPercent = 100;
+  let driverPenaltyPercent = 0;
+  if (cancelledBy === 'driver') {
+    // After departure the steepest tier applies
+    const tier = tierFor(rules.driverPenalties, hoursLeft)
+      || [...rules.driverPenalties].sort((a, b) => a.minHours - b.minHours)[0];
+    driverPenaltyPercent = tier ? tier.percent : 0;
+  } else {
+    const tier = tierFor(rules.refunds, hoursLeft);
+    refundPercent = tier ? tier.refundPercent : 0;
+  }
+
+  const refundAmount = Math.round((amount * refundPercent) / 100);
+  return {
+    policy: name,
+    cancelledBy,
+    hoursBeforeDeparture: Math.round(hoursLeft * 10) / 10,
+    refundPercent,
+    refundAmount,
+    feeAmount: amount - refundAmount,
+    driverPenaltyPercent,
+    driverPenaltyAmount: Math.round((amount * driverPenaltyPercent) / 100),
+    evaluatedAt: now,
+  };
+};
+
+// Shape stored on Booking.cancellation
+const toBookingRecord = (outcome) => ({
+  by: outcome.cancelledBy,
+  policy: outcome.policy,
+  hoursBeforeDeparture: outcome.hoursBeforeDeparture,
+  refundPercent: outcome.refundPercent,
+  refundAmount: outcome.refundAmount,
+  feeAmount: outcome.feeAmount,
+  driverPenaltyAmount: outcome.driverPenaltyAmount,
+  at: outcome.evaluatedAt,
+});
+
+// One-line summary for notifications, e.g. "Refund: KES 450.00 (75%), cancellation fee: KES 150.00."
+const describeRefund = (outcome) => {
+  if (!outcome.refundAmount && !outcome.feeAmount) return '';
+  const fee = outcome.feeAmount ? `, cancellation fee: ${formatMoney(outcome.feeAmount)}` : '';
+  return `Refund: ${formatMoney(outcome.refundAmount)} (${outcome.refundPercent}%)${fee}.`;
+};
+
+const describePenalty = (amount) => (amount ? `Cancellation penalty: ${formatMoney(amount)}.` : '');
+
+export {
+  POLICY_NAMES,
+  DEFAULT_POLICY,
+  getPolicies,
+  evaluateCancellation,
+  toBookingRecord,
+  describeRefund,
+  describePenalty,
+};
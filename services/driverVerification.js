@@ -0,0 +1,183 @@
+import fs from 'fs/promises';
+import path from 'path';
+import DriverApplication from '../models/DriverApplication.js';
+import User from '../models/User.js';
+import { uploadRoot } from '../middleware/upload.js';
+import { notify } from './notify.js';
+import { vehicleFromApplication } from './vehicles.js';
+
+// Upload field name -> document type, and the body field holding its expiry date
+const DOCUMENT_FIELDS = {
+  licence: { type: 'licence', expiryField: 'licenceExpiresAt' },
+  vehicleRegistration: { type: 'vehicle_registration', expiryField: 'vehicleRegistrationExpiresAt' },
+  insurance: { type: 'insurance', expiryField: 'insuranceExpiresAt' },
+};
+
+class ApplicationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ApplicationError';
+    this.status = status;
+  }
+}
+
+const roomFor = (user) => (user.role === 'driver' ? 'driver' : 'passenger');
+
+const removeUploadedFiles = async (files = {}) => {
+  for (const list of Object.values(files)) {
+    for (const file of list) await fs.rm(file.path, { force: true });
+  }
+};
+
+const documentPath = (doc) => path.join(uploadRoot(), doc.path);
+
+/**
+ * Create a pending application from the multipart request. All three documents are
+ * required and must expire in the future. Uploaded files are removed if anything fails.
+ */
+const submitApplication = async (user, body, files = {}) => {
+  try {
+    if (await DriverApplication.exists({ user: user._id, status: 'pending' })) {
+      throw new ApplicationError('You already have an application under review');
+    }
+    const { carModel, carPlate, seatsAvailable, licenseNumber } = body;
+    if (!carModel || !carPlate || !licenseNumber || !(Number(seatsAvailable) >= 1)) {
+      throw new ApplicationError('carModel, carPlate, seatsAvailable and licenseNumber are required');
+    }
+    const now = new Date();
+    const documents = [];
+    for (const [field, { type, expiryField }] of Object.entries(DOCUMENT_FIELDS)) {
+      const file = files[field]?.[0];
+      if (!file) throw new ApplicationError(`Missing document: ${field}`);
+      const expiresAt = new Date(body[expiryField]);
+      if (isNaN(expiresAt.getTime()) || expiresAt <= now) {
+        throw new ApplicationError(`${expiryField} must be a future date`);
+      }
+      documents.push({
+        type,
+        path: path.relative(uploadRoot(), file.path),
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size,
+        expiresAt,
+      });
+    }
+    const application = await DriverApplication.create({
+      user: user._id,
+      vehicle: { carModel, carPlate, seatsAvailable: Number(seatsAvailable) },
+      licenseNumber,
+      documents,
+    });
+    // An approved driver renewing documents keeps driving while the renewal is reviewed
+    if (user.driverStatus !== 'approved') {
+      await User.updateOne({ _id: user._id }, { $set: { driverStatus: 'pending' } });
+    }
+    return application;
+  } catch (err) {
+    await removeUploadedFiles(files);
+    throw err;
+  }
+};
+
+const loadPending = async (applicationId) => {
+  const application = await DriverApplication.findById(applicationId);
+  if (!application) throw new ApplicationError('Application not found', 404);
+  if (application.status !== 'pending') {
+    throw new ApplicationError(`Application is already ${application.status}`);
+  }
+  return application;
+};
+
+// Approve: the applicant becomes an approved driver with the application's vehicle
+const approveApplication = async (applicationId, reviewerId) => {
+  const application = await loadPending(applicationId);
+  application.status = 'approved';
+  application.reviewedBy = reviewerId;
+  application.reviewedAt = new Date();
+  await application.save();
+
+  const user = await User.findByIdAndUpdate(
+    application.user,
+    {
+      $set: {
+        role: 'driver',
+        driverStatus: 'approved',
+        driverApplication: application._id,
+        'driverProfile.carModel': application.vehicle.carModel,
+        'driverProfile.carPlate': application.vehicle.carPlate,
+        'driverProfile.seatsAvailable': application.vehicle.seatsAvailable,
+        'driverProfile.licenseNumber': application.licenseNumber,
+      },
+      $unset: { driverSuspendedAt: 1, driverSuspensionReason: 1 },
+    },
+    { new: true }
+  );
+  try {
+    await vehicleFromApplication(application);
+  } catch (err) {
+    // e.g. the plate is already registered to someone else; the driver can add the car manually
+    console.error(`Register vehicle for application ${application._id} failed:`, err);
+  }
+  await notify({
+    user: application.user,
+    room: roomFor(user),
+    template: 'driver.approved.applicant',
+  });
+  return application;
+};
+
+const rejectApplication = async (applicationId, reviewerId, reason) => {
+  const application = await loadPending(applicationId);
+  application.status = 'rejected';
+  application.reviewedBy = reviewerId;
+  application.reviewedAt = new Date();
+  application.rejectionReason = reason;
+  await application.save();
+
+  // Only a first-time applicant moves to rejected; approved/suspended drivers keep their state
+  await User.updateOne({ _id: application.user, driverStatus: 'pending' }, { $set: { driverStatus: 'rejected' } });
+  const user = await User.findById(application.user).select('role');
+  await notify({
+    user: application.user,
+    room: roomFor(user),
+    template: 'driver.rejected.applicant',
+    data: { reason },
+  });
+  return application;
+};
+
+/**
+ * Suspend approved drivers whose current application has an expired document.
+ * Returns the number of drivers suspended.
+ */
+const suspendDriversWithExpiredDocuments = async (now = new Date()) => {
+  const expired = await DriverApplication.find({ status: 'approved', 'documents.expiresAt': { $lte: now } })
+    .select('user documents');
+  let suspended = 0;
+  for (const application of expired) {
+    const result = await User.updateOne(
+      { _id: application.user, driverApplication: application._id, driverStatus: 'approved' },
+      { $set: { driverStatus: 'suspended', driverSuspendedAt: now, driverSuspensionReason: 'document_expired' } }
+    );
+    if (!result.modifiedCount) continue;
+    suspended += 1;
+    const types = application.documents.filter(d => d.expiresAt <= now).map(d => d.type.replace('_', ' '));
+    await notify({
+      user: application.user,
+      room: 'driver',
+      template: 'driver.suspended.driver',
+      data: { documents: types },
+    });
+  }
+  return suspended;
+};
+
+export {
+  DOCUMENT_FIELDS,
+  ApplicationError,
+  documentPath,
+  submitApplication,
+  approveApplication,
+  rejectApplication,
+  suspendDriversWithExpiredDocuments,
+};
@@ -0,0 +1,225 @@
+import Ride from '../models/Ride.js';
+import Booking from '../models/Booking.js';
+import Payment from '../models/Payment.js';
+import { bookingLegs } from './seats.js';
+import { formatMoney } from '../utils/money.js';
+import { renderTextPdf } from '../utils/pdf.js';
+
+/**
+ * Driver earnings reports, built from completed rides, their bookings and captured payments.
+ * Amounts are in minor units. For every ride:
+ *   gross     what was charged (captured amounts, including cancellation fees) plus promo subsidies
+ *   fees      the platform fee
+ *   refunds   the driver's share of refunds made after capture
+ *   net       gross - fees - refunds, i.e. what the ride added to the driver's balance
+ *   occupancy seat-legs sold / seat-legs offered, so partial-route bookings count proportionally
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 366;
+const GROUPS = ['day', 'week', 'month'];
+// Bookings that paid for their seats when the ride completed
+const SOLD_STATUSES = ['completed', 'no_show'];
+
+class ReportError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ReportError';
+    this.status = status;
+  }
+}
+
+const isDateString = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)
+  && !isNaN(new Date(`${value}T00:00:00Z`).getTime());
+
+/**
+ * Report window from ?from=&to= (YYYY-MM-DD, inclusive, in the driver's local time given by
+ * ?utcOffsetMinutes=). Defaults to the last 30 days.
+ */
+const parseRange = (query = {}, now = new Date()) => {
+  const offset = query.utcOffsetMinutes === undefined ? 0 : Number(query.utcOffsetMinutes);
+  if (!Number.isInteger(offset) || offset < -720 || offset > 840) {
+    throw new ReportError('utcOffsetMinutes must be a whole number between -720 and 840');
+  }
+  const localToday = new Date(now.getTime() + offset * 60 * 1000).toISOString().slice(0, 10);
+  const to = query.to ?? localToday;
+  const from = query.from ?? new Date(new Date(`${to}T00:00:00Z`).getTime() - 29 * DAY_MS).toISOString().slice(0, 10);
+  if (!isDateString(from) || !isDateString(to)) throw new ReportError('from and to must be YYYY-MM-DD dates');
+  if (to < from) throw new ReportError('to must not be before from');
+  const start = new Date(new Date(`${from}T00:00:00Z`).getTime() - offset * 60 * 1000);
+  const end = new Date(new Date(`${to}T00:00:00Z`).getTime() + DAY_MS - offset * 60 * 1000);
+  if (end - start > MAX_RANGE_DAYS * DAY_MS) throw new ReportError(`The range can be at most ${MAX_RANGE_DAYS} days`);
+  return { from, to, start, end, utcOffsetMinutes: offset };
+};
+
+// Driver's share of refunds made after capture (the platform returns its fee share)
+const refundedAfterCapture = (payment) => {
+  const releasedHold = payment.amount - payment.capturedAmount;
+  const refunded = Math.max(0, payment.refundedAmount - releasedHold);
+  const gross = payment.capturedAmount + (payment.subsidyPaid || 0);
+  const feeShare = gross ? Math.round((refunded * payment.platformFee) / gross) : 0;
+  return refunded - feeShare;
+};
+
+// Seat-legs sold and offered on a ride. Free seats plus sold seats is what each leg offered.
+const occupancy = (ride, sold) => {
+  const legs = ride.segmentSeats?.length ? ride.segmentSeats : [ride.availableSeats];
+  const occupied = new Array(legs.length).fill(0);
+  for (const b of sold) {
+    const { fromStop, toStop } = legs.length === 1 ? { fromStop: 0, toStop: 1 } : bookingLegs(b, ride);
+    for (let i = fromStop; i < toStop; i++) occupied[i] += b.seatsBooked;
+  }
+  const sum = (list) => list.reduce((a, b) => a + b, 0);
+  return { sold: sum(occupied), offered: sum(legs) + sum(occupied) };
+};
+
+const ratio = (sold, offered) => (offered ? Math.round((sold / offered) * 1000) / 1000 : 0);
+
+// Per-ride breakdown for the driver's rides completed inside the range, oldest first
+const rideEarnings = async (driverId, { start, end }) => {
+  const rides = await Ride.find({ driver: driverId, status: 'completed', completedAt: { $gte: start, $lt: end } })
+    .select('startLocation destination departureTime completedAt waypoints segmentSeats availableSeats')
+    .sort({ completedAt: 1 });
+  const rideIds = rides.map(r => r._id);
+  const [bookings, payments] = await Promise.all([
+    Booking.find({ ride: { $in: rideIds }, status: { $in: SOLD_STATUSES } })
+      .select('ride seatsBooked fromStop toStop'),
+    Payment.find({ ride: { $in: rideIds }, status: { $in: ['captured', 'refunded'] } }),
+  ]);
+
+  return rides.map((ride) => {
+    const id = String(ride._id);
+    const sold = bookings.filter(b => String(b.ride) === id);
+    const paid = payments.filter(p => String(p.ride) === id);
+    const gross = paid.reduce((sum, p) => sum + p.capturedAmount + (p.subsidyPaid || 0), 0);
+    const fees = paid.reduce((sum, p) => sum + p.platformFee, 0);
+    const refunds = paid.reduce((sum, p) => sum + refundedAfterCapture(p), 0);
+    const seatLegs = occupancy(ride, sold);
+    return {
+      rideId: ride._id,
+      startLocation: ride.startLocation,
+      destination: ride.destination,
+      departureTime: ride.departureTime,
+      completedAt: ride.completedAt,
+      bookings: sold.length,
+      seatsSold: sold.reduce((sum, b) => sum + b.seatsBooked, 0),
+      occupancy: ratio(seatLegs.sold, seatLegs.offered),
+      seatLegsSold: seatLegs.sold,
+      seatLegsOffered: seatLegs.offered,
+      gross,
+      fees,
+      refunds,
+      net: gross - fees - refunds,
+    };
+  });
+};
+
+// Period a timestamp falls in, in local time: YYYY-MM-DD (day, or the Monday of its week) or YYYY-MM
+const periodKey = (date, groupBy, utcOffsetMinutes) => {
+  const local = new Date(new Date(date).getTime() + utcOffsetMinutes * 60 * 1000);
+  if (groupBy === 'month') return local.toISOString().slice(0, 7);
+  if (groupBy === 'week') {
+    const sinceMonday = (local.getUTCDay() + 6) % 7;
+    return new Date(local.getTime() - sinceMonday * DAY_MS).toISOString().slice(0, 10);
+  }
+  return local.toISOString().slice(0, 10);
+};
+
+const totalsOf = (rows) => {
+  const totals = { rides: rows.length, bookings: 0, seatsSold: 0, gross: 0, fees: 0, refunds: 0, net: 0 };
+  let seatLegsSold = 0;
+  let seatLegsOffered = 0;
+  for (const row of rows) {
+    for (const key of ['bookings', 'seatsSold', 'gross', 'fees', 'refunds', 'net']) totals[key] += row[key];
+    seatLegsSold += row.seatLegsSold;
+    seatLegsOffered += row.seatLegsOffered;
+  }
+  totals.occupancy = ratio(seatLegsSold, seatLegsOffered);
+  return totals;
+};
+
+/**
+ * Earnings for a driver over a range: totals, aggregates per day/week/month and per ride.
+ */
+const earningsReport = async (driverId, range, groupBy = 'day') => {
+  if (!GROUPS.includes(groupBy)) throw new ReportError(`groupBy must be one of ${GROUPS.join(', ')}`);
+  const rides = await rideEarnings(driverId, range);
+  const buckets = new Map();
+  for (const row of rides) {
+    const key = periodKey(row.completedAt, groupBy, range.utcOffsetMinutes);
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(row);
+  }
+  return {
+    currency: process.env.PAYMENT_CURRENCY || 'KES',
+    from: range.from,
+    to: range.to,
+    utcOffsetMinutes: range.utcOffsetMinutes,
+    groupBy,
+    totals: totalsOf(rides),
+    periods: [...buckets.entries()].map(([period, rows]) => ({ period, ...totalsOf(rows) })),
+    rides,
+  };
+};
+
+const major = (minor) => (minor / 100).toFixed(2);
+
+const csvCell = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Statement as CSV: one row per ride plus a totals row, amounts in major units
+const statementCsv = (report) => {
+  const header = ['completed_at', 'ride_id', 'from', 'to', 'bookings', 'seats_sold', 'occupancy_pct',
+    `gross_${report.currency}`, `fees_${report.currency}`, `refunds_${report.currency}`, `net_${report.currency}`];
+  const rows = report.rides.map(r => [
+    r.completedAt.toISOString(), r.rideId, r.startLocation, r.destination, r.bookings, r.seatsSold,
+    (r.occupancy * 100).toFixed(1), major(r.gross), major(r.fees), major(r.refunds), major(r.net),
+  ]);
+  const t = report.totals;
+  rows.push(['TOTAL', '', '', '', t.bookings, t.seatsSold, (t.occupancy * 100).toFixed(1),
+    major(t.gross), major(t.fees), major(t.refunds), major(t.net)]);
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+};
+
+const pad = (text, width) => {
+  const s = String(text);
+  return s.length > width ? `${s.slice(0, width - 1)}~` : s.padEnd(width);
+};
+
+// Statement as a plain-text PDF
+const statementPdf = (report, driver) => {
+  const money = (minor) => formatMoney(minor, report.currency);
+  const t = report.totals;
+  const lines = [
+    'EARNINGS STATEMENT',
+    '',
+    `Driver:  ${driver.name} <${driver.email}>`,
+    `Period:  ${report.from} to ${report.to} (UTC${report.utcOffsetMinutes >= 0 ? '+' : '-'}${Math.abs(report.utcOffsetMinutes)} min)`,
+    `Issued:  ${new Date().toISOString().slice(0, 10)}`,
+    '',
+    `Rides completed: ${t.rides}    Seats sold: ${t.seatsSold}    Occupancy: ${(t.occupancy * 100).toFixed(1)}%`,
+    `Gross:   ${money(t.gross)}`,
+    `Fees:    ${money(t.fees)}`,
+    `Refunds: ${money(t.refunds)}`,
+    `Net:     ${money(t.net)}`,
+    '',
+    `${pad('Date', 11)}${pad('Route', 34)}${pad('Seats', 6)}${pad('Occ.', 7)}${pad('Gross', 12)}${pad('Fees', 10)}Net`,
+    '-'.repeat(92),
+    ...report.rides.map(r => `${pad(r.completedAt.toISOString().slice(0, 10), 11)}`
+      + `${pad(`${r.startLocation} -> ${r.destination}`, 34)}${pad(r.seatsSold, 6)}`
+      + `${pad(`${(r.occupancy * 100).toFixed(0)}%`, 7)}${pad(major(r.gross), 12)}${pad(major(r.fees), 10)}${major(r.net)}`),
+  ];
+  if (!report.rides.length) lines.push('No completed rides in this period.');
+  return renderTextPdf(lines);
+};
+
+export {
+  ReportError,
+  parseRange,
+  rideEarnings,
+  earningsReport,
+  statementCsv,
+  statementPdf,
+};
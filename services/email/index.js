@@ -0,0 +1,36 @@
+import { createSmtpTransport, createConsoleTransport, createFileTransport } from './transports.js';
+
+// EMAIL_TRANSPORT picks the transport (smtp | console | file); console by default
+const factories = {
+  smtp: createSmtpTransport,
+  console: createConsoleTransport,
+  file: createFileTransport,
+};
+
+let active;
+
+const getEmailTransport = () => {
+  if (!active) {
+    const name = process.env.EMAIL_TRANSPORT || 'console';
+    const factory = factories[name];
+    if (!factory) throw new Error(`Unknown email transport: ${name}`);
+    active = factory();
+  }
+  return active;
+};
+
+// Swap the transport (tests, or a custom provider wired at startup)
+const setEmailTransport = (transport) => {
+  active = transport;
+};
+
+const sendEmail = ({ to, subject, text, html }) =>
+  getEmailTransport().send({
+    from: process.env.EMAIL_FROM || 'SafariShare <no-reply@safarishare.app>',
+    to,
+    subject,
+    text,
+    html,
+  });
+
+export { getEmailTransport, setEmailTransport, sendEmail };
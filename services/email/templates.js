@@ -0,0 +1,64 @@
+// Transactional email bodies. Links point at the frontend (APP_URL).
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const appUrl = () => (process.env.APP_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+const verifyEmail = (user, token) => {
+  const link = `${appUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+  return {
+    subject: 'Verify your email',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening this link:\n${link}\n\nIf you didn't create an account, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please confirm your email address:</p><p><a href="${link}">Verify email</a></p><p>If you didn't create an account, you can ignore this email.</p>`,
+  };
+};
+
+const resetPassword = (user, token) => {
+  const link = `${appUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+  return {
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\nUse this link to choose a new password:\n${link}\n\nThe link expires soon and works once. If you didn't ask for this, ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p><a href="${link}">Choose a new password</a></p><p>The link expires soon and works once. If you didn't ask for this, ignore this email.</p>`,
+  };
+};
+
+const shareLinkUrl = (token) => `${appUrl()}/share/${encodeURIComponent(token)}`;
+
+/**
+ * SOS alert to a trusted contact. `ride` is a short ride description (or null), `location`
+ * a GeoJSON point (or null) and `shareToken` a live-tracking link token (or null).
+ */
+const sosAlert = (contact, reporter, { message, ride, location, shareToken }) => {
+  const mapLink = location
+    ? `https://www.google.com/maps?q=${location.coordinates[1]},${location.coordinates[0]}`
+    : null;
+  const shareLink = shareToken ? shareLinkUrl(shareToken) : null;
+  const lines = [
+    `${reporter.name} raised an SOS alert on SafariShare and listed you as a trusted contact.`,
+    ride ? `Trip: ${ride}` : null,
+    message ? `Their message: ${message}` : null,
+    mapLink ? `Last known location: ${mapLink}` : null,
+    shareLink ? `Follow the trip live: ${shareLink}` : null,
+    'Our safety team has been alerted. If you think they are in immediate danger, contact the local emergency services.',
+  ].filter(Boolean);
+  return {
+    subject: `SOS alert from ${reporter.name}`,
+    text: `Hi ${contact.name},\n\n${lines.join('\n\n')}`,
+    html: `<p>Hi ${escapeHtml(contact.name)},</p>`
+      + `<p><strong>${escapeHtml(reporter.name)}</strong> raised an SOS alert on SafariShare and listed you as a trusted contact.</p>`
+      + (ride ? `<p>Trip: ${escapeHtml(ride)}</p>` : '')
+      + (message ? `<p>Their message: ${escapeHtml(message)}</p>` : '')
+      + (mapLink ? `<p><a href="${mapLink}">Last known location</a></p>` : '')
+      + (shareLink ? `<p><a href="${shareLink}">Follow the trip live</a></p>` : '')
+      + '<p>Our safety team has been alerted. If you think they are in immediate danger, contact the local emergency services.</p>',
+  };
+};
+
+// Email copy of an in-app notification
+const notificationEmail = (user, { title, message }) => ({
+  subject: title,
+  text: `Hi ${user.name},\n\n${message}\n\nOpen SafariShare: ${appUrl()}/notifications\n\nYou can choose which emails you get in your notification settings.`,
+  html: `<p>Hi ${escapeHtml(user.name)},</p><p>${escapeHtml(message)}</p><p><a href="${appUrl()}/notifications">Open SafariShare</a></p><p>You can choose which emails you get in your notification settings.</p>`,
+});
+
+export { escapeHtml, verifyEmail, resetPassword, shareLinkUrl, sosAlert, notificationEmail };
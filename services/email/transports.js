@@ -0,0 +1,43 @@
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+/**
+ * Email transports. Each exposes `name` and `async send({ from, to, subject, text, html })`.
+ *  smtp     nodemailer over SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS
+ *  console  logs the message (default for local development)
+ *  file     writes each message as JSON into EMAIL_FILE_DIR (default ./tmp/emails)
+ */
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+  });
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message),
+  };
+};
+
+const createConsoleTransport = () => ({
+  name: 'console',
+  async send(message) {
+    console.log(`📧 Email to ${message.to}: ${message.subject}\n${message.text}`);
+    return { accepted: [message.to] };
+  },
+});
+
+const createFileTransport = (dir = process.env.EMAIL_FILE_DIR || path.join('tmp', 'emails')) => ({
+  name: 'file',
+  dir,
+  async send(message) {
+    await fs.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+    await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+    return { accepted: [message.to], file };
+  },
+});
+
+export { createSmtpTransport, createConsoleTransport, createFileTransport };
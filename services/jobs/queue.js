@@ -0,0 +1,231 @@
+import Job from '../../models/Job.js';
+import { instanceId } from '../realtime/bus.js';
+
+/**
+ * Persistent job queue backed by the jobs collection, shared by every API instance.
+ *
+ * defineJob(name, handler, options) registers what runs a job: handler(payload, job) may
+ * resolve to a result that is stored on the job. A throwing handler is retried with
+ * exponential backoff (backoffMs, 2x, 4x, ... capped at MAX_BACKOFF_MS) until maxAttempts,
+ * then the job is dead-lettered. Workers claim jobs atomically; a job whose worker died
+ * (locked for longer than lockMs) is picked up again and that counts as a failed attempt.
+ * Handlers should be safe to run twice: a job can be retried after doing part of its work.
+ * Dead jobs stay until retried, unless the definition sets deadRetentionMs (recurring work
+ * whose next run makes up for a failed one).
+ */
+const DEFAULT_OPTIONS = {
+  maxAttempts: 5,
+  backoffMs: 30 * 1000,
+  lockMs: 5 * 60 * 1000,
+  deadRetentionMs: null,
+};
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const MAX_FAILURES_KEPT = 10;
+
+// JOB_RETENTION_HOURS: how long completed jobs stay around (default 24)
+const retentionMs = () => Math.max(1, parseInt(process.env.JOB_RETENTION_HOURS) || 24) * 60 * 60 * 1000;
+// JOB_POLL_MS: how often an idle worker looks for due jobs (default 5000)
+const pollMs = () => Math.max(250, parseInt(process.env.JOB_POLL_MS) || 5000);
+
+const definitions = new Map();
+
+class JobError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'JobError';
+  }
+}
+
+const defineJob = (name, handler, options = {}) => {
+  definitions.set(name, { handler, ...DEFAULT_OPTIONS, ...options });
+};
+
+// Delay before the next try after `attempts` failed ones
+const backoffDelay = (attempts, backoffMs = DEFAULT_OPTIONS.backoffMs) =>
+  Math.min(MAX_BACKOFF_MS, backoffMs * 2 ** Math.max(0, attempts - 1));
+
+/**
+ * Queue a job: { runAt?, idempotencyKey?, maxAttempts? }. With an idempotency key, a job
+ * already holding that key is returned instead of adding another (a single upsert, so
+ * enqueueing the same key again is cheap).
+ * Resolves to { job, created }.
+ */
+const enqueueJob = async (name, payload = {}, { runAt = new Date(), idempotencyKey, maxAttempts } = {}) => {
+  const definition = definitions.get(name);
+  if (!definition) throw new JobError(`Unknown job: ${name}`);
+  const fields = {
+    name,
+    payload,
+    runAt,
+    maxAttempts: maxAttempts || definition.maxAttempts,
+  };
+  if (!idempotencyKey) return { job: await Job.create(fields), created: true };
+  try {
+    const result = await Job.findOneAndUpdate(
+      { idempotencyKey },
+      { $setOnInsert: fields },
+      { upsert: true, new: true, includeResultMetadata: true }
+    );
+    return { job: result.value, created: !result.lastErrorObject?.updatedExisting };
+  } catch (err) {
+    // Two instances upserting the same key at once: the loser sees the duplicate key
+    if (err.code !== 11000) throw err;
+    return { job: await Job.findOne({ idempotencyKey }), created: false };
+  }
+};
+
+// Atomically take the next due job (or one abandoned by a dead worker); null when idle
+const claimNextJob = async (now = new Date()) => {
+  const names = [...definitions.keys()];
+  if (!names.length) return null;
+  const stale = [...definitions].map(([name, { lockMs }]) => ({
+    name,
+    status: 'running',
+    lockedAt: { $lte: new Date(now.getTime() - lockMs) },
+  }));
+  return Job.findOneAndUpdate(
+    { $or: [{ name: { $in: names }, status: 'queued', runAt: { $lte: now } }, ...stale] },
+    { $set: { status: 'running', lockedBy: instanceId, lockedAt: now }, $inc: { attempts: 1 } },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+// Only the worker that holds the lock may settle a job
+const lockFilter = (job) => ({ _id: job._id, status: 'running', lockedBy: job.lockedBy, lockedAt: job.lockedAt });
+
+const completeJob = (job, result, now = new Date()) =>
+  Job.updateOne(lockFilter(job), {
+    $set: {
+      status: 'completed',
+      result: result ?? null,
+      completedAt: now,
+      expiresAt: new Date(now.getTime() + retentionMs()),
+    },
+    $unset: { lockedBy: 1, lockedAt: 1 },
+  });
+
+// Schedule the next try, or dead-letter the job once its attempts are used up
+const failJob = (job, err, now = new Date()) => {
+  const { backoffMs, deadRetentionMs } = definitions.get(job.name) || DEFAULT_OPTIONS;
+  const message = String(err?.message || err).slice(0, 1000);
+  const dead = job.attempts >= job.maxAttempts;
+  let next = { status: 'queued', runAt: new Date(now.getTime() + backoffDelay(job.attempts, backoffMs)) };
+  if (dead) {
+    next = { status: 'dead', deadAt: now };
+    if (deadRetentionMs) next.expiresAt = new Date(now.getTime() + deadRetentionMs);
+  }
+  return Job.updateOne(lockFilter(job), {
+    $set: { ...next, lastError: message },
+    $unset: { lockedBy: 1, lockedAt: 1 },
+    $push: { failures: { $each: [{ at: now, attempt: job.attempts, error: message }], $slice: -MAX_FAILURES_KEPT } },
+  });
+};
+
+// Run a claimed job to completion or failure; resolves to its new status
+const runJob = async (job) => {
+  const definition = definitions.get(job.name);
+  if (job.attempts > job.maxAttempts) {
+    // Its last attempt never finished (the worker died holding the lock)
+    await failJob(job, new Error('Job lock expired'));
+    return 'dead';
+  }
+  try {
+    const result = await definition.handler(job.payload || {}, job);
+    await completeJob(job, result);
+    if (result) console.log(`⏱️  ${job.name}:`, result);
+    return 'completed';
+  } catch (err) {
+    console.error(`Job ${job.name} (${job._id}) attempt ${job.attempts}/${job.maxAttempts} failed:`, err);
+    await failJob(job, err);
+    return job.attempts >= job.maxAttempts ? 'dead' : 'queued';
+  }
+};
+
+/**
+ * Put a dead-lettered job back in the queue with a fresh set of attempts.
+ * Resolves to the job, or null when there is no dead job with that id.
+ */
+const retryJob = (jobId, now = new Date()) =>
+  Job.findOneAndUpdate(
+    { _id: jobId, status: 'dead' },
+    { $set: { status: 'queued', runAt: now, attempts: 0 }, $unset: { deadAt: 1, expiresAt: 1 } },
+    { new: true }
+  );
+
+/**
+ * Values of one payload field across a definition's dead-lettered jobs: the items whose job
+ * already failed for good and waits for an admin, which a sweep should not pick again.
+ */
+const deadJobPayloads = (name, field) => Job.distinct(`payload.${field}`, { name, status: 'dead' });
+
+/**
+ * Recurring work: every intervalMs one job per named definition, shared by all instances.
+ * Each interval is a slot; the slot number in the idempotency key means however many
+ * instances tick, a slot is queued once.
+ */
+const enqueueRecurring = (name, intervalMs, now = new Date()) => {
+  const slot = Math.floor(now.getTime() / intervalMs);
+  return enqueueJob(name, {}, { runAt: new Date(slot * intervalMs), idempotencyKey: `${name}:${slot}` });
+};
+
+let worker = null;
+
+/**
+ * Start this instance's worker: it drains due jobs one at a time, then polls. `recurring`
+ * is a list of { name, intervalMs } whose slots are queued as they come up (each slot is
+ * only sent to the database once per instance).
+ * Returns stop().
+ */
+const startJobWorker = ({ recurring = [] } = {}) => {
+  if (worker) return worker.stop;
+  let timer = null;
+  let stopped = false;
+  const queuedSlots = new Map(); // name -> last slot queued from here
+
+  const queueRecurring = async (now = new Date()) => {
+    for (const { name, intervalMs } of recurring) {
+      const slot = Math.floor(now.getTime() / intervalMs);
+      if (queuedSlots.get(name) === slot) continue;
+      await enqueueRecurring(name, intervalMs, now);
+      queuedSlots.set(name, slot);
+    }
+  };
+
+  const tick = async () => {
+    try {
+      await queueRecurring();
+      let job;
+      while (!stopped && (job = await claimNextJob())) {
+        await runJob(job);
+      }
+    } catch (err) {
+      console.error('Job worker error:', err);
+    }
+    if (!stopped) {
+      timer = setTimeout(tick, pollMs());
+      timer.unref();
+    }
+  };
+
+  const stop = () => {
+    stopped = true;
+    clearTimeout(timer);
+    worker = null;
+  };
+  worker = { stop };
+  tick();
+  return stop;
+};
+
+export {
+  JobError,
+  defineJob,
+  backoffDelay,
+  enqueueJob,
+  claimNextJob,
+  runJob,
+  retryJob,
+  deadJobPayloads,
+  enqueueRecurring,
+  startJobWorker,
+};
@@ -0,0 +1,153 @@
+import Notification from '../../models/Notification.js';
+import { getIO } from '../../config/socket.js';
+import { sendEmail } from '../email/index.js';
+import { notificationEmail } from '../email/templates.js';
+import { pushAvailable, sendPushToUser } from '../push/index.js';
+import { onlineStatus } from '../realtime/presence.js';
+import { CHANNELS } from './preferences.js';
+
+/**
+ * Notification channel adapters. An adapter implements:
+ *  name
+ *  send({ user, notification }) -> { id? } or { skipped: reason }
+ * where `user` is the recipient (lean, with email, name, emailVerified, notificationPreferences)
+ * and `notification` is { id?, type, template?, title, message, audience, ride?, booking?, extra }.
+ * Adapters throw when delivery fails. An adapter may also implement available() -> false when
+ * nothing is wired behind it. setChannelAdapter swaps one (tests, or wiring a real SMS
+ * provider at startup).
+ */
+
+// Unread badge for every open tab of the user
+const pushUnreadCount = async (userId) => {
+  const unread = await Notification.countDocuments({ user: userId, isRead: false });
+  getIO().to(`user:${userId}`).emit('notification:count', { unread });
+  return unread;
+};
+
+// In-app: the notification list entry plus a live socket event
+const createInAppChannel = () => ({
+  name: 'in_app',
+  async send({ user, notification: n }) {
+    const note = await Notification.create({
+      user: user._id,
+      type: n.type,
+      template: n.template,
+      title: n.title,
+      message: n.message,
+      ride: n.ride,
+      booking: n.booking,
+    });
+    getIO().to(`user:${user._id}`).emit('notification', {
+      id: note._id,
+      type: note.type,
+      title: note.title,
+      message: note.message,
+      audience: n.audience,
+      rideId: n.ride,
+      bookingId: n.booking,
+      ...n.extra,
+      createdAt: note.createdAt,
+    });
+    await pushUnreadCount(user._id);
+    return { id: note._id, note };
+  },
+});
+
+// Email through the configured email transport; only to confirmed addresses
+const createEmailChannel = () => ({
+  name: 'email',
+  async send({ user, notification }) {
+    if (!user.email || !user.emailVerified) return { skipped: 'email not verified' };
+    const result = await sendEmail({ to: user.email, ...notificationEmail(user, notification) });
+    return { id: result?.messageId };
+  },
+});
+
+/**
+ * Push to the user's registered devices (Web Push / mobile) through the push provider.
+ * Only when the user has no live socket: an open tab already got the socket event.
+ */
+const createPushChannel = () => ({
+  name: 'push',
+  available: pushAvailable,
+  async send({ user, notification: n }) {
+    if (!pushAvailable()) return { skipped: 'push not configured' };
+    const userId = String(user._id);
+    if ((await onlineStatus([userId]))[userId]) return { skipped: 'user online' };
+    const result = await sendPushToUser(userId, {
+      title: n.title,
+      body: n.message,
+      data: {
+        type: n.type,
+        notificationId: n.id ? String(n.id) : undefined,
+        rideId: n.ride ? String(n.ride) : undefined,
+        bookingId: n.booking ? String(n.booking) : undefined,
+        ...n.extra,
+      },
+    });
+    return result.sent ? result : { skipped: 'no push devices', ...result };
+  },
+});
+
+// Channel with no provider wired (sms until one is set): delivers nothing, says so
+const createUnavailableChannel = (name) => ({
+  name,
+  available: () => false,
+  async send() {
+    return { skipped: `${name} not configured` };
+  },
+});
+
+/**
+ * Recording stand-in for tests: keeps what would have been sent in `sent`, newest last.
+ * failNext() makes the next send throw.
+ */
+const createFakeChannel = (name, { address } = {}) => {
+  const sent = [];
+  let failNext = false;
+  return {
+    name,
+    sent,
+    failNext() {
+      failNext = true;
+    },
+    async send({ user, notification }) {
+      const to = address ? address(user) : String(user._id);
+      if (!to) return { skipped: `no ${name} address` };
+      if (failNext) {
+        failNext = false;
+        throw new Error(`fake ${name} channel: delivery failed`);
+      }
+      const id = `${name}_${sent.length + 1}`;
+      sent.push({ id, to, title: notification.title, message: notification.message, type: notification.type, at: new Date() });
+      return { id };
+    },
+  };
+};
+
+const adapters = {
+  in_app: createInAppChannel(),
+  email: createEmailChannel(),
+  push: createPushChannel(),
+  sms: createUnavailableChannel('sms'),
+};
+
+const getChannelAdapter = (channel) => adapters[channel];
+
+const setChannelAdapter = (channel, adapter) => {
+  adapters[channel] = adapter;
+};
+
+// Channels that can actually deliver right now
+const availableChannels = () =>
+  CHANNELS.filter((channel) => adapters[channel] && (!adapters[channel].available || adapters[channel].available()));
+
+export {
+  pushUnreadCount,
+  createPushChannel,
+  createUnavailableChannel,
+  createFakeChannel,
+  getChannelAdapter,
+  setChannelAdapter,
+  availableChannels,
+};
@@ -0,0 +1,168 @@
+/**
+ * Per-user notification preferences: which channels each notification type goes out on,
+ * plus quiet hours during which interrupting channels (push, sms) stay silent.
+ * Stored on User.notificationPreferences; anything not set falls back to DEFAULT_CHANNELS.
+ */
+const CHANNELS = ['in_app', 'email', 'push', 'sms'];
+
+const DEFAULT_CHANNELS = {
+  booking: { in_app: true, email: true, push: true, sms: false },
+  booking_request: { in_app: true, email: true, push: true, sms: false },
+  cancellation: { in_app: true, email: true, push: true, sms: false },
+  ride: { in_app: true, email: false, push: true, sms: false },
+  ride_alert: { in_app: true, email: false, push: true, sms: false },
+  review: { in_app: true, email: false, push: true, sms: false },
+  safety: { in_app: true, email: true, push: true, sms: true },
+  system: { in_app: true, email: true, push: false, sms: false },
+  // Chat messages: always in-app, pushed when the user isn't online
+  message: { in_app: true, push: true },
+};
+
+const NOTIFICATION_TYPES = Object.keys(DEFAULT_CHANNELS);
+
+// Channels users can't switch off for a type
+const REQUIRED_CHANNELS = { safety: ['in_app'], message: ['in_app'] };
+// Quiet hours hold back these channels...
+const QUIET_CHANNELS = ['push', 'sms'];
+// ...except for these types
+const URGENT_TYPES = ['safety'];
+
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const PHONE_RE = /^\+[1-9]\d{6,14}$/;
+
+class PreferenceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PreferenceError';
+    this.status = status;
+  }
+}
+
+// Quiet hours default to the local time the pricing bands use
+const defaultUtcOffset = () => {
+  const value = Number(process.env.PRICING_UTC_OFFSET_MINUTES);
+  return Number.isFinite(value) ? value : 180;
+};
+
+const toMinutes = (hhmm) => {
+  const [, h, m] = TIME_RE.exec(hhmm);
+  return Number(h) * 60 + Number(m);
+};
+
+// Whether `now` falls inside the quiet hours (windows may wrap past midnight)
+const isQuietTime = (quietHours, now = new Date()) => {
+  if (!quietHours?.enabled || !TIME_RE.test(quietHours.start || '') || !TIME_RE.test(quietHours.end || '')) return false;
+  const offset = quietHours.utcOffsetMinutes ?? defaultUtcOffset();
+  const minute = (((now.getUTCHours() * 60 + now.getUTCMinutes() + offset) % 1440) + 1440) % 1440;
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  if (start === end) return false;
+  return start < end ? minute >= start && minute < end : minute >= start || minute < end;
+};
+
+// Effective channel switches for every type: defaults overlaid with the user's choices
+const resolveChannels = (prefs = {}) => {
+  const saved = prefs.types instanceof Map ? Object.fromEntries(prefs.types) : prefs.types || {};
+  const resolved = {};
+  for (const type of NOTIFICATION_TYPES) {
+    resolved[type] = {};
+    for (const channel of Object.keys(DEFAULT_CHANNELS[type])) {
+      const choice = saved[type]?.[channel];
+      resolved[type][channel] = typeof choice === 'boolean' ? choice : DEFAULT_CHANNELS[type][channel];
+    }
+    for (const channel of REQUIRED_CHANNELS[type] || []) resolved[type][channel] = true;
+  }
+  return resolved;
+};
+
+/**
+ * Channels a notification of `type` goes out on for this user right now.
+ * Returns { channels, muted }: `muted` are channels silenced by quiet hours.
+ */
+const channelsFor = (user, type, now = new Date()) => {
+  const prefs = user.notificationPreferences || {};
+  const enabled = resolveChannels(prefs)[type] || DEFAULT_CHANNELS.system;
+  const quiet = !URGENT_TYPES.includes(type) && isQuietTime(prefs.quietHours, now);
+  const channels = [];
+  const muted = [];
+  for (const channel of CHANNELS) {
+    if (!enabled[channel]) continue;
+    (quiet && QUIET_CHANNELS.includes(channel) ? muted : channels).push(channel);
+  }
+  return { channels, muted };
+};
+
+/**
+ * Validate a preferences update:
+ * { types?: { [type]: { [channel]: boolean } }, quietHours?: { enabled, start, end, utcOffsetMinutes? } | null,
+ *   smsNumber?: string | null }
+ * Returns the $set / $unset paths to apply to the user.
+ */
+const parsePreferences = (body = {}) => {
+  const set = {};
+  const unset = {};
+  if (body.types !== undefined) {
+    if (!body.types || typeof body.types !== 'object') throw new PreferenceError('types must be an object');
+    for (const [type, channels] of Object.entries(body.types)) {
+      if (!NOTIFICATION_TYPES.includes(type)) throw new PreferenceError(`Unknown notification type: ${type}`);
+      if (!channels || typeof channels !== 'object') throw new PreferenceError(`types.${type} must be an object`);
+      for (const [channel, on] of Object.entries(channels)) {
+        if (!(channel in DEFAULT_CHANNELS[type])) throw new PreferenceError(`Unknown channel for ${type}: ${channel}`);
+        if (typeof on !== 'boolean') throw new PreferenceError(`types.${type}.${channel} must be true or false`);
+        if (!on && (REQUIRED_CHANNELS[type] || []).includes(channel)) {
+          throw new PreferenceError(`${channel} notifications for ${type} can't be turned off`);
+        }
+        set[`notificationPreferences.types.${type}.${channel}`] = on;
+      }
+    }
+  }
+  if (body.quietHours === null) {
+    unset['notificationPreferences.quietHours'] = 1;
+  } else if (body.quietHours !== undefined) {
+    const { enabled = true, start, end, utcOffsetMinutes } = body.quietHours || {};
+    if (typeof enabled !== 'boolean') throw new PreferenceError('quietHours.enabled must be true or false');
+    if (!TIME_RE.test(start || '') || !TIME_RE.test(end || '')) {
+      throw new PreferenceError('quietHours.start and quietHours.end must be HH:MM');
+    }
+    const quietHours = { enabled, start, end };
+    if (utcOffsetMinutes !== undefined) {
+      const offset = Number(utcOffsetMinutes);
+      if (!Number.isInteger(offset) || offset < -720 || offset > 840) {
+        throw new PreferenceError('quietHours.utcOffsetMinutes must be between -720 and 840');
+      }
+      quietHours.utcOffsetMinutes = offset;
+    }
+    set['notificationPreferences.quietHours'] = quietHours;
+  }
+  if (body.smsNumber === null || body.smsNumber === '') {
+    unset['notificationPreferences.smsNumber'] = 1;
+  } else if (body.smsNumber !== undefined) {
+    const number = String(body.smsNumber).replace(/[\s()-]/g, '');
+    if (!PHONE_RE.test(number)) throw new PreferenceError('smsNumber must be in international format, e.g. +254700000000');
+    set['notificationPreferences.smsNumber'] = number;
+  }
+  return { set, unset };
+};
+
+// Preferences as shown to the user
+const describePreferences = (user) => {
+  const prefs = user.notificationPreferences || {};
+  return {
+    types: resolveChannels(prefs),
+    required: REQUIRED_CHANNELS,
+    quietHours: prefs.quietHours?.start
+      ? { utcOffsetMinutes: defaultUtcOffset(), ...prefs.quietHours }
+      : null,
+    smsNumber: prefs.smsNumber || null,
+  };
+};
+
+export {
+  CHANNELS,
+  NOTIFICATION_TYPES,
+  PreferenceError,
+  isQuietTime,
+  channelsFor,
+  parsePreferences,
+  describePreferences,
+};
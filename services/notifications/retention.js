@@ -0,0 +1,15 @@
+import Notification from '../../models/Notification.js';
+
+// NOTIFICATION_RETENTION_DAYS: how long read notifications are kept (default 30)
+const retentionDays = () => Math.max(1, parseInt(process.env.NOTIFICATION_RETENTION_DAYS) || 30);
+
+// Delete read notifications older than the retention period; resolves to how many went
+const purgeReadNotifications = async (now = new Date()) => {
+  const result = await Notification.deleteMany({
+    isRead: true,
+    createdAt: { $lt: new Date(now.getTime() - retentionDays() * 24 * 60 * 60 * 1000) },
+  });
+  return result.deletedCount;
+};
+
+export { purgeReadNotifications };
@@ -0,0 +1,154 @@
+/**
+ * Notification templates, keyed by name. Each gives the preference `type` it belongs to and
+ * renders a title and message from its data; what each channel sends (email, push, sms) is
+ * derived from those.
+ *
+ * Booking templates take { passengerName?, seats, segment?, destination?, viaWaitlist?, refundNote? }.
+ * Ride reminders take { destination, pickup, minutes }; the other ride templates take
+ * { destination }, plus { bookings } when the driver is told the ride completed and
+ * { by: 'driver' | 'admin' | 'system', reason?, refundNote?, penaltyNote? } when it was cancelled.
+ * Driver application templates take { reason? } when rejected and { documents } when suspended.
+ */
+const waitlistSuffix = (d) => (d.viaWaitlist ? ' off the waitlist' : '');
+const passenger = (d) => d.passengerName || 'A passenger';
+const cancelledBy = (d) => ({ admin: 'SafariShare support', system: 'SafariShare' }[d.by] || 'the driver');
+const reasonSuffix = (d) => (d.reason ? ` Reason: ${d.reason}.` : '');
+
+const TEMPLATES = {
+  'booking.created.driver': {
+    type: 'booking',
+    title: () => 'New booking',
+    message: (d) => `${passenger(d)} booked ${d.seats} seat(s) from ${d.segment}${waitlistSuffix(d)}.`,
+  },
+  'booking.created.passenger': {
+    type: 'booking',
+    title: () => 'Booking confirmed',
+    message: (d) => `You booked ${d.seats} seat(s) from ${d.segment}.`,
+  },
+  'booking.requested.driver': {
+    type: 'booking_request',
+    title: () => 'New booking request',
+    message: (d) => `${passenger(d)} requested ${d.seats} seat(s) from ${d.segment}${waitlistSuffix(d)}.`,
+  },
+  'booking.requested.passenger': {
+    type: 'booking_request',
+    title: () => 'Booking requested',
+    message: (d) => `Your request for ${d.seats} seat(s) from ${d.segment} was sent to the driver.`,
+  },
+  'booking.accepted.passenger': {
+    type: 'booking',
+    title: () => 'Booking accepted',
+    message: (d) => `The driver accepted your request for ${d.seats} seat(s) to ${d.destination}.`,
+  },
+  'booking.accepted.driver': {
+    type: 'booking',
+    title: () => 'Booking accepted',
+    message: (d) => `You accepted a request for ${d.seats} seat(s).`,
+  },
+  'booking.declined.passenger': {
+    type: 'booking',
+    title: () => 'Booking declined',
+    message: (d) => `The driver declined your request for ${d.seats} seat(s) to ${d.destination}.`,
+  },
+  'booking.declined.driver': {
+    type: 'booking',
+    title: () => 'Booking declined',
+    message: (d) => `You declined a request for ${d.seats} seat(s).`,
+  },
+  'booking.expired.passenger': {
+    type: 'booking',
+    title: () => 'Booking request expired',
+    message: (d) => `The driver did not respond to your request for ${d.seats} seat(s) to ${d.destination}.`,
+  },
+  'booking.expired.driver': {
+    type: 'booking',
+    title: () => 'Booking request expired',
+    message: (d) => `A request for ${d.seats} seat(s) expired before you responded.`,
+  },
+  'booking.departed.passenger': {
+    type: 'booking',
+    title: () => 'Booking request expired',
+    message: (d) => `The ride to ${d.destination} departed before your request was answered.`,
+  },
+  'booking.cancelled.driver': {
+    type: 'cancellation',
+    title: () => 'Booking cancelled',
+    message: (d) => `${passenger(d)} cancelled ${d.seats} seat(s).${d.refundNote ? ` ${d.refundNote}` : ''}`,
+  },
+  'booking.cancelled.passenger': {
+    type: 'cancellation',
+    title: () => 'Booking cancelled',
+    message: (d) => `You cancelled ${d.seats} seat(s) for this ride. ${d.refundNote || ''}`.trim(),
+  },
+  'ride.reminder.passenger': {
+    type: 'ride',
+    title: () => 'Your ride leaves soon',
+    message: (d) => `Your ride to ${d.destination} leaves in about ${d.minutes} minute(s). Pickup: ${d.pickup}.`,
+  },
+  'ride.boarding.passenger': {
+    type: 'ride',
+    title: () => 'Boarding started',
+    message: (d) => `Your driver to ${d.destination} has started boarding.`,
+  },
+  'ride.no_show.passenger': {
+    type: 'ride',
+    title: () => 'Marked as no-show',
+    message: (d) => `The driver marked you as a no-show for the ride to ${d.destination}.`,
+  },
+  'ride.started.passenger': {
+    type: 'ride',
+    title: () => 'Ride started',
+    message: (d) => `Your ride to ${d.destination} is on its way.`,
+  },
+  'ride.completed.passenger': {
+    type: 'ride',
+    title: () => 'Ride completed',
+    message: (d) => `You have arrived at ${d.destination}. Thanks for riding!`,
+  },
+  'ride.completed.driver': {
+    type: 'ride',
+    title: () => 'Ride completed',
+    message: (d) => `Ride to ${d.destination} completed with ${d.bookings} passenger booking(s).`,
+  },
+  'ride.cancelled.passenger': {
+    type: 'cancellation',
+    title: () => 'Ride cancelled',
+    message: (d) =>
+      `The ride to ${d.destination} has been cancelled by ${cancelledBy(d)}.${reasonSuffix(d)} ${d.refundNote || ''}`.trim(),
+  },
+  'ride.cancelled.driver': {
+    type: 'cancellation',
+    title: () => 'Ride cancelled',
+    message: (d) => (d.by !== 'driver'
+      ? `Your ride to ${d.destination} was cancelled by ${cancelledBy(d)}.${reasonSuffix(d)}`
+      : `You cancelled the ride to ${d.destination}. ${d.penaltyNote || ''}`.trim()),
+  },
+  'driver.approved.applicant': {
+    type: 'system',
+    title: () => 'Driver application approved',
+    message: () => 'Your documents were approved. You can now offer rides.',
+  },
+  'driver.rejected.applicant': {
+    type: 'system',
+    title: () => 'Driver application rejected',
+    message: (d) => (d.reason ? `Your driver application was rejected: ${d.reason}` : 'Your driver application was rejected.'),
+  },
+  'driver.suspended.driver': {
+    type: 'system',
+    title: () => 'Driver account suspended',
+    message: (d) => `Your ${d.documents.join(', ')} expired. Upload renewed documents to drive again.`,
+  },
+};
+
+// { type, title, message } for a template; throws for unknown names
+const renderTemplate = (name, data = {}) => {
+  const template = TEMPLATES[name];
+  if (!template) throw new Error(`Unknown notification template: ${name}`);
+  return {
+    type: template.type,
+    title: template.title(data),
+    message: template.message(data),
+  };
+};
+
+export { TEMPLATES, renderTemplate };
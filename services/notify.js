@@ -0,0 +1,77 @@
+import User from '../models/User.js';
+import { renderTemplate } from './notifications/templates.js';
+import { channelsFor } from './notifications/preferences.js';
+import { getChannelAdapter, pushUnreadCount } from './notifications/channels.js';
+
+/**
+ * Send a notification to a user on every channel their preferences allow for its type
+ * (in-app, email, push, sms), holding back interrupting channels during quiet hours.
+ *
+ * Content comes from a `template` rendered with `data`, or from an explicit `title` and
+ * `message` (with `type`). `room` says which side of the app it is for ('driver',
+ * 'passenger' or 'admin') and travels as `audience`; `extra` is merged into the socket
+ * payload only (e.g. seatsDelta). A failing channel is logged and doesn't stop the others.
+ * Resolves to the in-app Notification, or null when it wasn't created.
+ */
+const notify = async ({ user, room, type, template, data = {}, title, message, ride, booking, extra = {} }) => {
+  const content = template ? renderTemplate(template, data) : { type: type || 'system', title, message };
+  const recipient = await User.findById(user?._id || user)
+    .select('name email emailVerified notificationPreferences')
+    .lean();
+  if (!recipient) return null;
+
+  const notification = { ...content, template, audience: room, ride, booking, extra };
+  const { channels } = channelsFor(recipient, content.type);
+  let note = null;
+  // In-app first so the other channels can point at it
+  if (channels.includes('in_app')) {
+    try {
+      const result = await getChannelAdapter('in_app').send({ user: recipient, notification });
+      note = result.note;
+      notification.id = result.id;
+    } catch (err) {
+      console.error('Notification in_app error:', err);
+    }
+  }
+  await Promise.all(channels.filter((c) => c !== 'in_app').map(async (channel) => {
+    try {
+      await getChannelAdapter(channel).send({ user: recipient, notification });
+    } catch (err) {
+      console.error(`Notification ${channel} error:`, err);
+    }
+  }));
+  return note;
+};
+
+const MESSAGE_PREVIEW_LENGTH = 140;
+
+/**
+ * Push a chat message to its recipient's devices when their preferences allow it; the
+ * push channel itself skips users who have a live socket. There is no in-app record:
+ * the message thread is that.
+ */
+const notifyMessage = async ({ recipient, sender, message }) => {
+  const user = await User.findById(recipient)
+    .select('name email emailVerified notificationPreferences')
+    .lean();
+  if (!user || !channelsFor(user, 'message').channels.includes('push')) return;
+  const preview = message.body.length > MESSAGE_PREVIEW_LENGTH
+    ? `${message.body.slice(0, MESSAGE_PREVIEW_LENGTH - 1)}…`
+    : message.body;
+  try {
+    await getChannelAdapter('push').send({
+      user,
+      notification: {
+        type: 'message',
+        title: `Message from ${sender.name || 'your ride'}`,
+        message: preview,
+        ride: message.ride,
+        extra: { messageId: String(message._id), sender: String(sender._id) },
+      },
+    });
+  } catch (err) {
+    console.error('Notification push error:', err);
+  }
+};
+
+export { notify, notifyMessage, pushUnreadCount };
@@ -0,0 +1,254 @@
+import Payment from '../../models/Payment.js';
+import Payout from '../../models/Payout.js';
+import { getPaymentProvider } from './provider.js';
+import { ACCOUNTS, postTransaction, accountBalance } from './ledger.js';
+import { toMinor } from '../../utils/money.js';
+
+const currency = () => process.env.PAYMENT_CURRENCY || 'KES';
+const platformFeePercent = () => {
+  const pct = Number(process.env.PLATFORM_FEE_PERCENT);
+  return Number.isFinite(pct) && pct >= 0 && pct <= 100 ? pct : 10;
+};
+
+class PayoutError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PayoutError';
+    this.status = status;
+  }
+}
+
+const feeFor = (amount) => Math.round((amount * platformFeePercent()) / 100);
+
+/**
+ * Hold the booking amount with the provider. Returns the Payment, or null for free rides.
+ * When promotions cover the whole fare nothing is held, but a Payment still records the
+ * subsidy owed to the driver. Throws if the provider declines.
+ */
+const authorizeBooking = async (booking, ride) => {
+  // The quote locked on the booking wins; older bookings pay the plain seat price
+  const amount = booking.quote?.total ?? toMinor(ride.price) * booking.seatsBooked;
+  const subsidy = booking.quote?.subsidy || 0;
+  if (amount <= 0 && subsidy <= 0) return null;
+  const provider = getPaymentProvider();
+  const intent = amount > 0
+    ? await provider.createIntent({
+      amount,
+      currency: currency(),
+      metadata: { bookingId: String(booking._id), rideId: String(ride._id) },
+    })
+    : null;
+  return Payment.create({
+    booking: booking._id,
+    ride: ride._id,
+    passenger: booking.passenger,
+    driver: ride.driver._id || ride.driver,
+    amount: Math.max(0, amount),
+    subsidy,
+    currency: currency(),
+    provider: provider.name,
+    providerIntentId: intent?.id,
+  });
+};
+
+/**
+ * Charge `amount` of an authorized payment and move it through escrow to the driver and platform.
+ * With `subsidy` the platform also pays the driver the discount it gave the passenger; the fee is
+ * taken on the full fare.
+ */
+const capture = async (payment, amount, memo, subsidy = 0) => {
+  const provider = getPaymentProvider();
+  // Claim the payment first so concurrent callers can't capture twice
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'authorized' },
+    { $set: { status: 'captured', capturedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) return null;
+  try {
+    if (amount > 0) await provider.capture(claimed.providerIntentId, amount);
+  } catch (err) {
+    await Payment.updateOne({ _id: claimed._id }, { $set: { status: 'authorized' }, $unset: { capturedAt: 1 } });
+    throw err;
+  }
+  const fee = feeFor(amount + subsidy);
+  const refs = { payment: claimed._id, booking: claimed.booking, ride: claimed.ride };
+  await postTransaction({
+    memo: `${memo}: capture`,
+    currency: claimed.currency,
+    refs,
+    entries: [
+      { account: ACCOUNTS.providerCash, debit: amount },
+      { account: ACCOUNTS.escrow, credit: amount },
+    ],
+  });
+  await postTransaction({
+    memo: `${memo}: release to driver`,
+    currency: claimed.currency,
+    refs,
+    entries: [
+      { account: ACCOUNTS.escrow, debit: amount },
+      { account: ACCOUNTS.promotions, debit: subsidy },
+      { account: ACCOUNTS.driverPayable(claimed.driver), credit: amount + subsidy - fee },
+      { account: ACCOUNTS.platformRevenue, credit: fee },
+    ],
+  });
+  claimed.capturedAmount = amount;
+  claimed.refundedAmount = claimed.amount - amount;
+  claimed.platformFee = fee;
+  claimed.subsidyPaid = subsidy;
+  await claimed.save();
+  return claimed;
+};
+
+// Release the hold on an uncaptured payment (decline, expiry, full refund before capture)
+const voidPayment = async (bookingId) => {
+  const payment = await Payment.findOneAndUpdate(
+    { booking: bookingId, status: 'authorized' },
+    { $set: { status: 'canceled', canceledAt: new Date() } },
+    { new: true }
+  );
+  if (!payment) return null;
+  try {
+    if (payment.providerIntentId) await getPaymentProvider().cancel(payment.providerIntentId);
+  } catch (err) {
+    await Payment.updateOne({ _id: payment._id }, { $set: { status: 'authorized' }, $unset: { canceledAt: 1 } });
+    throw err;
+  }
+  payment.refundedAmount = payment.amount;
+  await payment.save();
+  return payment;
+};
+
+/**
+ * Settle a cancelled booking: refund `refundPercent` of the held amount and charge the rest
+ * as a cancellation fee. A 100% refund simply releases the hold.
+ */
+const settleCancellation = async (bookingId, refundPercent) => {
+  const payment = await Payment.findOne({ booking: bookingId, status: 'authorized' });
+  if (!payment) return null;
+  const pct = Math.min(100, Math.max(0, refundPercent));
+  const keep = Math.round((payment.amount * (100 - pct)) / 100);
+  if (keep <= 0) return voidPayment(bookingId);
+  return capture(payment, keep, 'cancellation fee');
+};
+
+// Capture every outstanding payment on a completed ride; returns the captured payments
+const captureRidePayments = async (rideId) => {
+  const payments = await Payment.find({ ride: rideId, status: 'authorized' });
+  const captured = [];
+  for (const payment of payments) {
+    try {
+      const result = await capture(payment, payment.amount, 'ride completed', payment.subsidy || 0);
+      if (result) captured.push(result);
+    } catch (err) {
+      console.error(`Capture payment ${payment._id} failed:`, err);
+    }
+  }
+  return captured;
+};
+
+const driverBalance = (driverId) => accountBalance(ACCOUNTS.driverPayable(driverId));
+
+/**
+ * Pay out a driver's whole available balance. The balance is claimed first (a pending Payout,
+ * of which a driver can only have one, and a ledger move into payouts_pending) so concurrent
+ * requests can't pay it twice; the claim is reversed if the provider fails.
+ * Resolves to the provider payout with its amount, or null when there is nothing to pay.
+ */
+const payoutDriver = async (driverId) => {
+  let record;
+  try {
+    record = await Payout.create({ driver: driverId, currency: currency() });
+  } catch (err) {
+    if (err.code === 11000) throw new PayoutError('A payout is already in progress', 409);
+    throw err;
+  }
+  const balance = await driverBalance(driverId);
+  if (balance <= 0) {
+    await Payout.deleteOne({ _id: record._id });
+    return null;
+  }
+  const refs = { payout: record._id };
+  await postTransaction({
+    memo: `payout ${record._id}: claim`,
+    currency: currency(),
+    refs,
+    entries: [
+      { account: ACCOUNTS.driverPayable(driverId), debit: balance },
+      { account: ACCOUNTS.payoutsPending, credit: balance },
+    ],
+  });
+
+  let payout;
+  try {
+    payout = await getPaymentProvider().payout({
+      accountRef: String(driverId),
+      amount: balance,
+      currency: currency(),
+    });
+  } catch (err) {
+    await postTransaction({
+      memo: `payout ${record._id}: reversed`,
+      currency: currency(),
+      refs,
+      entries: [
+        { account: ACCOUNTS.payoutsPending, debit: balance },
+        { account: ACCOUNTS.driverPayable(driverId), credit: balance },
+      ],
+    });
+    await Payout.updateOne(
+      { _id: record._id },
+      { $set: { status: 'failed', amount: balance, error: String(err.message || err).slice(0, 500) } }
+    );
+    throw err;
+  }
+
+  await postTransaction({
+    memo: `payout ${payout.id}`,
+    currency: currency(),
+    refs,
+    entries: [
+      { account: ACCOUNTS.payoutsPending, debit: balance },
+      { account: ACCOUNTS.providerCash, credit: balance },
+    ],
+  });
+  await Payout.updateOne(
+    { _id: record._id },
+    { $set: { status: 'paid', amount: balance, providerPayoutId: payout.id, paidAt: new Date() } }
+  );
+  return { ...payout, amount: balance };
+};
+
+// Amount (minor units) a booking is worth: the held payment if any, else the ride price
+const bookingAmount = async (booking, ride) => {
+  const payment = await Payment.findOne({ booking: booking._id }).select('amount');
+  if (payment) return payment.amount;
+  return booking.quote?.total ?? toMinor(ride.price) * booking.seatsBooked;
+};
+
+// Take a cancellation penalty out of a driver's earnings (may leave a negative balance)
+const chargeDriverPenalty = async (driverId, amount, refs = {}) => {
+  if (amount <= 0) return null;
+  return postTransaction({
+    memo: 'driver cancellation penalty',
+    currency: currency(),
+    refs,
+    entries: [
+      { account: ACCOUNTS.driverPayable(driverId), debit: amount },
+      { account: ACCOUNTS.platformRevenue, credit: amount },
+    ],
+  });
+};
+
+export {
+  PayoutError,
+  authorizeBooking,
+  voidPayment,
+  bookingAmount,
+  chargeDriverPenalty,
+  settleCancellation,
+  captureRidePayments,
+  driverBalance,
+  payoutDriver,
+};
@@ -0,0 +1,51 @@
+import { v4 as uuidv4 } from 'uuid';
+import LedgerEntry from '../../models/LedgerEntry.js';
+
+const ACCOUNTS = {
+  providerCash: 'provider_cash',
+  escrow: 'escrow',
+  platformRevenue: 'platform_revenue',
+  promotions: 'platform_promotions', // promo codes and credits the platform pays for
+  payoutsPending: 'payouts_pending', // driver balances claimed by a payout the provider hasn't confirmed
+  driverPayable: (driverId) => `driver_payable:${driverId}`,
+};
+
+/**
+ * Record a balanced transaction.
+ * entries: [{ account, debit } | { account, credit }], amounts in minor units.
+ * refs are copied onto every line (payment, booking, ride).
+ */
+const postTransaction = async ({ memo, currency, entries, refs = {} }) => {
+  const lines = entries
+    .map(e => ({
+      account: e.account,
+      direction: e.debit !== undefined ? 'debit' : 'credit',
+      amount: e.debit !== undefined ? e.debit : e.credit,
+    }))
+    .filter(l => l.amount > 0);
+  const debits = lines.filter(l => l.direction === 'debit').reduce((sum, l) => sum + l.amount, 0);
+  const credits = lines.filter(l => l.direction === 'credit').reduce((sum, l) => sum + l.amount, 0);
+  if (debits !== credits) {
+    throw new Error(`Unbalanced ledger transaction (${memo}): debits ${debits} != credits ${credits}`);
+  }
+  if (!lines.length) return null;
+  const txn = uuidv4();
+  await LedgerEntry.insertMany(lines.map(l => ({ ...l, txn, memo, currency, ...refs })));
+  return txn;
+};
+
+// Credit-normal balance of an account (credits minus debits)
+const accountBalance = async (account) => {
+  const [row] = await LedgerEntry.aggregate([
+    { $match: { account } },
+    {
+      $group: {
+        _id: null,
+        balance: { $sum: { $cond: [{ $eq: ['$direction', 'credit'] }, '$amount', { $multiply: ['$amount', -1] }] } },
+      },
+    },
+  ]);
+  return row ? row.balance : 0;
+};
+
+export { ACCOUNTS, postTransaction, accountBalance };
@@ -0,0 +1,54 @@
+import { createFakeProvider } from './providers/fake.js';
+import { createNoPaymentProvider } from './providers/none.js';
+
+/**
+ * Payment provider registry. A provider is an object implementing:
+ *  name
+ *  createIntent({ amount, currency, metadata }) -> { id, status }
+ *  capture(intentId, amount?)                  -> { id, status, amountCaptured }
+ *  cancel(intentId)                            -> { id, status }
+ *  refund(intentId, amount)                    -> { id, status, amountRefunded }
+ *  payout({ accountRef, amount, currency })    -> { id, status }
+ * All methods are async and throw on failure. PAYMENT_PROVIDER selects one (default: none,
+ * which refuses every operation; fake keeps intents in process memory and is for
+ * development and tests only).
+ */
+const factories = {
+  none: createNoPaymentProvider,
+  fake: createFakeProvider,
+};
+
+// Providers that can't take real money: a production server must not start with them
+const NON_PRODUCTION_PROVIDERS = ['none', 'fake'];
+
+let active;
+
+const registerPaymentProvider = (name, factory) => {
+  factories[name] = factory;
+};
+
+const getPaymentProvider = () => {
+  if (!active) {
+    const name = process.env.PAYMENT_PROVIDER || 'none';
+    const factory = factories[name];
+    if (!factory) throw new Error(`Unknown payment provider: ${name}`);
+    active = factory();
+  }
+  return active;
+};
+
+// Swap the active provider (tests, or wiring a configured real provider at startup)
+const setPaymentProvider = (provider) => {
+  active = provider;
+};
+
+// Called at startup: in production, fail loudly instead of taking bookings nobody can charge
+const assertPaymentProvider = () => {
+  const provider = getPaymentProvider();
+  if (process.env.NODE_ENV === 'production' && NON_PRODUCTION_PROVIDERS.includes(provider.name)) {
+    throw new Error(`PAYMENT_PROVIDER must name a real payment provider in production (got ${provider.name})`);
+  }
+  return provider;
+};
+
+export { registerPaymentProvider, getPaymentProvider, setPaymentProvider, assertPaymentProvider };
@@ -0,0 +1,97 @@
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * In-process payment provider for local development and tests. Keeps intents in
+ * memory and behaves like a card processor with separate authorize/capture:
+ *  - createIntent holds `amount`
+ *  - capture charges up to the held amount; the rest of the hold is released
+ *  - cancel releases an uncaptured hold
+ *  - refund returns part or all of a captured amount
+ * failNext(operation) makes the next call of that operation throw, to exercise error paths.
+ */
+const createFakeProvider = () => {
+  const intents = new Map();
+  const payouts = [];
+  const failures = new Set();
+
+  const maybeFail = (operation) => {
+    if (failures.has(operation)) {
+      failures.delete(operation);
+      throw new Error(`fake provider: ${operation} declined`);
+    }
+  };
+
+  const getIntent = (intentId) => {
+    const intent = intents.get(intentId);
+    if (!intent) throw new Error(`fake provider: unknown intent ${intentId}`);
+    return intent;
+  };
+
+  return {
+    name: 'fake',
+
+    async createIntent({ amount, currency, metadata = {} }) {
+      maybeFail('createIntent');
+      const intent = {
+        id: `fake_pi_${uuidv4()}`,
+        amount,
+        currency,
+        metadata,
+        status: 'requires_capture',
+        amountCaptured: 0,
+        amountRefunded: 0,
+      };
+      intents.set(intent.id, intent);
+      return { ...intent };
+    },
+
+    async capture(intentId, amount) {
+      maybeFail('capture');
+      const intent = getIntent(intentId);
+      if (intent.status !== 'requires_capture') throw new Error('fake provider: intent not capturable');
+      const toCapture = amount === undefined ? intent.amount : amount;
+      if (toCapture > intent.amount) throw new Error('fake provider: capture exceeds authorization');
+      intent.amountCaptured = toCapture;
+      intent.status = 'succeeded';
+      return { ...intent };
+    },
+
+    async cancel(intentId) {
+      maybeFail('cancel');
+      const intent = getIntent(intentId);
+      if (intent.status !== 'requires_capture') throw new Error('fake provider: intent not cancelable');
+      intent.status = 'canceled';
+      return { ...intent };
+    },
+
+    async refund(intentId, amount) {
+      maybeFail('refund');
+      const intent = getIntent(intentId);
+      const refundable = intent.amountCaptured - intent.amountRefunded;
+      if (intent.status !== 'succeeded' || amount > refundable) throw new Error('fake provider: refund not allowed');
+      intent.amountRefunded += amount;
+      return { ...intent };
+    },
+
+    async payout({ accountRef, amount, currency }) {
+      maybeFail('payout');
+      const payout = { id: `fake_po_${uuidv4()}`, accountRef, amount, currency, status: 'paid' };
+      payouts.push(payout);
+      return { ...payout };
+    },
+
+    // Test helpers
+    failNext(operation) {
+      failures.add(operation);
+    },
+    getIntent(intentId) {
+      const intent = intents.get(intentId);
+      return intent ? { ...intent } : null;
+    },
+    listPayouts() {
+      return payouts.map(p => ({ ...p }));
+    },
+  };
+};
+
+export { createFakeProvider };
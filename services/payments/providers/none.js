@@ -0,0 +1,21 @@
+/**
+ * Default payment provider when none is configured: every operation fails, so bookings
+ * can't be authorized and nothing is captured or paid out against a provider that
+ * doesn't exist. Production refuses to start with it (see assertPaymentProvider).
+ */
+const createNoPaymentProvider = () => {
+  const unavailable = async () => {
+    throw new Error('No payment provider configured (set PAYMENT_PROVIDER)');
+  };
+  return {
+    name: 'none',
+    available: false,
+    createIntent: unavailable,
+    capture: unavailable,
+    cancel: unavailable,
+    refund: unavailable,
+    payout: unavailable,
+  };
+};
+
+export { createNoPaymentProvider };
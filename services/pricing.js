@@ -0,0 +1,230 @@
+import Ride from '../models/Ride.js';
+import { haversineKm, kmToRadians } from '../utils/geo.js';
+import { toMinor } from '../utils/money.js';
+
+/**
+ * Pricing: suggested seat prices for drivers and server-side quotes for passengers.
+ *
+ * A suggestion blends a distance-based fare (with a time-of-day multiplier) with the median
+ * price of similar past rides. A quote starts from the ride's per-seat price and applies the
+ * driver's price rules; it is stored on the booking so later rule or price edits don't change it.
+ *
+ * Tunables (major currency units): PRICING_BASE_FARE (default 100), PRICING_PER_KM (default 8),
+ * PRICING_ROUNDING (default 10), PRICING_UTC_OFFSET_MINUTES for local time bands (default 180).
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+// Straight-line distance understates road distance
+const ROAD_FACTOR = 1.25;
+const SIMILAR_ROUTE_RADIUS_KM = 10;
+const HISTORY_DAYS = 90;
+const MIN_HISTORY_SAMPLES = 3;
+const MAX_PRICE_RULES = 10;
+
+const TIME_BANDS = [
+  { name: 'morning_peak', from: 6, to: 9, multiplier: 1.15 },
+  { name: 'evening_peak', from: 16, to: 19, multiplier: 1.15 },
+  { name: 'night', from: 22, to: 29, multiplier: 1.1 }, // 22:00 - 05:00
+];
+
+class PricingError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PricingError';
+    this.status = status;
+  }
+}
+
+const numberEnv = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const roundTo = (value, step) => (step > 0 ? Math.round(value / step) * step : Math.round(value));
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Estimated road distance through every stop that has coordinates, or null without both ends
+const routeDistanceKm = ({ startPoint, destinationPoint, waypoints = [] }) => {
+  if (!startPoint || !destinationPoint) return null;
+  const points = [startPoint, ...waypoints.map(w => w.point).filter(Boolean), destinationPoint];
+  let km = 0;
+  for (let i = 1; i < points.length; i++) km += haversineKm(points[i - 1].coordinates, points[i].coordinates);
+  return km * ROAD_FACTOR;
+};
+
+const timeBand = (departureTime) => {
+  const offset = numberEnv('PRICING_UTC_OFFSET_MINUTES', 180);
+  const local = new Date(new Date(departureTime).getTime() + offset * 60 * 1000);
+  const hour = local.getUTCHours() + local.getUTCMinutes() / 60;
+  return TIME_BANDS.find(b => (hour >= b.from && hour < b.to) || (hour + 24 >= b.from && hour + 24 < b.to))
+    || { name: 'off_peak', multiplier: 1 };
+};
+
+// Prices of rides on a similar route over the last HISTORY_DAYS (by coordinates, else by names)
+const historicalPrices = async ({ startPoint, destinationPoint, startLocation, destination }, now = new Date()) => {
+  const query = {
+    status: { $ne: 'canceled' },
+    departureTime: { $gte: new Date(now.getTime() - HISTORY_DAYS * 24 * HOUR_MS), $lte: now },
+  };
+  if (startPoint && destinationPoint) {
+    const radius = kmToRadians(SIMILAR_ROUTE_RADIUS_KM);
+    query.startPoint = { $geoWithin: { $centerSphere: [startPoint.coordinates, radius] } };
+    query.destinationPoint = { $geoWithin: { $centerSphere: [destinationPoint.coordinates, radius] } };
+  } else if (startLocation && destination) {
+    const exact = (v) => new RegExp(`^${v.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+    query.startLocation = exact(startLocation);
+    query.destination = exact(destination);
+  } else {
+    return [];
+  }
+  const rides = await Ride.find(query).select('price').sort({ departureTime: -1 }).limit(200);
+  return rides.map(r => r.price);
+};
+
+/**
+ * Suggest a per-seat price for a route. Needs coordinates or past rides on the same route.
+ * Resolves to { suggestedPrice, range: { min, max }, breakdown }.
+ */
+const suggestPrice = async (route, now = new Date()) => {
+  const rounding = numberEnv('PRICING_ROUNDING', 10);
+  const distanceKm = routeDistanceKm(route);
+  const band = timeBand(route.departureTime || now);
+  const history = await historicalPrices(route, now);
+
+  let formulaPrice = null;
+  if (distanceKm !== null) {
+    const baseFare = numberEnv('PRICING_BASE_FARE', 100);
+    formulaPrice = (baseFare + distanceKm * numberEnv('PRICING_PER_KM', 8)) * band.multiplier;
+  }
+  const historicalMedian = history.length >= MIN_HISTORY_SAMPLES ? median(history) : null;
+  if (formulaPrice === null && historicalMedian === null) {
+    throw new PricingError('Not enough information to suggest a price; send start and destination coordinates');
+  }
+
+  const blended = formulaPrice !== null && historicalMedian !== null
+    ? (formulaPrice + historicalMedian) / 2
+    : (formulaPrice ?? historicalMedian);
+  const suggestedPrice = Math.max(rounding, roundTo(blended, rounding));
+  return {
+    suggestedPrice,
+    range: {
+      min: Math.max(rounding, roundTo(suggestedPrice * 0.85, rounding)),
+      max: roundTo(suggestedPrice * 1.15, rounding),
+    },
+    breakdown: {
+      distanceKm: distanceKm === null ? null : Math.round(distanceKm * 10) / 10,
+      formulaPrice: formulaPrice === null ? null : Math.round(formulaPrice),
+      timeBand: band.name,
+      timeMultiplier: band.multiplier,
+      historical: { samples: history.length, median: historicalMedian },
+    },
+  };
+};
+
+// Validate price rules from a request body; resolves to the list to store on the ride
+const parsePriceRules = (raw) => {
+  if (raw === undefined || raw === null) return [];
+  if (!Array.isArray(raw) || raw.length > MAX_PRICE_RULES) {
+    throw new PricingError(`priceRules must be a list of at most ${MAX_PRICE_RULES} rules`);
+  }
+  const kinds = new Set();
+  return raw.map((rule) => {
+    const kind = rule?.kind;
+    const hoursBefore = Number(rule?.hoursBefore);
+    const percent = Number(rule?.percent);
+    const amount = Number(rule?.amount);
+    switch (kind) {
+      case 'early_bird':
+        if (!(hoursBefore > 0) || !(percent > 0 && percent <= 90)) {
+          throw new PricingError('early_bird rules need hoursBefore > 0 and a discount percent between 1 and 90');
+        }
+        return { kind, hoursBefore, percent };
+      case 'last_minute':
+        if (!(hoursBefore > 0) || !Number.isFinite(percent) || percent === 0 || percent < -90 || percent > 100) {
+          throw new PricingError('last_minute rules need hoursBefore > 0 and a percent change between -90 and 100');
+        }
+        return { kind, hoursBefore, percent };
+      case 'child':
+      case 'luggage':
+        if (kinds.has(kind)) throw new PricingError(`Only one ${kind} rule is allowed`);
+        kinds.add(kind);
+        if (!(amount >= 0)) throw new PricingError(`${kind} rules need a surcharge amount`);
+        return { kind, amount };
+      default:
+        throw new PricingError('Price rule kind must be early_bird, last_minute, child or luggage');
+    }
+  });
+};
+
+/**
+ * Price a booking on a ride, in minor units. Of the time-based rules only the best-fitting one
+ * applies: the early-bird tier with the longest lead time met, else the last-minute rule with the
+ * shortest window that contains the booking time.
+ * Resolves to the quote stored on Booking.quote.
+ */
+const quoteBooking = (ride, { seats, children = 0, luggage = 0 }, now = new Date()) => {
+  if (!Number.isInteger(children) || children < 0 || children > seats) {
+    throw new PricingError('children must be between 0 and the number of seats');
+  }
+  if (!Number.isInteger(luggage) || luggage < 0) {
+    throw new PricingError('luggage must be a whole number');
+  }
+  const currency = process.env.PAYMENT_CURRENCY || 'KES';
+  const unitPrice = toMinor(ride.price);
+  const base = unitPrice * seats;
+  const lines = [{ code: 'base', label: `${seats} seat(s)`, amount: base }];
+  const rules = ride.priceRules || [];
+  const hoursUntil = (new Date(ride.departureTime).getTime() - now.getTime()) / HOUR_MS;
+
+  const earlyBird = rules
+    .filter(r => r.kind === 'early_bird' && hoursUntil >= r.hoursBefore)
+    .sort((a, b) => b.hoursBefore - a.hoursBefore)[0];
+  const lastMinute = rules
+    .filter(r => r.kind === 'last_minute' && hoursUntil <= r.hoursBefore)
+    .sort((a, b) => a.hoursBefore - b.hoursBefore)[0];
+  if (earlyBird) {
+    lines.push({
+      code: 'early_bird',
+      label: `Early-bird discount (${earlyBird.percent}%)`,
+      amount: -Math.round(base * earlyBird.percent / 100),
+    });
+  } else if (lastMinute) {
+    lines.push({
+      code: 'last_minute',
+      label: `Last-minute ${lastMinute.percent > 0 ? 'surcharge' : 'discount'} (${Math.abs(lastMinute.percent)}%)`,
+      amount: Math.round(base * lastMinute.percent / 100),
+    });
+  }
+
+  const child = rules.find(r => r.kind === 'child');
+  if (child && children > 0 && child.amount > 0) {
+    lines.push({ code: 'child', label: `Child seat surcharge x${children}`, amount: toMinor(child.amount) * children });
+  }
+  const bags = rules.find(r => r.kind === 'luggage');
+  if (bags && luggage > 0 && bags.amount > 0) {
+    lines.push({ code: 'luggage', label: `Luggage surcharge x${luggage}`, amount: toMinor(bags.amount) * luggage });
+  }
+
+  const total = Math.max(0, lines.reduce((sum, line) => sum + line.amount, 0));
+  return { currency, unitPrice, seats, children, luggage, lines, total, quotedAt: now };
+};
+
+// Integer extras from a request body (children / luggage), defaulting to 0
+const parseExtras = (body = {}) => {
+  const read = (v) => (v === undefined || v === null || v === '' ? 0 : Number(v));
+  return { children: read(body.children), luggage: read(body.luggage) };
+};
+
+export {
+  PricingError,
+  routeDistanceKm,
+  suggestPrice,
+  parsePriceRules,
+  quoteBooking,
+  parseExtras,
+};
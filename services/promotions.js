@@ -0,0 +1,356 @@
+import crypto from 'crypto';
+import PromoCode from '../models/PromoCode.js';
+import PromoRedemption from '../models/PromoRedemption.js';
+import CreditTransaction from '../models/CreditTransaction.js';
+import User from '../models/User.js';
+import Booking, { SEAT_HOLDING_STATUSES } from '../models/Booking.js';
+import { getStops } from './seats.js';
+import { notify } from './notify.js';
+import { toMinor, formatMoney } from '../utils/money.js';
+
+/**
+ * Promo codes and referral credit.
+ *
+ * Both are discounts the platform pays for: they come off the passenger's quote as negative
+ * lines and are recorded as quote.subsidy, which the driver receives when the ride completes.
+ * Promo uses and spent credit are given back when a booking is cancelled, declined or expires.
+ */
+
+class PromoError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PromoError';
+    this.status = status;
+  }
+}
+
+const REFERRAL_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const normaliseCode = (code) => String(code || '').trim().toUpperCase();
+
+// Referral rewards in major units: REFERRAL_REFERRER_CREDIT / REFERRAL_REFEREE_CREDIT (default 200 each)
+const referralCredit = (name) => {
+  const value = Number(process.env[name]);
+  return toMinor(Number.isFinite(value) && value >= 0 ? value : 200);
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const routeMatches = (route, from, to) =>
+  (!route.startLocation || new RegExp(escapeRegex(route.startLocation), 'i').test(from))
+  && (!route.destination || new RegExp(escapeRegex(route.destination), 'i').test(to));
+
+/**
+ * Look up a promo code and check it can be used by `user` on the booked stops of `ride`.
+ * Resolves to the PromoCode; throws PromoError explaining why not otherwise.
+ */
+const findApplicablePromo = async (code, user, ride, { fromStop, toStop }, now = new Date()) => {
+  const promo = await PromoCode.findOne({ code: normaliseCode(code) });
+  if (!promo || !promo.active) throw new PromoError('Invalid promo code', 404);
+  if (promo.validFrom && promo.validFrom > now) throw new PromoError('This promo code is not active yet');
+  if (promo.validUntil && promo.validUntil < now) throw new PromoError('This promo code has expired');
+  if (promo.usageLimit && promo.usedCount >= promo.usageLimit) {
+    throw new PromoError('This promo code has been fully redeemed', 409);
+  }
+  const used = await PromoRedemption.countDocuments({ promo: promo._id, user: user._id, status: 'redeemed' });
+  if (used >= promo.perUserLimit) throw new PromoError('You have already used this promo code', 409);
+  if (promo.firstRideOnly) {
+    const hasRides = await Booking.exists({
+      passenger: user._id,
+      status: { $in: [...SEAT_HOLDING_STATUSES, 'completed'] },
+    });
+    if (hasRides) throw new PromoError('This promo code is only valid on your first ride');
+  }
+  if (promo.routes.length) {
+    const stops = getStops(ride);
+    const from = stops[fromStop].name;
+    const to = stops[toStop].name;
+    if (!promo.routes.some(r => routeMatches(r, from, to))) {
+      throw new PromoError('This promo code is not valid on this route');
+    }
+  }
+  return promo;
+};
+
+/**
+ * Validate promo code fields from an admin request; `partial` allows updates that omit fields.
+ * Returns the fields to set on the PromoCode.
+ */
+const parsePromo = (body = {}, { partial = false } = {}) => {
+  const fields = {};
+  if (body.code !== undefined) {
+    const code = normaliseCode(body.code);
+    if (!/^[A-Z0-9_-]{3,32}$/.test(code)) {
+      throw new PromoError('code must be 3-32 letters, digits, - or _');
+    }
+    fields.code = code;
+  }
+  if (body.description !== undefined) fields.description = String(body.description).trim();
+  if (body.discountType !== undefined) {
+    if (!['percent', 'fixed'].includes(body.discountType)) throw new PromoError('discountType must be percent or fixed');
+    fields.discountType = body.discountType;
+  }
+  for (const key of ['value', 'maxDiscount']) {
+    if (body[key] === undefined) continue;
+    if (body[key] === null && key === 'maxDiscount') {
+      fields[key] = undefined;
+      continue;
+    }
+    const n = Number(body[key]);
+    if (!Number.isFinite(n) || n <= 0) throw new PromoError(`${key} must be a positive number`);
+    fields[key] = n;
+  }
+  for (const key of ['usageLimit', 'perUserLimit']) {
+    if (body[key] === undefined) continue;
+    if (body[key] === null && key === 'usageLimit') {
+      fields[key] = undefined;
+      continue;
+    }
+    const n = Number(body[key]);
+    if (!Number.isInteger(n) || n < 1) throw new PromoError(`${key} must be a whole number of at least 1`);
+    fields[key] = n;
+  }
+  for (const key of ['validFrom', 'validUntil']) {
+    if (body[key] === undefined) continue;
+    if (body[key] === null) {
+      fields[key] = undefined;
+      continue;
+    }
+    const d = new Date(body[key]);
+    if (isNaN(d.getTime())) throw new PromoError(`${key} must be a date`);
+    fields[key] = d;
+  }
+  for (const key of ['firstRideOnly', 'active']) {
+    if (body[key] !== undefined) fields[key] = Boolean(body[key]);
+  }
+  if (body.routes !== undefined) {
+    if (!Array.isArray(body.routes) || body.routes.some(r => !r || (!r.startLocation && !r.destination))) {
+      throw new PromoError('routes must be a list of { startLocation, destination }');
+    }
+    fields.routes = body.routes.map(r => ({ startLocation: r.startLocation, destination: r.destination }));
+  }
+  if (!partial && (!fields.code || !fields.discountType || fields.value === undefined)) {
+    throw new PromoError('code, discountType and value are required');
+  }
+  if (fields.discountType === 'percent' && fields.value > 100) {
+    throw new PromoError('A percent discount cannot exceed 100');
+  }
+  if (fields.validFrom && fields.validUntil && fields.validUntil <= fields.validFrom) {
+    throw new PromoError('validUntil must be after validFrom');
+  }
+  return fields;
+};
+
+// Discount a promo gives on `total` (minor units)
+const promoDiscount = (promo, total) => {
+  let discount = promo.discountType === 'percent'
+    ? Math.round((total * Math.min(100, promo.value)) / 100)
+    : toMinor(promo.value);
+  if (promo.discountType === 'percent' && promo.maxDiscount !== undefined && promo.maxDiscount !== null) {
+    discount = Math.min(discount, toMinor(promo.maxDiscount));
+  }
+  return Math.max(0, Math.min(discount, total));
+};
+
+/**
+ * Take a promo and/or up to `credits` of ride credit off a quote from quoteBooking.
+ * Returns a new quote with the discount lines, the lower total and the subsidy.
+ */
+const applyDiscounts = (quote, { promo, credits = 0 } = {}) => {
+  const lines = [...quote.lines];
+  let total = quote.total;
+  let subsidy = 0;
+  if (promo) {
+    const discount = promoDiscount(promo, total);
+    if (discount > 0) {
+      lines.push({ code: 'promo', label: `Promo ${promo.code}`, amount: -discount });
+      total -= discount;
+      subsidy += discount;
+    }
+  }
+  const credit = Math.min(Math.max(0, credits), total);
+  if (credit > 0) {
+    lines.push({ code: 'credit', label: 'Ride credit', amount: -credit });
+    total -= credit;
+    subsidy += credit;
+  }
+  return { ...quote, lines, total, subsidy, promoCode: promo?.code };
+};
+
+/**
+ * Take one of the user's uses of a promo, then one of its global uses. Each redemption holds
+ * a per-user slot (0 .. perUserLimit - 1) under a unique index, so concurrent bookings can't
+ * go over the per-user limit; a first-ride promo is also refused when the user has booked
+ * in the meantime or holds another first-ride promo.
+ */
+const claimPromoUse = async (bookingId, userId, promo, amount) => {
+  let redemption = null;
+  for (let slot = 0; slot < promo.perUserLimit && !redemption; slot++) {
+    try {
+      redemption = await PromoRedemption.create({ promo: promo._id, user: userId, booking: bookingId, amount, slot });
+    } catch (err) {
+      if (err.code !== 11000) throw err; // slot taken: try the next one
+    }
+  }
+  if (!redemption) throw new PromoError('You have already used this promo code', 409);
+
+  const giveBack = () => PromoRedemption.deleteOne({ _id: redemption._id });
+  if (promo.firstRideOnly) {
+    const firstRidePromos = await PromoCode.find({ firstRideOnly: true }).distinct('_id');
+    const [booked, otherPromo] = await Promise.all([
+      Booking.exists({ passenger: userId, status: { $in: [...SEAT_HOLDING_STATUSES, 'completed'] } }),
+      PromoRedemption.exists({
+        _id: { $ne: redemption._id },
+        user: userId,
+        promo: { $in: firstRidePromos },
+        status: 'redeemed',
+      }),
+    ]);
+    if (booked || otherPromo) {
+      await giveBack();
+      throw new PromoError('This promo code is only valid on your first ride');
+    }
+  }
+  const claimed = await PromoCode.findOneAndUpdate(
+    {
+      _id: promo._id,
+      active: true,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }],
+    },
+    { $inc: { usedCount: 1 } }
+  );
+  if (!claimed) {
+    await giveBack();
+    throw new PromoError('This promo code has been fully redeemed', 409);
+  }
+};
+
+/**
+ * Record the promo use and credit spend of a quote for a booking that is about to be
+ * created (its id is generated up front). On failure nothing stays locked.
+ */
+const lockDiscounts = async (bookingId, userId, quote, promo) => {
+  const promoLine = quote.lines.find(l => l.code === 'promo');
+  const creditLine = quote.lines.find(l => l.code === 'credit');
+  if (promoLine) await claimPromoUse(bookingId, userId, promo, -promoLine.amount);
+  if (creditLine) {
+    const spent = await User.findOneAndUpdate(
+      { _id: userId, creditBalance: { $gte: -creditLine.amount } },
+      { $inc: { creditBalance: creditLine.amount } }
+    );
+    if (!spent) {
+      await releaseDiscounts(bookingId);
+      throw new PromoError('Not enough ride credit', 409);
+    }
+    await CreditTransaction.create({ user: userId, amount: creditLine.amount, reason: 'booking', booking: bookingId });
+  }
+};
+
+// Give back the promo use and the credit spent on a booking that fell through. Safe to repeat.
+const releaseDiscounts = async (bookingId) => {
+  const redemption = await PromoRedemption.findOneAndUpdate(
+    { booking: bookingId, status: 'redeemed' },
+    { $set: { status: 'released', releasedAt: new Date() } },
+    { new: true }
+  );
+  if (redemption) {
+    await PromoCode.updateOne({ _id: redemption.promo, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+  }
+  const spent = await CreditTransaction.findOne({ booking: bookingId, reason: 'booking' });
+  if (!spent) return;
+  try {
+    await CreditTransaction.create({
+      user: spent.user, amount: -spent.amount, reason: 'booking_released', booking: bookingId,
+    });
+  } catch (err) {
+    if (err.code === 11000) return; // already given back
+    throw err;
+  }
+  await User.updateOne({ _id: spent.user }, { $inc: { creditBalance: -spent.amount } });
+};
+
+// ----- Referrals -----
+
+const generateReferralCode = () => Array.from(crypto.randomBytes(8), b => REFERRAL_CODE_ALPHABET[b % 32]).join('');
+
+// The user's referral code, created on first use
+const ensureReferralCode = async (user) => {
+  if (user.referralCode) return user.referralCode;
+  for (let attempt = 0; attempt < 5; attempt++) {
+    try {
+      await User.updateOne(
+        { _id: user._id, referralCode: { $exists: false } },
+        { $set: { referralCode: generateReferralCode() } }
+      );
+      break;
+    } catch (err) {
+      if (err.code !== 11000) throw err; // code taken: try another
+    }
+  }
+  const fresh = await User.findById(user._id).select('referralCode');
+  user.referralCode = fresh.referralCode;
+  return fresh.referralCode;
+};
+
+// Referrer for a code given at sign-up; throws PromoError when the code is unknown
+const findReferrer = async (code) => {
+  const referrer = await User.findOne({ referralCode: normaliseCode(code) }).select('_id');
+  if (!referrer) throw new PromoError('Invalid referral code');
+  return referrer;
+};
+
+const creditUser = async (userId, amount, reason, relatedUser) => {
+  if (amount <= 0) return;
+  await User.updateOne({ _id: userId }, { $inc: { creditBalance: amount } });
+  await CreditTransaction.create({ user: userId, amount, reason, relatedUser });
+};
+
+/**
+ * After a referred user's first completed ride, credit both them and their referrer.
+ * Runs once per user; resolves to true when the reward was paid.
+ */
+const rewardReferral = async (userId, now = new Date()) => {
+  const user = await User.findOneAndUpdate(
+    { _id: userId, referredBy: { $exists: true }, referralRewardedAt: { $exists: false } },
+    { $set: { referralRewardedAt: now } },
+    { new: true }
+  );
+  if (!user) return false;
+  const referrer = await User.findById(user.referredBy).select('role name');
+  const refereeAmount = referralCredit('REFERRAL_REFEREE_CREDIT');
+  const referrerAmount = referralCredit('REFERRAL_REFERRER_CREDIT');
+
+  await creditUser(user._id, refereeAmount, 'referral_referee', user.referredBy);
+  await notify({
+    user: user._id,
+    room: user.role === 'driver' ? 'driver' : 'passenger',
+    type: 'system',
+    title: 'Referral credit',
+    message: `You earned ${formatMoney(refereeAmount)} in ride credit for completing your first ride.`,
+  });
+  if (referrer) {
+    await creditUser(referrer._id, referrerAmount, 'referral_referrer', user._id);
+    await notify({
+      user: referrer._id,
+      room: referrer.role === 'driver' ? 'driver' : 'passenger',
+      type: 'system',
+      title: 'Referral credit',
+      message: `${user.name} completed their first ride. You earned ${formatMoney(referrerAmount)} in ride credit.`,
+    });
+  }
+  return true;
+};
+
+export {
+  PromoError,
+  normaliseCode,
+  parsePromo,
+  findApplicablePromo,
+  applyDiscounts,
+  lockDiscounts,
+  releaseDiscounts,
+  generateReferralCode,
+  ensureReferralCode,
+  findReferrer,
+  rewardReferral,
+};
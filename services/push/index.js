@@ -0,0 +1,127 @@
+import PushSubscription from '../../models/PushSubscription.js';
+import { registerPushProvider, getPushProvider } from './provider.js';
+import { createFakePushProvider } from './providers/fake.js';
+import { createNoPushProvider } from './providers/none.js';
+
+registerPushProvider('none', createNoPushProvider);
+registerPushProvider('fake', createFakePushProvider);
+
+const MAX_DEVICES_PER_USER = 20;
+// Consecutive transient failures after which a device is dropped
+const MAX_FAILURES = 5;
+
+class PushError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PushError';
+    this.status = status;
+  }
+}
+
+/**
+ * Validate a device registration:
+ *  { kind: 'web', subscription: { endpoint, keys: { p256dh, auth } }, deviceName? }
+ *  { kind: 'fcm' | 'apns', token, deviceName? }
+ * Returns the PushSubscription fields.
+ */
+const parseSubscription = (body = {}) => {
+  const { kind, deviceName } = body;
+  const fields = { kind };
+  if (kind === 'web') {
+    const { endpoint, keys } = body.subscription || {};
+    let url;
+    try {
+      url = new URL(endpoint);
+    } catch {
+      throw new PushError('subscription.endpoint must be a URL');
+    }
+    if (url.protocol !== 'https:') throw new PushError('subscription.endpoint must be an https URL');
+    if (typeof keys?.p256dh !== 'string' || typeof keys?.auth !== 'string') {
+      throw new PushError('subscription.keys.p256dh and subscription.keys.auth are required');
+    }
+    Object.assign(fields, { key: endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth } });
+  } else if (kind === 'fcm' || kind === 'apns') {
+    if (typeof body.token !== 'string' || !body.token.trim() || body.token.length > 4096) {
+      throw new PushError('token is required');
+    }
+    fields.key = body.token.trim();
+  } else {
+    throw new PushError('kind must be web, fcm or apns');
+  }
+  if (deviceName !== undefined) {
+    if (typeof deviceName !== 'string') throw new PushError('deviceName must be a string');
+    fields.deviceName = deviceName.trim().slice(0, 100) || undefined;
+  }
+  return fields;
+};
+
+/**
+ * Register (or move) a device to a user. A device belongs to one user at a time, so
+ * signing in as someone else on the same browser takes it over. Beyond
+ * MAX_DEVICES_PER_USER the least recently used devices are dropped.
+ */
+const registerSubscription = async (userId, fields, { sessionId, userAgent } = {}) => {
+  const set = { ...fields, user: userId, failureCount: 0 };
+  if (sessionId) set.session = sessionId;
+  if (userAgent) set.userAgent = userAgent;
+  const subscription = await PushSubscription.findOneAndUpdate(
+    { key: fields.key },
+    { $set: set },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+  const stale = await PushSubscription.find({ user: userId })
+    .sort({ updatedAt: -1 })
+    .skip(MAX_DEVICES_PER_USER)
+    .select('_id');
+  if (stale.length) await PushSubscription.deleteMany({ _id: { $in: stale.map((s) => s._id) } });
+  return subscription;
+};
+
+// Record the outcome of a delivery; gone or repeatedly failing devices are removed
+const recordFailure = async (subscription, err) => {
+  if (err.gone) {
+    await PushSubscription.deleteOne({ _id: subscription._id });
+    return true;
+  }
+  const updated = await PushSubscription.findOneAndUpdate(
+    { _id: subscription._id },
+    { $inc: { failureCount: 1 } },
+    { new: true }
+  );
+  if (updated && updated.failureCount >= MAX_FAILURES) {
+    await PushSubscription.deleteOne({ _id: subscription._id });
+    return true;
+  }
+  return false;
+};
+
+// Whether pushes can be delivered at all
+const pushAvailable = () => getPushProvider().available !== false;
+
+/**
+ * Push `payload` ({ title, body, data }) to every device of the user.
+ * Resolves to { sent, failed, pruned } counts (all 0 when no provider is configured).
+ */
+const sendPushToUser = async (userId, payload) => {
+  const result = { sent: 0, failed: 0, pruned: 0 };
+  if (!pushAvailable()) return result;
+  const subscriptions = await PushSubscription.find({ user: userId });
+  const provider = getPushProvider();
+  await Promise.all(subscriptions.map(async (subscription) => {
+    try {
+      await provider.send(subscription, payload);
+      result.sent += 1;
+      await PushSubscription.updateOne(
+        { _id: subscription._id },
+        { $set: { lastSuccessAt: new Date(), failureCount: 0 } }
+      );
+    } catch (err) {
+      result.failed += 1;
+      if (!err.gone) console.error(`Push to ${subscription.kind} device failed:`, err.message);
+      if (await recordFailure(subscription, err)) result.pruned += 1;
+    }
+  }));
+  return result;
+};
+
+export { PushError, parseSubscription, registerSubscription, pushAvailable, sendPushToUser };
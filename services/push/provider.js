@@ -0,0 +1,45 @@
+/**
+ * Push provider registry. A provider is an object implementing:
+ *  name
+ *  send(subscription, payload) -> { id }
+ * where `subscription` is a PushSubscription ({ kind, key, keys }) and `payload` is
+ * { title, body, data }. send throws PushDeliveryError; `gone: true` means the subscription
+ * or token is no longer valid and should be dropped. A provider with `available: false`
+ * delivers nothing. PUSH_PROVIDER selects one (default: none; 'fake' records pushes in memory
+ * for local development and tests). Both are registered by ./index.js.
+ *
+ * Push is scaffolding only: devices can register, but neither provider delivers anything.
+ * A Web Push (VAPID), FCM or APNs provider has to be registered here before it does.
+ */
+class PushDeliveryError extends Error {
+  constructor(message, { gone = false } = {}) {
+    super(message);
+    this.name = 'PushDeliveryError';
+    this.gone = gone;
+  }
+}
+
+const factories = {};
+
+let active;
+
+const registerPushProvider = (name, factory) => {
+  factories[name] = factory;
+};
+
+const getPushProvider = () => {
+  if (!active) {
+    const name = process.env.PUSH_PROVIDER || 'none';
+    const factory = factories[name];
+    if (!factory) throw new Error(`Unknown push provider: ${name}`);
+    active = factory();
+  }
+  return active;
+};
+
+// Swap the active provider (tests, or wiring a configured real provider at startup)
+const setPushProvider = (provider) => {
+  active = provider;
+};
+
+export { PushDeliveryError, registerPushProvider, getPushProvider, setPushProvider };
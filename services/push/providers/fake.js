@@ -0,0 +1,42 @@
+import { v4 as uuidv4 } from 'uuid';
+import { PushDeliveryError } from '../provider.js';
+
+/**
+ * In-process push provider for local development and tests. Records every push in `sent`
+ * instead of delivering it. invalidate(key) makes the device behave like an uninstalled app
+ * or expired subscription (sends fail as gone); failNext() makes the next send fail
+ * transiently.
+ */
+const createFakePushProvider = () => {
+  const sent = [];
+  const invalid = new Set();
+  let failNext = false;
+
+  return {
+    name: 'fake',
+    sent,
+
+    async send(subscription, payload) {
+      if (invalid.has(subscription.key)) {
+        throw new PushDeliveryError('fake push: subscription expired', { gone: true });
+      }
+      if (failNext) {
+        failNext = false;
+        throw new PushDeliveryError('fake push: provider unavailable');
+      }
+      const push = { id: `fake_push_${uuidv4()}`, kind: subscription.kind, key: subscription.key, payload, at: new Date() };
+      sent.push(push);
+      return { id: push.id };
+    },
+
+    // Test helpers
+    invalidate(key) {
+      invalid.add(key);
+    },
+    failNext() {
+      failNext = true;
+    },
+  };
+};
+
+export { createFakePushProvider };
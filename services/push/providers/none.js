@@ -0,0 +1,13 @@
+/**
+ * Default push provider when none is configured: delivers nothing. `available: false`
+ * makes sendPushToUser skip devices without counting failures against them.
+ */
+const createNoPushProvider = () => ({
+  name: 'none',
+  available: false,
+  async send() {
+    throw new Error('No push provider configured (set PUSH_PROVIDER)');
+  },
+});
+
+export { createNoPushProvider };
@@ -0,0 +1,47 @@
+import crypto from 'crypto';
+import os from 'os';
+import { createMemoryBus } from './buses/memory.js';
+import { createRedisBus } from './buses/redis.js';
+
+/**
+ * Event bus registry: how instances of the API share socket emits, throttling and presence.
+ * A bus is an object implementing:
+ *  name
+ *  publish(channel, message)    message is JSON-serialisable; every subscriber on every
+ *                               instance (including this one) receives it
+ *  subscribe(channel, handler)  -> unsubscribe()
+ *  acquire(key, ttlMs)          -> true when the key was free (it is then held for ttlMs)
+ *  hset(key, field, value), hdel(key, field), hgetall(key) -> { field: value }
+ *  close()
+ * All methods are async. EVENT_BUS selects one: memory (default, single instance) or redis.
+ */
+const factories = {
+  memory: createMemoryBus,
+  redis: createRedisBus,
+};
+
+let active;
+
+// Identifies this process in shared state (presence)
+const instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+const registerEventBus = (name, factory) => {
+  factories[name] = factory;
+};
+
+const getEventBus = () => {
+  if (!active) {
+    const name = process.env.EVENT_BUS || 'memory';
+    const factory = factories[name];
+    if (!factory) throw new Error(`Unknown event bus: ${name}`);
+    active = factory();
+  }
+  return active;
+};
+
+// Swap the active bus (tests, or a bus built with a custom client at startup)
+const setEventBus = (bus) => {
+  active = bus;
+};
+
+export { instanceId, registerEventBus, getEventBus, setEventBus };
@@ -0,0 +1,60 @@
+/**
+ * Single-process event bus: the default, and what tests use. Messages published here only
+ * reach subscribers in the same process, so it is only correct with one instance.
+ */
+const createMemoryBus = () => {
+  const subscribers = new Map(); // channel -> Set(handler)
+  const locks = new Map(); // key -> expiry (ms)
+  const hashes = new Map(); // key -> Map(field -> value)
+
+  return {
+    name: 'memory',
+
+    async publish(channel, message) {
+      for (const handler of subscribers.get(channel) || []) {
+        try {
+          handler(message);
+        } catch (err) {
+          console.error(`Event bus handler error (${channel}):`, err);
+        }
+      }
+    },
+
+    async subscribe(channel, handler) {
+      if (!subscribers.has(channel)) subscribers.set(channel, new Set());
+      subscribers.get(channel).add(handler);
+      return async () => {
+        subscribers.get(channel)?.delete(handler);
+      };
+    },
+
+    async acquire(key, ttlMs) {
+      const now = Date.now();
+      if ((locks.get(key) || 0) > now) return false;
+      locks.set(key, now + ttlMs);
+      return true;
+    },
+
+    async hset(key, field, value) {
+      if (!hashes.has(key)) hashes.set(key, new Map());
+      hashes.get(key).set(field, String(value));
+    },
+
+    async hdel(key, field) {
+      const hash = hashes.get(key);
+      if (!hash) return;
+      hash.delete(field);
+      if (!hash.size) hashes.delete(key);
+    },
+
+    async hgetall(key) {
+      return Object.fromEntries(hashes.get(key) || []);
+    },
+
+    async close() {
+      subscribers.clear();
+    },
+  };
+};
+
+export { createMemoryBus };
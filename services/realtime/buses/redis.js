@@ -0,0 +1,73 @@
+import { createClient } from 'redis';
+
+/**
+ * Redis event bus for running several instances: pub/sub for messages, SET NX PX for
+ * locks and hashes for shared state. REDIS_URL selects the server (default
+ * redis://localhost:6379) and REDIS_PREFIX namespaces keys and channels (default
+ * "safarishare:"). `client` may be passed in (a node-redis client or a fake with the
+ * same methods); the subscriber connection is its duplicate().
+ */
+const createRedisBus = ({ client, prefix = process.env.REDIS_PREFIX || 'safarishare:' } = {}) => {
+  const publisher = client || createClient({ url: process.env.REDIS_URL || 'redis://localhost:6379' });
+  const subscriber = publisher.duplicate();
+  for (const conn of [publisher, subscriber]) {
+    conn.on?.('error', (err) => console.error('Redis event bus error:', err));
+  }
+
+  let connecting;
+  const ready = () => {
+    if (!connecting) {
+      connecting = Promise.all([publisher, subscriber].map((conn) => (conn.isOpen ? null : conn.connect())));
+    }
+    return connecting;
+  };
+
+  return {
+    name: 'redis',
+
+    async publish(channel, message) {
+      await ready();
+      await publisher.publish(prefix + channel, JSON.stringify(message));
+    },
+
+    async subscribe(channel, handler) {
+      await ready();
+      const listener = (raw) => {
+        try {
+          handler(JSON.parse(raw));
+        } catch (err) {
+          console.error(`Event bus handler error (${channel}):`, err);
+        }
+      };
+      await subscriber.subscribe(prefix + channel, listener);
+      return () => subscriber.unsubscribe(prefix + channel, listener);
+    },
+
+    async acquire(key, ttlMs) {
+      await ready();
+      return (await publisher.set(prefix + key, '1', { NX: true, PX: ttlMs })) === 'OK';
+    },
+
+    async hset(key, field, value) {
+      await ready();
+      await publisher.hSet(prefix + key, field, String(value));
+    },
+
+    async hdel(key, field) {
+      await ready();
+      await publisher.hDel(prefix + key, field);
+    },
+
+    async hgetall(key) {
+      await ready();
+      return publisher.hGetAll(prefix + key);
+    },
+
+    async close() {
+      if (!connecting) return;
+      await Promise.all([subscriber.quit(), publisher.quit()]);
+    },
+  };
+};
+
+export { createRedisBus };
@@ -0,0 +1,108 @@
+import Ride from '../../models/Ride.js';
+import Booking, { SEAT_HOLDING_STATUSES } from '../../models/Booking.js';
+import Message from '../../models/Message.js';
+import { getEventBus, instanceId } from './bus.js';
+
+/**
+ * Who is online, across instances. Each instance counts its own sockets per user and
+ * records itself in the shared hash presence:<userId> (field = instance id, value = time
+ * the entry stops counting). Entries are refreshed on a heartbeat, so users of an
+ * instance that died go offline once PRESENCE_TTL_SECONDS (default 60) pass.
+ */
+const ttlMs = () => Math.max(10, parseInt(process.env.PRESENCE_TTL_SECONDS) || 60) * 1000;
+
+const localSockets = new Map(); // userId -> number of sockets on this instance
+let heartbeat;
+
+const presenceKey = (userId) => `presence:${userId}`;
+
+const touch = (userId) => getEventBus().hset(presenceKey(userId), instanceId, Date.now() + ttlMs());
+
+const liveEntries = (hash, now = Date.now()) =>
+  Object.values(hash || {}).filter((expiresAt) => Number(expiresAt) > now).length;
+
+// Refresh this instance's entries for everyone connected to it
+const startPresenceHeartbeat = () => {
+  if (heartbeat) return;
+  heartbeat = setInterval(() => {
+    for (const userId of localSockets.keys()) {
+      touch(userId).catch((err) => console.error('Presence heartbeat error:', err));
+    }
+  }, ttlMs() / 3);
+  heartbeat.unref?.();
+};
+
+/**
+ * A socket of `userId` connected to this instance. Resolves to true when this made the
+ * user go from offline to online everywhere.
+ */
+const userConnected = async (userId) => {
+  const count = (localSockets.get(userId) || 0) + 1;
+  localSockets.set(userId, count);
+  if (count > 1) return false;
+  const bus = getEventBus();
+  const wasOnline = liveEntries(await bus.hgetall(presenceKey(userId))) > 0;
+  await touch(userId);
+  return !wasOnline;
+};
+
+/**
+ * A socket of `userId` on this instance went away. Resolves to true when the user has no
+ * sockets left on any instance.
+ */
+const userDisconnected = async (userId) => {
+  const count = (localSockets.get(userId) || 0) - 1;
+  if (count > 0) {
+    localSockets.set(userId, count);
+    return false;
+  }
+  localSockets.delete(userId);
+  const bus = getEventBus();
+  await bus.hdel(presenceKey(userId), instanceId);
+  return liveEntries(await bus.hgetall(presenceKey(userId))) === 0;
+};
+
+// { [userId]: boolean } for the given ids
+const onlineStatus = async (userIds) => {
+  const bus = getEventBus();
+  const now = Date.now();
+  const entries = await Promise.all(userIds.map(async (id) => [
+    String(id),
+    liveEntries(await bus.hgetall(presenceKey(id)), now) > 0,
+  ]));
+  return Object.fromEntries(entries);
+};
+
+// Bookings that make a passenger someone whose presence their ride mates may see
+const PRESENCE_BOOKING_STATUSES = [...SEAT_HOLDING_STATUSES, 'completed'];
+
+/**
+ * The subset of `userIds` whose presence `user` may follow: themselves, and people they
+ * share a ride with (driver and passengers of a ride they drive or booked) or have
+ * exchanged messages with. Admins may follow anyone.
+ */
+const watchableUsers = async (user, userIds) => {
+  const me = String(user._id);
+  if (user.role === 'admin') return userIds;
+  const others = userIds.filter((id) => id !== me);
+  if (!others.length) return userIds;
+
+  const [drivenRides, bookedRides, sent, received] = await Promise.all([
+    Ride.find({ driver: user._id }).distinct('_id'),
+    Booking.find({ passenger: user._id, status: { $in: PRESENCE_BOOKING_STATUSES } }).distinct('ride'),
+    Message.find({ sender: user._id, recipient: { $in: others } }).distinct('recipient'),
+    Message.find({ recipient: user._id, sender: { $in: others } }).distinct('sender'),
+  ]);
+  const [passengers, drivers] = await Promise.all([
+    Booking.find({
+      ride: { $in: [...drivenRides, ...bookedRides] },
+      passenger: { $in: others },
+      status: { $in: PRESENCE_BOOKING_STATUSES },
+    }).distinct('passenger'),
+    Ride.find({ _id: { $in: bookedRides }, driver: { $in: others } }).distinct('driver'),
+  ]);
+  const related = new Set([me, ...[...sent, ...received, ...passengers, ...drivers].map(String)]);
+  return userIds.filter((id) => related.has(id));
+};
+
+export { startPresenceHeartbeat, userConnected, userDisconnected, onlineStatus, watchableUsers };
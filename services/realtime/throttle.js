@@ -0,0 +1,37 @@
+import { getEventBus } from './bus.js';
+
+/**
+ * Throttle calls per key across all instances: `fn` runs at most once per `ms` for a key.
+ * A call that lands inside the window is kept (latest arguments win) and retried when the
+ * window ends, on the instance that received it. Returns (key, ...args) => void.
+ */
+const keyedThrottle = (fn, ms, name = 'throttle') => {
+  const pending = new Map(); // key -> latest args waiting for the window to end
+
+  const attempt = async (key, args) => {
+    if (pending.has(key)) {
+      pending.set(key, args);
+      return;
+    }
+    if (await getEventBus().acquire(`${name}:${key}`, ms)) {
+      fn(...args);
+      return;
+    }
+    if (pending.has(key)) {
+      pending.set(key, args);
+      return;
+    }
+    pending.set(key, args);
+    setTimeout(() => {
+      const latest = pending.get(key);
+      pending.delete(key);
+      attempt(key, latest).catch((err) => console.error(`Throttle ${name} error:`, err));
+    }, ms).unref?.();
+  };
+
+  return (key, ...args) => {
+    attempt(String(key), args).catch((err) => console.error(`Throttle ${name} error:`, err));
+  };
+};
+
+export { keyedThrottle };
@@ -0,0 +1,22 @@
+import User from '../models/User.js';
+
+const RATING_KEYS = { driver: 'asDriver', passenger: 'asPassenger' };
+
+/**
+ * Fold a new rating into the user's running average for that role.
+ * Done in a single update pipeline so concurrent reviews can't lose counts.
+ */
+const applyRating = async (userId, role, rating) => {
+  const key = `ratings.${RATING_KEYS[role]}`;
+  await User.updateOne({ _id: userId }, [
+    {
+      $set: {
+        [`${key}.count`]: { $add: [{ $ifNull: [`$${key}.count`, 0] }, 1] },
+        [`${key}.total`]: { $add: [{ $ifNull: [`$${key}.total`, 0] }, rating] },
+      },
+    },
+    { $set: { [`${key}.average`]: { $round: [{ $divide: [`$${key}.total`, `$${key}.count`] }, 2] } } },
+  ]);
+};
+
+export { RATING_KEYS, applyRating };
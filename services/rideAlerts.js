@@ -0,0 +1,208 @@
+import RideAlert from '../models/RideAlert.js';
+import { getIO } from '../config/socket.js';
+import { notify } from './notify.js';
+import { getStops } from './seats.js';
+import { toPoint, haversineKm } from '../utils/geo.js';
+import { toMinor, formatMoney } from '../utils/money.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_WINDOW_DAYS = 90;
+const MAX_ACTIVE_ALERTS = 10;
+
+class RideAlertError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RideAlertError';
+    this.status = status;
+  }
+}
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// YYYY-MM-DD means the whole day: from its start, or up to its end when `endOfDay`
+const parseDate = (value, endOfDay = false) => {
+  if (!value) return null;
+  const d = new Date(value);
+  if (isNaN(d.getTime())) return null;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) d.setTime(d.getTime() + DAY_MS - 1);
+  return d;
+};
+
+/**
+ * Validate alert fields from a request body, merged over `current` for edits.
+ * Returns the fields to set on the RideAlert.
+ */
+const parseAlert = (body = {}, current = {}, now = new Date()) => {
+  const fields = {};
+  for (const key of ['startLocation', 'destination']) {
+    if (body[key] === undefined) continue;
+    if (body[key] !== null && typeof body[key] !== 'string') throw new RideAlertError(`${key} must be a string`);
+    fields[key] = body[key]?.trim() || undefined;
+  }
+  for (const [key, field] of [['pickupCoordinates', 'pickupPoint'], ['dropoffCoordinates', 'dropoffPoint']]) {
+    if (body[key] === undefined) continue;
+    const point = body[key] === null ? undefined : toPoint(body[key]);
+    if (point === null) throw new RideAlertError('Invalid coordinates');
+    fields[field] = point;
+  }
+  if (body.radiusKm !== undefined) {
+    const r = Number(body.radiusKm);
+    if (!Number.isFinite(r) || r < 0.1 || r > 100) throw new RideAlertError('radiusKm must be between 0.1 and 100');
+    fields.radiusKm = r;
+  }
+  if (body.seats !== undefined) {
+    const seats = Number(body.seats);
+    if (!Number.isInteger(seats) || seats < 1) throw new RideAlertError('seats must be a whole number of at least 1');
+    fields.seats = seats;
+  }
+  if (body.maxPrice !== undefined) {
+    if (body.maxPrice === null) {
+      fields.maxPrice = undefined;
+    } else {
+      const price = Number(body.maxPrice);
+      if (!Number.isFinite(price) || price < 0) throw new RideAlertError('maxPrice must be a positive number');
+      fields.maxPrice = price;
+    }
+  }
+
+  const merged = { ...current, ...fields };
+  if (!merged.startLocation && !merged.pickupPoint && !merged.destination && !merged.dropoffPoint) {
+    throw new RideAlertError('Give a start or destination (name or coordinates)');
+  }
+
+  const dateFrom = body.dateFrom !== undefined ? parseDate(body.dateFrom) : merged.dateFrom;
+  const dateTo = body.dateTo !== undefined ? parseDate(body.dateTo, true) : merged.dateTo;
+  if (!dateFrom || !dateTo) throw new RideAlertError('dateFrom and dateTo are required dates');
+  if (dateTo < dateFrom) throw new RideAlertError('dateTo must be after dateFrom');
+  if (dateTo <= now) throw new RideAlertError('dateTo must be in the future');
+  if (dateTo - dateFrom > MAX_WINDOW_DAYS * DAY_MS) {
+    throw new RideAlertError(`The date window can be at most ${MAX_WINDOW_DAYS} days`);
+  }
+  fields.dateFrom = dateFrom;
+  fields.dateTo = dateTo;
+
+  // An alert never outlives its window; expiresAt can end it sooner
+  let expiresAt = dateTo;
+  if (body.expiresAt) {
+    const requested = parseDate(body.expiresAt, true);
+    if (!requested || requested <= now) throw new RideAlertError('expiresAt must be a future date');
+    if (requested < expiresAt) expiresAt = requested;
+  } else if (current.expiresAt && current.expiresAt < expiresAt && body.dateTo === undefined) {
+    expiresAt = current.expiresAt;
+  }
+  fields.expiresAt = expiresAt;
+  return fields;
+};
+
+// Refuse to go over the per-passenger limit of active alerts
+const assertAlertQuota = async (passengerId, excludeId) => {
+  const filter = { passenger: passengerId, status: 'active' };
+  if (excludeId) filter._id = { $ne: excludeId };
+  if (await RideAlert.countDocuments(filter) >= MAX_ACTIVE_ALERTS) {
+    throw new RideAlertError(`You can have at most ${MAX_ACTIVE_ALERTS} active alerts`, 409);
+  }
+};
+
+// Does a stop satisfy one end of an alert? Coordinates win over names when both are set.
+const stopMatches = (stop, text, point, radiusKm) => {
+  if (point) {
+    return Boolean(stop.point) && haversineKm(point.coordinates, stop.point.coordinates) <= radiusKm;
+  }
+  if (text) return new RegExp(escapeRegex(text), 'i').test(stop.name || '');
+  return true;
+};
+
+/**
+ * Stop range [fromStop, toStop] of the ride that serves the alert, or null.
+ * Pickup may be any stop before the last, dropoff any later stop, and every leg in
+ * between needs the requested seats.
+ */
+const matchLegs = (alert, ride) => {
+  const stops = getStops(ride);
+  const legs = ride.segmentSeats?.length ? ride.segmentSeats : [ride.availableSeats];
+  for (let from = 0; from < stops.length - 1; from++) {
+    if (!stopMatches(stops[from], alert.startLocation, alert.pickupPoint, alert.radiusKm)) continue;
+    for (let to = from + 1; to < stops.length; to++) {
+      // Legacy rides without segments have a single leg covering every stop
+      const legSeats = legs.length === 1 ? legs[0] : legs[to - 1];
+      if (legSeats < alert.seats) break;
+      if (stopMatches(stops[to], alert.destination, alert.dropoffPoint, alert.radiusKm)) {
+        return { fromStop: from, toStop: to };
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Notify every active alert a newly offered ride satisfies: a `ride_alert` notification plus
+ * a `ride:alert` socket event with the ride summary. Returns the number of alerts fired.
+ */
+const notifyMatchingAlerts = async (ride, now = new Date()) => {
+  if (ride.status !== 'scheduled' || ride.departureTime <= now) return 0;
+  const maxSeats = Math.max(ride.availableSeats, ...(ride.segmentSeats || []));
+  const candidates = await RideAlert.find({
+    status: 'active',
+    passenger: { $ne: ride.driver },
+    dateFrom: { $lte: ride.departureTime },
+    dateTo: { $gte: ride.departureTime },
+    expiresAt: { $gt: now },
+    seats: { $lte: maxSeats },
+    $or: [{ maxPrice: { $exists: false } }, { maxPrice: null }, { maxPrice: { $gte: ride.price } }],
+  });
+
+  const stops = getStops(ride);
+  let fired = 0;
+  for (const alert of candidates) {
+    const legs = matchLegs(alert, ride);
+    if (!legs) continue;
+    const route = `${stops[legs.fromStop].name} → ${stops[legs.toStop].name}`;
+    try {
+      await notify({
+        user: alert.passenger,
+        room: 'passenger',
+        type: 'ride_alert',
+        title: 'New ride matches your alert',
+        message: `${route} on ${ride.departureTime.toISOString().slice(0, 10)}, ${formatMoney(toMinor(ride.price))} per seat.`,
+        ride: ride._id,
+        extra: { alertId: alert._id },
+      });
+      getIO().to(`passenger:${alert.passenger}`).emit('ride:alert', {
+        alertId: alert._id,
+        ride: {
+          id: ride._id,
+          startLocation: ride.startLocation,
+          destination: ride.destination,
+          departureTime: ride.departureTime,
+          availableSeats: ride.availableSeats,
+          price: ride.price,
+        },
+        ...legs,
+      });
+      await RideAlert.updateOne({ _id: alert._id }, { $inc: { matchCount: 1 }, $set: { lastMatchedAt: now } });
+      fired++;
+    } catch (err) {
+      console.error(`Ride alert ${alert._id} notification failed:`, err);
+    }
+  }
+  return fired;
+};
+
+// Expire alerts whose window or expiry has passed (run periodically)
+const expireRideAlerts = async (now = new Date()) => {
+  const result = await RideAlert.updateMany(
+    { status: { $in: ['active', 'paused'] }, expiresAt: { $lte: now } },
+    { $set: { status: 'expired' } }
+  );
+  return result.modifiedCount;
+};
+
+export {
+  RideAlertError,
+  MAX_ACTIVE_ALERTS,
+  parseAlert,
+  assertAlertQuota,
+  matchLegs,
+  notifyMatchingAlerts,
+  expireRideAlerts,
+};
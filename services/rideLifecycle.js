@@ -0,0 +1,289 @@
+import Ride from '../models/Ride.js';
+import Booking, { CONFIRMED_STATUSES, SEAT_HOLDING_STATUSES } from '../models/Booking.js';
+import User from '../models/User.js';
+import { getIO } from '../config/socket.js';
+import { notify } from './notify.js';
+import { releaseBooking } from './bookings.js';
+import { closeWaitlist } from './waitlist.js';
+import { releaseDiscounts, rewardReferral } from './promotions.js';
+import { voidPayment, captureRidePayments, bookingAmount, chargeDriverPenalty } from './payments/index.js';
+import { evaluateCancellation, toBookingRecord, describeRefund, describePenalty } from './cancellation.js';
+
+/**
+ * Ride lifecycle:
+ *   scheduled -> boarding -> in_progress -> completed
+ *   scheduled | boarding -> canceled
+ * Every transition is applied atomically against the expected source status, stamps
+ * its timestamp and is broadcast to the ride:<id> room as `ride:status`.
+ */
+const RIDE_TRANSITIONS = {
+  scheduled: ['boarding', 'canceled'],
+  boarding: ['in_progress', 'canceled'],
+  in_progress: ['completed'],
+  completed: [],
+  canceled: [],
+};
+
+const TIMESTAMP_FIELDS = {
+  boarding: 'boardingAt',
+  in_progress: 'startedAt',
+  completed: 'completedAt',
+  canceled: 'canceledAt',
+};
+
+// Boarding may open this long before departure
+const boardingWindowMinutes = () => Math.max(0, parseInt(process.env.RIDE_BOARDING_WINDOW_MINUTES) || 60);
+
+class RideTransitionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RideTransitionError';
+    this.status = status;
+  }
+}
+
+const canTransition = (from, to) => (RIDE_TRANSITIONS[from] || []).includes(to);
+
+const emitRideEvent = (rideId, event, payload) => {
+  getIO().to(`ride:${rideId}`).emit(event, { rideId: String(rideId), ...payload });
+};
+
+// Move a ride to `to` if it is still in a status that allows it; throws otherwise
+const transitionRide = async (ride, to, now = new Date()) => {
+  if (!canTransition(ride.status, to)) {
+    throw new RideTransitionError(`Cannot move a ${ride.status} ride to ${to}`);
+  }
+  const updated = await Ride.findOneAndUpdate(
+    { _id: ride._id, status: ride.status },
+    { $set: { status: to, [TIMESTAMP_FIELDS[to]]: now } },
+    { new: true }
+  );
+  if (!updated) throw new RideTransitionError('Ride status changed, please retry', 409);
+  emitRideEvent(updated._id, 'ride:status', { status: to, from: ride.status, at: now });
+  // People following a public share link see status changes too
+  getIO().to(`share:${updated._id}`).emit('ride:status', { rideId: String(updated._id), status: to, at: now });
+  if (ride.status === 'scheduled') {
+    // No more bookings once boarding starts or the ride is cancelled
+    try {
+      await closeWaitlist(updated, to === 'canceled' ? 'the ride was cancelled' : 'boarding has started');
+    } catch (err) {
+      console.error(`Close waitlist for ride ${updated._id} failed:`, err);
+    }
+  }
+  return updated;
+};
+
+const confirmedBookings = (rideId) => Booking.find({ ride: rideId, status: { $in: CONFIRMED_STATUSES } });
+
+const notifyPassengers = async (bookings, ride, template) => {
+  for (const b of bookings) {
+    await notify({
+      user: b.passenger,
+      room: 'passenger',
+      template,
+      data: { destination: ride.destination },
+      ride: ride._id,
+      booking: b._id,
+    });
+  }
+};
+
+// Driver opens boarding; only allowed inside the boarding window before departure
+const startBoarding = async (ride, now = new Date()) => {
+  const opensAt = new Date(ride.departureTime).getTime() - boardingWindowMinutes() * 60 * 1000;
+  if (now.getTime() < opensAt) {
+    throw new RideTransitionError(`Boarding opens ${boardingWindowMinutes()} minutes before departure`);
+  }
+  const updated = await transitionRide(ride, 'boarding', now);
+  await notifyPassengers(await confirmedBookings(ride._id), updated, 'ride.boarding.passenger');
+  return updated;
+};
+
+/**
+ * Driver marks a confirmed passenger as boarded or no-show. Allowed while boarding,
+ * and while in progress for passengers picked up at a later stop.
+ */
+const markBoarding = async (ride, bookingId, boardingStatus, now = new Date()) => {
+  if (!['boarding', 'in_progress'].includes(ride.status)) {
+    throw new RideTransitionError('Passengers can only be marked while boarding or in progress');
+  }
+  const update = boardingStatus === 'boarded'
+    ? { $set: { boardingStatus, boardedAt: now } }
+    : { $set: { boardingStatus }, $unset: { boardedAt: 1 } };
+  const booking = await Booking.findOneAndUpdate(
+    { _id: bookingId, ride: ride._id, status: { $in: CONFIRMED_STATUSES } },
+    update,
+    { new: true }
+  );
+  if (!booking) throw new RideTransitionError('Booking not found on this ride', 404);
+  emitRideEvent(ride._id, 'ride:passenger', { bookingId: String(booking._id), boardingStatus, at: now });
+  if (boardingStatus === 'no_show') {
+    await notify({
+      user: booking.passenger,
+      room: 'passenger',
+      template: 'ride.no_show.passenger',
+      data: { destination: ride.destination },
+      ride: ride._id,
+      booking: booking._id,
+    });
+  }
+  return booking;
+};
+
+/**
+ * Record confirmed passengers nobody marked as no-shows once the ride has left their
+ * pickup stop: those picked up at or before `throughStop`, or every one of them when
+ * it is null. Resolves to the bookings marked.
+ */
+const markMissedPickups = async (ride, throughStop, now = new Date()) => {
+  const filter = { ride: ride._id, status: { $in: CONFIRMED_STATUSES }, boardingStatus: { $exists: false } };
+  if (throughStop != null) {
+    filter.$or = [{ fromStop: { $lte: throughStop } }, { fromStop: { $exists: false } }];
+  }
+  const unmarked = await Booking.find(filter);
+  if (!unmarked.length) return [];
+  await Booking.updateMany(
+    { _id: { $in: unmarked.map(b => b._id) }, boardingStatus: { $exists: false } },
+    { $set: { boardingStatus: 'no_show' } }
+  );
+  for (const b of unmarked) {
+    emitRideEvent(ride._id, 'ride:passenger', { bookingId: String(b._id), boardingStatus: 'no_show', at: now });
+  }
+  return unmarked;
+};
+
+/**
+ * Ride departs. Unanswered requests expire (seats and payment holds released) and
+ * confirmed passengers nobody marked at the first stop are recorded as no-shows;
+ * passengers boarding at a later stop are left for the driver to mark there.
+ */
+const startRide = async (ride, now = new Date()) => {
+  const updated = await transitionRide(ride, 'in_progress', now);
+  const pending = await Booking.find({ ride: ride._id, status: 'pending' }).select('_id');
+  for (const { _id } of pending) {
+    const expired = await releaseBooking(_id, 'pending', 'expired');
+    if (!expired) continue;
+    try {
+      await voidPayment(expired._id);
+    } catch (err) {
+      console.error(`Void payment for booking ${expired._id} failed:`, err);
+    }
+    await notify({
+      user: expired.passenger,
+      room: 'passenger',
+      template: 'booking.departed.passenger',
+      data: { destination: updated.destination },
+      ride: updated._id,
+      booking: expired._id,
+    });
+  }
+  await markMissedPickups(updated, 0, now);
+  await notifyPassengers(await Booking.find({ ride: ride._id, boardingStatus: 'boarded' }), updated,
+    'ride.started.passenger');
+  return updated;
+};
+
+/**
+ * Ride arrives. Boarded bookings complete, no-shows (including later-stop passengers
+ * still unmarked) are closed as such, payments are captured and the driver's
+ * completed-ride counter goes up.
+ */
+const completeRide = async (ride, now = new Date()) => {
+  const updated = await transitionRide(ride, 'completed', now);
+  await markMissedPickups(updated, null, now);
+  const bookings = await confirmedBookings(ride._id);
+  const boarded = bookings.filter(b => b.boardingStatus === 'boarded');
+  await Booking.updateMany({ _id: { $in: boarded.map(b => b._id) } }, { $set: { status: 'completed' } });
+  await Booking.updateMany(
+    { _id: { $in: bookings.filter(b => b.boardingStatus !== 'boarded').map(b => b._id) } },
+    { $set: { status: 'no_show' } }
+  );
+  const captured = await captureRidePayments(ride._id);
+  await User.updateOne({ _id: updated.driver }, { $inc: { 'driverProfile.ridesCompleted': 1 } });
+
+  await notifyPassengers(boarded, updated, 'ride.completed.passenger');
+  // A referred passenger's first completed ride pays out the referral credit
+  for (const passenger of new Set(boarded.map(b => String(b.passenger)))) {
+    try {
+      await rewardReferral(passenger, now);
+    } catch (err) {
+      console.error(`Referral reward for ${passenger} failed:`, err);
+    }
+  }
+  await notify({
+    user: updated.driver,
+    room: 'driver',
+    template: 'ride.completed.driver',
+    data: { destination: updated.destination, bookings: boarded.length },
+    ride: updated._id,
+  });
+  return { ride: updated, captured: captured.length };
+};
+
+/**
+ * Cancel a ride and every booking on it. Passengers are refunded in full.
+ * by: 'driver' (the driver is penalised per confirmed booking under the ride's policy)
+ *     'admin'  (moderation; no driver penalty, `reason` is shown to everyone)
+ *     'system' (the ride was left unstarted long after departure; no driver penalty)
+ * Resolves to { ride, penalty, bookings }.
+ */
+const cancelRide = async (ride, { by = 'driver', reason, now = new Date() } = {}) => {
+  const updated = await transitionRide(ride, 'canceled', now);
+
+  let totalPenalty = 0;
+  const activeBookings = await Booking.find({ ride: updated._id, status: { $in: SEAT_HOLDING_STATUSES } });
+  for (const b of activeBookings) {
+    const outcome = evaluateCancellation({
+      policy: updated.cancellationPolicy,
+      cancelledBy: 'driver',
+      departureTime: updated.departureTime,
+      amount: await bookingAmount(b, updated),
+      now,
+    });
+    outcome.cancelledBy = by;
+    if (by !== 'driver' || !CONFIRMED_STATUSES.includes(b.status)) outcome.driverPenaltyAmount = 0;
+    b.status = 'cancelled';
+    b.cancellation = toBookingRecord(outcome);
+    await b.save();
+    try {
+      await voidPayment(b._id);
+      await releaseDiscounts(b._id);
+      await chargeDriverPenalty(updated.driver, outcome.driverPenaltyAmount, { booking: b._id, ride: updated._id });
+    } catch (err) {
+      console.error('Ride cancellation payment error:', err);
+    }
+    totalPenalty += outcome.driverPenaltyAmount;
+    await notify({
+      user: b.passenger,
+      room: 'passenger',
+      template: 'ride.cancelled.passenger',
+      data: { destination: updated.destination, by, reason, refundNote: describeRefund(outcome) },
+      ride: updated._id,
+      booking: b._id,
+    });
+  }
+
+  await notify({
+    user: updated.driver,
+    room: 'driver',
+    template: 'ride.cancelled.driver',
+    data: { destination: updated.destination, by, reason, penaltyNote: describePenalty(totalPenalty) },
+    ride: updated._id,
+  });
+
+  return { ride: updated, penalty: totalPenalty, bookings: activeBookings.length };
+};
+
+export {
+  RIDE_TRANSITIONS,
+  RideTransitionError,
+  canTransition,
+  emitRideEvent,
+  transitionRide,
+  startBoarding,
+  markBoarding,
+  markMissedPickups,
+  startRide,
+  completeRide,
+  cancelRide,
+};
@@ -0,0 +1,134 @@
+import Ride from '../models/Ride.js';
+import Booking, { CONFIRMED_STATUSES } from '../models/Booking.js';
+import { notify } from './notify.js';
+import { getStops } from './seats.js';
+import { startRide, completeRide, cancelRide } from './rideLifecycle.js';
+
+/**
+ * Scheduled ride housekeeping, run by the job queue (see jobs/index.js). The find* sweeps
+ * pick what is due, soonest departure first, leaving out the `exclude` ids (items whose job
+ * is dead-lettered, so they can't crowd out new ones); the per-item tasks are safe to run
+ * again for the same booking or ride.
+ */
+
+// Rides that haven't left yet
+const UPCOMING_STATUSES = ['scheduled', 'boarding'];
+// Rides left open after departure that auto-completion closes
+const OPEN_STATUSES = [...UPCOMING_STATUSES, 'in_progress'];
+const SWEEP_LIMIT = 200;
+
+// RIDE_REMINDER_MINUTES: how long before departure passengers are reminded (default 60)
+const reminderLeadMinutes = () => Math.max(1, parseInt(process.env.RIDE_REMINDER_MINUTES) || 60);
+// RIDE_AUTO_COMPLETE_HOURS: how long after departure an open ride is closed (default 6)
+const autoCompleteHours = () => Math.max(1, parseInt(process.env.RIDE_AUTO_COMPLETE_HOURS) || 6);
+
+// ----- Departure reminders -----
+
+// Confirmed bookings on rides leaving within the reminder lead time that weren't reminded yet
+const findDueReminders = async (now = new Date(), { exclude = [] } = {}) => {
+  const rides = await Ride.find({
+    status: { $in: UPCOMING_STATUSES },
+    departureTime: { $gt: now, $lte: new Date(now.getTime() + reminderLeadMinutes() * 60 * 1000) },
+  })
+    .sort({ departureTime: 1 })
+    .select('_id')
+    .limit(SWEEP_LIMIT);
+  if (!rides.length) return [];
+  const bookings = await Booking.find({
+    _id: { $nin: exclude },
+    ride: { $in: rides.map((r) => r._id) },
+    status: { $in: CONFIRMED_STATUSES },
+    reminderSentAt: { $exists: false },
+  }).select('_id ride');
+  const order = new Map(rides.map((r, i) => [String(r._id), i]));
+  return bookings
+    .sort((a, b) => order.get(String(a.ride)) - order.get(String(b.ride)))
+    .slice(0, SWEEP_LIMIT);
+};
+
+/**
+ * Remind one passenger that their ride leaves soon. Resolves to false when there is
+ * nothing to do (already reminded, booking no longer confirmed, ride gone or departed).
+ */
+const sendDepartureReminder = async (bookingId, now = new Date()) => {
+  const booking = await Booking.findOne({
+    _id: bookingId,
+    status: { $in: CONFIRMED_STATUSES },
+    reminderSentAt: { $exists: false },
+  });
+  if (!booking) return false;
+  const ride = await Ride.findOne({ _id: booking.ride, status: { $in: UPCOMING_STATUSES } })
+    .select('startLocation destination waypoints departureTime');
+  if (!ride || ride.departureTime <= now) return false;
+
+  const stops = getStops(ride);
+  await notify({
+    user: booking.passenger,
+    room: 'passenger',
+    template: 'ride.reminder.passenger',
+    data: {
+      destination: stops[booking.toStop ?? stops.length - 1]?.name || ride.destination,
+      pickup: stops[booking.fromStop || 0]?.name || ride.startLocation,
+      minutes: Math.max(1, Math.round((ride.departureTime.getTime() - now.getTime()) / 60000)),
+    },
+    ride: ride._id,
+    booking: booking._id,
+  });
+  // Marked only once sent: a failed attempt is retried rather than lost
+  await Booking.updateOne({ _id: booking._id }, { $set: { reminderSentAt: now } });
+  return true;
+};
+
+// ----- Auto-completion -----
+
+// Rides still open long after their departure time
+const findOverdueRides = (now = new Date(), { exclude = [] } = {}) =>
+  Ride.find({
+    _id: { $nin: exclude },
+    status: { $in: OPEN_STATUSES },
+    departureTime: { $lte: new Date(now.getTime() - autoCompleteHours() * 60 * 60 * 1000) },
+  })
+    .sort({ departureTime: 1 })
+    .select('_id')
+    .limit(SWEEP_LIMIT);
+
+/**
+ * How to close an open ride: one under way is completed; one that is boarding with
+ * passengers on board happened even though the driver never pressed start, so it is
+ * started and completed; anything else never ran and is cancelled.
+ */
+const closingAction = (ride, hasBoarded) => {
+  if (ride.status === 'in_progress') return 'complete';
+  if (ride.status === 'boarding' && hasBoarded) return 'start_and_complete';
+  return 'cancel';
+};
+
+/**
+ * Close a ride the driver left open (see closingAction). Completion goes through the usual
+ * lifecycle (payments captured, passengers not marked boarded are no-shows); cancellation is
+ * by the system, with full refunds and no driver penalty.
+ * Resolves to 'completed', 'canceled' or null when the ride no longer needs closing.
+ */
+const autoCompleteRide = async (rideId, now = new Date()) => {
+  let ride = await Ride.findById(rideId);
+  if (!ride || !OPEN_STATUSES.includes(ride.status)) return null;
+  const hasBoarded = ride.status === 'boarding'
+    && Boolean(await Booking.exists({ ride: ride._id, status: { $in: CONFIRMED_STATUSES }, boardingStatus: 'boarded' }));
+  const action = closingAction(ride, hasBoarded);
+  if (action === 'cancel') {
+    await cancelRide(ride, { by: 'system', reason: 'the ride was never started', now });
+    return 'canceled';
+  }
+  // A retry after a failed completion finds the ride already in progress
+  if (action === 'start_and_complete') ride = await startRide(ride, now);
+  await completeRide(ride, now);
+  return 'completed';
+};
+
+export {
+  findDueReminders,
+  sendDepartureReminder,
+  findOverdueRides,
+  closingAction,
+  autoCompleteRide,
+};
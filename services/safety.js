@@ -0,0 +1,279 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Ride from '../models/Ride.js';
+import User from '../models/User.js';
+import Booking, { CONFIRMED_STATUSES } from '../models/Booking.js';
+import SafetyIncident from '../models/SafetyIncident.js';
+import ShareLink from '../models/ShareLink.js';
+import { getIO } from '../config/socket.js';
+import { notify } from './notify.js';
+import { sendEmail } from './email/index.js';
+import { sosAlert } from './email/templates.js';
+import { TRACKED_STATUSES } from './tracking.js';
+import { PASSENGER_VEHICLE_FIELDS } from './vehicles.js';
+import { toPoint } from '../utils/geo.js';
+
+const MAX_TRUSTED_CONTACTS = 5;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_RE = /^\+?[0-9 ()-]{6,20}$/;
+// Repeated SOS presses within this window update the open incident instead of alerting again
+const SOS_DEDUPE_MS = 2 * 60 * 1000;
+// Rides that can't be shared any more
+const ENDED_STATUSES = ['completed', 'canceled'];
+
+class SafetyError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SafetyError';
+    this.status = status;
+  }
+}
+
+// SHARE_LINK_TTL_HOURS: how long a trip sharing link works (default 12, max 72)
+const shareLinkTtlHours = () => Math.min(72, Math.max(1, parseInt(process.env.SHARE_LINK_TTL_HOURS) || 12));
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// ----- Trusted contacts -----
+
+/**
+ * Validate a trusted contact { name, email?, phone?, relationship? }, merged over `current`
+ * for edits. At least an email or a phone number is required.
+ */
+const parseContact = (body = {}, current = {}) => {
+  const contact = {};
+  for (const key of ['name', 'email', 'phone', 'relationship']) {
+    const value = body[key] !== undefined ? body[key] : current[key];
+    if (value === undefined || value === null || value === '') continue;
+    if (typeof value !== 'string') throw new SafetyError(`${key} must be a string`);
+    contact[key] = value.trim();
+  }
+  if (!contact.name) throw new SafetyError('name is required');
+  if (contact.email) {
+    contact.email = contact.email.toLowerCase();
+    if (!EMAIL_RE.test(contact.email)) throw new SafetyError('Invalid email');
+  }
+  if (contact.phone && !PHONE_RE.test(contact.phone)) throw new SafetyError('Invalid phone number');
+  if (!contact.email && !contact.phone) throw new SafetyError('An email or a phone number is required');
+  return contact;
+};
+
+const assertContactQuota = (user) => {
+  if ((user.trustedContacts || []).length >= MAX_TRUSTED_CONTACTS) {
+    throw new SafetyError(`You can have at most ${MAX_TRUSTED_CONTACTS} trusted contacts`);
+  }
+};
+
+// ----- Ride participation -----
+
+// 'driver' or 'passenger' when the user takes part in the ride (confirmed booking), else null
+const rideRole = async (ride, userId) => {
+  if (ride.driver.toString() === String(userId)) return 'driver';
+  const booking = await Booking.exists({ ride: ride._id, passenger: userId, status: { $in: CONFIRMED_STATUSES } });
+  return booking ? 'passenger' : null;
+};
+
+// ----- Share links -----
+
+/**
+ * Create a public link to follow a ride the user takes part in. Resolves to
+ * { shareLink, token }; the token is only ever returned here.
+ */
+const createShareLink = async (ride, userId, now = new Date()) => {
+  if (ENDED_STATUSES.includes(ride.status)) throw new SafetyError('This ride has already ended', 409);
+  if (!(await rideRole(ride, userId))) throw new SafetyError('Not authorized', 403);
+  const token = crypto.randomBytes(24).toString('base64url');
+  const shareLink = await ShareLink.create({
+    ride: ride._id,
+    createdBy: userId,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(now.getTime() + shareLinkTtlHours() * 60 * 60 * 1000),
+  });
+  return { shareLink, token };
+};
+
+// The live link for a token, or null when unknown, revoked or expired
+const resolveShareLink = async (token, now = new Date()) => {
+  if (typeof token !== 'string' || !token) return null;
+  return ShareLink.findOne({
+    tokenHash: hashToken(token),
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: now },
+  });
+};
+
+/**
+ * What a share link shows to someone without an account: the route, schedule, driver's
+ * first name and vehicle, and the live position while the ride is under way. No passenger
+ * details and no contact information.
+ */
+const sharedRideView = async (rideId) => {
+  const ride = await Ride.findById(rideId)
+    .select('driver vehicle startLocation destination waypoints departureTime status boardingAt startedAt completedAt lastLocation')
+    .populate('driver', 'name')
+    .populate('vehicle', PASSENGER_VEHICLE_FIELDS)
+    .lean();
+  if (!ride) return null;
+  const tracked = TRACKED_STATUSES.includes(ride.status) && ride.lastLocation?.point;
+  return {
+    rideId: ride._id,
+    status: ride.status,
+    startLocation: ride.startLocation,
+    destination: ride.destination,
+    stops: (ride.waypoints || []).map((w) => w.name),
+    departureTime: ride.departureTime,
+    boardingAt: ride.boardingAt,
+    startedAt: ride.startedAt,
+    completedAt: ride.completedAt,
+    driver: ride.driver ? { name: String(ride.driver.name || '').split(' ')[0] } : null,
+    vehicle: ride.vehicle ? {
+      make: ride.vehicle.make,
+      model: ride.vehicle.model,
+      colour: ride.vehicle.colour,
+      plate: ride.vehicle.plate,
+    } : null,
+    location: tracked ? {
+      lat: ride.lastLocation.point.coordinates[1],
+      lng: ride.lastLocation.point.coordinates[0],
+      speed: ride.lastLocation.speed,
+      heading: ride.lastLocation.heading,
+      at: ride.lastLocation.at,
+    } : null,
+  };
+};
+
+// ----- SOS -----
+
+// Tell every admin: a persisted notification each plus a live event for open dashboards
+const alertAdmins = async (incident, reporter) => {
+  const admins = await User.find({ role: 'admin', accountStatus: 'active' }).select('_id');
+  const where = incident.ride ? ' during a ride' : '';
+  for (const admin of admins) {
+    await notify({
+      user: admin._id,
+      room: 'admin',
+      type: 'safety',
+      title: 'SOS alert',
+      message: `${reporter.name} raised an SOS${where}.`,
+      ride: incident.ride,
+      extra: { incidentId: incident._id },
+    });
+  }
+  getIO().to('admins').emit('safety:sos', {
+    incidentId: incident._id,
+    reporter: { id: reporter._id, name: reporter.name },
+    rideId: incident.ride,
+    role: incident.role,
+    message: incident.message,
+    location: incident.location
+      ? { lat: incident.location.coordinates[1], lng: incident.location.coordinates[0], at: incident.locationAt }
+      : null,
+    createdAt: incident.createdAt,
+  });
+};
+
+// Email the reporter's trusted contacts; resolves to how many were sent
+const emailTrustedContacts = async (incident, reporter, ride) => {
+  const contacts = (reporter.trustedContacts || []).filter((c) => c.email);
+  if (!contacts.length) return 0;
+  let shareToken = null;
+  if (ride && !ENDED_STATUSES.includes(ride.status)) {
+    ({ token: shareToken } = await createShareLink(ride, reporter._id));
+  }
+  const rideSummary = ride
+    ? `${ride.startLocation} to ${ride.destination}, departing ${new Date(ride.departureTime).toUTCString()}`
+    : null;
+  let sent = 0;
+  for (const contact of contacts) {
+    try {
+      await sendEmail({
+        to: contact.email,
+        ...sosAlert(contact, reporter, {
+          message: incident.message,
+          ride: rideSummary,
+          location: incident.location,
+          shareToken,
+        }),
+      });
+      sent += 1;
+    } catch (err) {
+      console.error('SOS contact email error:', err);
+    }
+  }
+  return sent;
+};
+
+/**
+ * Raise an SOS: { rideId?, coordinates?: { lat, lng }, message? }. The location is the one
+ * sent by the device, or else the ride's last tracked position. Admins and trusted contacts
+ * are alerted once; pressing again shortly after only refreshes the open incident.
+ */
+const raiseSos = async (reporter, { rideId, coordinates, message } = {}, now = new Date()) => {
+  if (message !== undefined && message !== null && typeof message !== 'string') {
+    throw new SafetyError('message must be a string');
+  }
+  let location = null;
+  if (coordinates !== undefined && coordinates !== null) {
+    location = toPoint(coordinates);
+    if (!location) throw new SafetyError('Invalid coordinates');
+  }
+
+  let ride = null;
+  let role;
+  if (rideId) {
+    if (!mongoose.Types.ObjectId.isValid(rideId)) throw new SafetyError('Invalid ride id');
+    ride = await Ride.findById(rideId)
+      .select('driver status startLocation destination departureTime lastLocation');
+    if (!ride) throw new SafetyError('Ride not found', 404);
+    role = await rideRole(ride, reporter._id);
+    if (!role) throw new SafetyError('Not authorized', 403);
+  }
+
+  const fields = { message: message?.trim() || undefined };
+  if (location) {
+    Object.assign(fields, { location, locationSource: 'device', locationAt: now });
+  } else if (ride?.lastLocation?.point) {
+    Object.assign(fields, { location: ride.lastLocation.point, locationSource: 'ride', locationAt: ride.lastLocation.at });
+  }
+
+  const recent = await SafetyIncident.findOne({
+    reporter: reporter._id,
+    ride: ride?._id ?? null,
+    status: 'open',
+    createdAt: { $gte: new Date(now.getTime() - SOS_DEDUPE_MS) },
+  });
+  if (recent) {
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined) recent.set(key, value);
+    }
+    await recent.save();
+    return { incident: recent, duplicate: true };
+  }
+
+  const incident = await SafetyIncident.create({ ...fields, reporter: reporter._id, ride: ride?._id, role });
+  // Each alert goes out on its own: one failing must never hold back the other
+  try {
+    incident.contactsNotified = await emailTrustedContacts(incident, reporter, ride);
+    if (incident.contactsNotified) await incident.save();
+  } catch (err) {
+    console.error(`SOS ${incident._id} trusted contact alert error:`, err);
+  }
+  try {
+    await alertAdmins(incident, reporter);
+  } catch (err) {
+    console.error(`SOS ${incident._id} admin alert error:`, err);
+  }
+  return { incident, duplicate: false };
+};
+
+export {
+  SafetyError,
+  MAX_TRUSTED_CONTACTS,
+  parseContact,
+  assertContactQuota,
+  rideRole,
+  createShareLink,
+  resolveShareLink,
+  sharedRideView,
+  raiseSos,
+};
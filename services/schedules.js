@@ -0,0 +1,156 @@
+import Ride from '../models/Ride.js';
+import Booking, { SEAT_HOLDING_STATUSES } from '../models/Booking.js';
+import RideTemplate from '../models/RideTemplate.js';
+import User from '../models/User.js';
+import { notifyMatchingAlerts } from './rideAlerts.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How many days ahead concrete rides are generated for each schedule
+const horizonDays = () => Math.max(1, parseInt(process.env.RIDE_SCHEDULE_HORIZON_DAYS) || 14);
+
+const isDateString = (value) => typeof value === 'string'
+  && /^\d{4}-\d{2}-\d{2}$/.test(value)
+  && !isNaN(new Date(`${value}T00:00:00Z`).getTime());
+
+// Does the recurrence rule include this local calendar day (YYYY-MM-DD)?
+const matchesRule = (recurrence, day) => {
+  if (day < recurrence.startDate) return false;
+  if (recurrence.until && day > recurrence.until) return false;
+  const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+  if (recurrence.frequency === 'weekdays') return weekday >= 1 && weekday <= 5;
+  if (recurrence.frequency === 'weekly') return recurrence.daysOfWeek.includes(weekday);
+  return true;
+};
+
+/**
+ * Occurrences of a template departing in (from, to].
+ * Returns [{ occurrenceDate: 'YYYY-MM-DD', departureTime: Date }] in chronological order.
+ */
+const occurrencesBetween = (template, from, to) => {
+  const offsetMs = (template.utcOffsetMinutes || 0) * 60 * 1000;
+  const [hh, mm] = template.departureTime.split(':').map(Number);
+  const result = [];
+  // Walk local calendar days; shifting by the offset turns UTC getters into local ones
+  const cursor = new Date(from.getTime() + offsetMs);
+  cursor.setUTCHours(0, 0, 0, 0);
+  while (cursor.getTime() - offsetMs <= to.getTime()) {
+    const day = cursor.toISOString().slice(0, 10);
+    const departure = new Date(Date.UTC(
+      cursor.getUTCFullYear(), cursor.getUTCMonth(), cursor.getUTCDate(), hh, mm
+    ) - offsetMs);
+    if (departure > from && departure <= to && matchesRule(template.recurrence, day)) {
+      result.push({ occurrenceDate: day, departureTime: departure });
+    }
+    cursor.setTime(cursor.getTime() + DAY_MS);
+  }
+  return result;
+};
+
+// Create any missing rides for the template up to the horizon. Idempotent per day.
+const generateRides = async (template, now = new Date()) => {
+  if (template.status !== 'active') return 0;
+  const to = new Date(now.getTime() + horizonDays() * DAY_MS);
+  const legs = (template.waypoints || []).length + 1;
+  let created = 0;
+  for (const { occurrenceDate, departureTime } of occurrencesBetween(template, now, to)) {
+    const result = await Ride.updateOne(
+      { template: template._id, occurrenceDate },
+      {
+        $setOnInsert: {
+          driver: template.driver,
+          vehicle: template.vehicle,
+          template: template._id,
+          occurrenceDate,
+          startLocation: template.startLocation,
+          destination: template.destination,
+          startPoint: template.startPoint,
+          destinationPoint: template.destinationPoint,
+          waypoints: template.waypoints,
+          departureTime,
+          availableSeats: template.availableSeats,
+          segmentSeats: new Array(legs).fill(template.availableSeats),
+          price: template.price,
+          priceRules: template.priceRules,
+          bookingMode: template.bookingMode,
+          cancellationPolicy: template.cancellationPolicy,
+          status: 'scheduled',
+          createdAt: now,
+        },
+      },
+      { upsert: true }
+    );
+    if (result.upsertedId) {
+      created++;
+      try {
+        await notifyMatchingAlerts(await Ride.findById(result.upsertedId), now);
+      } catch (err) {
+        console.error(`Ride alerts for generated ride ${result.upsertedId} failed:`, err);
+      }
+    }
+  }
+  return created;
+};
+
+// Future generated rides of a template that nobody has booked yet
+const unbookedFutureRides = async (templateId, now = new Date()) => {
+  const rides = await Ride.find({ template: templateId, status: 'scheduled', departureTime: { $gt: now } })
+    .select('_id');
+  const booked = await Booking.distinct('ride', { ride: { $in: rides.map(r => r._id) }, status: { $in: SEAT_HOLDING_STATUSES } });
+  const bookedIds = new Set(booked.map(String));
+  return rides.filter(r => !bookedIds.has(String(r._id))).map(r => r._id);
+};
+
+/**
+ * Apply a template edit to future occurrences: rides without bookings are dropped and
+ * regenerated from the new template; rides that already have bookings stay as they are.
+ */
+const applyTemplateChange = async (template, now = new Date()) => {
+  const ids = await unbookedFutureRides(template._id, now);
+  if (ids.length) await Ride.deleteMany({ _id: { $in: ids } });
+  const created = await generateRides(template, now);
+  return { replaced: ids.length, created };
+};
+
+// Cancel future unbooked occurrences of a cancelled template; booked rides are left alone
+const cancelFutureRides = async (template, now = new Date()) => {
+  const ids = await unbookedFutureRides(template._id, now);
+  if (!ids.length) return 0;
+  const result = await Ride.updateMany(
+    { _id: { $in: ids } },
+    { $set: { status: 'canceled', canceledAt: now } }
+  );
+  return result.modifiedCount;
+};
+
+// Top up every active schedule (run periodically)
+const generateAllScheduledRides = async (now = new Date()) => {
+  // One day of slack so schedules west of UTC still get their last local day
+  const cutoff = new Date(now.getTime() - DAY_MS).toISOString().slice(0, 10);
+  // Suspended or unverified drivers get no new rides until they are approved again
+  const approvedDrivers = await User.find({ role: 'driver', driverStatus: 'approved' }).distinct('_id');
+  const templates = await RideTemplate.find({
+    status: 'active',
+    driver: { $in: approvedDrivers },
+    $or: [{ 'recurrence.until': { $exists: false } }, { 'recurrence.until': { $gte: cutoff } }],
+  });
+  let created = 0;
+  for (const template of templates) {
+    try {
+      created += await generateRides(template, now);
+    } catch (err) {
+      console.error(`Generate rides for schedule ${template._id} failed:`, err);
+    }
+  }
+  return created;
+};
+
+export {
+  horizonDays,
+  isDateString,
+  occurrencesBetween,
+  generateRides,
+  applyTemplateChange,
+  cancelFutureRides,
+  generateAllScheduledRides,
+};
@@ -0,0 +1,88 @@
+import Ride from '../models/Ride.js';
+
+/**
+ * Segment-level seat inventory.
+ *
+ * A ride's stops are [startLocation, ...waypoints, destination]. Leg i runs from
+ * stop i to stop i + 1 and ride.segmentSeats[i] holds the seats still free on it.
+ * A booking from stop a to stop b occupies legs a..b-1, so one seat can be sold
+ * again on legs that do not overlap. ride.availableSeats mirrors the smallest leg
+ * (seats free for the whole route) and is kept in sync on every change.
+ */
+
+// Ordered list of stops for a ride: [{ name, point }]
+const getStops = (ride) => [
+  { name: ride.startLocation, point: ride.startPoint },
+  ...(ride.waypoints || []).map((w) => ({ name: w.name, point: w.point })),
+  { name: ride.destination, point: ride.destinationPoint },
+];
+
+/**
+ * Validate a requested stop range against a ride.
+ * Missing values default to the full route. Returns { fromStop, toStop } or null.
+ */
+const resolveLegs = (ride, fromStop, toStop) => {
+  const last = (ride.waypoints || []).length + 1;
+  const from = fromStop === undefined || fromStop === null || fromStop === '' ? 0 : Number(fromStop);
+  const to = toStop === undefined || toStop === null || toStop === '' ? last : Number(toStop);
+  if (!Number.isInteger(from) || !Number.isInteger(to)) return null;
+  if (from < 0 || to > last || from >= to) return null;
+  return { fromStop: from, toStop: to };
+};
+
+// Legs occupied by an existing booking (bookings made before segments cover the whole route)
+const bookingLegs = (booking, ride) => ({
+  fromStop: booking.fromStop ?? 0,
+  toStop: booking.toStop ?? (ride.waypoints || []).length + 1,
+});
+
+// Rides created before segments existed have no segmentSeats: seed a single leg from availableSeats
+const ensureSegments = async (rideId) => {
+  await Ride.updateOne(
+    { _id: rideId, $or: [{ segmentSeats: { $exists: false } }, { segmentSeats: { $size: 0 } }] },
+    [{ $set: { segmentSeats: ['$availableSeats'] } }]
+  );
+};
+
+// Update pipeline adding `delta` to legs [fromStop, toStop) and recomputing availableSeats
+const adjustPipeline = (fromStop, toStop, delta) => [
+  {
+    $set: {
+      segmentSeats: {
+        $map: {
+          input: { $range: [0, { $size: '$segmentSeats' }] },
+          as: 'i',
+          in: {
+            $add: [
+              { $arrayElemAt: ['$segmentSeats', '$$i'] },
+              { $cond: [{ $and: [{ $gte: ['$$i', fromStop] }, { $lt: ['$$i', toStop] }] }, delta, 0] },
+            ],
+          },
+        },
+      },
+    },
+  },
+  { $set: { availableSeats: { $min: '$segmentSeats' } } },
+];
+
+/**
+ * Atomically take `seats` on every leg of [fromStop, toStop).
+ * `filter` adds extra conditions (e.g. { status: 'scheduled' }).
+ * Resolves to the updated ride, or null when any leg lacks seats or the filter fails.
+ */
+const reserveSeats = async (rideId, { fromStop, toStop, seats }, filter = {}) => {
+  await ensureSegments(rideId);
+  const query = { _id: rideId, ...filter };
+  for (let i = fromStop; i < toStop; i += 1) {
+    query[`segmentSeats.${i}`] = { $gte: seats };
+  }
+  return Ride.findOneAndUpdate(query, adjustPipeline(fromStop, toStop, -seats), { new: true });
+};
+
+// Give `seats` back on every leg of [fromStop, toStop)
+const releaseSeats = async (rideId, { fromStop, toStop, seats }) => {
+  await ensureSegments(rideId);
+  return Ride.findOneAndUpdate({ _id: rideId }, adjustPipeline(fromStop, toStop, seats), { new: true });
+};
+
+export { getStops, resolveLegs, bookingLegs, reserveSeats, releaseSeats };
@@ -0,0 +1,161 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import PushSubscription from '../models/PushSubscription.js';
+import { disconnectSession, disconnectUser } from '../config/socket.js';
+
+const REFRESH_COOKIE = 'refreshToken';
+
+const refreshTtlDays = () => Math.max(1, parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30);
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Refresh tokens are opaque: "<sessionId>.<random secret>"
+const buildToken = (sessionId, secret) => `${sessionId}.${secret}`;
+
+const parseToken = (token) => {
+  if (typeof token !== 'string') return null;
+  const [sessionId, secret] = token.split('.');
+  if (!sessionId || !secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+const newExpiry = () => new Date(Date.now() + refreshTtlDays() * 24 * 60 * 60 * 1000);
+
+// Start a session for a login/registration. Returns { session, refreshToken }.
+const createSession = async (userId, { userAgent, ip } = {}) => {
+  const secret = crypto.randomBytes(32).toString('hex');
+  const session = await Session.create({
+    user: userId,
+    tokenHash: hashSecret(secret),
+    userAgent,
+    ip,
+    expiresAt: newExpiry(),
+  });
+  return { session, refreshToken: buildToken(session._id, secret) };
+};
+
+class RefreshError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RefreshError';
+  }
+}
+
+/**
+ * Exchange a refresh token for a new one (rotation). A token that belongs to a live
+ * session but is not its current token has already been used: the session is revoked
+ * so both the thief and the victim must sign in again.
+ * Resolves to { session, refreshToken }; throws RefreshError when the token is unusable.
+ */
+const rotateSession = async (token, { userAgent, ip } = {}) => {
+  const parsed = parseToken(token);
+  if (!parsed) throw new RefreshError('Invalid refresh token');
+  const session = await Session.findById(parsed.sessionId);
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    throw new RefreshError('Session expired or revoked');
+  }
+  const presentedHash = hashSecret(parsed.secret);
+  const secret = crypto.randomBytes(32).toString('hex');
+  // Only rotate if the presented token is still the current one (atomic against races)
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: presentedHash, revokedAt: { $exists: false } },
+    {
+      $set: {
+        tokenHash: hashSecret(secret),
+        lastUsedAt: new Date(),
+        expiresAt: newExpiry(),
+        ...(userAgent ? { userAgent } : {}),
+        ...(ip ? { ip } : {}),
+      },
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    await revokeSession(session._id, 'reuse_detected');
+    console.warn(`Refresh token reuse detected for session ${session._id} (user ${session.user})`);
+    throw new RefreshError('Refresh token reuse detected');
+  }
+  return { session: rotated, refreshToken: buildToken(rotated._id, secret) };
+};
+
+// Revoking also disconnects the sockets signed in with the session(s) and forgets the
+// push devices they registered, so signed-out devices stop getting notifications
+const revokeSession = async (sessionId, reason = 'revoked') => {
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+    { new: true }
+  );
+  await PushSubscription.deleteMany({ session: sessionId });
+  disconnectSession(sessionId);
+  return session;
+};
+
+const revokeAllSessions = async (userId, reason = 'revoked') => {
+  const result = await Session.updateMany(
+    { user: userId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  await PushSubscription.deleteMany({ user: userId });
+  disconnectUser(userId);
+  return result;
+};
+
+// Session id of a refresh token whose secret is the session's current one, else null
+const sessionIdFromToken = async (token) => {
+  const parsed = parseToken(token);
+  if (!parsed) return null;
+  const session = await Session.exists({ _id: parsed.sessionId, tokenHash: hashSecret(parsed.secret) });
+  return session ? parsed.sessionId : null;
+};
+
+const isSessionActive = async (sessionId) => {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return false;
+  return Boolean(await Session.exists({
+    _id: sessionId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() },
+  }));
+};
+
+const refreshCookieOptions = () => {
+  const production = process.env.NODE_ENV === 'production';
+  return {
+    httpOnly: true,
+    secure: production,
+    // Frontend and API live on different sites in production
+    sameSite: production ? 'none' : 'lax',
+    path: '/api/auth',
+    maxAge: refreshTtlDays() * 24 * 60 * 60 * 1000,
+  };
+};
+
+const setRefreshCookie = (res, refreshToken) => {
+  res.cookie(REFRESH_COOKIE, refreshToken, refreshCookieOptions());
+};
+
+const clearRefreshCookie = (res) => {
+  const { maxAge, ...options } = refreshCookieOptions();
+  res.clearCookie(REFRESH_COOKIE, options);
+};
+
+// Client details recorded on the session for the "my sessions" list
+const clientInfo = (req) => ({
+  userAgent: (req.headers['user-agent'] || '').slice(0, 300),
+  ip: req.ip,
+});
+
+export {
+  REFRESH_COOKIE,
+  RefreshError,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  sessionIdFromToken,
+  isSessionActive,
+  setRefreshCookie,
+  clearRefreshCookie,
+  clientInfo,
+};
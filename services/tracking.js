@@ -0,0 +1,229 @@
+import Ride from '../models/Ride.js';
+import Booking, { CONFIRMED_STATUSES, PARTICIPANT_STATUSES } from '../models/Booking.js';
+import TripPoint from '../models/TripPoint.js';
+import { getIO } from '../config/socket.js';
+import { notify } from './notify.js';
+import { getStops, bookingLegs } from './seats.js';
+import { haversineKm } from '../utils/geo.js';
+import { markMissedPickups } from './rideLifecycle.js';
+
+/**
+ * Live trip tracking. Each accepted driver position is stored as a TripPoint (spaced out so a
+ * chatty device doesn't flood the trace), kept on the ride as lastLocation, turned into pickup
+ * ETAs for passengers still waiting, and checked against the geofences around pickup and
+ * drop-off stops. Entering a geofence sends ride:arriving / ride:arrived once per stop.
+ *
+ * Tunables: TRACKING_ARRIVING_RADIUS_M (default 1000), TRACKING_ARRIVED_RADIUS_M (default 100),
+ * TRACKING_DEFAULT_SPEED_KMH (default 40, used when the device reports no usable speed).
+ */
+
+// Rides whose driver is expected to be on the way
+const TRACKED_STATUSES = ['boarding', 'in_progress'];
+// Straight-line distance understates road distance (same factor the price suggestion uses)
+const ROAD_FACTOR = 1.25;
+// Store a point when the driver moved this far or this much time passed since the last one
+const MIN_TRACE_DISTANCE_M = 25;
+const MIN_TRACE_INTERVAL_MS = 15 * 1000;
+// Reported speeds below this are treated as standing still (ETA falls back to the default)
+const MIN_MOVING_SPEED_MS = 1.5;
+
+const numberEnv = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const arrivingRadiusM = () => numberEnv('TRACKING_ARRIVING_RADIUS_M', 1000);
+const arrivedRadiusM = () => numberEnv('TRACKING_ARRIVED_RADIUS_M', 100);
+
+/**
+ * Distance and ETA from a position to a target point. `speed` is the device speed in m/s;
+ * when missing or near zero the default driving speed is used.
+ */
+const estimateEta = (from, to, speed, now = new Date()) => {
+  const distanceKm = haversineKm(from, to) * ROAD_FACTOR;
+  const speedKmh = typeof speed === 'number' && speed >= MIN_MOVING_SPEED_MS
+    ? speed * 3.6
+    : numberEnv('TRACKING_DEFAULT_SPEED_KMH', 40);
+  const etaSeconds = Math.round((distanceKm / speedKmh) * 3600);
+  return {
+    distanceKm: Math.round(distanceKm * 100) / 100,
+    etaSeconds,
+    etaAt: new Date(now.getTime() + etaSeconds * 1000),
+  };
+};
+
+/**
+ * Pickup ETA for a passenger who hasn't boarded yet, from the given driver position
+ * ({ coordinates, speed }). Null when the pickup stop has no coordinates.
+ */
+const pickupEta = (ride, booking, { coordinates, speed }, now = new Date()) => {
+  const pickup = getStops(ride)[bookingLegs(booking, ride).fromStop];
+  if (!pickup?.point) return null;
+  return {
+    rideId: String(ride._id),
+    bookingId: String(booking._id),
+    stop: pickup.name,
+    ...estimateEta(coordinates, pickup.point.coordinates, speed, now),
+  };
+};
+
+// Live position payload as sent on ride:location
+const locationPayload = (rideId, last, extra = {}) => ({
+  rideId: String(rideId),
+  lat: last.point.coordinates[1],
+  lng: last.point.coordinates[0],
+  speed: last.speed,
+  heading: last.heading,
+  at: last.at.getTime(),
+  ...extra,
+});
+
+// `previous` is the latest stored TripPoint of the ride, if any
+const shouldStore = (previous, coordinates, now) => {
+  if (!previous) return true;
+  if (now - previous.recordedAt >= MIN_TRACE_INTERVAL_MS) return true;
+  return haversineKm(previous.location.coordinates, coordinates) * 1000 >= MIN_TRACE_DISTANCE_M;
+};
+
+// Mark a stop's geofence event as sent; true only for the first caller
+const claimGeofenceEvent = async (rideId, kind, stopIndex) => {
+  const result = await Ride.updateOne(
+    { _id: rideId, [`geofence.${kind}`]: { $ne: stopIndex } },
+    { $addToSet: { [`geofence.${kind}`]: stopIndex } }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Send per-passenger pickup ETAs and fire geofence events for the new position.
+ * Pickup stops matter to passengers not yet boarded; drop-off stops to everyone still riding.
+ */
+const processPosition = async (ride, coordinates, speed, now) => {
+  const io = getIO();
+  const stops = getStops(ride);
+  const bookings = await Booking.find({ ride: ride._id, status: { $in: CONFIRMED_STATUSES } })
+    .select('passenger fromStop toStop boardingStatus');
+
+  const roles = new Map(); // stop index -> { pickup: [bookings], dropoff: [bookings] }
+  const roleAt = (i) => {
+    if (!roles.has(i)) roles.set(i, { pickup: [], dropoff: [] });
+    return roles.get(i);
+  };
+  for (const b of bookings) {
+    const { fromStop, toStop } = bookingLegs(b, ride);
+    if (!b.boardingStatus) roleAt(fromStop).pickup.push(b);
+    if (b.boardingStatus !== 'no_show') roleAt(toStop).dropoff.push(b);
+  }
+
+  for (const b of bookings) {
+    if (b.boardingStatus) continue;
+    const eta = pickupEta(ride, b, { coordinates, speed }, now);
+    if (eta) io.to(`passenger:${b.passenger}`).emit('ride:eta', eta);
+  }
+
+  for (const [stopIndex, { pickup, dropoff }] of roles) {
+    const stop = stops[stopIndex];
+    if (!stop.point || (!pickup.length && !dropoff.length)) continue;
+    const distanceM = Math.round(haversineKm(coordinates, stop.point.coordinates) * 1000);
+    const kinds = [];
+    if (distanceM <= arrivingRadiusM()) kinds.push('arriving');
+    if (distanceM <= arrivedRadiusM()) kinds.push('arrived');
+    for (const kind of kinds) {
+      if (!(await claimGeofenceEvent(ride._id, kind, stopIndex))) continue;
+      const payload = {
+        rideId: String(ride._id),
+        stopIndex,
+        stop: stop.name,
+        pickup: pickup.length > 0,
+        dropoff: dropoff.length > 0,
+        distanceM,
+        at: now.getTime(),
+      };
+      io.to(`ride:${ride._id}`).emit(`ride:${kind}`, payload);
+      // Passengers not watching the ride room still hear about their own stop
+      for (const b of new Set([...pickup, ...dropoff])) {
+        io.to(`passenger:${b.passenger}`).emit(`ride:${kind}`, { ...payload, bookingId: String(b._id) });
+      }
+      if (kind === 'arrived') {
+        // Reaching a stop means the ride has left every earlier pickup behind
+        if (ride.status === 'in_progress' && stopIndex > 0) {
+          try {
+            await markMissedPickups(ride, stopIndex - 1, now);
+          } catch (err) {
+            console.error(`Mark missed pickups for ride ${ride._id} failed:`, err);
+          }
+        }
+        for (const b of pickup) {
+          await notify({
+            user: b.passenger,
+            room: 'passenger',
+            type: 'ride',
+            title: 'Your driver has arrived',
+            message: `Your driver is at ${stop.name}.`,
+            ride: ride._id,
+            booking: b._id,
+          });
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Take a driver position for a tracked ride: persist it, remember it as the last known
+ * position, and work out ETAs and geofence events. Resolves to the ride:location payload,
+ * or null when the ride isn't being tracked.
+ */
+const recordLocation = async (ride, { lat, lng, speed, heading, accuracy }, now = new Date()) => {
+  if (!TRACKED_STATUSES.includes(ride.status)) return null;
+  const coordinates = [lng, lat];
+  const last = {
+    point: { type: 'Point', coordinates },
+    speed: typeof speed === 'number' ? speed : undefined,
+    heading: typeof heading === 'number' ? heading : undefined,
+    at: now,
+  };
+  const previous = await TripPoint.findOne({ ride: ride._id })
+    .sort({ recordedAt: -1 })
+    .select('location recordedAt')
+    .lean();
+  if (shouldStore(previous, coordinates, now)) {
+    await TripPoint.create({
+      ride: ride._id,
+      location: last.point,
+      speed: last.speed,
+      heading: last.heading,
+      accuracy: typeof accuracy === 'number' ? accuracy : undefined,
+      recordedAt: now,
+    });
+  }
+  await Ride.updateOne({ _id: ride._id }, { $set: { lastLocation: last } });
+  await processPosition(ride, coordinates, last.speed, now);
+  return locationPayload(ride._id, last);
+};
+
+// Whether a user may follow a ride live: its driver, its booked passengers and admins
+const canWatchRide = async (ride, user) => {
+  if (user.role === 'admin' || ride.driver.toString() === user._id.toString()) return true;
+  return Boolean(await Booking.exists({
+    ride: ride._id,
+    passenger: user._id,
+    status: { $in: PARTICIPANT_STATUSES },
+  }));
+};
+
+// The last known position of a ride as a ride:location payload (marked as a replay), or null
+const lastKnownLocation = async (rideId) => {
+  const ride = await Ride.findById(rideId).select('lastLocation status').lean();
+  if (!ride?.lastLocation?.point || !TRACKED_STATUSES.includes(ride.status)) return null;
+  return locationPayload(rideId, ride.lastLocation, { replay: true });
+};
+
+export {
+  TRACKED_STATUSES,
+  estimateEta,
+  pickupEta,
+  canWatchRide,
+  recordLocation,
+  lastKnownLocation,
+};
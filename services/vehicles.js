@@ -0,0 +1,108 @@
+import mongoose from 'mongoose';
+import Vehicle, { AMENITIES } from '../models/Vehicle.js';
+import Booking, { PARTICIPANT_STATUSES } from '../models/Booking.js';
+
+class VehicleError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'VehicleError';
+    this.status = status;
+  }
+}
+
+// Fields passengers get to see once they are on the ride
+const PASSENGER_VEHICLE_FIELDS = 'make model plate colour seats amenities';
+
+const normalisePlate = (plate) => String(plate || '').replace(/\s+/g, '').toUpperCase();
+
+// Validate vehicle fields from a request body; `partial` allows updates that omit fields
+const parseVehicle = (body = {}, { partial = false } = {}) => {
+  const fields = {};
+  for (const key of ['make', 'model', 'colour']) {
+    if (body[key] === undefined) continue;
+    if (typeof body[key] !== 'string') throw new VehicleError(`${key} must be a string`);
+    fields[key] = body[key].trim();
+  }
+  if (body.plate !== undefined) fields.plate = normalisePlate(body.plate);
+  if (body.seats !== undefined) {
+    const seats = Number(body.seats);
+    if (!Number.isInteger(seats) || seats < 1 || seats > 8) {
+      throw new VehicleError('seats must be a whole number between 1 and 8');
+    }
+    fields.seats = seats;
+  }
+  if (body.amenities !== undefined) {
+    if (!Array.isArray(body.amenities) || body.amenities.some(a => !AMENITIES.includes(a))) {
+      throw new VehicleError(`amenities must be a list of: ${AMENITIES.join(', ')}`);
+    }
+    fields.amenities = [...new Set(body.amenities)];
+  }
+  if (!partial) {
+    for (const key of ['make', 'model', 'plate', 'seats']) {
+      if (!fields[key]) throw new VehicleError('make, model, plate and seats are required');
+    }
+  }
+  return fields;
+};
+
+/**
+ * The vehicle a driver wants to use for a ride. When no id is given and the driver has
+ * exactly one active vehicle, that one is used.
+ */
+const resolveDriverVehicle = async (driverId, vehicleId) => {
+  if (vehicleId) {
+    if (!mongoose.Types.ObjectId.isValid(vehicleId)) throw new VehicleError('Invalid vehicle id');
+    const vehicle = await Vehicle.findOne({ _id: vehicleId, owner: driverId, active: true });
+    if (!vehicle) throw new VehicleError('Vehicle not found', 404);
+    return vehicle;
+  }
+  const vehicles = await Vehicle.find({ owner: driverId, active: true }).limit(2);
+  if (vehicles.length === 1) return vehicles[0];
+  throw new VehicleError(vehicles.length ? 'vehicleId is required' : 'Add a vehicle before offering rides');
+};
+
+const assertCapacity = (vehicle, seats) => {
+  const n = Number(seats);
+  if (!Number.isInteger(n) || n < 1) throw new VehicleError('availableSeats must be a whole number of at least 1');
+  if (n > vehicle.seats) {
+    throw new VehicleError(`${vehicle.make} ${vehicle.model} only has ${vehicle.seats} passenger seats`);
+  }
+};
+
+// Register the vehicle from an approved driver application, unless the driver already has it
+const vehicleFromApplication = async (application) => {
+  const plate = normalisePlate(application.vehicle.carPlate);
+  const existing = await Vehicle.findOne({ owner: application.user, plate, active: true });
+  if (existing) return existing;
+  const [make, ...rest] = application.vehicle.carModel.trim().split(/\s+/);
+  return Vehicle.create({
+    owner: application.user,
+    make,
+    model: rest.join(' ') || make,
+    plate,
+    seats: application.vehicle.seatsAvailable,
+  });
+};
+
+// Drivers, admins and passengers with a confirmed booking may see the car and its plate
+const canSeeVehicle = async (ride, user) => {
+  if (!user) return false;
+  const driverId = ride.driver?._id || ride.driver;
+  if (user.role === 'admin' || String(driverId) === String(user._id)) return true;
+  return Boolean(await Booking.exists({
+    ride: ride._id,
+    passenger: user._id,
+    status: { $in: PARTICIPANT_STATUSES },
+  }));
+};
+
+export {
+  VehicleError,
+  PASSENGER_VEHICLE_FIELDS,
+  normalisePlate,
+  parseVehicle,
+  resolveDriverVehicle,
+  assertCapacity,
+  vehicleFromApplication,
+  canSeeVehicle,
+};
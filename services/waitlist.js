@@ -0,0 +1,202 @@
+import Ride from '../models/Ride.js';
+import Booking, { SEAT_HOLDING_STATUSES } from '../models/Booking.js';
+import WaitlistEntry, { OPEN_WAITLIST_STATUSES } from '../models/WaitlistEntry.js';
+import { getStops, resolveLegs, reserveSeats, releaseSeats } from './seats.js';
+import { notify } from './notify.js';
+
+/**
+ * Waitlist for full rides.
+ *
+ * When seats come back (a booking is cancelled, declined or expires) the queue is walked in
+ * join order and every entry whose stop range now fits is offered the seats. An offer holds
+ * the seats for the claim window; if it is declined or lapses the seats are released and the
+ * walk starts again, so the offer cascades down the queue.
+ */
+
+class WaitlistError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'WaitlistError';
+    this.status = status;
+  }
+}
+
+// How long a passenger has to claim offered seats
+const claimWindowMinutes = () => Math.max(1, parseInt(process.env.WAITLIST_CLAIM_MINUTES) || 15);
+
+// An offer lapses after the claim window, or at departure if that comes first
+const offerExpiry = (ride, now = new Date()) => {
+  const windowEnd = new Date(now.getTime() + claimWindowMinutes() * 60 * 1000);
+  return ride.departureTime < windowEnd ? new Date(ride.departureTime) : windowEnd;
+};
+
+const entryLegs = (entry) => ({ fromStop: entry.fromStop, toStop: entry.toStop, seats: entry.seats });
+
+const segmentLabel = (ride, entry) => {
+  const stops = getStops(ride);
+  return `${stops[entry.fromStop].name} to ${stops[entry.toStop].name}`;
+};
+
+// 1-based place in the queue for a waiting entry (null once it left the queue)
+const waitlistPosition = async (entry) => {
+  if (entry.status !== 'waiting') return null;
+  const ahead = await WaitlistEntry.countDocuments({
+    ride: entry.ride,
+    status: 'waiting',
+    createdAt: { $lt: entry.createdAt },
+  });
+  return ahead + 1;
+};
+
+// Join the queue for a ride that can't currently seat the passenger on the requested stops
+const joinWaitlist = async (ride, passengerId, { seats, fromStop, toStop, children = 0, luggage = 0 }, now = new Date()) => {
+  if (ride.status !== 'scheduled' || ride.departureTime <= now) {
+    throw new WaitlistError('Ride is not open for booking');
+  }
+  if (String(ride.driver._id || ride.driver) === String(passengerId)) {
+    throw new WaitlistError('You cannot join the waitlist for your own ride');
+  }
+  const legs = resolveLegs(ride, fromStop, toStop);
+  if (!legs) throw new WaitlistError('Invalid stop range');
+
+  const legSeats = ride.segmentSeats?.length ? ride.segmentSeats : null;
+  const free = legSeats
+    ? Math.min(...legSeats.slice(legs.fromStop, legs.toStop))
+    : ride.availableSeats;
+  if (free >= seats) throw new WaitlistError('Seats are available, book them instead', 409);
+
+  const [booked, queued] = await Promise.all([
+    Booking.exists({ ride: ride._id, passenger: passengerId, status: { $in: SEAT_HOLDING_STATUSES } }),
+    WaitlistEntry.exists({ ride: ride._id, passenger: passengerId, status: { $in: OPEN_WAITLIST_STATUSES } }),
+  ]);
+  if (booked) throw new WaitlistError('You already have a booking for this ride');
+  if (queued) throw new WaitlistError('You are already on the waitlist for this ride', 409);
+
+  const entry = await WaitlistEntry.create({ ride: ride._id, passenger: passengerId, seats, children, luggage, ...legs });
+  return { entry, position: await waitlistPosition(entry) };
+};
+
+/**
+ * Offer freed seats down the queue. Seats are held for each entry that fits; entries that
+ * don't fit keep their place. Resolves to the number of offers made.
+ */
+const offerWaitlistedSeats = async (rideId, now = new Date()) => {
+  const ride = await Ride.findById(rideId).select('status departureTime startLocation destination waypoints');
+  if (!ride || ride.status !== 'scheduled' || ride.departureTime <= now) return 0;
+
+  const waiting = await WaitlistEntry.find({ ride: rideId, status: 'waiting' }).sort({ createdAt: 1 });
+  let offered = 0;
+  for (const candidate of waiting) {
+    const held = await reserveSeats(rideId, entryLegs(candidate), { status: 'scheduled' });
+    if (!held) continue;
+    const offerExpiresAt = offerExpiry(ride, now);
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { _id: candidate._id, status: 'waiting' },
+      { $set: { status: 'offered', offeredAt: now, offerExpiresAt } },
+      { new: true }
+    );
+    if (!entry) {
+      // The passenger left the queue meanwhile; give the seats back for the next entry
+      await releaseSeats(rideId, entryLegs(candidate));
+      continue;
+    }
+    offered += 1;
+    await notify({
+      user: entry.passenger,
+      room: 'passenger',
+      type: 'booking',
+      title: 'Seats available',
+      message: `${entry.seats} seat(s) from ${segmentLabel(ride, entry)} opened up. `
+        + `Claim them within ${claimWindowMinutes()} minutes before they go to the next person.`,
+      ride: ride._id,
+      extra: { waitlistEntryId: entry._id, offerExpiresAt },
+    });
+  }
+  return offered;
+};
+
+/**
+ * Take an offer back (declined or lapsed): release the held seats and offer them on.
+ * Resolves to the updated entry, or null if it no longer held an offer.
+ */
+const withdrawOffer = async (entryId, toStatus, now = new Date()) => {
+  const entry = await WaitlistEntry.findOneAndUpdate(
+    { _id: entryId, status: 'offered' },
+    { $set: { status: toStatus }, $unset: { offerExpiresAt: 1 } },
+    { new: true }
+  );
+  if (!entry) return null;
+  await releaseSeats(entry.ride, entryLegs(entry));
+  await offerWaitlistedSeats(entry.ride, now);
+  return entry;
+};
+
+// Passenger drops out of the queue, giving up any offer they hold
+const leaveWaitlist = async (entry, now = new Date()) => {
+  if (entry.status === 'offered') return withdrawOffer(entry._id, 'left', now);
+  return WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: 'waiting' },
+    { $set: { status: 'left' } },
+    { new: true }
+  );
+};
+
+// Offers nobody claimed in time cascade to the next entry (run periodically)
+const expireWaitlistOffers = async (now = new Date()) => {
+  const due = await WaitlistEntry.find({ status: 'offered', offerExpiresAt: { $lte: now } })
+    .select('_id')
+    .limit(200);
+  let expired = 0;
+  for (const { _id } of due) {
+    const entry = await withdrawOffer(_id, 'expired', now);
+    if (!entry) continue;
+    expired += 1;
+    await notify({
+      user: entry.passenger,
+      room: 'passenger',
+      type: 'booking',
+      title: 'Waitlist offer expired',
+      message: 'You did not claim the offered seats in time, so they went to the next person in line.',
+      ride: entry.ride,
+      extra: { waitlistEntryId: entry._id },
+    });
+  }
+  return expired;
+};
+
+/**
+ * The ride stopped taking bookings (boarding, started, cancelled): close its queue.
+ * Held seats are not released since nobody can book them any more.
+ */
+const closeWaitlist = async (ride, reason) => {
+  const open = await WaitlistEntry.find({ ride: ride._id, status: { $in: OPEN_WAITLIST_STATUSES } });
+  if (!open.length) return 0;
+  await WaitlistEntry.updateMany(
+    { _id: { $in: open.map(e => e._id) } },
+    { $set: { status: 'closed' }, $unset: { offerExpiresAt: 1 } }
+  );
+  for (const entry of open) {
+    await notify({
+      user: entry.passenger,
+      room: 'passenger',
+      type: 'ride',
+      title: 'Waitlist closed',
+      message: `The waitlist for the ride to ${ride.destination} closed: ${reason}.`,
+      ride: ride._id,
+      extra: { waitlistEntryId: entry._id },
+    });
+  }
+  return open.length;
+};
+
+export {
+  WaitlistError,
+  claimWindowMinutes,
+  waitlistPosition,
+  joinWaitlist,
+  offerWaitlistedSeats,
+  withdrawOffer,
+  leaveWaitlist,
+  expireWaitlistOffers,
+  closeWaitlist,
+};
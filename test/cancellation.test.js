@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_POLICY,
+  getPolicies,
+  evaluateCancellation,
+  toBookingRecord,
+  describeRefund,
+  describePenalty,
+} from '../services/cancellation.js';
+
+const HOUR = 60 * 60 * 1000;
+const now = new Date('2026-10-19T08:00:00Z');
+const hoursAhead = (hours) => new Date(now.getTime() + hours * HOUR);
+
+// Passenger refund share for a cancellation `hours` before departure
+const refundAt = (policy, hours) =>
+  evaluateCancellation({ policy, cancelledBy: 'passenger', departureTime: hoursAhead(hours), amount: 10000, now })
+    .refundPercent;
+
+const penaltyAt = (policy, hours) =>
+  evaluateCancellation({ policy, cancelledBy: 'driver', departureTime: hoursAhead(hours), amount: 10000, now })
+    .driverPenaltyPercent;
+
+test('passenger refunds follow the tier for the time left, boundaries included', () => {
+  assert.equal(refundAt('flexible', 30), 100);
+  assert.equal(refundAt('flexible', 24), 100);
+  assert.equal(refundAt('flexible', 23.9), 90);
+  assert.equal(refundAt('flexible', 2), 90);
+  assert.equal(refundAt('flexible', 1), 50);
+
+  assert.equal(refundAt('moderate', 48), 100);
+  assert.equal(refundAt('moderate', 30), 75);
+  assert.equal(refundAt('moderate', 6), 50);
+  assert.equal(refundAt('moderate', 5), 25);
+
+  assert.equal(refundAt('strict', 200), 100);
+  assert.equal(refundAt('strict', 100), 50);
+  assert.equal(refundAt('strict', 24), 25);
+  assert.equal(refundAt('strict', 3), 0);
+});
+
+test('no refund tier applies once the ride has left', () => {
+  assert.equal(refundAt('flexible', -1), 0);
+  assert.equal(refundAt('moderate', -0.1), 0);
+});
+
+test('an unknown policy falls back to the default', () => {
+  assert.equal(DEFAULT_POLICY, 'moderate');
+  const outcome = evaluateCancellation({
+    policy: 'lenient', cancelledBy: 'passenger', departureTime: hoursAhead(30), amount: 10000, now,
+  });
+  assert.equal(outcome.policy, 'moderate');
+  assert.equal(outcome.refundPercent, 75);
+});
+
+test('the refund and fee split the booking amount exactly', () => {
+  const outcome = evaluateCancellation({
+    policy: 'moderate', cancelledBy: 'passenger', departureTime: hoursAhead(30), amount: 999, now,
+  });
+  assert.equal(outcome.refundAmount, 749);
+  assert.equal(outcome.feeAmount, 250);
+  assert.equal(outcome.driverPenaltyAmount, 0);
+  assert.equal(outcome.hoursBeforeDeparture, 30);
+});
+
+test('a driver cancelling refunds passengers in full and is penalised by the tier', () => {
+  const outcome = evaluateCancellation({
+    policy: 'strict', cancelledBy: 'driver', departureTime: hoursAhead(48), amount: 10000, now,
+  });
+  assert.equal(outcome.refundPercent, 100);
+  assert.equal(outcome.refundAmount, 10000);
+  assert.equal(outcome.feeAmount, 0);
+  assert.equal(outcome.driverPenaltyPercent, 20);
+  assert.equal(outcome.driverPenaltyAmount, 2000);
+
+  assert.equal(penaltyAt('flexible', 48), 0);
+  assert.equal(penaltyAt('flexible', 3), 5);
+  assert.equal(penaltyAt('moderate', 1), 20);
+  // After departure the steepest tier applies
+  assert.equal(penaltyAt('strict', -2), 30);
+});
+
+test('CANCELLATION_POLICIES overrides a policy\'s tiers; invalid JSON keeps the defaults', (t) => {
+  t.after(() => delete process.env.CANCELLATION_POLICIES);
+  process.env.CANCELLATION_POLICIES = JSON.stringify({
+    strict: { refunds: [{ minHours: 12, refundPercent: 80 }, { minHours: 0, refundPercent: 10 }] },
+  });
+  assert.equal(refundAt('strict', 13), 80);
+  assert.equal(refundAt('strict', 1), 10);
+  // Tiers not overridden stay as they were
+  assert.equal(penaltyAt('strict', 1), 30);
+  assert.equal(refundAt('flexible', 1), 50);
+
+  t.mock.method(console, 'error', () => {});
+  process.env.CANCELLATION_POLICIES = '{not json';
+  assert.equal(getPolicies().strict.refunds.length, 4);
+  assert.equal(refundAt('strict', 100), 50);
+});
+
+test('outcomes are recorded on the booking and described for notifications', (t) => {
+  const currency = process.env.PAYMENT_CURRENCY;
+  t.after(() => {
+    if (currency === undefined) delete process.env.PAYMENT_CURRENCY;
+    else process.env.PAYMENT_CURRENCY = currency;
+  });
+  process.env.PAYMENT_CURRENCY = 'KES';
+  const outcome = evaluateCancellation({
+    policy: 'moderate', cancelledBy: 'passenger', departureTime: hoursAhead(30), amount: 60000, now,
+  });
+  assert.deepEqual(toBookingRecord(outcome), {
+    by: 'passenger',
+    policy: 'moderate',
+    hoursBeforeDeparture: 30,
+    refundPercent: 75,
+    refundAmount: 45000,
+    feeAmount: 15000,
+    driverPenaltyAmount: 0,
+    at: now,
+  });
+  assert.equal(describeRefund(outcome), 'Refund: KES 450.00 (75%), cancellation fee: KES 150.00.');
+  assert.equal(describeRefund({ refundAmount: 0, feeAmount: 0 }), '');
+  assert.equal(describePenalty(2500), 'Cancellation penalty: KES 25.00.');
+  assert.equal(describePenalty(0), '');
+});
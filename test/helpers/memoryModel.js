@@ -0,0 +1,290 @@
+import mongoose from 'mongoose';
+
+/**
+ * In-memory stand-in for a Mongoose model's collection, for tests that run without MongoDB.
+ * Supports find/findOne/findById (chainable, with sort and limit), distinct, exists, create,
+ * insertMany, updateOne, updateMany, findOneAndUpdate, deleteOne, deleteMany, aggregate
+ * ($match and $group with $sum) and save() on returned documents, with the query and update
+ * operators the services use ($in, $nin, $lt(e), $gt(e), $ne, $exists, $size, $or; $set,
+ * $unset, $inc, $push with $each/$slice, $setOnInsert; pipeline updates made of $set stages),
+ * unique fields, and findOneAndUpdate's sort/new/upsert/includeResultMetadata options.
+ * Every call runs to completion before the next, so it says nothing about how concurrent
+ * writes interleave.
+ */
+
+const comparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (value instanceof mongoose.Types.ObjectId) return value.toHexString();
+  return value;
+};
+
+// Deep copy that keeps ObjectIds and Dates as they are
+const clone = (value) => {
+  if (value instanceof mongoose.Types.ObjectId) return value;
+  if (value instanceof Date) return new Date(value);
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, clone(v)]));
+  }
+  return value;
+};
+
+const getPath = (doc, path) => path.split('.').reduce((v, key) => (v == null ? undefined : v[key]), doc);
+
+const matchesValue = (actual, condition) => {
+  const isOperatorObject = condition && typeof condition === 'object' && !(condition instanceof Date)
+    && !(condition instanceof mongoose.Types.ObjectId) && Object.keys(condition).every((k) => k.startsWith('$'));
+  if (!isOperatorObject) return comparable(actual) === comparable(condition);
+  return Object.entries(condition).every(([op, value]) => {
+    const a = comparable(actual);
+    switch (op) {
+      case '$in': return value.some((v) => comparable(v) === a);
+      case '$nin': return !value.some((v) => String(comparable(v)) === String(a));
+      case '$ne': return a !== comparable(value);
+      case '$lt': return a !== undefined && a < comparable(value);
+      case '$lte': return a !== undefined && a <= comparable(value);
+      case '$gt': return a !== undefined && a > comparable(value);
+      case '$gte': return a !== undefined && a >= comparable(value);
+      case '$exists': return (actual !== undefined) === Boolean(value);
+      case '$size': return Array.isArray(actual) && actual.length === value;
+      default: throw new Error(`memoryModel: unsupported operator ${op}`);
+    }
+  });
+};
+
+const matches = (doc, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') return condition.some((branch) => matches(doc, branch));
+  return matchesValue(getPath(doc, key), condition);
+});
+
+// Object holding the last segment of a dotted path (created on the way), and that segment
+const parentOf = (doc, path) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((obj, key) => {
+    if (obj[key] == null) obj[key] = {};
+    return obj[key];
+  }, doc);
+  return [parent, last];
+};
+
+const applyUpdate = (doc, update, inserting) => {
+  for (const [op, fields] of Object.entries(update)) {
+    for (const [path, value] of Object.entries(fields)) {
+      const [target, key] = parentOf(doc, path);
+      switch (op) {
+        case '$set': target[key] = value; break;
+        case '$setOnInsert': if (inserting) target[key] = value; break;
+        case '$unset': delete target[key]; break;
+        case '$inc': target[key] = (target[key] || 0) + value; break;
+        case '$push': {
+          const list = [...(target[key] || []), ...(value.$each || [value])];
+          target[key] = value.$slice !== undefined ? list.slice(value.$slice) : list;
+          break;
+        }
+        default: throw new Error(`memoryModel: unsupported update ${op}`);
+      }
+    }
+  }
+  return doc;
+};
+
+const compareBy = (sort) => (a, b) => {
+  for (const [key, dir] of Object.entries(sort)) {
+    const x = comparable(getPath(a, key));
+    const y = comparable(getPath(b, key));
+    if (x !== y) return (x < y ? -1 : 1) * dir;
+  }
+  return 0;
+};
+
+const isPlainObject = (value) => value && typeof value === 'object' && !Array.isArray(value)
+  && !(value instanceof Date) && !(value instanceof mongoose.Types.ObjectId);
+
+// The aggregation expressions pipeline updates use ('$field', '$$variable' and the operators below)
+const evaluate = (expr, doc, vars = {}) => {
+  if (typeof expr === 'string' && expr.startsWith('$$')) return vars[expr.slice(2)];
+  if (typeof expr === 'string' && expr.startsWith('$')) return getPath(doc, expr.slice(1));
+  if (Array.isArray(expr)) return expr.map((e) => evaluate(e, doc, vars));
+  if (!isPlainObject(expr)) return expr;
+  const [[op, arg]] = Object.entries(expr);
+  const args = () => [].concat(arg).map((a) => evaluate(a, doc, vars));
+  switch (op) {
+    case '$map':
+      return evaluate(arg.input, doc, vars).map((v) => evaluate(arg.in, doc, { ...vars, [arg.as]: v }));
+    case '$range': {
+      const [from, to] = args();
+      return Array.from({ length: Math.max(0, to - from) }, (_, i) => from + i);
+    }
+    case '$size': return evaluate(arg, doc, vars).length;
+    case '$arrayElemAt': {
+      const [list, i] = args();
+      return list[i];
+    }
+    case '$add': return args().reduce((sum, v) => sum + v, 0);
+    case '$cond': return evaluate(arg[0], doc, vars) ? evaluate(arg[1], doc, vars) : evaluate(arg[2], doc, vars);
+    case '$multiply': return args().reduce((product, v) => product * v, 1);
+    case '$and': return args().every(Boolean);
+    case '$eq': return comparable(args()[0]) === comparable(args()[1]);
+    case '$gte': return args()[0] >= args()[1];
+    case '$lt': return args()[0] < args()[1];
+    case '$min': return Math.min(...[].concat(evaluate(arg, doc, vars)));
+    default: throw new Error(`memoryModel: unsupported expression ${op}`);
+  }
+};
+
+// Update with an aggregation pipeline: each $set stage sees the result of the one before
+const applyPipeline = (doc, pipeline) => {
+  for (const stage of pipeline) {
+    const [[op, fields]] = Object.entries(stage);
+    if (op !== '$set') throw new Error(`memoryModel: unsupported pipeline stage ${op}`);
+    const values = Object.entries(fields).map(([key, expr]) => [key, evaluate(expr, doc)]);
+    for (const [key, value] of values) doc[key] = value;
+  }
+  return doc;
+};
+
+// Aggregation made of $match and $group stages, with $sum as the only accumulator
+const aggregate = (docs, pipeline) => pipeline.reduce((rows, stage) => {
+  const [[op, spec]] = Object.entries(stage);
+  if (op === '$match') return rows.filter((d) => matches(d, spec));
+  if (op !== '$group') throw new Error(`memoryModel: unsupported aggregation stage ${op}`);
+  const groups = new Map();
+  for (const row of rows) {
+    const id = evaluate(spec._id, row);
+    const key = String(comparable(id));
+    if (!groups.has(key)) groups.set(key, { _id: id });
+    const group = groups.get(key);
+    for (const [field, accumulator] of Object.entries(spec)) {
+      if (field === '_id') continue;
+      if (!accumulator.$sum) throw new Error('memoryModel: only $sum is supported in $group');
+      group[field] = (group[field] || 0) + evaluate(accumulator.$sum, row);
+    }
+  }
+  return [...groups.values()];
+}, docs);
+
+const updateDoc = (doc, update) => (Array.isArray(update) ? applyPipeline(doc, update) : applyUpdate(doc, update, false));
+
+// Thenable standing in for a Mongoose query, so chained sort/select/limit/lean/populate still work
+const query = (value) => ({
+  sort(spec) {
+    if (Array.isArray(value)) value = [...value].sort(compareBy(spec));
+    return this;
+  },
+  limit(n) {
+    if (Array.isArray(value) && n) value = value.slice(0, n);
+    return this;
+  },
+  select() { return this; },
+  lean() { return this; },
+  populate() { return this; },
+  then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+});
+
+const isUpdateDocument = (update) => Object.keys(update).some((k) => k.startsWith('$'));
+
+/**
+ * Replace the model's static methods with ones backed by an array. `defaults` are applied to
+ * inserted documents; `unique` lists fields that must not repeat, as a name or as
+ * { field, filter } for a partial index over the documents matching `filter`. The mocks
+ * belong to the test context `t` and are restored after the test. Returns { docs }.
+ */
+const useMemoryModel = (t, Model, { defaults = {}, unique = [] } = {}) => {
+  const docs = [];
+
+  const checkUnique = (doc) => {
+    for (const index of unique) {
+      const { field, filter } = typeof index === 'string' ? { field: index } : index;
+      if (doc[field] === undefined || (filter && !matches(doc, filter))) continue;
+      const clash = (d) => d !== doc && (!filter || matches(d, filter)) && comparable(d[field]) === comparable(doc[field]);
+      if (docs.some(clash)) {
+        const err = new Error(`E11000 duplicate key error (${field})`);
+        err.code = 11000;
+        throw err;
+      }
+    }
+  };
+
+  const insert = (fields) => {
+    const now = new Date();
+    const doc = { _id: new mongoose.Types.ObjectId(), ...clone(defaults), ...clone(fields), createdAt: now, updatedAt: now };
+    checkUnique(doc);
+    docs.push(doc);
+    return doc;
+  };
+
+  // Documents handed out are copies; save() writes one back like a Mongoose document's would
+  const copy = (doc) => {
+    if (!doc) return null;
+    const result = clone(doc);
+    Object.defineProperty(result, 'save', {
+      async value() {
+        const stored = docs.find((d) => comparable(d._id) === comparable(this._id));
+        if (stored) Object.assign(stored, clone(this), { updatedAt: new Date() });
+        else insert(this);
+        return this;
+      },
+    });
+    return result;
+  };
+
+  const findFirst = (filter, sort) => {
+    const candidates = docs.filter((d) => matches(d, filter));
+    return sort ? candidates.sort(compareBy(sort))[0] : candidates[0];
+  };
+
+  t.mock.method(Model, 'create', async (fields) => copy(insert(fields)));
+  t.mock.method(Model, 'insertMany', async (list) => list.map((fields) => copy(insert(fields))));
+  t.mock.method(Model, 'aggregate', async (pipeline) => aggregate(docs, pipeline).map(clone));
+  t.mock.method(Model, 'find', (filter) => query(docs.filter((d) => matches(d, filter)).map(copy)));
+  t.mock.method(Model, 'findOne', (filter) => query(copy(findFirst(filter))));
+  t.mock.method(Model, 'findById', (id) => query(copy(findFirst({ _id: id }))));
+  t.mock.method(Model, 'distinct', async (path, filter) => {
+    const values = docs.filter((d) => matches(d, filter)).map((d) => getPath(d, path)).filter((v) => v !== undefined);
+    return [...new Map(values.map((v) => [String(comparable(v)), v])).values()];
+  });
+  t.mock.method(Model, 'exists', async (filter) => (findFirst(filter) ? { _id: findFirst(filter)._id } : null));
+  t.mock.method(Model, 'updateOne', async (filter, update) => {
+    const doc = findFirst(filter);
+    if (!doc) return { matchedCount: 0, modifiedCount: 0 };
+    updateDoc(doc, update);
+    return { matchedCount: 1, modifiedCount: 1 };
+  });
+  t.mock.method(Model, 'updateMany', async (filter, update) => {
+    const matched = docs.filter((d) => matches(d, filter));
+    for (const doc of matched) updateDoc(doc, update);
+    return { matchedCount: matched.length, modifiedCount: matched.length };
+  });
+  t.mock.method(Model, 'deleteOne', async (filter) => {
+    const doc = findFirst(filter);
+    if (doc) docs.splice(docs.indexOf(doc), 1);
+    return { deletedCount: doc ? 1 : 0 };
+  });
+  t.mock.method(Model, 'deleteMany', async (filter) => {
+    const matched = docs.filter((d) => matches(d, filter));
+    for (const doc of matched) docs.splice(docs.indexOf(doc), 1);
+    return { deletedCount: matched.length };
+  });
+  t.mock.method(Model, 'findOneAndUpdate', async (filter, update, options = {}) => {
+    let doc = findFirst(filter, options.sort);
+    const existed = Boolean(doc);
+    if (!doc && options.upsert) {
+      const seed = Object.fromEntries(Object.entries(filter).filter(([k, v]) => !k.startsWith('$') && typeof v !== 'object'));
+      doc = insert(applyUpdate(seed, update, true));
+    } else if (doc) {
+      const before = copy(doc);
+      if (Array.isArray(update) || isUpdateDocument(update)) updateDoc(doc, update);
+      doc.updatedAt = new Date();
+      if (!options.new) doc = before;
+    }
+    if (options.includeResultMetadata) {
+      return { value: copy(doc), lastErrorObject: { updatedExisting: existed } };
+    }
+    return copy(doc);
+  });
+
+  return { docs };
+};
+
+export { useMemoryModel };
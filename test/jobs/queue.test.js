@@ -0,0 +1,203 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Job from '../../models/Job.js';
+import {
+  defineJob,
+  backoffDelay,
+  enqueueJob,
+  claimNextJob,
+  runJob,
+  retryJob,
+  deadJobPayloads,
+  enqueueRecurring,
+} from '../../services/jobs/queue.js';
+import { useMemoryModel } from '../helpers/memoryModel.js';
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+const useJobs = (t) => useMemoryModel(t, Job, {
+  defaults: { status: 'queued', attempts: 0, maxAttempts: 5, failures: [], payload: {} },
+  unique: ['idempotencyKey'],
+});
+
+// Job definitions are process-wide: every test registers its own names
+let counter = 0;
+const define = (handler, options) => {
+  const name = `test-job-${++counter}`;
+  defineJob(name, handler, options);
+  return name;
+};
+
+// Keep the expected failure logging out of the test output
+const quiet = (t) => t.mock.method(console, 'error', () => {});
+
+test('backoff doubles per failed attempt and is capped at an hour', () => {
+  assert.equal(backoffDelay(1, 30 * SECOND), 30 * SECOND);
+  assert.equal(backoffDelay(2, 30 * SECOND), 60 * SECOND);
+  assert.equal(backoffDelay(3, 30 * SECOND), 120 * SECOND);
+  assert.equal(backoffDelay(20, 30 * SECOND), 60 * MINUTE);
+});
+
+test('enqueueing an unknown job is refused', async (t) => {
+  useJobs(t);
+  await assert.rejects(enqueueJob('no-such-job'), { name: 'JobError' });
+});
+
+test('an idempotency key yields the existing job instead of a second one', async (t) => {
+  const { docs } = useJobs(t);
+  const name = define(async () => {});
+  const first = await enqueueJob(name, { n: 1 }, { idempotencyKey: 'once' });
+  const second = await enqueueJob(name, { n: 2 }, { idempotencyKey: 'once' });
+  assert.equal(first.created, true);
+  assert.equal(second.created, false);
+  assert.equal(String(second.job._id), String(first.job._id));
+  assert.equal(docs.length, 1);
+  assert.deepEqual(docs[0].payload, { n: 1 });
+});
+
+test('a recurring slot is queued once however often it is enqueued', async (t) => {
+  const { docs } = useJobs(t);
+  const name = define(async () => {});
+  const now = new Date('2026-10-19T10:07:00Z');
+  await enqueueRecurring(name, 5 * MINUTE, now);
+  await enqueueRecurring(name, 5 * MINUTE, new Date(now.getTime() + 2 * MINUTE));
+  assert.equal(docs.length, 1);
+  assert.equal(docs[0].runAt.toISOString(), '2026-10-19T10:05:00.000Z');
+  await enqueueRecurring(name, 5 * MINUTE, new Date(now.getTime() + 3 * MINUTE));
+  assert.equal(docs.length, 2);
+});
+
+test('jobs are claimed once due, earliest first', async (t) => {
+  useJobs(t);
+  const name = define(async () => {});
+  const now = new Date();
+  await enqueueJob(name, { which: 'later' }, { runAt: new Date(now.getTime() + MINUTE) });
+  await enqueueJob(name, { which: 'second' }, { runAt: new Date(now.getTime() - SECOND) });
+  await enqueueJob(name, { which: 'first' }, { runAt: new Date(now.getTime() - MINUTE) });
+  assert.equal((await claimNextJob(now)).payload.which, 'first');
+  assert.equal((await claimNextJob(now)).payload.which, 'second');
+  assert.equal(await claimNextJob(now), null);
+});
+
+test('a completed job keeps its result and expires later', async (t) => {
+  const { docs } = useJobs(t);
+  t.mock.method(console, 'log', () => {});
+  const name = define(async ({ n }) => n * 2);
+  await enqueueJob(name, { n: 21 });
+  assert.equal(await runJob(await claimNextJob()), 'completed');
+  assert.equal(docs[0].status, 'completed');
+  assert.equal(docs[0].result, 42);
+  assert.ok(docs[0].expiresAt > new Date());
+  assert.equal(docs[0].lockedBy, undefined);
+});
+
+test('a failing job is retried with backoff, then dead-lettered', async (t) => {
+  const { docs } = useJobs(t);
+  quiet(t);
+  let calls = 0;
+  const name = define(async () => {
+    calls += 1;
+    throw new Error(`boom ${calls}`);
+  }, { maxAttempts: 2, backoffMs: 10 * SECOND });
+  await enqueueJob(name);
+
+  const before = Date.now();
+  assert.equal(await runJob(await claimNextJob()), 'queued');
+  assert.equal(docs[0].status, 'queued');
+  assert.ok(docs[0].runAt.getTime() >= before + 10 * SECOND);
+  assert.equal(docs[0].lastError, 'boom 1');
+  // Not due yet
+  assert.equal(await claimNextJob(), null);
+
+  const retried = await claimNextJob(new Date(docs[0].runAt.getTime() + 1));
+  assert.equal(retried.attempts, 2);
+  assert.equal(await runJob(retried), 'dead');
+  assert.equal(docs[0].status, 'dead');
+  assert.ok(docs[0].deadAt);
+  assert.equal(docs[0].expiresAt, undefined); // kept until someone looks at it
+  assert.deepEqual(docs[0].failures.map((f) => [f.attempt, f.error]), [[1, 'boom 1'], [2, 'boom 2']]);
+  assert.equal(await claimNextJob(new Date(Date.now() + 24 * 60 * MINUTE)), null);
+});
+
+test('dead jobs of a definition with deadRetentionMs expire', async (t) => {
+  const { docs } = useJobs(t);
+  quiet(t);
+  const name = define(async () => { throw new Error('down'); }, { maxAttempts: 1, deadRetentionMs: 60 * MINUTE });
+  await enqueueJob(name);
+  assert.equal(await runJob(await claimNextJob()), 'dead');
+  assert.ok(docs[0].expiresAt > new Date(Date.now() + 59 * MINUTE));
+});
+
+test('sweeps can list what a definition\'s dead jobs were about', async (t) => {
+  useJobs(t);
+  quiet(t);
+  const name = define(async ({ rideId }) => {
+    if (rideId === 'bad') throw new Error('down');
+  }, { maxAttempts: 1 });
+  await enqueueJob(name, { rideId: 'bad' });
+  await enqueueJob(name, { rideId: 'good' });
+  t.mock.method(console, 'log', () => {});
+  await runJob(await claimNextJob());
+  await runJob(await claimNextJob());
+  assert.deepEqual(await deadJobPayloads(name, 'rideId'), ['bad']);
+});
+
+test('a dead job can be retried with fresh attempts', async (t) => {
+  const { docs } = useJobs(t);
+  quiet(t);
+  let fail = true;
+  const name = define(async () => {
+    if (fail) throw new Error('down');
+    return 'ok';
+  }, { maxAttempts: 1, deadRetentionMs: MINUTE });
+  const { job } = await enqueueJob(name);
+  await runJob(await claimNextJob());
+  assert.equal(docs[0].status, 'dead');
+
+  fail = false;
+  const queued = await retryJob(job._id);
+  assert.equal(queued.status, 'queued');
+  assert.equal(queued.attempts, 0);
+  assert.equal(queued.expiresAt, undefined);
+  t.mock.method(console, 'log', () => {});
+  assert.equal(await runJob(await claimNextJob()), 'completed');
+  // Only dead jobs can be retried
+  assert.equal(await retryJob(job._id), null);
+});
+
+test('a job whose worker died is picked up again once its lock is stale', async (t) => {
+  const { docs } = useJobs(t);
+  t.mock.method(console, 'log', () => {});
+  const name = define(async () => 'done', { lockMs: MINUTE });
+  await enqueueJob(name);
+  const start = new Date();
+  const abandoned = await claimNextJob(start);
+  assert.ok(abandoned);
+
+  // Still locked
+  assert.equal(await claimNextJob(new Date(start.getTime() + 30 * SECOND)), null);
+  const recovered = await claimNextJob(new Date(start.getTime() + 2 * MINUTE));
+  assert.equal(String(recovered._id), String(abandoned._id));
+  assert.equal(recovered.attempts, 2);
+
+  // The worker that lost the lock can no longer settle the job
+  await runJob(abandoned);
+  assert.equal(docs[0].status, 'running');
+  assert.equal(await runJob(recovered), 'completed');
+  assert.equal(docs[0].status, 'completed');
+});
+
+test('a stale job with no attempts left is dead-lettered without running', async (t) => {
+  const { docs } = useJobs(t);
+  let calls = 0;
+  const name = define(async () => { calls += 1; }, { maxAttempts: 1, lockMs: MINUTE });
+  await enqueueJob(name);
+  const start = new Date();
+  await claimNextJob(start);
+  const recovered = await claimNextJob(new Date(start.getTime() + 2 * MINUTE));
+  assert.equal(await runJob(recovered), 'dead');
+  assert.equal(calls, 0);
+  assert.equal(docs[0].status, 'dead');
+  assert.equal(docs[0].lastError, 'Job lock expired');
+});
@@ -0,0 +1,227 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Payment from '../models/Payment.js';
+import Payout from '../models/Payout.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import { ACCOUNTS, postTransaction, accountBalance } from '../services/payments/ledger.js';
+import { setPaymentProvider, getPaymentProvider, assertPaymentProvider } from '../services/payments/provider.js';
+import { createFakeProvider } from '../services/payments/providers/fake.js';
+import {
+  authorizeBooking,
+  voidPayment,
+  settleCancellation,
+  captureRidePayments,
+  driverBalance,
+  payoutDriver,
+} from '../services/payments/index.js';
+import { useMemoryModel } from './helpers/memoryModel.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Payments, payouts and the ledger in memory, against a fresh fake provider (10% platform fee)
+const setup = (t) => {
+  const payments = useMemoryModel(t, Payment, {
+    defaults: { status: 'authorized', subsidy: 0, capturedAmount: 0, refundedAmount: 0, platformFee: 0, subsidyPaid: 0 },
+    unique: ['booking'],
+  }).docs;
+  const payouts = useMemoryModel(t, Payout, {
+    defaults: { status: 'pending', amount: 0 },
+    unique: [{ field: 'driver', filter: { status: 'pending' } }],
+  }).docs;
+  const ledger = useMemoryModel(t, LedgerEntry).docs;
+  const provider = createFakeProvider();
+  setPaymentProvider(provider);
+  t.after(() => setPaymentProvider(undefined));
+  const fee = process.env.PLATFORM_FEE_PERCENT;
+  delete process.env.PLATFORM_FEE_PERCENT;
+  t.after(() => {
+    if (fee !== undefined) process.env.PLATFORM_FEE_PERCENT = fee;
+  });
+  return { payments, payouts, ledger, provider };
+};
+
+const newBooking = (quote) => {
+  const ride = { _id: id(), driver: id(), price: 500 };
+  const booking = { _id: id(), ride: ride._id, passenger: id(), seatsBooked: 2, quote };
+  return { ride, booking };
+};
+
+// Every transaction balances, so all the accounts together always sum to zero
+const assertBalanced = (ledger) => {
+  const net = ledger.reduce((sum, l) => sum + (l.direction === 'credit' ? l.amount : -l.amount), 0);
+  assert.equal(net, 0);
+};
+
+test('an unbalanced transaction is refused and nothing is written', async (t) => {
+  const { ledger } = setup(t);
+  await assert.rejects(postTransaction({
+    memo: 'broken',
+    currency: 'KES',
+    entries: [{ account: ACCOUNTS.escrow, debit: 100 }, { account: ACCOUNTS.platformRevenue, credit: 90 }],
+  }), /Unbalanced ledger transaction/);
+  assert.equal(ledger.length, 0);
+
+  // Zero lines are dropped; a transaction with nothing left isn't recorded
+  assert.equal(await postTransaction({
+    memo: 'empty', currency: 'KES', entries: [{ account: ACCOUNTS.escrow, debit: 0 }, { account: ACCOUNTS.promotions, credit: 0 }],
+  }), null);
+  assert.equal(ledger.length, 0);
+});
+
+test('a completed ride moves the fare through escrow to the driver and the platform fee', async (t) => {
+  const { ledger, provider } = setup(t);
+  const { ride, booking } = newBooking({ total: 100000 });
+  const payment = await authorizeBooking(booking, ride);
+  assert.equal(payment.amount, 100000);
+  assert.equal(provider.getIntent(payment.providerIntentId).status, 'requires_capture');
+  // Holding the money records nothing yet
+  assert.equal(ledger.length, 0);
+
+  const [captured] = await captureRidePayments(ride._id);
+  assert.equal(captured.status, 'captured');
+  assert.equal(captured.platformFee, 10000);
+  assert.equal(provider.getIntent(payment.providerIntentId).amountCaptured, 100000);
+  assert.equal(await accountBalance(ACCOUNTS.escrow), 0);
+  assert.equal(await driverBalance(ride.driver), 90000);
+  assert.equal(await accountBalance(ACCOUNTS.platformRevenue), 10000);
+  assert.equal(await accountBalance(ACCOUNTS.providerCash), -100000);
+  assertBalanced(ledger);
+
+  // Already captured: a second sweep does nothing
+  assert.deepEqual(await captureRidePayments(ride._id), []);
+  assertBalanced(ledger);
+});
+
+test('bookings without a quote are charged the seat price', async (t) => {
+  setup(t);
+  const { ride, booking } = newBooking(undefined);
+  const payment = await authorizeBooking(booking, ride);
+  assert.equal(payment.amount, 100000);
+});
+
+test('a promo subsidy is paid to the driver by the platform and the fee is taken on the full fare', async (t) => {
+  const { ledger } = setup(t);
+  const { ride, booking } = newBooking({ total: 80000, subsidy: 20000 });
+  await authorizeBooking(booking, ride);
+  const [captured] = await captureRidePayments(ride._id);
+  assert.equal(captured.subsidyPaid, 20000);
+  assert.equal(await driverBalance(ride.driver), 90000);
+  assert.equal(await accountBalance(ACCOUNTS.platformRevenue), 10000);
+  assert.equal(await accountBalance(ACCOUNTS.promotions), -20000);
+  assertBalanced(ledger);
+});
+
+test('a fully discounted booking holds nothing but still owes the driver the subsidy', async (t) => {
+  const { provider } = setup(t);
+  const { ride, booking } = newBooking({ total: 0, subsidy: 50000 });
+  const payment = await authorizeBooking(booking, ride);
+  assert.equal(payment.amount, 0);
+  assert.equal(payment.providerIntentId, undefined);
+  await captureRidePayments(ride._id);
+  assert.equal(await driverBalance(ride.driver), 45000);
+  assert.equal(provider.listPayouts().length, 0);
+
+  const free = newBooking({ total: 0 });
+  assert.equal(await authorizeBooking(free.booking, free.ride), null);
+});
+
+test('a cancellation fee is captured for the kept share; a full refund just releases the hold', async (t) => {
+  const { ledger, provider } = setup(t);
+  const partial = newBooking({ total: 100000 });
+  const held = await authorizeBooking(partial.booking, partial.ride);
+  const settled = await settleCancellation(partial.booking._id, 25);
+  assert.equal(settled.capturedAmount, 75000);
+  assert.equal(settled.refundedAmount, 25000);
+  assert.equal(provider.getIntent(held.providerIntentId).amountCaptured, 75000);
+  assert.equal(await driverBalance(partial.ride.driver), 67500);
+  assertBalanced(ledger);
+
+  const full = newBooking({ total: 100000 });
+  const hold = await authorizeBooking(full.booking, full.ride);
+  const voided = await settleCancellation(full.booking._id, 100);
+  assert.equal(voided.status, 'canceled');
+  assert.equal(provider.getIntent(hold.providerIntentId).status, 'canceled');
+  assert.equal(await driverBalance(full.ride.driver), 0);
+  // Nothing left to void or settle
+  assert.equal(await voidPayment(full.booking._id), null);
+  assert.equal(await settleCancellation(full.booking._id, 0), null);
+});
+
+test('a failed capture leaves the payment authorized and the ledger untouched', async (t) => {
+  const { payments, ledger, provider } = setup(t);
+  t.mock.method(console, 'error', () => {});
+  const { ride, booking } = newBooking({ total: 100000 });
+  await authorizeBooking(booking, ride);
+  provider.failNext('capture');
+  assert.deepEqual(await captureRidePayments(ride._id), []);
+  assert.equal(payments[0].status, 'authorized');
+  assert.equal(ledger.length, 0);
+});
+
+test('a payout pays the whole balance once and leaves nothing pending', async (t) => {
+  const { payouts, ledger, provider } = setup(t);
+  const { ride, booking } = newBooking({ total: 100000 });
+  await authorizeBooking(booking, ride);
+  await captureRidePayments(ride._id);
+
+  const payout = await payoutDriver(ride.driver);
+  assert.equal(payout.amount, 90000);
+  assert.equal(provider.listPayouts()[0].amount, 90000);
+  assert.equal(await driverBalance(ride.driver), 0);
+  assert.equal(await accountBalance(ACCOUNTS.payoutsPending), 0);
+  assert.equal(await accountBalance(ACCOUNTS.providerCash), -10000);
+  assert.equal(payouts[0].status, 'paid');
+  assertBalanced(ledger);
+
+  // Nothing more to pay: no payout and no record left behind
+  assert.equal(await payoutDriver(ride.driver), null);
+  assert.equal(payouts.length, 1);
+});
+
+test('a payout the provider rejects gives the balance back to the driver', async (t) => {
+  const { payouts, ledger, provider } = setup(t);
+  const { ride, booking } = newBooking({ total: 100000 });
+  await authorizeBooking(booking, ride);
+  await captureRidePayments(ride._id);
+
+  provider.failNext('payout');
+  await assert.rejects(payoutDriver(ride.driver), /payout declined/);
+  assert.equal(await driverBalance(ride.driver), 90000);
+  assert.equal(await accountBalance(ACCOUNTS.payoutsPending), 0);
+  assert.equal(payouts[0].status, 'failed');
+  assertBalanced(ledger);
+
+  // A failed payout doesn't block the next one
+  assert.equal((await payoutDriver(ride.driver)).amount, 90000);
+});
+
+test('a second payout while one is pending is refused', async (t) => {
+  const { payouts } = setup(t);
+  const driver = id();
+  payouts.push({ _id: id(), driver, status: 'pending', amount: 0, currency: 'KES' });
+  await assert.rejects(payoutDriver(driver), { name: 'PayoutError', status: 409 });
+});
+
+test('without PAYMENT_PROVIDER nothing can be charged, and production refuses to start', async (t) => {
+  const { PAYMENT_PROVIDER, NODE_ENV } = process.env;
+  t.after(() => {
+    for (const [key, value] of Object.entries({ PAYMENT_PROVIDER, NODE_ENV })) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    setPaymentProvider(undefined);
+  });
+  delete process.env.PAYMENT_PROVIDER;
+  delete process.env.NODE_ENV;
+  setPaymentProvider(undefined);
+  assert.equal(getPaymentProvider().name, 'none');
+  await assert.rejects(getPaymentProvider().createIntent({ amount: 100, currency: 'KES' }), /No payment provider configured/);
+  assert.equal(assertPaymentProvider().name, 'none');
+
+  process.env.NODE_ENV = 'production';
+  assert.throws(() => assertPaymentProvider(), /must name a real payment provider/);
+  process.env.PAYMENT_PROVIDER = 'fake';
+  setPaymentProvider(undefined);
+  assert.throws(() => assertPaymentProvider(), /got fake/);
+});
@@ -0,0 +1,199 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Ride from '../models/Ride.js';
+import Booking from '../models/Booking.js';
+import User from '../models/User.js';
+import Payment from '../models/Payment.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import WaitlistEntry from '../models/WaitlistEntry.js';
+import PromoRedemption from '../models/PromoRedemption.js';
+import CreditTransaction from '../models/CreditTransaction.js';
+import { createFakeChannel, getChannelAdapter, setChannelAdapter } from '../services/notifications/channels.js';
+import { ACCOUNTS, accountBalance } from '../services/payments/ledger.js';
+import {
+  canTransition,
+  transitionRide,
+  startBoarding,
+  markBoarding,
+  startRide,
+  completeRide,
+  cancelRide,
+} from '../services/rideLifecycle.js';
+import { useMemoryModel } from './helpers/memoryModel.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Everything a transition touches, in memory; in-app notifications are recorded
+const setup = (t) => {
+  const rides = useMemoryModel(t, Ride).docs;
+  const bookings = useMemoryModel(t, Booking).docs;
+  const users = useMemoryModel(t, User).docs;
+  const waitlist = useMemoryModel(t, WaitlistEntry).docs;
+  for (const Model of [Payment, LedgerEntry, PromoRedemption, CreditTransaction]) useMemoryModel(t, Model);
+  const inApp = createFakeChannel('in_app');
+  const original = getChannelAdapter('in_app');
+  setChannelAdapter('in_app', inApp);
+  t.after(() => setChannelAdapter('in_app', original));
+
+  // Nairobi -> Nakuru -> Kisumu, 3 seats. The stored copy is separate, as a fetched document would be
+  const addRide = (fields = {}) => {
+    const ride = {
+      _id: id(),
+      driver: id(),
+      startLocation: 'Nairobi',
+      destination: 'Kisumu',
+      waypoints: [{ name: 'Nakuru' }],
+      status: 'scheduled',
+      departureTime: new Date(Date.now() + 30 * MINUTE),
+      cancellationPolicy: 'moderate',
+      price: 1000,
+      availableSeats: 3,
+      segmentSeats: [3, 3],
+      ...fields,
+    };
+    rides.push({ ...ride });
+    users.push({ _id: ride.driver, name: 'Driver' });
+    return ride;
+  };
+  const addBooking = (ride, fields = {}) => {
+    const booking = {
+      _id: id(), ride: ride._id, passenger: id(), seatsBooked: 1, fromStop: 0, toStop: 2, status: 'booked', ...fields,
+    };
+    bookings.push({ ...booking });
+    users.push({ _id: booking.passenger, name: 'Passenger' });
+    return booking;
+  };
+  const find = (list, doc) => list.find((d) => String(d._id) === String(doc._id));
+  const sentTo = (userId) => inApp.sent.filter((n) => n.to === String(userId));
+  return { rides, bookings, users, waitlist, addRide, addBooking, find, sentTo };
+};
+
+test('rides only move along the lifecycle', () => {
+  assert.equal(canTransition('scheduled', 'boarding'), true);
+  assert.equal(canTransition('scheduled', 'canceled'), true);
+  assert.equal(canTransition('boarding', 'in_progress'), true);
+  assert.equal(canTransition('boarding', 'canceled'), true);
+  assert.equal(canTransition('in_progress', 'completed'), true);
+  assert.equal(canTransition('scheduled', 'in_progress'), false);
+  assert.equal(canTransition('in_progress', 'canceled'), false);
+  assert.equal(canTransition('completed', 'canceled'), false);
+  assert.equal(canTransition('canceled', 'scheduled'), false);
+  assert.equal(canTransition('unknown', 'boarding'), false);
+});
+
+test('a transition is refused when the ride moved on in the meantime', async (t) => {
+  const { rides, addRide } = setup(t);
+  const ride = addRide({ status: 'boarding' });
+  await assert.rejects(transitionRide({ ...ride, status: 'scheduled' }, 'boarding'), { name: 'RideTransitionError', status: 409 });
+  await assert.rejects(transitionRide({ ...ride, status: 'completed' }, 'boarding'), { status: 400 });
+  assert.equal(rides[0].status, 'boarding');
+});
+
+test('boarding opens only inside the window before departure and closes the waitlist', async (t) => {
+  const { rides, waitlist, addRide, addBooking, sentTo } = setup(t);
+  const early = addRide({ departureTime: new Date(Date.now() + 3 * HOUR) });
+  await assert.rejects(startBoarding(early), { name: 'RideTransitionError', message: /Boarding opens 60 minutes before departure/ });
+
+  const ride = addRide();
+  const booking = addBooking(ride);
+  waitlist.push({ _id: id(), ride: ride._id, passenger: id(), status: 'waiting', seats: 1 });
+  const updated = await startBoarding(ride);
+  assert.equal(updated.status, 'boarding');
+  assert.ok(rides[1].boardingAt);
+  assert.equal(waitlist[0].status, 'closed');
+  assert.deepEqual(sentTo(booking.passenger).map((n) => n.title), ['Boarding started']);
+});
+
+test('passengers are marked boarded or no-show only while the ride is boarding or under way', async (t) => {
+  const { bookings, addRide, addBooking, find, sentTo } = setup(t);
+  const ride = addRide();
+  const booking = addBooking(ride);
+  await assert.rejects(markBoarding(ride, booking._id, 'boarded'), { name: 'RideTransitionError' });
+
+  const boarding = { ...ride, status: 'boarding' };
+  const boarded = await markBoarding(boarding, booking._id, 'boarded');
+  assert.equal(boarded.boardingStatus, 'boarded');
+  assert.ok(find(bookings, booking).boardedAt);
+
+  // Changing it to a no-show clears the boarding time and tells the passenger
+  await markBoarding(boarding, booking._id, 'no_show');
+  assert.equal(find(bookings, booking).boardedAt, undefined);
+  assert.deepEqual(sentTo(booking.passenger).map((n) => n.title), ['Marked as no-show']);
+
+  await assert.rejects(markBoarding(boarding, id(), 'boarded'), { status: 404 });
+});
+
+test('departure expires open requests and marks first-stop passengers nobody boarded as no-shows', async (t) => {
+  const { rides, bookings, addRide, addBooking, find, sentTo } = setup(t);
+  const ride = addRide({ status: 'boarding', segmentSeats: [0, 0], availableSeats: 0 });
+  const boarded = addBooking(ride, { boardingStatus: 'boarded' });
+  const missed = addBooking(ride);
+  const laterStop = addBooking(ride, { fromStop: 1 });
+  const request = addBooking(ride, { status: 'pending', expiresAt: new Date(Date.now() + HOUR) });
+
+  const updated = await startRide(ride);
+  assert.equal(updated.status, 'in_progress');
+  assert.equal(find(bookings, request).status, 'expired');
+  // The request's seats are back on both legs
+  assert.deepEqual(rides[0].segmentSeats, [1, 1]);
+  assert.equal(find(bookings, missed).boardingStatus, 'no_show');
+  // Boards at Nakuru: still to be picked up
+  assert.equal(find(bookings, laterStop).boardingStatus, undefined);
+  assert.deepEqual(sentTo(boarded.passenger).map((n) => n.title), ['Ride started']);
+  assert.deepEqual(sentTo(request.passenger).map((n) => n.title), ['Booking request expired']);
+});
+
+test('arrival completes boarded bookings and closes everyone else as a no-show', async (t) => {
+  const { rides, bookings, users, addRide, addBooking, find, sentTo } = setup(t);
+  const ride = addRide({ status: 'in_progress' });
+  const boarded = addBooking(ride, { boardingStatus: 'boarded' });
+  const pickedUpLater = addBooking(ride, { fromStop: 1, boardingStatus: 'boarded' });
+  const neverShowed = addBooking(ride, { fromStop: 1 });
+
+  const { ride: updated } = await completeRide(ride);
+  assert.equal(updated.status, 'completed');
+  assert.ok(rides[0].completedAt);
+  assert.equal(find(bookings, boarded).status, 'completed');
+  assert.equal(find(bookings, pickedUpLater).status, 'completed');
+  assert.equal(find(bookings, neverShowed).status, 'no_show');
+  assert.equal(find(bookings, neverShowed).boardingStatus, 'no_show');
+  assert.equal(find(users, { _id: ride.driver }).driverProfile.ridesCompleted, 1);
+  assert.deepEqual(sentTo(boarded.passenger).map((n) => n.title), ['Ride completed']);
+  assert.deepEqual(sentTo(neverShowed.passenger), []);
+});
+
+test('a driver cancelling refunds every booking and pays a penalty for the confirmed ones', async (t) => {
+  const { bookings, addRide, addBooking, find, sentTo } = setup(t);
+  // Moderate policy, 30 hours out: 10% of each confirmed booking
+  const ride = addRide({ departureTime: new Date(Date.now() + 30 * HOUR) });
+  const confirmed = addBooking(ride, { quote: { total: 200000 } });
+  const request = addBooking(ride, { status: 'pending', quote: { total: 100000 } });
+
+  const result = await cancelRide(ride, { by: 'driver' });
+  assert.equal(result.ride.status, 'canceled');
+  assert.equal(result.bookings, 2);
+  assert.equal(result.penalty, 20000);
+  assert.equal(find(bookings, confirmed).status, 'cancelled');
+  assert.equal(find(bookings, confirmed).cancellation.refundPercent, 100);
+  assert.equal(find(bookings, request).cancellation.driverPenaltyAmount, 0);
+  assert.equal(await accountBalance(ACCOUNTS.driverPayable(ride.driver)), -20000);
+  assert.equal(await accountBalance(ACCOUNTS.platformRevenue), 20000);
+  assert.deepEqual(sentTo(confirmed.passenger).map((n) => n.title), ['Ride cancelled']);
+  assert.match(sentTo(ride.driver)[0].message, /Cancellation penalty: KES 200\.00\./);
+});
+
+test('an admin cancelling a ride costs the driver nothing and gives everyone the reason', async (t) => {
+  const { addRide, addBooking, sentTo } = setup(t);
+  const ride = addRide({ status: 'boarding' });
+  const booking = addBooking(ride, { quote: { total: 200000 } });
+
+  const result = await cancelRide(ride, { by: 'admin', reason: 'vehicle not roadworthy' });
+  assert.equal(result.penalty, 0);
+  assert.match(sentTo(booking.passenger)[0].message, /cancelled by SafariShare support\. Reason: vehicle not roadworthy\./);
+  assert.match(sentTo(ride.driver)[0].message, /Reason: vehicle not roadworthy\./);
+  await assert.rejects(cancelRide({ ...ride, status: 'canceled' }), { name: 'RideTransitionError' });
+});
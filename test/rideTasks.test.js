@@ -0,0 +1,201 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Ride from '../models/Ride.js';
+import Booking from '../models/Booking.js';
+import User from '../models/User.js';
+import Payment from '../models/Payment.js';
+import WaitlistEntry from '../models/WaitlistEntry.js';
+import PromoRedemption from '../models/PromoRedemption.js';
+import CreditTransaction from '../models/CreditTransaction.js';
+import { createFakeChannel, getChannelAdapter, setChannelAdapter } from '../services/notifications/channels.js';
+import {
+  findDueReminders,
+  sendDepartureReminder,
+  findOverdueRides,
+  closingAction,
+  autoCompleteRide,
+} from '../services/rideTasks.js';
+import { useMemoryModel } from './helpers/memoryModel.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Rides, bookings and users in memory; in-app notifications recorded instead of stored
+const setup = (t) => {
+  const rides = useMemoryModel(t, Ride, { defaults: { status: 'scheduled', waypoints: [] } }).docs;
+  const bookings = useMemoryModel(t, Booking, { defaults: { status: 'booked', fromStop: 0 } }).docs;
+  const users = useMemoryModel(t, User).docs;
+  // Closing a ride touches payments, the waitlist and discounts; these stay empty
+  for (const Model of [Payment, WaitlistEntry, PromoRedemption, CreditTransaction]) useMemoryModel(t, Model);
+  const inApp = createFakeChannel('in_app');
+  const original = getChannelAdapter('in_app');
+  setChannelAdapter('in_app', inApp);
+  t.after(() => setChannelAdapter('in_app', original));
+  return { rides, bookings, users, sent: inApp.sent };
+};
+
+const addRide = (rides, fields) => {
+  const ride = { _id: id(), driver: id(), startLocation: 'Nairobi', destination: 'Mombasa', waypoints: [], status: 'scheduled', ...fields };
+  rides.push(ride);
+  return ride;
+};
+
+const addBooking = (bookings, ride, fields = {}) => {
+  const booking = { _id: id(), ride: ride._id, passenger: id(), seatsBooked: 1, fromStop: 0, status: 'booked', ...fields };
+  bookings.push(booking);
+  return booking;
+};
+
+test('departure reminders are due for confirmed, unreminded bookings on rides leaving within the hour', async (t) => {
+  const { rides, bookings } = setup(t);
+  const now = new Date();
+  const soon = addRide(rides, { departureTime: new Date(now.getTime() + 30 * MINUTE) });
+  const boarding = addRide(rides, { status: 'boarding', departureTime: new Date(now.getTime() + 10 * MINUTE) });
+  const later = addRide(rides, { departureTime: new Date(now.getTime() + 3 * HOUR) });
+  const cancelled = addRide(rides, { status: 'canceled', departureTime: new Date(now.getTime() + 30 * MINUTE) });
+  const due = [
+    addBooking(bookings, soon),
+    addBooking(bookings, boarding, { status: 'accepted' }),
+  ];
+  addBooking(bookings, soon, { status: 'cancelled' });
+  addBooking(bookings, soon, { status: 'pending' });
+  addBooking(bookings, soon, { reminderSentAt: new Date() });
+  addBooking(bookings, later);
+  addBooking(bookings, cancelled);
+
+  const found = await findDueReminders(now);
+  assert.deepEqual(found.map((b) => String(b._id)).sort(), due.map((b) => String(b._id)).sort());
+});
+
+test('a departure reminder is sent once, with the passenger\'s own stops', async (t) => {
+  const { rides, bookings, users, sent } = setup(t);
+  const now = new Date();
+  const ride = addRide(rides, {
+    departureTime: new Date(now.getTime() + 45 * MINUTE),
+    waypoints: [{ name: 'Voi' }],
+  });
+  const booking = addBooking(bookings, ride, { fromStop: 1, toStop: 2 });
+  users.push({ _id: booking.passenger, name: 'Wanjiru' });
+
+  assert.equal(await sendDepartureReminder(booking._id, now), true);
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].title, 'Your ride leaves soon');
+  assert.equal(sent[0].message, 'Your ride to Mombasa leaves in about 45 minute(s). Pickup: Voi.');
+  assert.ok(bookings[0].reminderSentAt);
+
+  // A retried or re-queued job doesn't remind again
+  assert.equal(await sendDepartureReminder(booking._id, now), false);
+  assert.equal(sent.length, 1);
+});
+
+test('no reminder for a cancelled booking or a ride that already left', async (t) => {
+  const { rides, bookings, users, sent } = setup(t);
+  const now = new Date();
+  const ride = addRide(rides, { departureTime: new Date(now.getTime() + 20 * MINUTE) });
+  const cancelledBooking = addBooking(bookings, ride, { status: 'cancelled' });
+  const gone = addRide(rides, { status: 'in_progress', departureTime: new Date(now.getTime() - 5 * MINUTE) });
+  const lateBooking = addBooking(bookings, gone);
+  users.push({ _id: cancelledBooking.passenger }, { _id: lateBooking.passenger });
+
+  assert.equal(await sendDepartureReminder(cancelledBooking._id, now), false);
+  assert.equal(await sendDepartureReminder(lateBooking._id, now), false);
+  assert.equal(sent.length, 0);
+  assert.equal(bookings.some((b) => b.reminderSentAt), false);
+});
+
+test('rides still open long after departure are overdue', async (t) => {
+  const { rides } = setup(t);
+  const now = new Date();
+  const overdue = [
+    addRide(rides, { departureTime: new Date(now.getTime() - 7 * HOUR) }),
+    addRide(rides, { status: 'boarding', departureTime: new Date(now.getTime() - 8 * HOUR) }),
+    addRide(rides, { status: 'in_progress', departureTime: new Date(now.getTime() - 10 * HOUR) }),
+  ];
+  addRide(rides, { status: 'in_progress', departureTime: new Date(now.getTime() - 2 * HOUR) });
+  addRide(rides, { status: 'completed', departureTime: new Date(now.getTime() - 9 * HOUR) });
+  addRide(rides, { status: 'canceled', departureTime: new Date(now.getTime() - 9 * HOUR) });
+
+  const found = await findOverdueRides(now);
+  assert.deepEqual(found.map((r) => String(r._id)).sort(), overdue.map((r) => String(r._id)).sort());
+});
+
+test('sweeps go earliest departure first and skip rides and bookings whose job is dead', async (t) => {
+  const { rides, bookings } = setup(t);
+  const now = new Date();
+  const late = addRide(rides, { departureTime: new Date(now.getTime() - 7 * HOUR) });
+  const stuck = addRide(rides, { departureTime: new Date(now.getTime() - 30 * HOUR) });
+  const early = addRide(rides, { departureTime: new Date(now.getTime() - 20 * HOUR) });
+  const overdue = await findOverdueRides(now, { exclude: [String(stuck._id)] });
+  assert.deepEqual(overdue.map((r) => String(r._id)), [early, late].map((r) => String(r._id)));
+
+  const later = addRide(rides, { departureTime: new Date(now.getTime() + 50 * MINUTE) });
+  const sooner = addRide(rides, { departureTime: new Date(now.getTime() + 10 * MINUTE) });
+  const second = addBooking(bookings, later);
+  const stuckBooking = addBooking(bookings, sooner);
+  const first = addBooking(bookings, sooner);
+  const due = await findDueReminders(now, { exclude: [String(stuckBooking._id)] });
+  assert.deepEqual(due.map((b) => String(b._id)), [first, second].map((b) => String(b._id)));
+});
+
+test('overdue rides that happened are completed, the others cancelled', () => {
+  assert.equal(closingAction({ status: 'in_progress' }, false), 'complete');
+  assert.equal(closingAction({ status: 'boarding' }, true), 'start_and_complete');
+  assert.equal(closingAction({ status: 'boarding' }, false), 'cancel');
+  assert.equal(closingAction({ status: 'scheduled' }, false), 'cancel');
+});
+
+test('auto-completion leaves missing and already closed rides alone', async (t) => {
+  const { rides } = setup(t);
+  const completed = addRide(rides, { status: 'completed', departureTime: new Date(Date.now() - 9 * HOUR) });
+  assert.equal(await autoCompleteRide(id()), null);
+  assert.equal(await autoCompleteRide(completed._id), null);
+  assert.equal(rides[0].status, 'completed');
+});
+
+test('an overdue boarding ride with passengers on board is started and completed', async (t) => {
+  const { rides, bookings, users, sent } = setup(t);
+  const ride = addRide(rides, { status: 'boarding', departureTime: new Date(Date.now() - 7 * HOUR) });
+  const boarded = addBooking(bookings, ride, { boardingStatus: 'boarded' });
+  const missed = addBooking(bookings, ride);
+  users.push({ _id: ride.driver }, { _id: boarded.passenger }, { _id: missed.passenger });
+
+  assert.equal(await autoCompleteRide(ride._id), 'completed');
+  assert.equal(rides[0].status, 'completed');
+  assert.ok(rides[0].startedAt && rides[0].completedAt);
+  assert.equal(bookings.find((b) => b._id === boarded._id).status, 'completed');
+  assert.equal(bookings.find((b) => b._id === missed._id).status, 'no_show');
+  assert.deepEqual(
+    sent.filter((n) => n.to === String(boarded.passenger)).map((n) => n.title),
+    ['Ride started', 'Ride completed']
+  );
+});
+
+test('an overdue ride nobody boarded is cancelled by the system with a full refund and no penalty', async (t) => {
+  const { rides, bookings, users, sent } = setup(t);
+  const ride = addRide(rides, { status: 'boarding', departureTime: new Date(Date.now() - 7 * HOUR) });
+  const booking = addBooking(bookings, ride, { quote: { total: 150000 } });
+  users.push({ _id: ride.driver }, { _id: booking.passenger });
+
+  assert.equal(await autoCompleteRide(ride._id), 'canceled');
+  assert.equal(rides[0].status, 'canceled');
+  assert.equal(bookings[0].status, 'cancelled');
+  assert.equal(bookings[0].cancellation.by, 'system');
+  assert.equal(bookings[0].cancellation.refundPercent, 100);
+  assert.equal(bookings[0].cancellation.driverPenaltyAmount, 0);
+  const notice = sent.find((n) => n.to === String(booking.passenger));
+  assert.equal(notice.title, 'Ride cancelled');
+});
+
+test('an overdue ride under way is completed', async (t) => {
+  const { rides, bookings, users } = setup(t);
+  const ride = addRide(rides, { status: 'in_progress', departureTime: new Date(Date.now() - 7 * HOUR) });
+  const booking = addBooking(bookings, ride, { boardingStatus: 'boarded' });
+  users.push({ _id: ride.driver }, { _id: booking.passenger });
+
+  assert.equal(await autoCompleteRide(ride._id), 'completed');
+  assert.equal(rides[0].status, 'completed');
+  assert.equal(bookings[0].status, 'completed');
+});
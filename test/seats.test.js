@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Ride from '../models/Ride.js';
+import { getStops, resolveLegs, bookingLegs, reserveSeats, releaseSeats } from '../services/seats.js';
+import { useMemoryModel } from './helpers/memoryModel.js';
+
+// Nairobi -> Naivasha -> Nakuru -> Eldoret -> Kisumu: four legs
+const addRide = (t, fields = {}) => {
+  const { docs } = useMemoryModel(t, Ride);
+  const ride = {
+    _id: new mongoose.Types.ObjectId(),
+    startLocation: 'Nairobi',
+    destination: 'Kisumu',
+    waypoints: [{ name: 'Naivasha' }, { name: 'Nakuru' }, { name: 'Eldoret' }],
+    status: 'scheduled',
+    availableSeats: 3,
+    segmentSeats: [3, 3, 3, 3],
+    ...fields,
+  };
+  docs.push(ride);
+  return ride;
+};
+
+test('stops run from the start through the waypoints to the destination', () => {
+  const ride = { startLocation: 'Nairobi', destination: 'Kisumu', waypoints: [{ name: 'Nakuru' }] };
+  assert.deepEqual(getStops(ride).map((s) => s.name), ['Nairobi', 'Nakuru', 'Kisumu']);
+});
+
+test('a stop range defaults to the whole route and must run forwards inside it', () => {
+  const ride = { waypoints: [{ name: 'Naivasha' }, { name: 'Nakuru' }] };
+  assert.deepEqual(resolveLegs(ride), { fromStop: 0, toStop: 3 });
+  assert.deepEqual(resolveLegs(ride, '1', ''), { fromStop: 1, toStop: 3 });
+  assert.deepEqual(resolveLegs(ride, 0, 2), { fromStop: 0, toStop: 2 });
+  assert.equal(resolveLegs(ride, 2, 2), null);
+  assert.equal(resolveLegs(ride, 2, 1), null);
+  assert.equal(resolveLegs(ride, -1, 2), null);
+  assert.equal(resolveLegs(ride, 0, 4), null);
+  assert.equal(resolveLegs(ride, 0.5, 2), null);
+  // Bookings from before multi-stop rides cover the whole route
+  assert.deepEqual(bookingLegs({}, ride), { fromStop: 0, toStop: 3 });
+});
+
+test('a booking takes seats only on the legs it rides', async (t) => {
+  const ride = addRide(t);
+  const updated = await reserveSeats(ride._id, { fromStop: 1, toStop: 3, seats: 2 });
+  assert.deepEqual(updated.segmentSeats, [3, 1, 1, 3]);
+  // availableSeats is what is free for the whole route
+  assert.equal(updated.availableSeats, 1);
+});
+
+test('a seat is sold again on legs that do not overlap', async (t) => {
+  const ride = addRide(t, { availableSeats: 1, segmentSeats: [1, 1, 1, 1] });
+  assert.ok(await reserveSeats(ride._id, { fromStop: 0, toStop: 2, seats: 1 }));
+  const second = await reserveSeats(ride._id, { fromStop: 2, toStop: 4, seats: 1 });
+  assert.deepEqual(second.segmentSeats, [0, 0, 0, 0]);
+  assert.equal(second.availableSeats, 0);
+});
+
+test('nothing is taken when any leg of the range lacks seats', async (t) => {
+  const ride = addRide(t, { availableSeats: 1, segmentSeats: [3, 1, 3, 3] });
+  assert.equal(await reserveSeats(ride._id, { fromStop: 0, toStop: 3, seats: 2 }), null);
+  assert.deepEqual(ride.segmentSeats, [3, 1, 3, 3]);
+  assert.equal(ride.availableSeats, 1);
+});
+
+test('the extra filter must hold too', async (t) => {
+  const ride = addRide(t, { status: 'boarding' });
+  assert.equal(await reserveSeats(ride._id, { fromStop: 0, toStop: 1, seats: 1 }, { status: 'scheduled' }), null);
+  assert.deepEqual(ride.segmentSeats, [3, 3, 3, 3]);
+});
+
+test('released seats go back on the same legs', async (t) => {
+  const ride = addRide(t);
+  await reserveSeats(ride._id, { fromStop: 0, toStop: 2, seats: 3 });
+  await reserveSeats(ride._id, { fromStop: 1, toStop: 4, seats: 0 });
+  const released = await releaseSeats(ride._id, { fromStop: 0, toStop: 2, seats: 3 });
+  assert.deepEqual(released.segmentSeats, [3, 3, 3, 3]);
+  assert.equal(released.availableSeats, 3);
+});
+
+test('a ride from before segments gets one leg seeded from its available seats', async (t) => {
+  const ride = addRide(t, { waypoints: [], availableSeats: 2, segmentSeats: undefined });
+  const updated = await reserveSeats(ride._id, { fromStop: 0, toStop: 1, seats: 2 });
+  assert.deepEqual(updated.segmentSeats, [0]);
+  assert.equal(updated.availableSeats, 0);
+  assert.equal(await reserveSeats(ride._id, { fromStop: 0, toStop: 1, seats: 1 }), null);
+});
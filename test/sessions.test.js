@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import PushSubscription from '../models/PushSubscription.js';
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  sessionIdFromToken,
+  isSessionActive,
+} from '../services/sessions.js';
+import { useMemoryModel } from './helpers/memoryModel.js';
+
+const useSessions = (t) => ({
+  sessions: useMemoryModel(t, Session, { defaults: { lastUsedAt: new Date() } }).docs,
+  devices: useMemoryModel(t, PushSubscription).docs,
+});
+
+test('a new session hands out "<session id>.<secret>" and stores only a hash of the secret', async (t) => {
+  const { sessions } = useSessions(t);
+  const userId = new mongoose.Types.ObjectId();
+  const { session, refreshToken } = await createSession(userId, { userAgent: 'test', ip: '127.0.0.1' });
+  const [id, secret] = refreshToken.split('.');
+  assert.equal(id, String(session._id));
+  assert.equal(sessions.length, 1);
+  assert.notEqual(sessions[0].tokenHash, secret);
+  assert.ok(sessions[0].expiresAt > new Date());
+  assert.equal(await isSessionActive(id), true);
+});
+
+test('rotating swaps the token: the new one works, the old one no longer matches', async (t) => {
+  const { sessions } = useSessions(t);
+  const { refreshToken: first } = await createSession(new mongoose.Types.ObjectId());
+  const { refreshToken: second } = await rotateSession(first, { userAgent: 'phone' });
+  assert.notEqual(second, first);
+  assert.equal(second.split('.')[0], first.split('.')[0]);
+  assert.equal(sessions[0].userAgent, 'phone');
+
+  const { refreshToken: third } = await rotateSession(second);
+  assert.equal(await sessionIdFromToken(third), third.split('.')[0]);
+  assert.equal(await sessionIdFromToken(second), null);
+});
+
+test('presenting a token that was already rotated revokes the whole session', async (t) => {
+  const { sessions } = useSessions(t);
+  const warn = t.mock.method(console, 'warn', () => {});
+  const { refreshToken: stolen } = await createSession(new mongoose.Types.ObjectId());
+  const { refreshToken: current } = await rotateSession(stolen);
+
+  await assert.rejects(rotateSession(stolen), { name: 'RefreshError', message: 'Refresh token reuse detected' });
+  assert.equal(sessions[0].revokedReason, 'reuse_detected');
+  assert.equal(warn.mock.callCount(), 1);
+  // The legitimate holder has to sign in again as well
+  await assert.rejects(rotateSession(current), { message: 'Session expired or revoked' });
+  assert.equal(await isSessionActive(current.split('.')[0]), false);
+});
+
+test('malformed, unknown and expired tokens are refused', async (t) => {
+  const { sessions } = useSessions(t);
+  await assert.rejects(rotateSession('nonsense'), { message: 'Invalid refresh token' });
+  await assert.rejects(rotateSession(undefined), { message: 'Invalid refresh token' });
+  await assert.rejects(rotateSession(`${new mongoose.Types.ObjectId()}.secret`), { message: 'Session expired or revoked' });
+
+  const { refreshToken } = await createSession(new mongoose.Types.ObjectId());
+  sessions[0].expiresAt = new Date(Date.now() - 1000);
+  await assert.rejects(rotateSession(refreshToken), { message: 'Session expired or revoked' });
+  assert.equal(await isSessionActive(refreshToken.split('.')[0]), false);
+  assert.equal(await isSessionActive('not-an-id'), false);
+});
+
+test('logout only finds the session when the secret is the current one', async (t) => {
+  useSessions(t);
+  const { refreshToken } = await createSession(new mongoose.Types.ObjectId());
+  const [id] = refreshToken.split('.');
+  assert.equal(await sessionIdFromToken(refreshToken), id);
+  assert.equal(await sessionIdFromToken(`${id}.guessed`), null);
+  assert.equal(await sessionIdFromToken('garbage'), null);
+});
+
+test('revoking drops the session\'s push devices; revoking all ends every session of the user', async (t) => {
+  const { sessions, devices } = useSessions(t);
+  const userId = new mongoose.Types.ObjectId();
+  const { session: one } = await createSession(userId);
+  const { session: two } = await createSession(userId);
+  const { session: other } = await createSession(new mongoose.Types.ObjectId());
+  devices.push({ _id: new mongoose.Types.ObjectId(), user: userId, session: one._id });
+
+  await revokeSession(one._id, 'logout');
+  assert.equal(sessions[0].revokedReason, 'logout');
+  assert.equal(devices.length, 0);
+  // Revoking twice keeps the first reason
+  assert.equal(await revokeSession(one._id, 'revoked'), null);
+  assert.equal(sessions[0].revokedReason, 'logout');
+
+  await revokeAllSessions(userId);
+  assert.equal(await isSessionActive(two._id), false);
+  assert.equal(await isSessionActive(other._id), true);
+});
@@ -0,0 +1,49 @@
+const EARTH_RADIUS_KM = 6371;
+
+// Parse a lat/lng pair (numbers or numeric strings). Returns null when missing or out of range.
+const parseLatLng = (lat, lng) => {
+  if (lat === undefined || lat === null || lat === '' || lng === undefined || lng === null || lng === '') return null;
+  const la = Number(lat);
+  const ln = Number(lng);
+  if (!Number.isFinite(la) || !Number.isFinite(ln)) return null;
+  if (la < -90 || la > 90 || ln < -180 || ln > 180) return null;
+  return { lat: la, lng: ln };
+};
+
+// { lat, lng } -> GeoJSON Point (note GeoJSON order is [lng, lat])
+const toPoint = (coords) => {
+  const parsed = coords ? parseLatLng(coords.lat, coords.lng) : null;
+  if (!parsed) return null;
+  return { type: 'Point', coordinates: [parsed.lng, parsed.lat] };
+};
+
+// Validate ordered intermediate stops: [{ name, coordinates?: { lat, lng } }].
+// Returns [{ name, point }] or null when any entry is invalid.
+const parseWaypoints = (raw) => {
+  if (raw === undefined || raw === null) return [];
+  if (!Array.isArray(raw)) return null;
+  const waypoints = [];
+  for (const w of raw) {
+    const name = typeof w?.name === 'string' ? w.name.trim() : '';
+    const point = toPoint(w?.coordinates);
+    if (!name || (w.coordinates && !point)) return null;
+    waypoints.push({ name, point: point || undefined });
+  }
+  return waypoints;
+};
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+// Great-circle distance in km between two [lng, lat] pairs
+const haversineKm = ([lng1, lat1], [lng2, lat2]) => {
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// Radius in km for $centerSphere (expects radians)
+const kmToRadians = (km) => km / EARTH_RADIUS_KM;
+
+export { EARTH_RADIUS_KM, parseLatLng, toPoint, parseWaypoints, haversineKm, kmToRadians };
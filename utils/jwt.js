@@ -1,8 +1,10 @@
 import jwt from 'jsonwebtoken';
 
   
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, { expiresIn: '1h' });
+// Short-lived access token; `sid` ties it to a Session so revoking the session revokes it
+const generateToken = (userId, sessionId) => {
+  const payload = sessionId ? { id: userId, sid: String(sessionId) } : { id: userId };
+  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m' });
 };
 
-export { generateToken };
\ No newline at end of file
+export { generateToken };
@@ -0,0 +1,7 @@
+// Prices are stored in major units on rides; payments and ledgers use integer minor units
+const toMinor = (amount) => Math.round(Number(amount) * 100);
+
+const formatMoney = (minor, currency = process.env.PAYMENT_CURRENCY || 'KES') =>
+  `${currency} ${(minor / 100).toFixed(2)}`;
+
+export { toMinor, formatMoney };